@@ -0,0 +1,133 @@
+import analyticsService from '../services/analyticsService.js';
+import subscriptionEventService from '../services/subscriptionEventService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const GROUP_BY_OPTIONS = ['day', 'week', 'month'];
+
+// Parse ?from=&to= (ISO dates, to is exclusive; defaults to the last 30 days).
+// Returns { from, to } or { error }.
+const parseRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+  return { from, to };
+};
+
+// GET /admin/analytics/mrr - MRR, ARR and subscribers by plan and interval (?asOf=date)
+export const getMrr = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (Number.isNaN(asOf.getTime())) {
+      return res.status(400).json({ message: 'asOf must be a valid date' });
+    }
+
+    return res.json(await analyticsService.getMrr(asOf));
+  } catch (error) {
+    console.error('Error computing MRR:', error);
+    return res.status(500).json({
+      message: 'Failed to compute MRR',
+      error: error.message,
+    });
+  }
+};
+
+// GET /admin/analytics/subscribers - New vs. churned subscribers (?from&to&groupBy=day|week|month)
+export const getSubscriberMovement = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+    const groupBy = req.query.groupBy || 'day';
+    if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+      return res
+        .status(400)
+        .json({ message: `groupBy must be one of: ${GROUP_BY_OPTIONS.join(', ')}` });
+    }
+
+    return res.json(await analyticsService.getSubscriberMovement(range.from, range.to, groupBy));
+  } catch (error) {
+    console.error('Error computing subscriber movement:', error);
+    return res.status(500).json({
+      message: 'Failed to compute subscriber movement',
+      error: error.message,
+    });
+  }
+};
+
+// GET /admin/analytics/trials - Trial conversion for trials started in the range
+export const getTrialConversion = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    return res.json(await analyticsService.getTrialConversion(range.from, range.to));
+  } catch (error) {
+    console.error('Error computing trial conversion:', error);
+    return res.status(500).json({
+      message: 'Failed to compute trial conversion',
+      error: error.message,
+    });
+  }
+};
+
+// GET /admin/analytics/cancellations - Cancellation reasons in the range
+export const getCancellationReasons = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    return res.json(await analyticsService.getCancellationReasons(range.from, range.to));
+  } catch (error) {
+    console.error('Error computing cancellation reasons:', error);
+    return res.status(500).json({
+      message: 'Failed to compute cancellation reasons',
+      error: error.message,
+    });
+  }
+};
+
+// GET /admin/analytics/revenue - Collected revenue by plan and plan version
+export const getRevenueByPlan = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    return res.json(await analyticsService.getRevenueByPlan(range.from, range.to));
+  } catch (error) {
+    console.error('Error computing revenue by plan:', error);
+    return res.status(500).json({
+      message: 'Failed to compute revenue',
+      error: error.message,
+    });
+  }
+};
+
+// POST /admin/analytics/backfill - Record baselines for subscriptions that predate event history
+export const backfillSubscriptionEvents = async (req, res) => {
+  try {
+    const created = await subscriptionEventService.backfillBaselines();
+    return res.json({ message: `Recorded ${created} baseline subscription events`, created });
+  } catch (error) {
+    console.error('Error backfilling subscription events:', error);
+    return res.status(500).json({
+      message: 'Failed to backfill subscription events',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,189 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+import couponService from '../services/couponService.js';
+
+// GET /admin/coupons - List coupons with redemption counts (redemption details omitted)
+export const getCoupons = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter)
+        .select('-redemptions')
+        .populate('appliesToPlans', 'title')
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Coupon.countDocuments(filter),
+    ]);
+
+    return res.json({
+      coupons,
+      pagination: {
+        current: page,
+        limit,
+        total: Math.ceil(total / limit),
+        count: coupons.length,
+        totalCount: total,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    return res.status(500).json({
+      message: 'Failed to fetch coupons',
+      error: error.message,
+    });
+  }
+};
+
+// GET /admin/coupons/:id - Get a coupon including who redeemed it
+export const getCouponById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid coupon ID' });
+    }
+
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('appliesToPlans', 'title')
+      .populate('redemptions.user', 'name email')
+      .populate('createdBy', 'name email')
+      .populate('lastModifiedBy', 'name email');
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    return res.json(coupon);
+  } catch (error) {
+    console.error('Error fetching coupon:', error);
+    return res.status(500).json({
+      message: 'Failed to fetch coupon',
+      error: error.message,
+    });
+  }
+};
+
+// POST /admin/coupons - Create a coupon and its promotion code in Stripe
+export const createCoupon = async (req, res) => {
+  try {
+    const normalized = await couponService.normalizeCouponInput(req.body);
+    if (normalized.error) {
+      return res.status(400).json({ message: normalized.error });
+    }
+
+    if (await Coupon.exists({ code: normalized.coupon.code })) {
+      return res.status(409).json({ message: 'A coupon with this code already exists' });
+    }
+
+    const coupon = await couponService.createCoupon(normalized.coupon, req.user._id);
+
+    return res.status(201).json({
+      message: 'Coupon created successfully',
+      coupon,
+    });
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    return res.status(500).json({
+      message: 'Failed to create coupon',
+      error: error.message,
+    });
+  }
+};
+
+// PUT /admin/coupons/:id - Update a coupon's name, plan restriction, per-user limit or status
+// Discount terms, redemption limits and expiry are fixed by Stripe once the coupon exists.
+export const updateCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid coupon ID' });
+    }
+
+    const immutable = [
+      'code',
+      'percentOff',
+      'amountOff',
+      'currency',
+      'duration',
+      'durationInMonths',
+      'maxRedemptions',
+      'expiresAt',
+    ].filter((field) => req.body[field] !== undefined);
+    if (immutable.length) {
+      return res.status(400).json({
+        message: `${immutable.join(', ')} cannot be changed. Create a new coupon instead.`,
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    const { name, appliesToPlans, singleUsePerUser, isActive } = req.body;
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ message: 'name cannot be empty' });
+      }
+      coupon.name = name.trim();
+    }
+    if (appliesToPlans !== undefined) {
+      const plans = await couponService.normalizePlanIds(appliesToPlans);
+      if (plans.error) {
+        return res.status(400).json({ message: plans.error });
+      }
+      coupon.appliesToPlans = plans.planIds;
+    }
+    if (singleUsePerUser !== undefined) {
+      if (typeof singleUsePerUser !== 'boolean') {
+        return res.status(400).json({ message: 'singleUsePerUser must be a boolean value' });
+      }
+      coupon.singleUsePerUser = singleUsePerUser;
+    }
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({ message: 'isActive must be a boolean value' });
+    }
+
+    await couponService.setActive(coupon, isActive ?? coupon.isActive, req.user._id);
+
+    return res.json({
+      message: 'Coupon updated successfully',
+      coupon,
+    });
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+    return res.status(500).json({
+      message: 'Failed to update coupon',
+      error: error.message,
+    });
+  }
+};
+
+// DELETE /admin/coupons/:id - Deactivate a coupon (soft delete keeps its redemption history)
+export const deactivateCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid coupon ID' });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    await couponService.setActive(coupon, false, req.user._id);
+
+    return res.json({ message: 'Coupon deactivated successfully' });
+  } catch (error) {
+    console.error('Error deactivating coupon:', error);
+    return res.status(500).json({
+      message: 'Failed to deactivate coupon',
+      error: error.message,
+    });
+  }
+};
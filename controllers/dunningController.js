@@ -0,0 +1,60 @@
+import User from '../models/userModel.js';
+import dunningService from '../services/dunningService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// GET /admin/dunning - List accounts with a failed payment, soonest grace expiry first
+export const getDunningAccounts = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = { 'subscription.dunning.startedAt': { $ne: null } };
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('name email stripeCustomerId subscription')
+        .sort({ 'subscription.dunning.graceEndsAt': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter),
+    ]);
+
+    const now = Date.now();
+    const accounts = users.map((user) => {
+      const { dunning } = user.subscription;
+      return {
+        userId: user._id,
+        name: user.name,
+        email: user.email,
+        stripeCustomerId: user.stripeCustomerId,
+        subscriptionId: user.subscription.id,
+        status: user.subscription.status,
+        startedAt: dunning.startedAt,
+        graceEndsAt: dunning.graceEndsAt,
+        daysLeft: Math.max(0, Math.ceil((new Date(dunning.graceEndsAt) - now) / DAY_MS)),
+        invoiceId: dunning.invoiceId,
+        payLink: dunning.payLink,
+        failedAttempts: dunning.failedAttempts,
+        remindersSent: dunning.remindersSent,
+      };
+    });
+
+    return res.json({
+      accounts,
+      policy: dunningService.getPolicy(),
+      pagination: {
+        current: page,
+        limit,
+        total: Math.ceil(total / limit),
+        count: accounts.length,
+        totalCount: total,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching dunning accounts:', error);
+    return res.status(500).json({
+      message: 'Failed to fetch dunning accounts',
+      error: error.message,
+    });
+  }
+};
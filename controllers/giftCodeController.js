@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+import GiftCode from '../models/GiftCode.js';
+import giftCodeService from '../services/giftCodeService.js';
+
+// GET /admin/gift-codes - List codes (batchId, kind, redeemed, isActive, page, limit)
+export const getGiftCodes = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = {};
+    if (req.query.batchId) {
+      filter.batchId = String(req.query.batchId);
+    }
+    if (req.query.kind) {
+      filter.kind = String(req.query.kind);
+    }
+    if (req.query.redeemed !== undefined) {
+      filter.redeemedBy = req.query.redeemed === 'true' ? { $ne: null } : null;
+    }
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const [codes, total] = await Promise.all([
+      GiftCode.find(filter)
+        .populate('plan', 'title')
+        .populate('redeemedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      GiftCode.countDocuments(filter),
+    ]);
+
+    return res.json({
+      codes,
+      pagination: {
+        current: page,
+        limit,
+        total: Math.ceil(total / limit),
+        count: codes.length,
+        totalCount: total,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching gift codes:', error);
+    return res.status(500).json({
+      message: 'Failed to fetch gift codes',
+      error: error.message,
+    });
+  }
+};
+
+// GET /admin/gift-codes/batches - Summarize each batch: size, redemptions and what it grants
+export const getGiftCodeBatches = async (req, res) => {
+  try {
+    const groups = await GiftCode.aggregate([
+      {
+        $group: {
+          _id: '$batchId',
+          kind: { $first: '$kind' },
+          label: { $first: '$label' },
+          plan: { $first: '$plan' },
+          days: { $first: '$days' },
+          expiresAt: { $first: '$expiresAt' },
+          createdAt: { $min: '$createdAt' },
+          total: { $sum: 1 },
+          redeemed: { $sum: { $cond: [{ $ne: ['$redeemedBy', null] }, 1, 0] } },
+          active: {
+            $sum: {
+              $cond: [{ $and: ['$isActive', { $eq: ['$redeemedBy', null] }] }, 1, 0],
+            },
+          },
+        },
+      },
+      { $sort: { createdAt: -1 } },
+    ]);
+    await GiftCode.populate(groups, { path: 'plan', select: 'title' });
+
+    const batches = groups.map(({ _id, ...batch }) => ({ batchId: _id, ...batch }));
+    return res.json({ batches });
+  } catch (error) {
+    console.error('Error fetching gift code batches:', error);
+    return res.status(500).json({
+      message: 'Failed to fetch gift code batches',
+      error: error.message,
+    });
+  }
+};
+
+// POST /admin/gift-codes - Generate a batch of codes granting days of a plan
+export const createGiftCodes = async (req, res) => {
+  try {
+    const normalized = await giftCodeService.normalizeBatchInput(req.body);
+    if (normalized.error) {
+      return res.status(400).json({ message: normalized.error });
+    }
+
+    const { batchId, codes } = await giftCodeService.createBatch(normalized.batch, req.user._id);
+
+    return res.status(201).json({
+      message: `${codes.length} codes created`,
+      batchId,
+      codes: codes.map((giftCode) => giftCode.code),
+    });
+  } catch (error) {
+    console.error('Error creating gift codes:', error);
+    return res.status(500).json({
+      message: 'Failed to create gift codes',
+      error: error.message,
+    });
+  }
+};
+
+// DELETE /admin/gift-codes/batches/:batchId - Deactivate every unredeemed code in a batch
+export const deactivateGiftCodeBatch = async (req, res) => {
+  try {
+    const result = await GiftCode.updateMany(
+      { batchId: req.params.batchId, redeemedBy: null, isActive: true },
+      { $set: { isActive: false, lastModifiedBy: req.user._id } },
+    );
+    if (!result.matchedCount && !(await GiftCode.exists({ batchId: req.params.batchId }))) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    return res.json({
+      message: 'Batch deactivated successfully',
+      deactivated: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error('Error deactivating gift code batch:', error);
+    return res.status(500).json({
+      message: 'Failed to deactivate gift code batch',
+      error: error.message,
+    });
+  }
+};
+
+// DELETE /admin/gift-codes/:id - Deactivate an unredeemed code
+// Redeemed codes keep their access; the redemption record stays for support.
+export const deactivateGiftCode = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid gift code ID' });
+    }
+
+    // Conditional, so a code redeemed a moment ago isn't deactivated under its owner
+    const result = await GiftCode.updateOne(
+      { _id: req.params.id, redeemedBy: null },
+      { $set: { isActive: false, lastModifiedBy: req.user._id } },
+    );
+    if (!result.matchedCount) {
+      return (await GiftCode.exists({ _id: req.params.id }))
+        ? res.status(400).json({ message: 'Redeemed codes cannot be deactivated' })
+        : res.status(404).json({ message: 'Gift code not found' });
+    }
+
+    return res.json({ message: 'Gift code deactivated successfully' });
+  } catch (error) {
+    console.error('Error deactivating gift code:', error);
+    return res.status(500).json({
+      message: 'Failed to deactivate gift code',
+      error: error.message,
+    });
+  }
+};
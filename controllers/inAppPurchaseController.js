@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import User from '../models/userModel.js';
+import inAppPurchaseService from '../services/inAppPurchase/index.js';
+
+// GET /subscriptions/apple/account-token - appAccountToken the app sets on StoreKit purchases
+export const getAppleAccountToken = async (req, res) => {
+  try {
+    return res.json({ appAccountToken: inAppPurchaseService.appleAccountToken(req.user._id) });
+  } catch (error) {
+    console.error('Error creating App Store account token:', error);
+    return res.status(500).json({
+      message: 'Failed to create App Store account token',
+      error: error.message,
+    });
+  }
+};
+
+// POST /subscriptions/apple/verify - Link a StoreKit 2 subscription purchase to the caller
+export const verifyAppleSubscription = async (req, res) => {
+  try {
+    const { signedTransaction, signedRenewalInfo } = req.body;
+    if (!signedTransaction) {
+      return res.status(400).json({ message: 'signedTransaction is required' });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const result = await inAppPurchaseService.verifyApplePurchase(user, {
+      signedTransaction,
+      signedRenewalInfo,
+    });
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    return res.json({
+      message: 'App Store subscription verified',
+      subscription: result.subscription,
+    });
+  } catch (error) {
+    console.error('Error verifying App Store subscription:', error);
+    return res.status(500).json({
+      message: 'Failed to verify App Store subscription',
+      error: error.message,
+    });
+  }
+};
+
+// POST /subscriptions/google/verify - Link a Google Play subscription purchase to the caller
+export const verifyGoogleSubscription = async (req, res) => {
+  try {
+    const { purchaseToken } = req.body;
+    if (!purchaseToken || typeof purchaseToken !== 'string') {
+      return res.status(400).json({ message: 'purchaseToken is required' });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const result = await inAppPurchaseService.verifyGooglePurchase(user, { purchaseToken });
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    return res.json({
+      message: 'Google Play subscription verified',
+      subscription: result.subscription,
+    });
+  } catch (error) {
+    console.error('Error verifying Google Play subscription:', error);
+    return res.status(500).json({
+      message: 'Failed to verify Google Play subscription',
+      error: error.message,
+    });
+  }
+};
+
+// POST /subscriptions/apple/notifications - App Store Server Notifications V2
+// Unauthenticated: the signed payload is verified against Apple's certificate chain
+export const handleAppleNotification = async (req, res) => {
+  try {
+    const { signedPayload } = req.body;
+    if (!signedPayload) {
+      return res.status(400).json({ message: 'signedPayload is required' });
+    }
+
+    const result = await inAppPurchaseService.handleAppleNotification(signedPayload);
+    if (result.status) {
+      console.error(`App Store notification rejected: ${result.message}`);
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    return res.json({ received: true, handled: result.handled });
+  } catch (error) {
+    console.error('Error handling App Store notification:', error);
+    // Apple retries notifications that don't get a 200
+    return res.status(500).json({ message: 'Failed to handle App Store notification' });
+  }
+};
+
+// POST /subscriptions/google/notifications - Google Play real-time developer notifications
+// (Pub/Sub push). The push URL must carry ?token=GOOGLE_PLAY_NOTIFICATION_TOKEN; without the
+// variable every push is refused.
+export const handleGoogleNotification = async (req, res) => {
+  try {
+    const expected = process.env.GOOGLE_PLAY_NOTIFICATION_TOKEN;
+    if (!expected) {
+      console.error('Google Play notification refused: GOOGLE_PLAY_NOTIFICATION_TOKEN is not set');
+      return res.status(503).json({ message: 'Google Play notifications are not configured' });
+    }
+    const given = Buffer.from(String(req.query.token || ''));
+    const wanted = Buffer.from(expected);
+    if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+      return res.status(401).json({ message: 'Invalid notification token' });
+    }
+    if (!req.body?.message?.data) {
+      return res.status(400).json({ message: 'Pub/Sub message is required' });
+    }
+
+    const result = await inAppPurchaseService.handleGoogleNotification(req.body);
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    // Pub/Sub redelivers anything that isn't acknowledged with a 2xx
+    return res.json({ received: true, handled: result.handled });
+  } catch (error) {
+    console.error('Error handling Google Play notification:', error);
+    return res.status(500).json({ message: 'Failed to handle Google Play notification' });
+  }
+};
@@ -0,0 +1,411 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import sanitizeHtml from 'sanitize-html';
+import Mix from '../models/Mix.js';
+import Music from '../models/Music.js';
+import mixRenderService from '../services/mixRenderService.js';
+import entitlementService from '../services/entitlementService.js';
+import permissionService from '../services/permissionService.js';
+import { createSignedStreamUrl } from '../utils/streamSignature.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const uploadsDir = path.join(__dirname, '../uploads');
+
+const MAX_LAYERS = 8;
+// A render still marked in progress after this long was lost (e.g. to a restart)
+const STALE_RENDER_MS = 30 * 60 * 1000;
+const LAYER_FIELDS = ['volume', 'startOffset', 'fadeIn', 'fadeOut'];
+
+// Plain-text sanitizer for freeform text fields
+function sanitizeText(input = '') {
+  const trimmed = typeof input === 'string' ? input.trim() : '';
+  if (!trimmed) return '';
+  return sanitizeHtml(trimmed, { allowedTags: [], allowedAttributes: {} });
+}
+
+// Staff with mixes:manage can view, edit and publish any mix
+const canManageMixes = (user) => permissionService.hasPermission(user, 'mixes:manage');
+
+const canView = async (mix, user) =>
+  mix.isPublic || mix.owner.toString() === user._id.toString() || canManageMixes(user);
+
+const canEdit = async (mix, user) =>
+  mix.owner.toString() === user._id.toString() || canManageMixes(user);
+
+// Validate the layers array from a request body. Returns { layers } or { error }.
+const normalizeLayers = async (rawLayers) => {
+  if (!Array.isArray(rawLayers) || rawLayers.length === 0 || rawLayers.length > MAX_LAYERS) {
+    return { error: `layers must be an array of 1 to ${MAX_LAYERS} tracks` };
+  }
+
+  const layers = [];
+  for (const [index, raw] of rawLayers.entries()) {
+    if (!raw || !mongoose.Types.ObjectId.isValid(raw.music)) {
+      return { error: `Layer ${index + 1} needs a valid music ID` };
+    }
+
+    const layer = { music: new mongoose.Types.ObjectId(raw.music), loop: raw.loop === true };
+    for (const field of LAYER_FIELDS) {
+      if (raw[field] === undefined) continue;
+      const value = Number(raw[field]);
+      if (!Number.isFinite(value) || value < 0 || (field === 'volume' && value > 1)) {
+        return {
+          error: `Layer ${index + 1}: ${field} must be ${field === 'volume' ? 'between 0 and 1' : 'a non-negative number'}`,
+        };
+      }
+      layer[field] = value;
+    }
+    layers.push(layer);
+  }
+
+  const ids = [...new Set(layers.map((layer) => layer.music.toString()))];
+  const found = await Music.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    return { error: 'One or more layers reference music that does not exist' };
+  }
+
+  return { layers };
+};
+
+const findMixOr404 = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid mix ID');
+  }
+  const mix = await Mix.findById(req.params.id);
+  if (!mix) {
+    res.status(404);
+    throw new Error('Mix not found');
+  }
+  return mix;
+};
+
+const removeRenderedFile = (mix) => {
+  if (!mix.render || !mix.render.fileUrl) return;
+  const filePath = path.join(uploadsDir, path.basename(mix.render.fileUrl));
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+};
+
+// Record a background render's outcome. The update only applies while the mix still waits for
+// this output; an edit, a newer render or a delete in the meantime makes the file stale.
+const finishRender = async (mixId, fileUrl, update) => {
+  const result = await Mix.updateOne(
+    { _id: mixId, 'render.status': 'rendering', 'render.fileUrl': fileUrl },
+    { $set: update },
+  );
+  if (result.matchedCount === 0 || update['render.status'] === 'failed') {
+    await fs.promises.unlink(path.join(uploadsDir, path.basename(fileUrl))).catch(() => {});
+  }
+};
+
+// @desc    List mixes visible to the caller (own mixes plus curated public mixes)
+// @route   GET /api/mixes
+// @access  Private (active subscription)
+const getMixes = asyncHandler(async (req, res) => {
+  const filter = (await canManageMixes(req.user))
+    ? {}
+    : { $or: [{ owner: req.user._id }, { isPublic: true }] };
+
+  const mixes = await Mix.find(filter)
+    .sort({ createdAt: -1 })
+    .populate('layers.music', 'title artist duration thumbnailUrl');
+
+  res.json(mixes);
+});
+
+// @desc    Get a single mix
+// @route   GET /api/mixes/:id
+// @access  Private (active subscription)
+const getMixById = asyncHandler(async (req, res) => {
+  const mix = await findMixOr404(req, res);
+  if (!(await canView(mix, req.user))) {
+    res.status(403);
+    throw new Error('Not authorized to view this mix');
+  }
+
+  await mix.populate('layers.music', 'title artist duration thumbnailUrl');
+  res.json(mix);
+});
+
+// @desc    Create a mix from existing tracks
+// @route   POST /api/mixes
+// @access  Private (active subscription)
+const createMix = asyncHandler(async (req, res) => {
+  const name = sanitizeText(req.body.name);
+  if (!name) {
+    res.status(400);
+    throw new Error('Mix name is required');
+  }
+
+  const { maxMixes } = req.entitlements;
+  if (maxMixes !== entitlementService.UNLIMITED) {
+    const ownedMixes = await Mix.countDocuments({ owner: req.user._id });
+    if (ownedMixes >= maxMixes) {
+      return res.status(403).json(
+        entitlementService.denial(req.entitlements, 'maxMixes', 'Mix limit reached for your plan', {
+          limit: maxMixes,
+          used: ownedMixes,
+        }),
+      );
+    }
+  }
+
+  const { layers, error } = await normalizeLayers(req.body.layers);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  const canPublish = await canManageMixes(req.user);
+  const mix = await Mix.create({
+    name,
+    description: sanitizeText(req.body.description),
+    layers,
+    duration: req.body.duration ? Number(req.body.duration) : null,
+    owner: req.user._id,
+    // Only staff with mixes:manage publish curated mixes; they are public unless stated otherwise
+    isPublic: canPublish ? req.body.isPublic !== false : false,
+  });
+
+  await mix.populate('layers.music', 'title artist duration thumbnailUrl');
+  res.status(201).json(mix);
+});
+
+// @desc    Update a mix
+// @route   PUT /api/mixes/:id
+// @access  Private (owner or mixes:manage)
+const updateMix = asyncHandler(async (req, res) => {
+  const mix = await findMixOr404(req, res);
+  if (!(await canEdit(mix, req.user))) {
+    res.status(403);
+    throw new Error('Not authorized to edit this mix');
+  }
+
+  if (req.body.name !== undefined) {
+    const name = sanitizeText(req.body.name);
+    if (!name) {
+      res.status(400);
+      throw new Error('Mix name cannot be empty');
+    }
+    mix.name = name;
+  }
+  if (req.body.description !== undefined) {
+    mix.description = sanitizeText(req.body.description);
+  }
+  if (req.body.duration !== undefined) {
+    mix.duration = req.body.duration ? Number(req.body.duration) : null;
+  }
+  if (req.body.isPublic !== undefined && (await canManageMixes(req.user))) {
+    mix.isPublic = req.body.isPublic === true;
+  }
+
+  let contentChanged = req.body.duration !== undefined;
+  if (req.body.layers !== undefined) {
+    const { layers, error } = await normalizeLayers(req.body.layers);
+    if (error) {
+      res.status(400);
+      throw new Error(error);
+    }
+    mix.layers = layers;
+    contentChanged = true;
+  }
+
+  // A previously rendered file no longer matches the mix
+  if (contentChanged && mix.render.status !== 'none') {
+    removeRenderedFile(mix);
+    mix.render = { status: 'none', fileUrl: null, startedAt: null, renderedAt: null, error: null };
+  }
+
+  const updatedMix = await mix.save();
+  await updatedMix.populate('layers.music', 'title artist duration thumbnailUrl');
+  res.json(updatedMix);
+});
+
+// @desc    Delete a mix
+// @route   DELETE /api/mixes/:id
+// @access  Private (owner or mixes:manage)
+const deleteMix = asyncHandler(async (req, res) => {
+  const mix = await findMixOr404(req, res);
+  if (!(await canEdit(mix, req.user))) {
+    res.status(403);
+    throw new Error('Not authorized to delete this mix');
+  }
+
+  removeRenderedFile(mix);
+  await Mix.findByIdAndDelete(mix._id);
+  res.json({ message: 'Mix deleted successfully' });
+});
+
+// @desc    Get the player manifest for a mix (layers with signed stream URLs)
+// @route   GET /api/mixes/:id/manifest
+// @access  Private (active subscription)
+const getMixManifest = asyncHandler(async (req, res) => {
+  const mix = await findMixOr404(req, res);
+  if (!(await canView(mix, req.user))) {
+    res.status(403);
+    throw new Error('Not authorized to view this mix');
+  }
+
+  await mix.populate(
+    'layers.music',
+    'title artist duration thumbnailUrl fileUrl technical category createdAt',
+  );
+
+  // Signed stream URLs skip the plan check, so tracks the plan doesn't cover get none
+  const layers = [];
+  for (const layer of mix.layers.filter((current) => current.music)) {
+    const denial = await entitlementService.checkTrackAccess(req.entitlements, layer.music);
+    const { url, expiresAt } = denial
+      ? { url: null, expiresAt: null }
+      : createSignedStreamUrl(layer.music._id, req.user._id);
+    layers.push({
+      trackId: layer.music._id,
+      title: layer.music.title,
+      artist: layer.music.artist,
+      trackDuration: layer.music.duration,
+      streamUrl: url,
+      streamUrlExpiresAt: expiresAt,
+      locked: Boolean(denial),
+      lockedReason: denial ? denial.message : null,
+      volume: layer.volume,
+      loop: layer.loop,
+      startOffset: layer.startOffset,
+      fadeIn: layer.fadeIn,
+      fadeOut: layer.fadeOut,
+    });
+  }
+
+  // Without an explicit duration the mix ends with its longest non-looping layer
+  const nonLoopingEnds = layers
+    .filter((layer) => !layer.loop)
+    .map((layer) => layer.startOffset + layer.trackDuration);
+  const duration = mix.duration || (nonLoopingEnds.length ? Math.max(...nonLoopingEnds) : null);
+
+  res.json({
+    id: mix._id,
+    name: mix.name,
+    description: mix.description,
+    duration,
+    layers,
+    render: {
+      status: mix.render.status,
+      downloadUrl: mix.render.status === 'ready' ? `/api/mixes/${mix._id}/download` : null,
+      error: mix.render.status === 'failed' ? mix.render.error : null,
+    },
+  });
+});
+
+// @desc    Start rendering a mix server-side into a single WAV file; poll the mix for its status
+// @route   POST /api/mixes/:id/render
+// @access  Private/Admin
+const renderMix = asyncHandler(async (req, res) => {
+  const mix = await findMixOr404(req, res);
+  await mix.populate('layers.music', 'title fileUrl technical');
+
+  if (
+    mix.render.status === 'rendering' &&
+    Date.now() - new Date(mix.render.startedAt || 0).getTime() < STALE_RENDER_MS
+  ) {
+    res.status(409);
+    throw new Error('This mix is already being rendered');
+  }
+
+  // Refuse up front rather than after a failed render
+  const unsupportedLayers = mixRenderService.findUnsupportedLayers(mix);
+  if (unsupportedLayers.length) {
+    return res.status(422).json({
+      message: 'Mix could not be rendered',
+      error: unsupportedLayers.join('; '),
+      unsupportedLayers,
+    });
+  }
+
+  const fileName = `${Date.now()}-${Math.round(Math.random() * 1e9)}_mix-${mix._id}.wav`;
+  const fileUrl = `/uploads/${fileName}`;
+
+  // Re-rendering replaces any earlier output
+  removeRenderedFile(mix);
+  mix.render = {
+    status: 'rendering',
+    fileUrl,
+    startedAt: new Date(),
+    renderedAt: null,
+    error: null,
+  };
+  await mix.save();
+
+  // The render runs on a worker thread after the response
+  mixRenderService
+    .renderInWorker(mix, uploadsDir, path.join(uploadsDir, fileName))
+    .then(() =>
+      finishRender(mix._id, fileUrl, { 'render.status': 'ready', 'render.renderedAt': new Date() }),
+    )
+    .catch((error) => {
+      console.error('Mix render error:', error);
+      return finishRender(mix._id, fileUrl, {
+        'render.status': 'failed',
+        'render.fileUrl': null,
+        'render.error': error.message,
+      });
+    })
+    .catch((error) => console.error('Failed to record mix render result:', error));
+
+  res.status(202).json({
+    message: 'Mix render started',
+    render: { status: 'rendering', startedAt: mix.render.startedAt },
+  });
+});
+
+// @desc    Download the rendered file for a mix
+// @route   GET /api/mixes/:id/download
+// @access  Private (active subscription)
+const downloadMix = asyncHandler(async (req, res) => {
+  const mix = await findMixOr404(req, res);
+  if (!(await canView(mix, req.user))) {
+    res.status(403);
+    throw new Error('Not authorized to download this mix');
+  }
+
+  const filePath =
+    mix.render.status === 'ready' && mix.render.fileUrl
+      ? path.join(uploadsDir, path.basename(mix.render.fileUrl))
+      : null;
+  if (!filePath || !fs.existsSync(filePath)) {
+    res.status(404);
+    throw new Error('This mix has not been rendered yet');
+  }
+
+  const usage = await entitlementService.consumeDownload(req.user, req.entitlements);
+  if (!usage.allowed) {
+    return res
+      .status(403)
+      .json(
+        entitlementService.denial(
+          req.entitlements,
+          'offlineDownloadsPerMonth',
+          usage.limit === 0
+            ? 'Your plan does not include offline downloads'
+            : 'Monthly offline download limit reached',
+          { limit: usage.limit, used: usage.used },
+        ),
+      );
+  }
+
+  const downloadName = `${mix.name.replace(/[^a-zA-Z0-9-_ ]/g, '').trim() || 'mix'}.wav`;
+  res.download(filePath, downloadName);
+});
+
+export {
+  getMixes,
+  getMixById,
+  createMix,
+  updateMix,
+  deleteMix,
+  getMixManifest,
+  renderMix,
+  downloadMix,
+};
@@ -1,5 +1,6 @@
 // controllers/musicController.js
 import Music from '../models/Music.js';
+import Category from '../models/Category.js';
 import asyncHandler from 'express-async-handler';
 import mongoose from 'mongoose';
 import path from 'path';
@@ -8,6 +9,10 @@ import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 dotenv.config();
 import sanitizeHtml from 'sanitize-html';
+import { createSignedStreamUrl } from '../utils/streamSignature.js';
+import { extractAudioMetadata } from '../utils/audioMetadata.js';
+import binauralService from '../services/binauralService.js';
+import entitlementService from '../services/entitlementService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,6 +24,137 @@ function sanitizeText(input = '') {
   return sanitizeHtml(trimmed, { allowedTags: [], allowedAttributes: {} });
 }
 
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SORT_FIELDS = ['title', 'artist', 'duration', 'releaseDate', 'createdAt'];
+const DEFAULT_SORT = { createdAt: -1, _id: -1 };
+
+const parseDateParam = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const parseNumberParam = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+// Translate GET /api/music query params into a Mongo filter, sort and page window. Only a
+// request with page or limit is paginated; sort is undefined unless sort or q was given.
+const buildMusicQuery = (query = {}) => {
+  const filter = {};
+  let projection;
+
+  const paginate = query.page !== undefined || query.limit !== undefined;
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE,
+  );
+
+  for (const field of ['category', 'categoryType']) {
+    if (query[field] !== undefined) {
+      if (typeof query[field] !== 'string' || !mongoose.Types.ObjectId.isValid(query[field])) {
+        return { error: `Invalid ${field} ID` };
+      }
+      filter[field] = new mongoose.Types.ObjectId(query[field]);
+    }
+  }
+
+  if (query.artist !== undefined) {
+    if (typeof query.artist !== 'string') return { error: 'Invalid artist' };
+    filter.artist = new RegExp(`^${escapeRegExp(query.artist.trim())}$`, 'i');
+  }
+
+  const minDuration = parseNumberParam(query.minDuration);
+  const maxDuration = parseNumberParam(query.maxDuration);
+  if (minDuration === null || maxDuration === null) {
+    return { error: 'minDuration and maxDuration must be numbers' };
+  }
+  if (minDuration !== undefined || maxDuration !== undefined) {
+    filter.duration = {};
+    if (minDuration !== undefined) filter.duration.$gte = minDuration;
+    if (maxDuration !== undefined) filter.duration.$lte = maxDuration;
+  }
+
+  const releasedFrom = parseDateParam(query.releasedFrom);
+  const releasedTo = parseDateParam(query.releasedTo);
+  if (releasedFrom === null || releasedTo === null) {
+    return { error: 'releasedFrom and releasedTo must be valid dates' };
+  }
+  if (releasedFrom || releasedTo) {
+    filter.releaseDate = {};
+    if (releasedFrom) filter.releaseDate.$gte = releasedFrom;
+    if (releasedTo) filter.releaseDate.$lte = releasedTo;
+  }
+
+  let sort;
+  if (query.q !== undefined) {
+    if (typeof query.q !== 'string') return { error: 'Invalid search query' };
+    if (query.q.trim()) {
+      filter.$text = { $search: query.q.trim() };
+      projection = { score: { $meta: 'textScore' } };
+      sort = { score: { $meta: 'textScore' } };
+    }
+  }
+
+  if (query.sort !== undefined) {
+    if (typeof query.sort !== 'string') return { error: 'Invalid sort' };
+    const direction = query.sort.startsWith('-') ? -1 : 1;
+    const field = query.sort.replace(/^-/, '');
+    if (!SORT_FIELDS.includes(field)) {
+      return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+    }
+    sort = { [field]: direction, _id: direction };
+  }
+
+  return { filter, sort, projection, paginate, page, limit };
+};
+
+// Allowed difference between an admin-entered duration and the file's real duration
+const DURATION_TOLERANCE_SECONDS = 2;
+
+// Prefer the duration measured from the file; warn when the entered value disagrees
+const resolveDuration = (metadata, enteredDuration) => {
+  const measured = Math.max(1, Math.round(metadata.duration));
+  if (
+    enteredDuration &&
+    Math.abs(Number(enteredDuration) - metadata.duration) > DURATION_TOLERANCE_SECONDS
+  ) {
+    console.warn(
+      `Entered duration ${enteredDuration}s does not match file duration ${measured}s - using file duration`,
+    );
+  }
+  return measured;
+};
+
+// Map extracted audio metadata onto the Music.technical sub-document
+const toTechnical = (metadata) => ({
+  format: metadata.format,
+  codec: metadata.codec,
+  duration: Math.round(metadata.duration * 1000) / 1000,
+  bitrate: metadata.bitrate,
+  sampleRate: metadata.sampleRate,
+  channels: metadata.channels,
+  bitsPerSample: metadata.bitsPerSample,
+  embeddedTitle: metadata.title,
+  embeddedArtist: metadata.artist,
+  hasArtwork: !!metadata.artwork,
+  extractedAt: new Date(),
+});
+
+// Write embedded cover art next to the audio file and return its filename
+const saveEmbeddedArtwork = (audioFile, artwork) => {
+  const ext = artwork.mimeType === 'image/png' ? '.png' : '.jpg';
+  const fileName = `${path.parse(audioFile.filename).name}_artwork${ext}`;
+  fs.writeFileSync(path.join(__dirname, '../uploads', fileName), artwork.data);
+  return fileName;
+};
+
 // Security: Validate and sanitize filename
 const sanitizeFilename = (filename) => {
   if (!filename || typeof filename !== 'string') {
@@ -69,6 +205,7 @@ const getMusicByCategory = asyncHandler(async (req, res) => {
         ...music._doc,
         fileUrl: fileName ? `/uploads/${fileName}` : null,
         thumbnailUrl: thumbnailName ? `/uploads/${thumbnailName}` : null,
+        streamUrl: `/api/music/${music._id}/stream`,
         category: music.category
           ? {
               _id: music.category._id,
@@ -86,16 +223,41 @@ const getMusicByCategory = asyncHandler(async (req, res) => {
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
 });
-// @desc    Get all music with category and type details
+// @desc    Get music with pagination, filters, sorting and text search
 // @route   GET /api/music
 // @access  Public
-// controllers/musicController.js
+// Query params:
+//   page, limit                     - opt in to { music, pagination } pages (limit capped at
+//                                     MAX_PAGE_SIZE); without them the response is an array
+//   category, categoryType          - ObjectId filters
+//   artist                          - case-insensitive exact artist match
+//   minDuration, maxDuration        - duration range in seconds
+//   releasedFrom, releasedTo        - releaseDate range (ISO dates)
+//   q                               - full-text search over title, artist and description
+//   sort                            - one of SORT_FIELDS, prefix with '-' for descending
 const getMusic = asyncHandler(async (req, res) => {
   try {
-    const musicList = await Music.find().populate({
+    const { filter, sort, projection, paginate, page, limit, error } = buildMusicQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    let musicQuery = Music.find(filter, projection).populate({
       path: 'category',
       select: 'name description types',
     });
+    if (paginate) {
+      musicQuery = musicQuery
+        .sort(sort || DEFAULT_SORT)
+        .skip((page - 1) * limit)
+        .limit(limit);
+    } else if (sort) {
+      musicQuery = musicQuery.sort(sort);
+    }
+    const [musicList, totalCount] = await Promise.all([
+      musicQuery,
+      paginate ? Music.countDocuments(filter) : null,
+    ]);
 
     const musicWithUrls = musicList.map((music) => {
       // Always return relative URLs so clients can prepend their own base
@@ -114,6 +276,7 @@ const getMusic = asyncHandler(async (req, res) => {
         ...music._doc,
         fileUrl: fileName ? `/uploads/${fileName}` : null,
         thumbnailUrl: thumbnailName ? `/uploads/${thumbnailName}` : null,
+        streamUrl: `/api/music/${music._id}/stream`,
         category: music.category
           ? {
               _id: music.category._id,
@@ -125,7 +288,21 @@ const getMusic = asyncHandler(async (req, res) => {
       };
     });
 
-    res.json(musicWithUrls);
+    // Existing clients get the whole (filtered) list as an array; page or limit opts in to pages
+    if (!paginate) {
+      return res.json(musicWithUrls);
+    }
+
+    res.json({
+      music: musicWithUrls,
+      pagination: {
+        current: page,
+        limit,
+        total: Math.ceil(totalCount / limit),
+        count: musicWithUrls.length,
+        totalCount,
+      },
+    });
   } catch (error) {
     console.error('Error in getMusic:', error);
     res.status(500).json({ message: 'Server Error', error: error.message });
@@ -136,17 +313,15 @@ const getMusic = asyncHandler(async (req, res) => {
 // @route   POST /api/music/create
 // @access  Private/Admin
 const createMusic = asyncHandler(async (req, res) => {
-  const {
-    title,
-    artist,
-    category,
-    categoryType,
-    duration,
-    releaseDate,
-    description: rawDescription,
-  } = req.body;
+  const { category, categoryType, releaseDate, description: rawDescription } = req.body;
   const audioFile = req.files?.file?.[0];
   const thumbnailFile = req.files?.thumbnail?.[0];
+  const metadata = req.audioMetadata;
+
+  // Title, artist and duration fall back to what was extracted from the file
+  const title = req.body.title || metadata?.title;
+  const artist = req.body.artist || metadata?.artist;
+  const duration = metadata ? resolveDuration(metadata, req.body.duration) : req.body.duration;
 
   // Validate required fields
   const missingFields = [];
@@ -184,8 +359,14 @@ const createMusic = asyncHandler(async (req, res) => {
       description,
     };
 
+    if (metadata) {
+      musicData.technical = toTechnical(metadata);
+    }
+
     if (thumbnailFile) {
       musicData.thumbnailUrl = `/uploads/${thumbnailFile.filename}`;
+    } else if (metadata?.artwork) {
+      musicData.thumbnailUrl = `/uploads/${saveEmbeddedArtwork(audioFile, metadata.artwork)}`;
     }
 
     const music = await Music.create(musicData);
@@ -245,6 +426,10 @@ const updateMusic = asyncHandler(async (req, res) => {
       music.categoryType = new mongoose.Types.ObjectId(req.body.categoryType);
     }
     music.duration = req.body.duration || music.duration;
+    if (req.audioMetadata) {
+      music.duration = resolveDuration(req.audioMetadata, req.body.duration);
+      music.technical = toTechnical(req.audioMetadata);
+    }
     music.releaseDate = req.body.releaseDate || music.releaseDate;
 
     // Description (optional) with sanitization and length guard
@@ -269,6 +454,11 @@ const updateMusic = asyncHandler(async (req, res) => {
         }
       }
       music.fileUrl = `/uploads/${audioFile.filename}`;
+
+      // Use embedded artwork when the track has no thumbnail of its own
+      if (!thumbnailFile && !music.thumbnailUrl && req.audioMetadata?.artwork) {
+        music.thumbnailUrl = `/uploads/${saveEmbeddedArtwork(audioFile, req.audioMetadata.artwork)}`;
+      }
     }
 
     if (thumbnailFile) {
@@ -360,6 +550,7 @@ const uploadFile = asyncHandler(async (req, res) => {
       fileUrl: fileUrl,
       filename: uploadedFile.filename,
       fieldname: uploadedFile.fieldname,
+      technical: req.audioMetadata ? toTechnical(req.audioMetadata) : null,
     });
   } catch (error) {
     console.error('File upload error:', error);
@@ -371,6 +562,193 @@ const uploadFile = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Synthesize a binaural beat track and save it as a Music record
+// @route   POST /api/music/generate/binaural
+// @access  Private/Admin
+const generateBinauralTrack = asyncHandler(async (req, res) => {
+  const { category, categoryType, releaseDate } = req.body;
+
+  const { options, error } = binauralService.normalizeOptions(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  if (!category || !mongoose.Types.ObjectId.isValid(category)) {
+    return res.status(400).json({ message: 'A valid category ID is required' });
+  }
+  const categoryDoc = await Category.findById(category);
+  if (!categoryDoc) {
+    return res.status(404).json({ message: 'Category not found' });
+  }
+  if (
+    categoryType &&
+    (!mongoose.Types.ObjectId.isValid(categoryType) || !categoryDoc.types.id(categoryType))
+  ) {
+    return res.status(400).json({ message: 'categoryType does not belong to this category' });
+  }
+
+  const description = sanitizeText(
+    req.body.description ||
+      `Binaural beat at ${options.beatFrequency} Hz on a ${options.carrierFrequency} Hz carrier` +
+        (options.noise !== 'none' ? ` with a ${options.noise} noise bed` : ''),
+  );
+  if (description.length > 1000) {
+    return res.status(400).json({ message: 'Description must be 1000 characters or fewer' });
+  }
+
+  const fileName = `${Date.now()}-${Math.round(Math.random() * 1e9)}_binaural-${options.carrierFrequency}hz-${options.beatFrequency}hz.wav`;
+  const filePath = path.join(__dirname, '../uploads', fileName);
+
+  try {
+    await binauralService.generate(options, filePath);
+    const metadata = await extractAudioMetadata(filePath);
+
+    const music = await Music.create({
+      title:
+        sanitizeText(req.body.title) ||
+        `Binaural ${options.beatFrequency} Hz (${options.carrierFrequency} Hz carrier)`,
+      artist: sanitizeText(req.body.artist) || 'Elevate',
+      category: categoryDoc._id,
+      categoryType: categoryType ? new mongoose.Types.ObjectId(categoryType) : undefined,
+      fileUrl: `/uploads/${fileName}`,
+      duration: Math.max(1, Math.round(metadata.duration)),
+      releaseDate: releaseDate ? new Date(releaseDate) : new Date(),
+      description,
+      technical: toTechnical(metadata),
+      user: req.user._id,
+    });
+
+    const populatedMusic = await Music.findById(music._id).populate('category', 'name description');
+    res.status(201).json(populatedMusic);
+  } catch (error) {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    console.error('Binaural generation error:', error);
+    res.status(500).json({
+      message: 'Server Error',
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Get a short-lived signed URL for streaming a track
+// @route   GET /api/music/:id/stream-url
+// @access  Private (active subscription)
+const getStreamUrl = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid music ID' });
+  }
+
+  const music = await Music.findById(req.params.id).select('fileUrl technical category createdAt');
+  if (!music) {
+    res.status(404);
+    throw new Error('Music not found');
+  }
+
+  const denial = await entitlementService.checkTrackAccess(req.entitlements, music);
+  if (denial) {
+    return res.status(403).json(denial);
+  }
+
+  res.json(createSignedStreamUrl(music._id, req.user._id));
+});
+
+// @desc    Stream a track's audio file with HTTP Range / If-Range support
+// @route   GET /api/music/:id/stream
+// @access  Private (active subscription or signed URL)
+const streamMusic = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid music ID' });
+  }
+
+  const music = await Music.findById(req.params.id).select('fileUrl technical category createdAt');
+  if (!music) {
+    res.status(404);
+    throw new Error('Music not found');
+  }
+
+  // Signed URLs are only issued after the plan check (getStreamUrl) and expire soon after.
+  // Logged-in players reuse one decision per track instead of checking every Range request.
+  if (!req.streamUserId) {
+    const denial = await entitlementService.checkTrackAccessCached(req.user, music);
+    if (denial) {
+      return res.status(403).json(denial);
+    }
+  }
+
+  const sanitizedFileName = music.fileUrl ? sanitizeFilename(path.basename(music.fileUrl)) : null;
+  const filePath = sanitizedFileName ? path.join(__dirname, '../uploads', sanitizedFileName) : null;
+
+  if (!filePath || !fs.existsSync(filePath)) {
+    res.status(404);
+    throw new Error('Audio file not found');
+  }
+
+  // express/send handles Range, If-Range, ETag and Last-Modified for us
+  res.sendFile(
+    filePath,
+    {
+      acceptRanges: true,
+      cacheControl: false,
+      headers: { 'Cache-Control': 'private, no-store' },
+    },
+    (err) => {
+      if (err && !res.headersSent) {
+        res.status(err.status || 500).json({ message: 'Error streaming audio file' });
+      }
+    },
+  );
+});
+
+// @desc    Download a track for offline listening (counts against the plan's monthly allowance)
+// @route   GET /api/music/:id/download
+// @access  Private (active subscription)
+const downloadMusic = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid music ID' });
+  }
+
+  const { entitlements } = req;
+  const music = await Music.findById(req.params.id).select(
+    'title fileUrl technical category createdAt',
+  );
+  if (!music) {
+    res.status(404);
+    throw new Error('Music not found');
+  }
+
+  const denial = await entitlementService.checkTrackAccess(entitlements, music);
+  if (denial) {
+    return res.status(403).json(denial);
+  }
+
+  const sanitizedFileName = music.fileUrl ? sanitizeFilename(path.basename(music.fileUrl)) : null;
+  const filePath = sanitizedFileName ? path.join(__dirname, '../uploads', sanitizedFileName) : null;
+  if (!filePath || !fs.existsSync(filePath)) {
+    res.status(404);
+    throw new Error('Audio file not found');
+  }
+
+  const usage = await entitlementService.consumeDownload(req.user, entitlements);
+  if (!usage.allowed) {
+    return res
+      .status(403)
+      .json(
+        entitlementService.denial(
+          entitlements,
+          'offlineDownloadsPerMonth',
+          usage.limit === 0
+            ? 'Your plan does not include offline downloads'
+            : 'Monthly offline download limit reached',
+          { limit: usage.limit, used: usage.used },
+        ),
+      );
+  }
+
+  const downloadName = `${music.title.replace(/[^a-zA-Z0-9-_ ]/g, '').trim() || 'track'}${path.extname(sanitizedFileName)}`;
+  res.set('Cache-Control', 'private, no-store');
+  res.download(filePath, downloadName);
+});
+
 // @desc    Update database URLs from old server to new server
 // @route   POST /api/music/update-urls
 // @access  Private (Admin only)
@@ -400,7 +778,6 @@ const updateDatabaseUrls = asyncHandler(async (req, res) => {
     }
 
     // Find all music records with old server URLs
-    const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     const localServerPattern = new RegExp(escapeRegExp(oldHostname));
     const musicRecords = await Music.find({
       $or: [
@@ -472,4 +849,8 @@ export {
   deleteMusic,
   uploadFile,
   updateDatabaseUrls,
+  getStreamUrl,
+  streamMusic,
+  downloadMusic,
+  generateBinauralTrack,
 };
@@ -120,6 +120,9 @@ export const sendTestNotification = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+    if (!user.isEmailVerified()) {
+      return res.status(403).json({ message: 'Please verify your email address first' });
+    }
 
     // Calculate remaining days for test
     const remainingDays = 7; // Default for testing
@@ -240,6 +243,10 @@ export const sendManualNotification = async (req, res) => {
           results.push({ userId, success: false, error: 'User not found' });
           continue;
         }
+        if (!user.isEmailVerified()) {
+          results.push({ userId, success: false, error: 'Email address not verified' });
+          continue;
+        }
 
         const remainingDays = 7; // Default for manual notifications
         const result = await emailService.sendReminderEmail(user, template, remainingDays);
@@ -0,0 +1,191 @@
+import User from '../models/userModel.js';
+import billing from '../services/billing/index.js';
+import renewalService from '../services/renewalService.js';
+
+const formatCard = (paymentMethod, defaultId) => ({
+  id: paymentMethod.id,
+  brand: paymentMethod.card?.brand,
+  last4: paymentMethod.card?.last4,
+  expMonth: paymentMethod.card?.exp_month,
+  expYear: paymentMethod.card?.exp_year,
+  isDefault: paymentMethod.id === defaultId,
+  createdAt: paymentMethod.created,
+});
+
+// True while Stripe will charge the saved card: an auto-charged renewal coming up, or a past-due
+// invoice Stripe keeps retrying. The autoDebit flag alone doesn't say so - subscriptions charge
+// automatically until the user turns auto-debit off.
+const chargesSavedCard = (subscription) => {
+  if (!subscription || subscription.provider !== 'stripe') return false;
+  if (subscription.status === 'past_due') {
+    return subscription.collectionMethod !== 'send_invoice';
+  }
+  return renewalService.getRenewalMode(subscription) === 'auto_charge';
+};
+
+// Default card for invoices; falls back to the subscription's own default
+const getDefaultPaymentMethodId = async (user) => {
+  const customer = await billing.retrieveCustomer(user.stripeCustomerId);
+  const invoiceDefault = customer.invoice_settings?.default_payment_method;
+  if (invoiceDefault) {
+    return typeof invoiceDefault === 'string' ? invoiceDefault : invoiceDefault.id;
+  }
+
+  if (user.subscription?.id) {
+    const subscription = await billing.retrieveSubscription(user.subscription.id);
+    const subscriptionDefault = subscription.default_payment_method;
+    if (subscriptionDefault) {
+      return typeof subscriptionDefault === 'string' ? subscriptionDefault : subscriptionDefault.id;
+    }
+  }
+  return null;
+};
+
+// Load the caller and a payment method that must belong to their Stripe customer.
+// Returns { user, paymentMethod } or { status, message }.
+const loadOwnedPaymentMethod = async (userId, paymentMethodId) => {
+  if (!/^pm_\w+$/.test(paymentMethodId)) {
+    return { status: 400, message: 'Invalid payment method ID' };
+  }
+
+  const user = await User.findById(userId);
+  if (!user || !user.stripeCustomerId) {
+    return { status: 404, message: 'Payment method not found' };
+  }
+
+  try {
+    const paymentMethod = await billing.retrievePaymentMethod(paymentMethodId);
+    // Cards on other customers are reported as missing rather than forbidden
+    if (paymentMethod.customer !== user.stripeCustomerId) {
+      return { status: 404, message: 'Payment method not found' };
+    }
+    return { user, paymentMethod };
+  } catch (error) {
+    if (error.code === 'resource_missing') {
+      return { status: 404, message: 'Payment method not found' };
+    }
+    throw error;
+  }
+};
+
+// Make a card the default for future invoices and for the active subscription
+const applyDefaultPaymentMethod = async (user, paymentMethodId) => {
+  await billing.setDefaultPaymentMethod(user.stripeCustomerId, paymentMethodId);
+
+  if (user.subscription?.id && user.subscription.status !== 'canceled') {
+    await billing.updateSubscription(user.subscription.id, {
+      default_payment_method: paymentMethodId,
+    });
+  }
+};
+
+// GET /payments/methods - List the caller's saved cards
+export const getPaymentMethods = async (req, res) => {
+  try {
+    const userId = req.user && req.user._id;
+    if (!userId) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.stripeCustomerId) {
+      return res.json({ paymentMethods: [], autoDebit: user.autoDebit || false });
+    }
+
+    const [cards, defaultId] = await Promise.all([
+      billing.listPaymentMethods(user.stripeCustomerId),
+      getDefaultPaymentMethodId(user),
+    ]);
+
+    return res.json({
+      paymentMethods: cards.map((card) => formatCard(card, defaultId)),
+      autoDebit: user.autoDebit || false,
+    });
+  } catch (error) {
+    console.error('Error fetching payment methods:', error);
+    return res.status(500).json({
+      message: 'Failed to fetch payment methods',
+      error: error.message,
+    });
+  }
+};
+
+// PUT /payments/methods/:id/default - Use a card for invoices and the subscription
+export const setDefaultPaymentMethod = async (req, res) => {
+  try {
+    const userId = req.user && req.user._id;
+    if (!userId) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    const owned = await loadOwnedPaymentMethod(userId, req.params.id);
+    if (!owned.paymentMethod) {
+      return res.status(owned.status).json({ message: owned.message });
+    }
+
+    await applyDefaultPaymentMethod(owned.user, owned.paymentMethod.id);
+
+    return res.json({
+      message: 'Default payment method updated',
+      paymentMethod: formatCard(owned.paymentMethod, owned.paymentMethod.id),
+    });
+  } catch (error) {
+    console.error('Error setting default payment method:', error);
+    return res.status(500).json({
+      message: 'Failed to set default payment method',
+      error: error.message,
+    });
+  }
+};
+
+// DELETE /payments/methods/:id - Detach a saved card
+export const detachPaymentMethod = async (req, res) => {
+  try {
+    const userId = req.user && req.user._id;
+    if (!userId) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    const owned = await loadOwnedPaymentMethod(userId, req.params.id);
+    if (!owned.paymentMethod) {
+      return res.status(owned.status).json({ message: owned.message });
+    }
+    const { user, paymentMethod } = owned;
+
+    const [cards, defaultId] = await Promise.all([
+      billing.listPaymentMethods(user.stripeCustomerId),
+      getDefaultPaymentMethodId(user),
+    ]);
+    const remaining = cards.filter((card) => card.id !== paymentMethod.id);
+
+    if (remaining.length === 0 && chargesSavedCard(user.subscription)) {
+      return res.status(400).json({
+        message:
+          'Cannot remove your only card while your subscription renews automatically. Add another card or turn off auto-debit first.',
+      });
+    }
+
+    await billing.detachPaymentMethod(paymentMethod.id);
+
+    // Keep renewals chargeable by promoting the newest remaining card
+    let newDefaultId = defaultId === paymentMethod.id ? null : defaultId;
+    if (defaultId === paymentMethod.id && remaining.length) {
+      newDefaultId = remaining[0].id;
+      await applyDefaultPaymentMethod(user, newDefaultId);
+    }
+
+    return res.json({
+      message: 'Payment method removed',
+      paymentMethods: remaining.map((card) => formatCard(card, newDefaultId)),
+    });
+  } catch (error) {
+    console.error('Error removing payment method:', error);
+    return res.status(500).json({
+      message: 'Failed to remove payment method',
+      error: error.message,
+    });
+  }
+};
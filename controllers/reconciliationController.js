@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import ReconciliationReport from '../models/ReconciliationReport.js';
+import reconciliationService from '../services/reconciliationService.js';
+
+// GET /admin/reconciliation/reports - List reconciliation runs (drift details omitted)
+export const getReconciliationReports = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find({})
+        .select('-drifts')
+        .populate('triggeredBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ReconciliationReport.countDocuments({}),
+    ]);
+
+    return res.json({
+      reports,
+      pagination: {
+        current: page,
+        limit,
+        total: Math.ceil(total / limit),
+        count: reports.length,
+        totalCount: total,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching reconciliation reports:', error);
+    return res.status(500).json({
+      message: 'Failed to fetch reconciliation reports',
+      error: error.message,
+    });
+  }
+};
+
+// GET /admin/reconciliation/reports/:id - Get a reconciliation report with its drift details
+export const getReconciliationReportById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid report ID' });
+    }
+
+    const report = await ReconciliationReport.findById(req.params.id).populate(
+      'triggeredBy',
+      'name email',
+    );
+    if (!report) {
+      return res.status(404).json({ message: 'Reconciliation report not found' });
+    }
+
+    return res.json(report);
+  } catch (error) {
+    console.error('Error fetching reconciliation report:', error);
+    return res.status(500).json({
+      message: 'Failed to fetch reconciliation report',
+      error: error.message,
+    });
+  }
+};
+
+// POST /admin/reconciliation/run - Reconcile User.subscription with Stripe now
+// Defaults to a dry run; pass { "dryRun": false } to write Stripe's values back.
+export const runReconciliation = async (req, res) => {
+  try {
+    if (req.body.dryRun !== undefined && typeof req.body.dryRun !== 'boolean') {
+      return res.status(400).json({ message: 'dryRun must be a boolean value' });
+    }
+    if (reconciliationService.isReconciling) {
+      return res.status(409).json({ message: 'A reconciliation run is already in progress' });
+    }
+
+    const report = await reconciliationService.run({
+      trigger: 'manual',
+      dryRun: req.body.dryRun !== false,
+      triggeredBy: req.user._id,
+    });
+
+    return res.json({
+      message: report.dryRun
+        ? 'Dry run completed - no changes were written'
+        : 'Reconciliation completed',
+      report,
+    });
+  } catch (error) {
+    console.error('Error running reconciliation:', error);
+    return res.status(500).json({
+      message: 'Failed to run reconciliation',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,71 @@
+import permissionService, { PERMISSIONS } from '../services/permissionService.js';
+
+// GET /admin/roles - Roles with their permissions, and every permission that can be granted
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await permissionService.listRoles();
+
+    return res.json({
+      roles,
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+        name,
+        description,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    return res.status(500).json({
+      message: 'Failed to fetch roles',
+      error: error.message,
+    });
+  }
+};
+
+// PUT /admin/roles/:role - Replace a role's permission set ({ permissions: [...] })
+export const updateRolePermissions = async (req, res) => {
+  try {
+    const result = await permissionService.updateRole(
+      req.params.role,
+      req.body.permissions,
+      req.user._id,
+    );
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    console.log(`Admin ${req.user._id} set ${req.params.role} permissions: ${result.permissions}`);
+    return res.json({
+      message: 'Role permissions updated successfully',
+      role: req.params.role,
+      permissions: result.permissions,
+    });
+  } catch (error) {
+    console.error('Error updating role permissions:', error);
+    return res.status(500).json({
+      message: 'Failed to update role permissions',
+      error: error.message,
+    });
+  }
+};
+
+// DELETE /admin/roles/:role - Restore a role's default permissions
+export const resetRolePermissions = async (req, res) => {
+  try {
+    const result = await permissionService.resetRole(req.params.role);
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    return res.json({
+      message: 'Role permissions reset to defaults',
+      role: req.params.role,
+      permissions: result.permissions,
+    });
+  } catch (error) {
+    console.error('Error resetting role permissions:', error);
+    return res.status(500).json({
+      message: 'Failed to reset role permissions',
+      error: error.message,
+    });
+  }
+};
@@ -1,29 +1,46 @@
-import Stripe from 'stripe';
+import mongoose from 'mongoose';
 import User from '../models/userModel.js';
+import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import billing from '../services/billing/index.js';
+import entitlementService from '../services/entitlementService.js';
+import webhookService from '../services/webhookService.js';
+import couponService from '../services/couponService.js';
+import receiptService from '../services/receiptService.js';
+import renewalService from '../services/renewalService.js';
+import subscriptionEventService from '../services/subscriptionEventService.js';
+import inAppPurchaseService from '../services/inAppPurchase/index.js';
+import giftCodeService from '../services/giftCodeService.js';
+
+// Store purchases and code access aren't billed through Stripe
+const isBilledByStripe = (subscription) =>
+  !inAppPurchaseService.isStoreManaged(subscription) && subscription.provider !== 'code';
+
+// Body of the 409 for Stripe-only actions on a subscription billed elsewhere
+const getNotBilledByStripeError = (subscription) =>
+  subscription.provider === 'code'
+    ? giftCodeService.codeAccessError(subscription)
+    : inAppPurchaseService.storeManagedError(subscription);
+
+// Body of the 409 for a period-end plan change on a subscription that ends at the period end.
+// Stripe can't schedule a price for a period that will never start.
+const PENDING_CANCELLATION_ERROR = {
+  message: 'Your subscription ends with the current period. Resume it to schedule a plan change.',
+  cancelAtPeriodEnd: true,
+};
 
-// Debug: Check if STRIPE_SECRET_KEY is loaded
-console.log(
-  'Subscription Controller - STRIPE_SECRET_KEY:',
-  process.env.STRIPE_SECRET_KEY ? 'Found' : 'NOT FOUND',
-);
-
-// Initialize Stripe only if secret key is available
-let stripe = null;
-if (process.env.STRIPE_SECRET_KEY) {
-  stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-} else {
-  console.warn(
-    'Subscription Controller - STRIPE_SECRET_KEY not found - Stripe will not be initialized',
-  );
-}
+// Body of the 409 for a plan change on a paused subscription. Stripe still reports it active,
+// but a prorated invoice would be created under the pause.
+const PAUSED_PLAN_CHANGE_ERROR = {
+  message: 'Your subscription is paused. Resume it to change your plan.',
+  paused: true,
+};
 
 export const handleWebhook = async (req, res) => {
   const sig = req.headers['stripe-signature'];
-  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+    event = billing.verifyWebhook(req.body, sig);
   } catch (err) {
     console.error(`Webhook signature verification failed: ${err.message}`);
     return res.status(400).json({ 
@@ -32,221 +49,29 @@ export const handleWebhook = async (req, res) => {
     });
   }
 
-  // Handle the event
-  switch (event.type) {
-    case 'payment_intent.succeeded': {
-      const paymentIntent = event.data.object;
-      console.log('PaymentIntent was successful!', paymentIntent.id);
-
-      // If this payment intent is for a subscription, update the subscription status
-      if (paymentIntent.metadata?.subscription_id) {
-        const subscriptionId = paymentIntent.metadata.subscription_id;
-        const subscription = await stripe.subscriptions.retrieve(subscriptionId);
-
-        if (subscription.status === 'active' || subscription.status === 'trialing') {
-          // Safely set currentPeriodEnd with validation
-          let currentPeriodEnd;
-          if (subscription.current_period_end) {
-            currentPeriodEnd = new Date(subscription.current_period_end * 1000);
-          } else {
-            // Fallback: set based on interval
-            const interval = subscription.items.data[0]?.plan?.interval || 'month';
-            const validityDays = interval === 'year' ? 365 : 30;
-            currentPeriodEnd = new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
-          }
-
-          await User.findOneAndUpdate(
-            { 'subscription.id': subscriptionId },
-            {
-              'subscription.status': subscription.status,
-              'subscription.currentPeriodEnd': currentPeriodEnd,
-              'subscription.paymentDate': new Date(),
-              'subscription.interval': subscription.items.data[0]?.plan?.interval || 'month',
-            },
-          );
-          console.log('Updated subscription status to active for subscription:', subscriptionId);
-        }
-      }
-      break;
-    }
-
-    case 'charge.succeeded':
-      const charge = event.data.object;
-      console.log('Charge was successful!', charge.id);
-
-      // If this charge is for a subscription, update the subscription status
-      if (charge.metadata?.subscription_id) {
-        const subscriptionId = charge.metadata.subscription_id;
-        const subscription = await stripe.subscriptions.retrieve(subscriptionId);
-
-        console.log('Charge succeeded for subscription:', {
-          subscriptionId: subscription.id,
-          status: subscription.status,
-          chargeId: charge.id,
-          paymentMethod: charge.payment_method,
-          paymentIntent: charge.payment_intent,
-        });
-
-        if (subscription.status === 'active' || subscription.status === 'trialing') {
-          // Safely set currentPeriodEnd with validation
-          let currentPeriodEnd;
-          if (subscription.current_period_end) {
-            currentPeriodEnd = new Date(subscription.current_period_end * 1000);
-          } else {
-            // Fallback: set based on interval
-            const interval = subscription.items.data[0]?.plan?.interval || 'month';
-            const validityDays = interval === 'year' ? 365 : 30;
-            currentPeriodEnd = new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
-          }
-
-          await User.findOneAndUpdate(
-            { 'subscription.id': subscriptionId },
-            {
-              'subscription.status': subscription.status,
-              'subscription.currentPeriodEnd': currentPeriodEnd,
-              'subscription.paymentDate': new Date(),
-              'subscription.interval': subscription.items.data[0]?.plan?.interval || 'month',
-            },
-          );
-          console.log('Updated subscription status to active for subscription:', subscriptionId);
-        } else if (subscription.status === 'incomplete') {
-          // Since payment succeeded, mark subscription as active in our database
-          // This is a workaround for Stripe's payment method reuse limitation
-          try {
-            console.log(
-              'Payment succeeded via webhook, marking subscription as active in database...',
-            );
-
-            // Safely set currentPeriodEnd with validation
-            let currentPeriodEnd;
-            if (subscription.current_period_end) {
-              currentPeriodEnd = new Date(subscription.current_period_end * 1000);
-            } else {
-              // Fallback: set based on interval
-              const interval = subscription.items.data[0]?.plan?.interval || 'month';
-              const validityDays = interval === 'year' ? 365 : 30;
-              currentPeriodEnd = new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
-            }
-
-            await User.findOneAndUpdate(
-              { 'subscription.id': subscriptionId },
-              {
-                'subscription.status': 'active',
-                'subscription.currentPeriodEnd': currentPeriodEnd,
-                'subscription.paymentDate': new Date(),
-                'subscription.interval': subscription.items.data[0]?.plan?.interval || 'month',
-              },
-            );
-            console.log('Updated subscription to active via webhook:', subscriptionId);
-          } catch (updateError) {
-            console.error('Error updating subscription via webhook:', updateError);
-          }
-        }
-      }
-      break;
-
-    case 'payment_intent.payment_failed':
-      const paymentFailed = event.data.object;
-      console.log('Payment failed:', paymentFailed.id);
-      // Handle failed payment
-      break;
-
-    case 'customer.subscription.created':
-      const subscriptionCreated = event.data.object;
-      console.log('Subscription created:', subscriptionCreated.id);
-
-      // Safely set currentPeriodEnd with validation
-      let currentPeriodEnd;
-      if (subscriptionCreated.current_period_end) {
-        currentPeriodEnd = new Date(subscriptionCreated.current_period_end * 1000);
-      } else {
-        // Fallback: set based on interval
-        const interval = subscriptionCreated.items.data[0]?.plan?.interval || 'month';
-        const validityDays = interval === 'year' ? 365 : 30;
-        currentPeriodEnd = new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
-      }
-
-      await User.findOneAndUpdate(
-        { stripeCustomerId: subscriptionCreated.customer },
-        {
-          'subscription.status': subscriptionCreated.status,
-          'subscription.currentPeriodEnd': currentPeriodEnd,
-          'subscription.paymentDate': new Date(),
-          'subscription.interval': subscriptionCreated.items.data[0]?.plan?.interval || 'month',
-        },
-      );
-      break;
-
-    case 'customer.subscription.updated':
-      const subscriptionUpdated = event.data.object;
-      console.log('Subscription updated:', subscriptionUpdated.id);
-
-      // Safely set currentPeriodEnd with validation
-      let currentPeriodEndUpdated;
-      if (subscriptionUpdated.current_period_end) {
-        currentPeriodEndUpdated = new Date(subscriptionUpdated.current_period_end * 1000);
-      } else {
-        // Fallback: set based on interval
-        const interval = subscriptionUpdated.items.data[0]?.plan?.interval || 'month';
-        const validityDays = interval === 'year' ? 365 : 30;
-        currentPeriodEndUpdated = new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
-      }
-
-      await User.findOneAndUpdate(
-        { stripeCustomerId: subscriptionUpdated.customer },
-        {
-          'subscription.status': subscriptionUpdated.status,
-          'subscription.currentPeriodEnd': currentPeriodEndUpdated,
-          'subscription.paymentDate': new Date(),
-          'subscription.interval': subscriptionUpdated.items.data[0]?.plan?.interval || 'month',
-        },
-      );
-      break;
-
-    case 'customer.subscription.deleted':
-      const subscriptionDeleted = event.data.object;
-      console.log('Subscription deleted:', subscriptionDeleted.id);
-      await User.findOneAndUpdate(
-        { stripeCustomerId: subscriptionDeleted.customer },
-        {
-          'subscription.status': 'canceled',
-          'subscription.currentPeriodEnd': null,
-        },
-      );
-      break;
-
-    case 'invoice.payment_succeeded':
-      const invoicePaid = event.data.object;
-      console.log('Invoice paid:', invoicePaid.id);
-      // Update user subscription status to active
-      await User.findOneAndUpdate(
-        { stripeCustomerId: invoicePaid.customer },
-        {
-          'subscription.status': 'active',
-          'subscription.currentPeriodEnd': new Date(invoicePaid.period_end * 1000),
-          'subscription.paymentDate': new Date(),
-        },
-      );
-      break;
-
-    case 'invoice.payment_failed':
-      const invoiceFailed = event.data.object;
-      console.log('Invoice payment failed:', invoiceFailed.id);
-      // Update user subscription status to past_due
-      await User.findOneAndUpdate(
-        { stripeCustomerId: invoiceFailed.customer },
-        {
-          'subscription.status': 'past_due',
-        },
-      );
-      break;
+  // Record the event before running side effects so retries and failures are traceable
+  let received;
+  try {
+    received = await webhookService.receive(event);
+  } catch (error) {
+    console.error('Failed to record webhook event:', error);
+    // Stripe will redeliver the event
+    return res.status(500).json({ error: 'Failed to record webhook event' });
+  }
 
-    default:
-      console.log(`Unhandled event type ${event.type}`);
+  if (received.duplicate) {
+    console.log(`Duplicate webhook event ${event.id} ignored`);
+    return res.json({ received: true, duplicate: true });
   }
 
-  // Return a 200 response to acknowledge receipt of the event
-  res.json({ received: true });
+  // Failed events are retried in the background, so Stripe doesn't need to redeliver them
+  try {
+    const record = await webhookService.process(received.record);
+    res.json({ received: true, status: record.status });
+  } catch (error) {
+    console.error('Failed to process webhook event:', error);
+    return res.status(500).json({ error: 'Failed to process webhook event' });
+  }
 };
 
 // GET /subscriptions/status - Get current subscription status
@@ -264,8 +89,13 @@ export const getSubscriptionStatus = async (req, res) => {
       });
     }
 
+    // Store subscriptions are kept current by store notifications; code access by redemption
+    if (!isBilledByStripe(user.subscription)) {
+      return res.json({ subscription: inAppPurchaseService.describe(user.subscription) });
+    }
+
     // Get latest subscription data from Stripe
-    const subscription = await stripe.subscriptions.retrieve(user.subscription.id);
+    const subscription = await billing.retrieveSubscription(user.subscription.id);
 
     // Get interval from user's database record (more reliable than Stripe)
     const interval =
@@ -279,6 +109,7 @@ export const getSubscriptionStatus = async (req, res) => {
     const response = {
       subscription: {
         id: subscription.id,
+        provider: 'stripe',
         status: subscription.status,
         currentPeriodStart: subscription.current_period_start,
         currentPeriodEnd: currentPeriodEnd, // Use currentPeriodEnd from user's database record
@@ -286,6 +117,11 @@ export const getSubscriptionStatus = async (req, res) => {
         plan: subscription.items.data[0]?.price?.id,
         interval: interval, // Use interval from user's database record
         isActive: subscription.status === 'active' || subscription.status === 'trialing',
+        isPaused: Boolean(subscription.pause_collection),
+        resumesAt: subscription.pause_collection?.resumes_at || null,
+        scheduledChange: user.subscription.scheduledChange?.priceId
+          ? user.subscription.scheduledChange
+          : null,
       },
     };
 
@@ -299,6 +135,124 @@ export const getSubscriptionStatus = async (req, res) => {
   }
 };
 
+// GET /subscriptions/entitlements - Get the caller's plan entitlements and metered usage
+export const getEntitlements = async (req, res) => {
+  try {
+    const userId = req.user && req.user._id;
+    if (!userId) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const entitlements = await entitlementService.getEntitlementsForUser(user);
+    const now = new Date();
+    const periodStart = user.usage?.downloadPeriodStart;
+    const inCurrentPeriod =
+      periodStart &&
+      periodStart.getUTCFullYear() === now.getUTCFullYear() &&
+      periodStart.getUTCMonth() === now.getUTCMonth();
+
+    return res.json({
+      entitlements,
+      usage: {
+        downloadsThisMonth: inCurrentPeriod ? user.usage.downloads : 0,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching entitlements:', error);
+    return res.status(500).json({
+      message: 'Failed to fetch entitlements',
+      error: error.message,
+    });
+  }
+};
+
+// GET /subscriptions/invoices - List the caller's Stripe invoices with plan titles
+export const getInvoices = async (req, res) => {
+  try {
+    const userId = req.user && req.user._id;
+    if (!userId) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.stripeCustomerId) {
+      return res.json({ invoices: [], hasMore: false, nextCursor: null });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 100);
+    const { startingAfter } = req.query;
+    if (startingAfter !== undefined && !/^in_\w+$/.test(startingAfter)) {
+      return res.status(400).json({ message: 'Invalid startingAfter cursor' });
+    }
+
+    const page = await billing.listInvoices(user.stripeCustomerId, { limit, startingAfter });
+
+    // Drafts aren't final yet and never reach the customer
+    const invoices = page.data.filter((invoice) => invoice.status !== 'draft');
+    const planTitles = await receiptService.getPlanTitles(invoices);
+
+    return res.json({
+      invoices: invoices.map((invoice) => receiptService.summarizeInvoice(invoice, planTitles)),
+      hasMore: page.has_more,
+      nextCursor: page.has_more ? page.data[page.data.length - 1].id : null,
+    });
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    return res.status(500).json({
+      message: 'Failed to fetch invoices',
+      error: error.message,
+    });
+  }
+};
+
+// GET /subscriptions/invoices/:id/receipt - Download a receipt for a paid invoice (?format=html|pdf)
+export const getInvoiceReceipt = async (req, res) => {
+  try {
+    const userId = req.user && req.user._id;
+    if (!userId) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    const format = req.query.format || 'html';
+    if (!['html', 'pdf'].includes(format)) {
+      return res.status(400).json({ message: 'format must be html or pdf' });
+    }
+
+    const user = await User.findById(userId);
+    const invoice = await receiptService.getCustomerInvoice(req.params.id, user?.stripeCustomerId);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    if (invoice.status !== 'paid') {
+      return res.status(400).json({ message: 'Receipts are only available for paid invoices' });
+    }
+
+    const receipt = await receiptService.buildReceipt(invoice, user);
+
+    if (format === 'pdf') {
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="elevate-receipt-${receipt.receiptNumber}.pdf"`,
+      });
+      return res.send(receiptService.renderPDF(receipt));
+    }
+
+    res.type('html');
+    return res.send(receiptService.renderHTML(receipt));
+  } catch (error) {
+    console.error('Error generating receipt:', error);
+    return res.status(500).json({
+      message: 'Failed to generate receipt',
+      error: error.message,
+    });
+  }
+};
+
 // POST /subscriptions/update-payment-method - Update subscription with payment method from payment intent
 export const updateSubscriptionPaymentMethod = async (req, res) => {
   try {
@@ -319,8 +273,12 @@ export const updateSubscriptionPaymentMethod = async (req, res) => {
       });
     }
 
+    if (!isBilledByStripe(user.subscription)) {
+      return res.status(409).json(getNotBilledByStripeError(user.subscription));
+    }
+
     // Retrieve the payment intent to get the payment method
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    const paymentIntent = await billing.retrievePaymentIntent(paymentIntentId);
 
     console.log('Retrieved payment intent:', {
       id: paymentIntent.id,
@@ -360,7 +318,7 @@ export const updateSubscriptionPaymentMethod = async (req, res) => {
     if (paymentIntent.status === 'requires_confirmation') {
       try {
         console.log('Confirming payment intent...');
-        const confirmedPaymentIntent = await stripe.paymentIntents.confirm(paymentIntent.id);
+        const confirmedPaymentIntent = await billing.confirmPaymentIntent(paymentIntent.id);
         console.log('Payment intent confirmed:', confirmedPaymentIntent.status);
 
         if (confirmedPaymentIntent.status === 'succeeded') {
@@ -377,9 +335,7 @@ export const updateSubscriptionPaymentMethod = async (req, res) => {
     // First, attach the payment method to the customer if it's not already attached
     if (paymentIntent.payment_method) {
       try {
-        await stripe.paymentMethods.attach(paymentIntent.payment_method, {
-          customer: user.stripeCustomerId,
-        });
+        await billing.attachPaymentMethod(paymentIntent.payment_method, user.stripeCustomerId);
         console.log('Payment method attached to customer:', paymentIntent.payment_method);
       } catch (attachError) {
         // If already attached, that's fine
@@ -387,11 +343,10 @@ export const updateSubscriptionPaymentMethod = async (req, res) => {
           console.error('Error attaching payment method:', attachError);
           // Try alternative approach - update customer's default payment method
           try {
-            await stripe.customers.update(user.stripeCustomerId, {
-              invoice_settings: {
-                default_payment_method: paymentIntent.payment_method,
-              },
-            });
+            await billing.setDefaultPaymentMethod(
+              user.stripeCustomerId,
+              paymentIntent.payment_method,
+            );
             console.log('Set customer default payment method:', paymentIntent.payment_method);
           } catch (updateError) {
             console.error('Error setting customer default payment method:', updateError);
@@ -406,7 +361,7 @@ export const updateSubscriptionPaymentMethod = async (req, res) => {
     // Try to update the subscription with the payment method
     let subscription;
     try {
-      subscription = await stripe.subscriptions.update(user.subscription.id, {
+      subscription = await billing.updateSubscription(user.subscription.id, {
         default_payment_method: paymentIntent.payment_method,
         collection_method: 'charge_automatically',
       });
@@ -416,18 +371,16 @@ export const updateSubscriptionPaymentMethod = async (req, res) => {
       // Alternative approach: try to finalize and pay the invoice
       try {
         console.log('Trying alternative approach - finalizing invoice...');
-        const subscriptionData = await stripe.subscriptions.retrieve(user.subscription.id, {
+        const subscriptionData = await billing.retrieveSubscription(user.subscription.id, {
           expand: ['latest_invoice'],
         });
 
         if (subscriptionData.latest_invoice) {
-          const invoice = await stripe.invoices.finalizeInvoice(subscriptionData.latest_invoice.id);
-          await stripe.invoices.pay(invoice.id, {
-            payment_intent: paymentIntent.id,
-          });
+          const invoice = await billing.finalizeInvoice(subscriptionData.latest_invoice.id);
+          await billing.payInvoice(invoice.id, { paymentIntentId: paymentIntent.id });
 
           // Re-fetch the subscription to get updated status
-          subscription = await stripe.subscriptions.retrieve(user.subscription.id);
+          subscription = await billing.retrieveSubscription(user.subscription.id);
           console.log('Invoice paid successfully, subscription status:', subscription.status);
         } else {
           throw updateError; // Re-throw original error if no invoice
@@ -455,7 +408,7 @@ export const updateSubscriptionPaymentMethod = async (req, res) => {
       console.log('Subscription still incomplete, waiting and checking again...');
       await new Promise((resolve) => setTimeout(resolve, 3000));
 
-      const updatedSubscription = await stripe.subscriptions.retrieve(user.subscription.id);
+      const updatedSubscription = await billing.retrieveSubscription(user.subscription.id);
       console.log('Updated subscription status after wait:', updatedSubscription.status);
 
       if (updatedSubscription.status === 'active' || updatedSubscription.status === 'trialing') {
@@ -501,6 +454,16 @@ export const updateSubscriptionPaymentMethod = async (req, res) => {
   }
 };
 
+// Record a local status correction made by fix-status or confirm
+const recordManualFix = (user, previousStatus, note) =>
+  subscriptionEventService.recordChange({
+    type: 'manual_fix',
+    user,
+    actor: user._id,
+    previousStatus,
+    note,
+  });
+
 // POST /subscriptions/fix-status - Manually fix subscription status based on successful charge
 export const fixSubscriptionStatus = async (req, res) => {
   try {
@@ -516,8 +479,14 @@ export const fixSubscriptionStatus = async (req, res) => {
       });
     }
 
+    if (!isBilledByStripe(user.subscription)) {
+      return res.status(409).json(getNotBilledByStripeError(user.subscription));
+    }
+
+    const previousStatus = user.subscription.status;
+
     // Get the subscription from Stripe
-    const subscription = await stripe.subscriptions.retrieve(user.subscription.id, {
+    const subscription = await billing.retrieveSubscription(user.subscription.id, {
       expand: ['latest_invoice', 'latest_invoice.payment_intent'],
     });
 
@@ -529,14 +498,11 @@ export const fixSubscriptionStatus = async (req, res) => {
     });
 
     // Check for successful charges for this subscription
-    const charges = await stripe.charges.list({
-      customer: user.stripeCustomerId,
-      limit: 10,
-    });
+    const charges = await billing.listCharges(user.stripeCustomerId, { limit: 10 });
 
     console.log(
       'Recent charges for customer:',
-      charges.data.map((charge) => ({
+      charges.map((charge) => ({
         id: charge.id,
         status: charge.status,
         payment_intent: charge.payment_intent,
@@ -546,7 +512,7 @@ export const fixSubscriptionStatus = async (req, res) => {
 
     // Find successful charge for this subscription
     // Try multiple ways to match the charge to the subscription
-    const successfulCharge = charges.data.find(
+    const successfulCharge = charges.find(
       (charge) =>
         charge.status === 'succeeded' &&
         (charge.metadata?.subscription_id === subscription.id ||
@@ -563,7 +529,7 @@ export const fixSubscriptionStatus = async (req, res) => {
 
       // Since the payment method can't be reused, let's try a different approach
       // First, check if the subscription is already active due to the successful payment
-      const currentSubscription = await stripe.subscriptions.retrieve(subscription.id);
+      const currentSubscription = await billing.retrieveSubscription(subscription.id);
 
       if (currentSubscription.status === 'active' || currentSubscription.status === 'trialing') {
         console.log('Subscription is already active after successful charge');
@@ -588,6 +554,7 @@ export const fixSubscriptionStatus = async (req, res) => {
         user.subscription.paymentDate = new Date();
         user.subscription.interval = currentSubscription.items.data[0]?.plan?.interval || 'month';
         await user.save();
+        await recordManualFix(user, previousStatus, 'fix-status: active after successful charge');
 
         return res.json({
           message: 'Subscription is already active after successful charge',
@@ -636,6 +603,7 @@ export const fixSubscriptionStatus = async (req, res) => {
       });
 
       await user.save();
+      await recordManualFix(user, previousStatus, 'fix-status: marked active after charge');
 
       return res.json({
         message: 'Subscription activated - payment was successful',
@@ -656,7 +624,7 @@ export const fixSubscriptionStatus = async (req, res) => {
         console.log('Payment intent succeeded, updating subscription...');
 
         // Update subscription with payment method
-        const updatedSubscription = await stripe.subscriptions.update(subscription.id, {
+        const updatedSubscription = await billing.updateSubscription(subscription.id, {
           default_payment_method: paymentIntent.payment_method,
           collection_method: 'charge_automatically',
         });
@@ -673,6 +641,7 @@ export const fixSubscriptionStatus = async (req, res) => {
         );
         user.subscription.paymentDate = new Date();
         await user.save();
+        await recordManualFix(user, previousStatus, 'fix-status: activated with paid card');
 
         return res.json({
           message: 'Subscription status fixed and activated',
@@ -693,6 +662,7 @@ export const fixSubscriptionStatus = async (req, res) => {
       user.subscription.currentPeriodEnd = new Date(subscription.current_period_end * 1000);
       user.subscription.paymentDate = new Date();
       await user.save();
+      await recordManualFix(user, previousStatus, 'fix-status: synced active subscription');
 
       return res.json({
         message: 'Subscription is already active',
@@ -708,12 +678,9 @@ export const fixSubscriptionStatus = async (req, res) => {
     // If no successful charge found, try to find recent payment intent
     console.log('No successful charge found, checking recent payment intents...');
 
-    const paymentIntents = await stripe.paymentIntents.list({
-      customer: user.stripeCustomerId,
-      limit: 5,
-    });
+    const paymentIntents = await billing.listPaymentIntents(user.stripeCustomerId, { limit: 5 });
 
-    const recentSuccessfulPayment = paymentIntents.data.find(
+    const recentSuccessfulPayment = paymentIntents.find(
       (pi) =>
         pi.status === 'succeeded' &&
         (pi.metadata?.subscription_id === subscription.id ||
@@ -727,7 +694,7 @@ export const fixSubscriptionStatus = async (req, res) => {
       user.subscription.status = 'active';
 
       // Get the subscription details to determine interval
-      const subscriptionDetails = await stripe.subscriptions.retrieve(subscription.id);
+      const subscriptionDetails = await billing.retrieveSubscription(subscription.id);
       const interval = subscriptionDetails.items.data[0]?.plan?.interval || 'month';
       const validityDays = interval === 'year' ? 365 : 30;
 
@@ -740,6 +707,7 @@ export const fixSubscriptionStatus = async (req, res) => {
       console.log(`Fixed subscription with ${interval} interval, ${validityDays} days validity`);
 
       await user.save();
+      await recordManualFix(user, previousStatus, 'fix-status: marked active after payment');
 
       return res.json({
         message: 'Subscription fixed - payment was successful',
@@ -782,8 +750,14 @@ export const confirmPayment = async (req, res) => {
       });
     }
 
+    if (!isBilledByStripe(user.subscription)) {
+      return res.status(409).json(getNotBilledByStripeError(user.subscription));
+    }
+
+    const previousStatus = user.subscription.status;
+
     // Get subscription from Stripe with expanded invoice and payment intent
-    const subscription = await stripe.subscriptions.retrieve(user.subscription.id, {
+    const subscription = await billing.retrieveSubscription(user.subscription.id, {
       expand: ['latest_invoice', 'latest_invoice.payment_intent'],
     });
 
@@ -801,6 +775,7 @@ export const confirmPayment = async (req, res) => {
       user.subscription.currentPeriodEnd = new Date(subscription.current_period_end * 1000);
       user.subscription.paymentDate = new Date();
       await user.save();
+      await recordManualFix(user, previousStatus, 'confirm: active in Stripe');
 
       return res.json({
         message: 'Subscription confirmed and activated',
@@ -820,7 +795,7 @@ export const confirmPayment = async (req, res) => {
         await new Promise((resolve) => setTimeout(resolve, 2000));
 
         // Re-fetch the subscription to check if it's now active
-        const updatedSubscription = await stripe.subscriptions.retrieve(subscription.id);
+        const updatedSubscription = await billing.retrieveSubscription(subscription.id);
 
         if (updatedSubscription.status === 'active' || updatedSubscription.status === 'trialing') {
           user.subscription.status = updatedSubscription.status;
@@ -829,6 +804,7 @@ export const confirmPayment = async (req, res) => {
           );
           user.subscription.paymentDate = new Date();
           await user.save();
+          await recordManualFix(user, previousStatus, 'confirm: active after payment confirmed');
 
           return res.json({
             message: 'Subscription confirmed and activated',
@@ -864,6 +840,43 @@ export const confirmPayment = async (req, res) => {
   }
 };
 
+// Countdown to the end of the paid period
+const getPaymentInfo = (paymentDate, expiryDate, interval) => {
+  const timeDiff = expiryDate.getTime() - Date.now();
+  const remainingDays = Math.max(0, Math.ceil(timeDiff / (1000 * 60 * 60 * 24)));
+
+  // Determine validity status based on remaining days
+  let validityStatus = 'unknown';
+  if (remainingDays > 7) {
+    validityStatus = 'good';
+  } else if (remainingDays > 3) {
+    validityStatus = 'warning';
+  } else if (remainingDays > 0) {
+    validityStatus = 'critical';
+  } else {
+    validityStatus = 'expired';
+  }
+
+  return {
+    paymentDate,
+    expiryDate,
+    remainingDays,
+    validityDays: interval === 'year' ? 365 : 30, // Dynamic validity based on interval
+    validityStatus,
+    interval,
+  };
+};
+
+// Details of a store or code subscription, from the stored state
+const getStoredSubscriptionDetails = (stored) => {
+  const subscription = inAppPurchaseService.describe(stored);
+  const expiryDate = new Date((subscription.currentPeriodEnd || 0) * 1000);
+  return {
+    subscription,
+    paymentInfo: getPaymentInfo(stored.paymentDate, expiryDate, subscription.interval),
+  };
+};
+
 // GET /subscriptions/details - Get detailed subscription information including countdown
 export const getSubscriptionDetails = async (req, res) => {
   try {
@@ -879,34 +892,24 @@ export const getSubscriptionDetails = async (req, res) => {
       });
     }
 
+    if (!isBilledByStripe(user.subscription)) {
+      return res.json(getStoredSubscriptionDetails(user.subscription));
+    }
+
     // Get latest subscription data from Stripe
-    const subscription = await stripe.subscriptions.retrieve(user.subscription.id);
+    const subscription = await billing.retrieveSubscription(user.subscription.id);
 
     // Get interval from subscription
     const interval =
       subscription.items.data[0]?.plan?.interval || user.subscription.interval || 'month';
 
     // Calculate countdown information using Stripe's actual currentPeriodEnd
-    const now = new Date();
     const expiryDate = new Date(subscription.current_period_end * 1000);
-    const timeDiff = expiryDate.getTime() - now.getTime();
-    const remainingDays = Math.max(0, Math.ceil(timeDiff / (1000 * 60 * 60 * 24)));
-
-    // Determine validity status based on remaining days
-    let validityStatus = 'unknown';
-    if (remainingDays > 7) {
-      validityStatus = 'good';
-    } else if (remainingDays > 3) {
-      validityStatus = 'warning';
-    } else if (remainingDays > 0) {
-      validityStatus = 'critical';
-    } else {
-      validityStatus = 'expired';
-    }
 
     const response = {
       subscription: {
         id: subscription.id,
+        provider: 'stripe',
         status: subscription.status,
         currentPeriodStart: subscription.current_period_start,
         currentPeriodEnd: subscription.current_period_end,
@@ -915,14 +918,7 @@ export const getSubscriptionDetails = async (req, res) => {
         interval: interval, // Add interval info
         isActive: subscription.status === 'active' || subscription.status === 'trialing',
       },
-      paymentInfo: {
-        paymentDate: user.subscription.paymentDate,
-        expiryDate: expiryDate,
-        remainingDays: remainingDays,
-        validityDays: interval === 'year' ? 365 : 30, // Dynamic validity based on interval
-        validityStatus: validityStatus,
-        interval: interval, // Add interval to payment info
-      },
+      paymentInfo: getPaymentInfo(user.subscription.paymentDate, expiryDate, interval),
     };
 
     return res.json(response);
@@ -935,6 +931,18 @@ export const getSubscriptionDetails = async (req, res) => {
   }
 };
 
+// Stripe's cancellation_details.feedback values
+const CANCELLATION_REASONS = [
+  'customer_service',
+  'low_quality',
+  'missing_features',
+  'other',
+  'switched_service',
+  'too_complex',
+  'too_expensive',
+  'unused',
+];
+
 // POST /subscriptions/cancel - Cancel subscription at period end
 export const cancelSubscription = async (req, res) => {
   try {
@@ -943,6 +951,17 @@ export const cancelSubscription = async (req, res) => {
       return res.status(401).json({ message: 'Not authenticated' });
     }
 
+    // Optional exit survey, stored on the Stripe subscription for cancellation analytics
+    const { reason, comment } = req.body || {};
+    if (reason !== undefined && !CANCELLATION_REASONS.includes(reason)) {
+      return res.status(400).json({
+        message: `reason must be one of: ${CANCELLATION_REASONS.join(', ')}`,
+      });
+    }
+    if (comment !== undefined && typeof comment !== 'string') {
+      return res.status(400).json({ message: 'comment must be a string' });
+    }
+
     const user = await User.findById(userId);
     if (!user || !user.subscription || !user.subscription.id) {
       return res.status(404).json({
@@ -950,15 +969,29 @@ export const cancelSubscription = async (req, res) => {
       });
     }
 
+    if (!isBilledByStripe(user.subscription)) {
+      return res.status(409).json(getNotBilledByStripeError(user.subscription));
+    }
+
     // Cancel subscription at period end
-    const subscription = await stripe.subscriptions.update(user.subscription.id, {
-      cancel_at_period_end: true,
+    const subscription = await billing.cancel(user.subscription.id, {
+      atPeriodEnd: true,
+      reason,
+      comment: comment && comment.slice(0, 5000),
     });
 
     // Update user subscription status
     user.subscription.status = subscription.status;
     user.subscription.cancelAtPeriodEnd = subscription.cancel_at_period_end;
     await user.save();
+    await subscriptionEventService.recordChange({
+      type: 'cancel_requested',
+      user,
+      actor: user._id,
+      subscription,
+      cancellationReason: reason || null,
+      cancellationComment: comment || null,
+    });
 
     return res.json({
       message: 'Subscription will be canceled at the end of the current period',
@@ -977,6 +1010,409 @@ export const cancelSubscription = async (req, res) => {
   }
 };
 
+// Newer Stripe API versions report the billing period on the subscription item
+const getPeriodEnd = (subscription) =>
+  subscription.current_period_end || subscription.items.data[0]?.current_period_end;
+
+// POST /subscriptions/pause - Pause billing, optionally until a resume date
+export const pauseSubscription = async (req, res) => {
+  try {
+    const userId = req.user && req.user._id;
+    if (!userId) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    let resumesAt = null;
+    if (req.body.resumesAt) {
+      resumesAt = new Date(req.body.resumesAt);
+      if (Number.isNaN(resumesAt.getTime()) || resumesAt <= new Date()) {
+        return res.status(400).json({ message: 'resumesAt must be a valid future date' });
+      }
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.subscription || !user.subscription.id) {
+      return res.status(404).json({
+        message: 'No active subscription found',
+      });
+    }
+
+    if (!isBilledByStripe(user.subscription)) {
+      return res.status(409).json(getNotBilledByStripeError(user.subscription));
+    }
+
+    const current = await billing.retrieveSubscription(user.subscription.id);
+    if (current.status !== 'active' && current.status !== 'trialing') {
+      return res.status(400).json({ message: 'Only active subscriptions can be paused' });
+    }
+    if (current.pause_collection) {
+      return res.status(400).json({ message: 'Subscription is already paused' });
+    }
+    if (current.cancel_at_period_end) {
+      return res.status(400).json({
+        message: 'Subscription is scheduled to cancel. Resume it before pausing.',
+      });
+    }
+
+    // "void" keeps the subscription alive but voids invoices created while paused
+    const subscription = await billing.updateSubscription(user.subscription.id, {
+      pause_collection: {
+        behavior: 'void',
+        ...(resumesAt && { resumes_at: Math.floor(resumesAt.getTime() / 1000) }),
+      },
+    });
+
+    user.subscription.isPaused = true;
+    user.subscription.pausedAt = new Date();
+    user.subscription.resumesAt = resumesAt;
+    user.subscription.pausedAccessUntil =
+      user.subscription.currentPeriodEnd ||
+      (getPeriodEnd(current) ? new Date(getPeriodEnd(current) * 1000) : null);
+    await user.save();
+    await subscriptionEventService.recordChange({
+      type: 'paused',
+      user,
+      actor: user._id,
+      subscription,
+    });
+
+    return res.json({
+      message: resumesAt
+        ? `Subscription paused until ${resumesAt.toISOString()}`
+        : 'Subscription paused until you resume it',
+      subscription: {
+        id: subscription.id,
+        status: subscription.status,
+        isPaused: true,
+        resumesAt,
+      },
+    });
+  } catch (error) {
+    console.error('Error pausing subscription:', error);
+    return res.status(500).json({
+      message: 'Failed to pause subscription',
+      error: error.message,
+    });
+  }
+};
+
+// POST /subscriptions/resume - Withdraw a pending cancellation and/or end a pause
+export const resumeSubscription = async (req, res) => {
+  try {
+    const userId = req.user && req.user._id;
+    if (!userId) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.subscription || !user.subscription.id) {
+      return res.status(404).json({
+        message: 'No active subscription found',
+      });
+    }
+
+    if (!isBilledByStripe(user.subscription)) {
+      return res.status(409).json(getNotBilledByStripeError(user.subscription));
+    }
+
+    const current = await billing.retrieveSubscription(user.subscription.id);
+    if (current.status === 'canceled') {
+      return res.status(400).json({
+        message: 'Subscription has already ended. Start a new subscription instead.',
+      });
+    }
+
+    const update = {};
+    if (current.cancel_at_period_end) {
+      update.cancel_at_period_end = false;
+    }
+    if (current.pause_collection) {
+      update.pause_collection = ''; // Stripe clears a field when sent an empty string
+    }
+    if (!Object.keys(update).length) {
+      return res.status(400).json({
+        message: 'Subscription is not paused or scheduled to cancel',
+      });
+    }
+
+    const subscription = await billing.updateSubscription(user.subscription.id, update);
+
+    user.subscription.status = subscription.status;
+    user.subscription.cancelAtPeriodEnd = subscription.cancel_at_period_end;
+    user.subscription.isPaused = false;
+    user.subscription.pausedAt = null;
+    user.subscription.resumesAt = null;
+    user.subscription.pausedAccessUntil = null;
+    await user.save();
+    if (current.cancel_at_period_end) {
+      await subscriptionEventService.recordChange({
+        type: 'cancel_withdrawn',
+        user,
+        actor: user._id,
+        subscription,
+      });
+    }
+    if (current.pause_collection) {
+      await subscriptionEventService.recordChange({
+        type: 'resumed',
+        user,
+        actor: user._id,
+        subscription,
+      });
+    }
+
+    return res.json({
+      message: 'Subscription resumed',
+      subscription: {
+        id: subscription.id,
+        status: subscription.status,
+        cancelAtPeriodEnd: subscription.cancel_at_period_end,
+        isPaused: false,
+      },
+    });
+  } catch (error) {
+    console.error('Error resuming subscription:', error);
+    return res.status(500).json({
+      message: 'Failed to resume subscription',
+      error: error.message,
+    });
+  }
+};
+
+const CHANGE_TIMINGS = ['immediate', 'period_end'];
+
+// Validate a plan change request. Returns { plan, priceId, interval, timing } or { error }.
+const resolvePlanChange = async ({ planId, interval = 'month', timing = 'immediate' }) => {
+  if (!planId || !mongoose.Types.ObjectId.isValid(planId)) {
+    return { error: 'A valid planId is required' };
+  }
+  if (!['month', 'year'].includes(interval)) {
+    return { error: 'interval must be month or year' };
+  }
+  if (!CHANGE_TIMINGS.includes(timing)) {
+    return { error: `timing must be one of: ${CHANGE_TIMINGS.join(', ')}` };
+  }
+
+  const plan = await SubscriptionPlan.findOne({ _id: planId, isActive: true });
+  if (!plan) {
+    return { error: 'Subscription plan not found or inactive' };
+  }
+
+  const priceId =
+    interval === 'year'
+      ? plan.stripeYearlyPriceId
+      : plan.stripeMonthlyPriceId || plan.stripePriceId;
+  if (!priceId) {
+    return { error: `This plan has no ${interval}ly price` };
+  }
+
+  return { plan, priceId, interval, timing };
+};
+
+// Load the caller's Stripe subscription for a plan change. Returns { user, subscription } or
+// { status, message } when the change can't be made.
+const loadChangeableSubscription = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || !user.subscription || !user.subscription.id) {
+    return { status: 404, message: 'No subscription found' };
+  }
+  if (!isBilledByStripe(user.subscription)) {
+    return { status: 409, ...getNotBilledByStripeError(user.subscription) };
+  }
+
+  const subscription = await billing.retrieveSubscription(user.subscription.id);
+  if (user.subscription.isPaused || subscription.pause_collection) {
+    return { status: 409, ...PAUSED_PLAN_CHANGE_ERROR };
+  }
+  if (subscription.status !== 'active' && subscription.status !== 'trialing') {
+    return { status: 400, message: 'Only active subscriptions can change plans' };
+  }
+
+  return { user, subscription };
+};
+
+// GET /subscriptions/change-plan/preview - Preview the proration for a plan or interval change
+export const previewPlanChange = async (req, res) => {
+  try {
+    const userId = req.user && req.user._id;
+    if (!userId) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    const change = await resolvePlanChange(req.query);
+    if (change.error) {
+      return res.status(400).json({ message: change.error });
+    }
+
+    const loaded = await loadChangeableSubscription(userId);
+    if (loaded.message) {
+      const { status, ...body } = loaded;
+      return res.status(status).json(body);
+    }
+    const { subscription } = loaded;
+
+    const item = subscription.items.data[0];
+    if (item.price.id === change.priceId) {
+      return res.status(400).json({ message: 'You are already on this plan and billing interval' });
+    }
+    if (change.timing === 'period_end' && subscription.cancel_at_period_end) {
+      return res.status(409).json(PENDING_CANCELLATION_ERROR);
+    }
+
+    if (change.timing === 'period_end') {
+      // No proration: the new price simply applies from the next billing period
+      const price = await billing.retrievePrice(change.priceId);
+      return res.json({
+        preview: {
+          planId: change.plan._id,
+          planTitle: change.plan.title,
+          interval: change.interval,
+          timing: change.timing,
+          effectiveAt: getPeriodEnd(subscription),
+          amountDueNow: 0,
+          nextInvoiceAmount: price.unit_amount,
+          currency: price.currency,
+        },
+      });
+    }
+
+    // Pass prorationDate back to POST /change-plan so the charge matches this preview
+    const prorationDate = Math.floor(Date.now() / 1000);
+    const invoice = await billing.previewPriceChange(subscription, {
+      priceId: change.priceId,
+      prorationDate,
+    });
+
+    const lines = invoice.lines.data.map((line) => ({
+      description: line.description,
+      amount: line.amount,
+      proration: Boolean(line.proration || line.parent?.subscription_item_details?.proration),
+    }));
+
+    return res.json({
+      preview: {
+        planId: change.plan._id,
+        planTitle: change.plan.title,
+        interval: change.interval,
+        timing: change.timing,
+        prorationDate,
+        prorationAmount: lines
+          .filter((line) => line.proration)
+          .reduce((sum, line) => sum + line.amount, 0),
+        amountDueNow: invoice.amount_due,
+        currency: invoice.currency,
+        lines,
+      },
+    });
+  } catch (error) {
+    console.error('Error previewing plan change:', error);
+    return res.status(500).json({
+      message: 'Failed to preview plan change',
+      error: error.message,
+    });
+  }
+};
+
+// POST /subscriptions/change-plan - Move to another plan or billing interval
+export const changePlan = async (req, res) => {
+  try {
+    const userId = req.user && req.user._id;
+    if (!userId) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    const change = await resolvePlanChange(req.body);
+    if (change.error) {
+      return res.status(400).json({ message: change.error });
+    }
+
+    const { prorationDate } = req.body;
+    if (prorationDate !== undefined && !Number.isInteger(prorationDate)) {
+      return res.status(400).json({ message: 'prorationDate must be a Unix timestamp' });
+    }
+
+    const loaded = await loadChangeableSubscription(userId);
+    if (loaded.message) {
+      const { status, ...body } = loaded;
+      return res.status(status).json(body);
+    }
+    const { user, subscription } = loaded;
+
+    const item = subscription.items.data[0];
+    if (item.price.id === change.priceId) {
+      return res.status(400).json({ message: 'You are already on this plan and billing interval' });
+    }
+    if (change.timing === 'period_end' && subscription.cancel_at_period_end) {
+      return res.status(409).json(PENDING_CANCELLATION_ERROR);
+    }
+
+    if (change.timing === 'period_end') {
+      // Book the new price for the next billing period
+      const scheduled = await billing.schedulePriceChange(subscription, change.priceId);
+
+      const effectiveAt = new Date(scheduled.effectiveAt * 1000);
+      user.subscription.scheduledChange = {
+        priceId: change.priceId,
+        interval: change.interval,
+        effectiveAt,
+      };
+      await user.save();
+
+      return res.json({
+        message: `Your plan will change to ${change.plan.title} at the end of the current period`,
+        subscription: {
+          id: subscription.id,
+          status: subscription.status,
+          plan: item.price.id,
+          interval: user.subscription.interval,
+          scheduledChange: user.subscription.scheduledChange,
+        },
+      });
+    }
+
+    // An immediate change replaces any change booked for the period end
+    const updated = await billing.changePrice(subscription, {
+      priceId: change.priceId,
+      prorationDate,
+    });
+
+    const periodEnd = getPeriodEnd(updated);
+    user.subscription.status = updated.status;
+    user.subscription.interval = updated.items.data[0]?.plan?.interval || change.interval;
+    user.subscription.validityDays = user.subscription.interval === 'year' ? 365 : 30;
+    user.subscription.priceId = change.priceId;
+    if (periodEnd) {
+      user.subscription.currentPeriodEnd = new Date(periodEnd * 1000);
+    }
+    user.subscription.scheduledChange = { priceId: null, interval: null, effectiveAt: null };
+    await user.save();
+    await subscriptionEventService.recordChange({
+      type: 'plan_changed',
+      user,
+      actor: user._id,
+      subscription: updated,
+    });
+
+    return res.json({
+      message: `Your plan has been changed to ${change.plan.title}`,
+      subscription: {
+        id: updated.id,
+        status: updated.status,
+        currentPeriodEnd: periodEnd,
+        plan: change.priceId,
+        interval: user.subscription.interval,
+        isActive: updated.status === 'active' || updated.status === 'trialing',
+      },
+    });
+  } catch (error) {
+    console.error('Error changing plan:', error);
+    return res.status(500).json({
+      message: 'Failed to change plan',
+      error: error.message,
+    });
+  }
+};
+
 // POST /payments/setup-intent - Create SetupIntent for payment method collection
 export const createSetupIntent = async (req, res) => {
   try {
@@ -994,7 +1430,7 @@ export const createSetupIntent = async (req, res) => {
     // Create Stripe customer if not exists
     let stripeCustomerId = user.stripeCustomerId;
     if (!stripeCustomerId) {
-      const customer = await stripe.customers.create({
+      const customer = await billing.createCustomer({
         email: user.email,
         name: user.name,
       });
@@ -1004,10 +1440,7 @@ export const createSetupIntent = async (req, res) => {
     }
 
     // Create SetupIntent for collecting payment method
-    const setupIntent = await stripe.setupIntents.create({
-      customer: stripeCustomerId,
-      payment_method_types: ['card'],
-      usage: 'off_session', // For future payments
+    const setupIntent = await billing.createSetupIntent(stripeCustomerId, {
       metadata: {
         user_id: userId.toString(),
       },
@@ -1049,13 +1482,28 @@ export const setAutoDebit = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Auto-debit needs a card to charge
+    if (autoDebit && !user.autoDebit) {
+      const paymentMethods = user.stripeCustomerId
+        ? await billing.listPaymentMethods(user.stripeCustomerId, { limit: 1 })
+        : [];
+      if (!paymentMethods.length) {
+        return res.status(400).json({ message: 'Add a card before turning on auto-debit' });
+      }
+    }
+
     // Update user's auto-debit preference
     user.autoDebit = autoDebit;
+    user.autoDebitUpdatedAt = new Date();
     await user.save();
 
+    // Switch how the subscription renews: charge the card, or follow AUTO_DEBIT_OFF_POLICY
+    await renewalService.applyAutoDebit(user);
+
     return res.json({
       message: 'Auto-debit preference updated',
       autoDebit: user.autoDebit,
+      renewalMode: renewalService.getRenewalMode(user.subscription),
     });
   } catch (error) {
     console.error('Error updating auto-debit preference:', error);
@@ -1079,6 +1527,22 @@ export const createSubscription = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+    if (
+      inAppPurchaseService.isStoreManaged(user.subscription) &&
+      ['active', 'trialing', 'past_due', 'paused'].includes(user.subscription.status)
+    ) {
+      return res.status(409).json({
+        message: 'You already have an active subscription from an in-app purchase',
+        provider: user.subscription.provider,
+      });
+    }
+    if (giftCodeService.hasActiveAccess(user.subscription)) {
+      return res.status(409).json({
+        message: 'You have access from a redeemed code. You can subscribe once it ends.',
+        provider: 'code',
+        accessEndsAt: user.subscription.currentPeriodEnd,
+      });
+    }
 
     // Use dynamic priceId from client/admin-config; fallback to env
     const clientPriceId = req.body?.priceId;
@@ -1090,10 +1554,20 @@ export const createSubscription = async (req, res) => {
       return res.status(400).json({ message: 'Invalid priceId' });
     }
 
+    const promoCode = req.body?.promoCode;
+    if (promoCode !== undefined && (typeof promoCode !== 'string' || !promoCode.trim())) {
+      return res.status(400).json({ message: 'Invalid promoCode' });
+    }
+
+    // Trials and coupon plan restrictions come from the plan the price belongs to.
+    // Free trials are only offered to customers who haven't had one before.
+    const plan = await entitlementService.findPlanByPriceId(priceId);
+    const trialDays = !user.trialUsedAt && plan?.trialDays ? plan.trialDays : 0;
+
     // Create Stripe customer if not exists
     let stripeCustomerId = user.stripeCustomerId;
     if (!stripeCustomerId) {
-      const customer = await stripe.customers.create({
+      const customer = await billing.createCustomer({
         email: user.email,
         name: user.name,
       });
@@ -1102,20 +1576,24 @@ export const createSubscription = async (req, res) => {
       await user.save();
     }
 
+    // Validate the promo code and hold a redemption before anything is created in Stripe
+    let reservation = null;
+    if (promoCode) {
+      reservation = await couponService.reserve(promoCode, user._id, plan);
+      if (reservation.error) {
+        return res.status(400).json({ message: reservation.error, promoCodeInvalid: true });
+      }
+    }
+
     try {
       console.log('Creating subscription with price ID:', priceId);
 
       // Create subscription with payment settings
-      const subscription = await stripe.subscriptions.create({
-        customer: stripeCustomerId,
-        items: [{ price: priceId }],
-        payment_behavior: 'default_incomplete',
-        payment_settings: {
-          payment_method_types: ['card'],
-          save_default_payment_method: 'on_subscription',
-        },
-        expand: ['latest_invoice.payment_intent'],
-        collection_method: 'charge_automatically',
+      const subscription = await billing.createSubscription({
+        customerId: stripeCustomerId,
+        priceId,
+        trialDays,
+        promotionCodeId: reservation?.coupon.stripePromotionCodeId,
         metadata: {
           user_id: userId.toString(),
         },
@@ -1136,13 +1614,18 @@ export const createSubscription = async (req, res) => {
         console.log('No payment intent in subscription.latest_invoice');
       }
 
-      // Get the client secret from the subscription's payment intent
+      // Get the client secret from the subscription's payment intent. When nothing is due
+      // up front (a trial or a 100% discount) Stripe returns a SetupIntent to save the card.
       let clientSecret = subscription.latest_invoice?.payment_intent?.client_secret;
+      const intentType = !clientSecret && subscription.pending_setup_intent ? 'setup' : 'payment';
+      if (intentType === 'setup') {
+        clientSecret = subscription.pending_setup_intent.client_secret;
+      }
 
       // Fallback: If no payment intent is attached, try to retrieve it from the invoice
       if (!clientSecret && subscription.latest_invoice) {
         console.log('No payment intent in subscription, retrieving from invoice...');
-        const invoice = await stripe.invoices.retrieve(subscription.latest_invoice.id, {
+        const invoice = await billing.retrieveInvoice(subscription.latest_invoice.id, {
           expand: ['payment_intent'],
         });
 
@@ -1158,7 +1641,7 @@ export const createSubscription = async (req, res) => {
 
           // First, try to finalize the invoice to see if it creates a payment intent
           try {
-            const finalizedInvoice = await stripe.invoices.finalizeInvoice(invoice.id);
+            const finalizedInvoice = await billing.finalizeInvoice(invoice.id);
             console.log('Invoice finalized:', finalizedInvoice.id);
 
             if (finalizedInvoice.payment_intent) {
@@ -1169,11 +1652,10 @@ export const createSubscription = async (req, res) => {
               clientSecret = finalizedInvoice.payment_intent.client_secret;
             } else {
               // Create a standalone payment intent
-              const paymentIntent = await stripe.paymentIntents.create({
-                customer: stripeCustomerId,
+              const paymentIntent = await billing.createPaymentIntent({
+                customerId: stripeCustomerId,
                 amount: invoice.amount_due,
                 currency: invoice.currency,
-                payment_method_types: ['card'],
                 description: `Subscription creation for ${subscription.id}`,
                 metadata: {
                   subscription_id: subscription.id,
@@ -1189,11 +1671,10 @@ export const createSubscription = async (req, res) => {
             console.error('Error finalizing invoice:', finalizeError);
 
             // Create a standalone payment intent as fallback
-            const paymentIntent = await stripe.paymentIntents.create({
-              customer: stripeCustomerId,
+            const paymentIntent = await billing.createPaymentIntent({
+              customerId: stripeCustomerId,
               amount: invoice.amount_due,
               currency: invoice.currency,
-              payment_method_types: ['card'],
               description: `Subscription creation for ${subscription.id}`,
               metadata: {
                 subscription_id: subscription.id,
@@ -1229,13 +1710,31 @@ export const createSubscription = async (req, res) => {
         paymentDate: new Date(), // Save payment date even for incomplete subscriptions
         validityDays: validityDays,
         interval: interval,
+        priceId: subscription.items.data[0]?.price?.id || priceId,
+        collectionMethod: subscription.collection_method,
       };
+      if (subscription.status === 'trialing') {
+        user.trialUsedAt = new Date();
+      }
       await user.save();
+      await subscriptionEventService.recordChange({
+        type: 'subscription_created',
+        user,
+        actor: user._id,
+        subscription,
+      });
+
+      if (reservation) {
+        await couponService.confirm(reservation, subscription.id);
+      }
 
       // Return the client secret for the client to complete the payment
       const responseData = {
         subscription: {
           clientSecret: clientSecret,
+          intentType,
+          trialEnd: subscription.trial_end || null,
+          promoCode: reservation ? reservation.coupon.code : null,
         },
       };
 
@@ -1243,6 +1742,12 @@ export const createSubscription = async (req, res) => {
 
       return res.json(responseData);
     } catch (error) {
+      if (reservation) {
+        await couponService.release(reservation).catch((releaseError) => {
+          console.error('Failed to release promo code reservation:', releaseError.message);
+        });
+      }
+
       console.error('Stripe subscription error:', {
         message: error.message,
         stack: error.stack,
@@ -1280,3 +1785,40 @@ export const createSubscription = async (req, res) => {
     return res.status(500).json({ message: 'Subscription creation failed', error: error.message });
   }
 };
+
+// POST /subscriptions/redeem - Redeem a gift or partner code for days of a plan
+export const redeemCode = async (req, res) => {
+  try {
+    const userId = req.user && req.user._id;
+    if (!userId) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    const { code } = req.body;
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const result = await giftCodeService.redeem(user, code);
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    return res.json({
+      message: `Code redeemed: ${result.giftCode.days} days of ${result.plan.title}`,
+      accessEndsAt: user.subscription.currentPeriodEnd,
+      subscription: inAppPurchaseService.describe(user.subscription),
+    });
+  } catch (error) {
+    console.error('Error redeeming code:', error);
+    return res.status(500).json({
+      message: 'Failed to redeem code',
+      error: error.message,
+    });
+  }
+};
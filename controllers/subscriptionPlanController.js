@@ -1,15 +1,7 @@
 import SubscriptionPlan from '../models/SubscriptionPlan.js';
-import Stripe from 'stripe';
-
-// Initialize Stripe
-let stripe = null;
-if (process.env.STRIPE_SECRET_KEY) {
-  stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-} else {
-  console.warn(
-    'SubscriptionPlan Controller - STRIPE_SECRET_KEY not found - Stripe will not be initialized',
-  );
-}
+import billing from '../services/billing/index.js';
+import entitlementService from '../services/entitlementService.js';
+import inAppPurchaseService from '../services/inAppPurchase/index.js';
 
 // GET /admin/subscription-plans - Get all subscription plans (admin only)
 export const getAllSubscriptionPlans = async (req, res) => {
@@ -98,6 +90,7 @@ export const createSubscriptionPlan = async (req, res) => {
       description,
       features,
       isDefault,
+      trialDays,
       stripeMonthlyPriceId,
       stripeYearlyPriceId,
     } = req.body;
@@ -125,6 +118,45 @@ export const createSubscriptionPlan = async (req, res) => {
       }
     }
 
+    if (
+      trialDays !== undefined &&
+      (!Number.isInteger(Number(trialDays)) || trialDays < 0 || trialDays > 730)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'trialDays must be a whole number between 0 and 730',
+      });
+    }
+
+    // Typed entitlements are optional; unspecified limits follow the feature fields above
+    let entitlements = null;
+    if (req.body.entitlements !== undefined && req.body.entitlements !== null) {
+      const normalized = entitlementService.normalizeEntitlements(req.body.entitlements);
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error,
+        });
+      }
+      entitlements = {
+        ...entitlementService.getPlanEntitlements(req.body),
+        ...normalized.entitlements,
+      };
+    }
+
+    // App Store and Google Play products that unlock this plan
+    let storeProducts = [];
+    if (req.body.storeProducts !== undefined && req.body.storeProducts !== null) {
+      const normalized = inAppPurchaseService.normalizeStoreProducts(req.body.storeProducts);
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error,
+        });
+      }
+      storeProducts = normalized.storeProducts;
+    }
+
     // Create Stripe product and prices if Stripe is available
     let stripePriceId = stripeMonthlyPriceId || '';
     let stripeMonthlyPriceIdFinal = stripeMonthlyPriceId || '';
@@ -132,10 +164,10 @@ export const createSubscriptionPlan = async (req, res) => {
     let stripeProductId = '';
 
     // If price IDs are manually provided, use them; otherwise create new ones
-    if (stripe && (!stripeMonthlyPriceIdFinal || !stripeYearlyPriceIdFinal)) {
+    if (billing.isConfigured() && (!stripeMonthlyPriceIdFinal || !stripeYearlyPriceIdFinal)) {
       try {
         // Create Stripe product
-        const product = await stripe.products.create({
+        const product = await billing.createProduct({
           name: title,
           description: description || `Subscription plan: ${title}`,
           metadata: {
@@ -148,13 +180,11 @@ export const createSubscriptionPlan = async (req, res) => {
 
         // Create Stripe price for monthly subscription if not provided
         if (!stripeMonthlyPriceIdFinal) {
-          const monthlyPrice = await stripe.prices.create({
-            product: stripeProductId,
-            unit_amount: Math.round(monthlyCost * 100), // Convert to cents
+          const monthlyPrice = await billing.createPrice({
+            productId: stripeProductId,
+            unitAmount: Math.round(monthlyCost * 100), // Convert to cents
             currency: 'usd',
-            recurring: {
-              interval: 'month',
-            },
+            interval: 'month',
             metadata: {
               plan_title: title,
               billing_period: 'monthly',
@@ -167,13 +197,11 @@ export const createSubscriptionPlan = async (req, res) => {
 
         // Create Stripe price for yearly subscription if not provided
         if (!stripeYearlyPriceIdFinal) {
-          const yearlyPrice = await stripe.prices.create({
-            product: stripeProductId,
-            unit_amount: Math.round(annualCost * 100), // Convert to cents
+          const yearlyPrice = await billing.createPrice({
+            productId: stripeProductId,
+            unitAmount: Math.round(annualCost * 100), // Convert to cents
             currency: 'usd',
-            recurring: {
-              interval: 'year',
-            },
+            interval: 'year',
             metadata: {
               plan_title: title,
               billing_period: 'yearly',
@@ -215,10 +243,13 @@ export const createSubscriptionPlan = async (req, res) => {
       soundscapeTracks,
       dynamicAudioFeatures,
       customTrackRequests,
+      entitlements,
+      trialDays: trialDays !== undefined ? Number(trialDays) : 0,
       stripePriceId,
       stripeMonthlyPriceId: stripeMonthlyPriceIdFinal,
       stripeYearlyPriceId: stripeYearlyPriceIdFinal,
       stripeProductId,
+      storeProducts,
       description,
       features: features || [],
       isDefault: isDefault || false,
@@ -273,6 +304,43 @@ export const updateSubscriptionPlan = async (req, res) => {
       updateData.annualCost = parseFloat(updateData.annualCost);
     }
 
+    // Partial entitlement updates are merged over the plan's current effective entitlements;
+    // null reverts to deriving them from the feature fields
+    if (updateData.entitlements !== undefined && updateData.entitlements !== null) {
+      const normalized = entitlementService.normalizeEntitlements(updateData.entitlements);
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error,
+        });
+      }
+
+      const existingPlan = await SubscriptionPlan.findById(id);
+      if (!existingPlan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subscription plan not found',
+        });
+      }
+      updateData.entitlements = {
+        ...entitlementService.getPlanEntitlements(existingPlan),
+        ...normalized.entitlements,
+      };
+    }
+
+    if (updateData.storeProducts !== undefined) {
+      const normalized = inAppPurchaseService.normalizeStoreProducts(
+        updateData.storeProducts || [],
+      );
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error,
+        });
+      }
+      updateData.storeProducts = normalized.storeProducts;
+    }
+
     const updatedPlan = await SubscriptionPlan.findByIdAndUpdate(id, updateData, {
       new: true,
       runValidators: true,
@@ -390,9 +458,12 @@ export const getCurrentSubscriptionPlan = async (req, res) => {
       soundscapeTracks: currentPlan.soundscapeTracks,
       dynamicAudioFeatures: currentPlan.dynamicAudioFeatures,
       customTrackRequests: currentPlan.customTrackRequests,
+      entitlements: entitlementService.getPlanEntitlements(currentPlan),
+      trialDays: currentPlan.trialDays || 0,
       priceId: currentPlan.stripePriceId, // Keep for backward compatibility
       monthlyPriceId: currentPlan.stripeMonthlyPriceId || currentPlan.stripePriceId || '',
       yearlyPriceId: currentPlan.stripeYearlyPriceId || currentPlan.stripePriceId || '',
+      storeProducts: currentPlan.storeProducts || [], // In-app purchase product IDs
       description: currentPlan.description,
       features: currentPlan.features,
     };
@@ -1,26 +1,114 @@
 import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
 import User from '../models/userModel.js';
-import generateToken from '../utils/generateToken.js';
+import SubscriptionEvent from '../models/SubscriptionEvent.js';
+import sessionService from '../services/sessionService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import loginProtectionService from '../services/loginProtectionService.js';
+import permissionService, { ROLES } from '../services/permissionService.js';
 import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
 import nodemailer from 'nodemailer';
 import jwt from 'jsonwebtoken';
-import Stripe from 'stripe';
-
-// Debug: Check if STRIPE_SECRET_KEY is loaded
-console.log('STRIPE_SECRET_KEY:', process.env.STRIPE_SECRET_KEY ? 'Found' : 'NOT FOUND');
-console.log(
-  'All env vars:',
-  Object.keys(process.env).filter((key) => key.includes('STRIPE')),
-);
-
-// Initialize Stripe only if secret key is available
-let stripe = null;
-if (process.env.STRIPE_SECRET_KEY) {
-  stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-} else {
-  console.warn('STRIPE_SECRET_KEY not found - Stripe will not be initialized');
-}
+import billing from '../services/billing/index.js';
+import renewalService from '../services/renewalService.js';
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production', // Security: Use secure flag in production
+  sameSite: 'strict', // Security: Prevent CSRF attacks
+});
+// The refresh token cookie is only sent to the endpoints that use it
+const REFRESH_COOKIE_PATH = '/api/users';
+
+// Set the access token cookie (for browsers) and the refresh token cookie
+const setAuthCookies = (res, { accessToken, expiresIn, refreshToken, refreshExpiresAt }) => {
+  res.cookie('jwt', accessToken, { ...cookieOptions(), maxAge: expiresIn * 1000 });
+  res.cookie('refreshToken', refreshToken, {
+    ...cookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+    expires: refreshExpiresAt,
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.cookie('jwt', '', { ...cookieOptions(), expires: new Date(0) });
+  res.cookie('refreshToken', '', {
+    ...cookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+    expires: new Date(0),
+  });
+};
+
+// Token fields of login, register and refresh responses
+const tokenResponse = ({ accessToken, expiresIn, refreshToken, refreshExpiresAt }) => ({
+  token: accessToken,
+  expiresIn,
+  refreshToken,
+  refreshExpiresAt,
+});
+
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+
+// Issue a new verification token and email it. Returns true if the email was sent.
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const emailService = (await import('../services/emailService.js')).default;
+  const result = await emailService.sendVerificationEmail(user, verificationToken);
+  return result.success;
+};
+
+// Compared against when the email is unknown, so response time doesn't reveal which accounts exist
+let dummyPasswordHash = null;
+const getDummyPasswordHash = async () => {
+  dummyPasswordHash ||= await bcrypt.hash(crypto.randomBytes(16).toString('hex'), 10);
+  return dummyPasswordHash;
+};
+
+// Refuse the request while its IP or email is backing off or locked out (429 with Retry-After)
+const enforceAuthThrottle = async (action, subject, res) => {
+  const { retryAfter } = await loginProtectionService.check(action, subject);
+  if (retryAfter) {
+    const wait =
+      retryAfter > 90 ? `${Math.ceil(retryAfter / 60)} minutes` : `${retryAfter} seconds`;
+    res.set('Retry-After', String(retryAfter));
+    res.status(429);
+    throw new Error(`Too many attempts. Please try again in ${wait}.`);
+  }
+};
+
+// Start a session and respond with the user, tokens and subscription status
+const sendLoginResponse = async (req, res, user) => {
+  const tokens = await sessionService.create(user, req);
+  setAuthCookies(res, tokens);
+
+  // Include subscription status in login response
+  let subscriptionStatus = null;
+  if (user.subscription && user.subscription.id) {
+    subscriptionStatus = {
+      id: user.subscription.id,
+      provider: user.subscription.provider,
+      status: user.subscription.status,
+      isActive: user.subscription.status === 'active' || user.subscription.status === 'trialing',
+    };
+  }
+
+  res.json({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    permissions: await permissionService.getPermissions(user.role),
+    emailVerified: user.isEmailVerified(),
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+    // Admin routes are refused until staff enroll
+    twoFactorSetupRequired: !user.twoFactor?.enabled && (await twoFactorService.isRequired(user)),
+    ...tokenResponse(tokens),
+    subscription: subscriptionStatus,
+  });
+};
 
 // @desc    Auth user & get token
 // @route   POST /api/users/auth
@@ -29,64 +117,84 @@ if (process.env.STRIPE_SECRET_KEY) {
 const authUser = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
-  // Debugging log: Check the incoming email and password
-  console.log('Auth attempt:', { email, password });
-
   // Security: Validate that email is a string
   if (!email || typeof email !== 'string') {
     res.status(400);
     throw new Error('Invalid email format');
   }
+  if (!password || typeof password !== 'string') {
+    res.status(400);
+    throw new Error('Please provide a password');
+  }
+
+  const subject = { ip: req.ip, email };
+  await enforceAuthThrottle('login', subject, res);
 
   const user = await User.findOne({ email: email.toLowerCase() });
 
-  // Debugging log: Check if the user was found and their stored password
-  console.log('User found:', user ? { email: user.email, role: user.role } : 'No user');
-  console.log('Password from DB:', user ? user.password : 'No user password');
+  // Compare entered password with the password in the DB
+  let passwordMatch = false;
+  if (user) {
+    passwordMatch = await user.matchPassword(password);
+  } else {
+    await bcrypt.compare(password, await getDummyPasswordHash());
+  }
 
-  if (!user) {
+  // Same response for unknown emails and wrong passwords, so accounts can't be enumerated
+  if (!passwordMatch) {
+    await loginProtectionService.recordFailure('login', subject, { user });
     res.status(401);
-    throw new Error('User not found');
+    throw new Error('Invalid email or password');
   }
 
-  // Compare entered password with the password in the DB
-  const passwordMatch = await user.matchPassword(password);
-
-  // Debugging log: Check if the password comparison succeeded
-  console.log('Entered Password:', password);
-  console.log('Password match:', passwordMatch); // This will show true/false
-
-  if (passwordMatch) {
-    const token = generateToken(user._id);
-    res.cookie('jwt', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+  // With two-factor authentication the password only earns a challenge for POST /auth/2fa.
+  // Failures stay counted until the second step succeeds.
+  if (user.twoFactor?.enabled) {
+    res.json({
+      twoFactorRequired: true,
+      twoFactorToken: twoFactorService.createLoginChallenge(user),
     });
+    return;
+  }
 
-    // Include subscription status in login response
-    let subscriptionStatus = null;
-    if (user.subscription && user.subscription.id) {
-      subscriptionStatus = {
-        id: user.subscription.id,
-        status: user.subscription.status,
-        isActive: user.subscription.status === 'active' || user.subscription.status === 'trialing',
-      };
-    }
+  await loginProtectionService.recordSuccess('login', subject);
+  await sendLoginResponse(req, res, user);
+});
 
-    res.json({
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      token,
-      subscription: subscriptionStatus,
-    });
-  } else {
+// @desc    Second login step: check the authenticator or recovery code and get token
+// @route   POST /api/users/auth/2fa
+// @access  Public
+const authUserTwoFactor = asyncHandler(async (req, res) => {
+  const { twoFactorToken, code, recoveryCode } = req.body;
+
+  const userId = twoFactorService.verifyLoginChallenge(twoFactorToken);
+  if (!userId) {
     res.status(401);
-    throw new Error('Invalid password');
+    throw new Error('Login has expired. Please log in again.');
+  }
+  if (!code && !recoveryCode) {
+    res.status(400);
+    throw new Error('Authentication code or recovery code is required');
+  }
+
+  const user = await twoFactorService.loadWithSecrets(userId);
+  if (!user || !user.twoFactor.enabled) {
+    res.status(401);
+    throw new Error('Login has expired. Please log in again.');
+  }
+
+  // Code guesses count toward the same lockout as password guesses
+  const subject = { ip: req.ip, email: user.email };
+  await enforceAuthThrottle('login', subject, res);
+
+  if (!(await twoFactorService.verifySecondFactor(user, { code, recoveryCode }))) {
+    await loginProtectionService.recordFailure('login', subject, { user });
+    res.status(401);
+    throw new Error(recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code');
   }
+
+  await loginProtectionService.recordSuccess('login', subject);
+  await sendLoginResponse(req, res, user);
 });
 
 // @desc    Register a new user
@@ -94,7 +202,8 @@ const authUser = asyncHandler(async (req, res) => {
 // @access  Public
 const registerUser = asyncHandler(async (req, res) => {
   try {
-    const { name, email, password, role } = req.body; // Accept role from request
+    // Roles are assigned through PUT /api/users/:id/role, never at sign-up
+    const { name, email, password } = req.body;
 
     // Check if the user already exists
     let userExists = await User.findOne({ email });
@@ -112,25 +221,31 @@ const registerUser = asyncHandler(async (req, res) => {
       name,
       email,
       password,
-      role: role || 'user', // Assign role or default to 'user'
+      role: 'user',
+      emailVerified: false,
     });
 
     if (user) {
-      const token = generateToken(user._id);
-
-      //  Set the token as an HTTP-only cookie
-      res.cookie('jwt', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production', // Set true in production (HTTPS)
-        sameSite: 'strict',
-        maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-      });
+      // The account works right away; subscribing waits for the address to be verified
+      let verificationEmailSent = false;
+      try {
+        verificationEmailSent = await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Error sending verification email:', error);
+      }
+
+      const tokens = await sessionService.create(user, req);
+
+      //  Set the tokens as HTTP-only cookies
+      setAuthCookies(res, tokens);
       res.status(201).json({
         _id: user._id,
         name: user.name,
         email: user.email,
         role: user.role, // Include role in response
-        token,
+        emailVerified: false,
+        verificationEmailSent,
+        ...tokenResponse(tokens),
       });
     } else {
       res.status(400);
@@ -142,17 +257,305 @@ const registerUser = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Logout user / clear cookie
-// @route   POST /api/users/logout
+// @desc    Verify email address with token
+// @route   POST /api/users/verify-email/:token
 // @access  Public
-const logoutUser = (req, res) => {
-  res.cookie('jwt', '', {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production', // Security: Use secure flag in production
-    sameSite: 'strict', // Security: Prevent CSRF attacks
-    expires: new Date(0),
+const verifyEmail = asyncHandler(async (req, res) => {
+  // Hash the token to compare with database
+  const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+  const user = await User.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: Date.now() },
   });
+
+  if (!user) {
+    res.status(400);
+    throw new Error('Invalid or expired verification link');
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = null;
+  user.emailVerificationExpires = null;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({ message: 'Email verified successfully', emailVerified: true });
+});
+
+// @desc    Send a new verification email
+// @route   POST /api/users/verify-email/resend
+// @access  Private
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  if (user.isEmailVerified()) {
+    res.status(400);
+    throw new Error('Email is already verified');
+  }
+
+  // Throttle per account, on top of the per-IP rate limit on the route
+  const sentAt = user.emailVerificationSentAt?.getTime() || 0;
+  const waitMs = sentAt + VERIFICATION_RESEND_INTERVAL_MS - Date.now();
+  if (waitMs > 0) {
+    res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+    res.status(429);
+    throw new Error(
+      `Please wait ${Math.ceil(waitMs / 1000)} seconds before requesting another email`,
+    );
+  }
+
+  if (!(await sendVerificationEmail(user))) {
+    res.status(500);
+    throw new Error('Error sending verification email. Please try again later.');
+  }
+
+  res.json({ message: 'Verification email sent' });
+});
+
+// @desc    Logout user: end the session and clear cookies
+// @route   POST /api/users/logout
+// @access  Public
+const logoutUser = asyncHandler(async (req, res) => {
+  // The session is named by the refresh token, or by the access token (even an expired one)
+  let session = await sessionService.findByRefreshToken(
+    req.body?.refreshToken || req.cookies.refreshToken,
+  );
+  if (!session) {
+    const authorization = req.headers.authorization || '';
+    const token = authorization.startsWith('Bearer')
+      ? authorization.split(' ')[1]
+      : req.cookies.jwt;
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+      session = decoded.sid ? { _id: decoded.sid } : null;
+    } catch (error) {
+      session = null; // Nothing to end; still clear the cookies
+    }
+  }
+  if (session) {
+    await sessionService.revoke(session, 'logout');
+  }
+
+  clearAuthCookies(res);
   res.status(200).json({ message: 'Logged out successfully' });
+});
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/users/refresh
+// @access  Public
+const refreshSession = asyncHandler(async (req, res) => {
+  const refreshToken = req.body?.refreshToken || req.cookies.refreshToken;
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    res.status(401);
+    throw new Error('Refresh token is required');
+  }
+
+  const result = await sessionService.refresh(refreshToken, req);
+  if (result.status) {
+    clearAuthCookies(res);
+    res.status(result.status);
+    throw new Error(result.message);
+  }
+
+  setAuthCookies(res, result);
+  res.json(tokenResponse(result));
+});
+
+// @desc    List the caller's signed-in devices
+// @route   GET /api/users/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listActive(req.user._id);
+
+  res.json({
+    sessions: sessions.map((session) => ({
+      id: session._id,
+      deviceName: session.deviceName,
+      ip: session.ip,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: Boolean(req.sessionId && session._id.equals(req.sessionId)),
+    })),
+  });
+});
+
+// @desc    Sign out one of the caller's devices
+// @route   DELETE /api/users/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid session ID');
+  }
+
+  const session = (await sessionService.listActive(req.user._id)).find((candidate) =>
+    candidate._id.equals(req.params.id),
+  );
+  if (!session) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+
+  await sessionService.revoke(session, 'revoked');
+  if (req.sessionId && session._id.equals(req.sessionId)) {
+    clearAuthCookies(res);
+  }
+  res.json({ message: 'Session revoked' });
+});
+
+// @desc    Sign out every other device (?includeCurrent=true signs out this one too)
+// @route   DELETE /api/users/sessions
+// @access  Private
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const includeCurrent = req.query.includeCurrent === 'true';
+  const revoked = await sessionService.revokeAll(req.user._id, 'revoked_all', {
+    exceptSessionId: includeCurrent ? null : req.sessionId,
+  });
+  if (includeCurrent) {
+    clearAuthCookies(res);
+  }
+
+  res.json({ message: 'Sessions revoked', revoked });
+});
+
+// Caller's user document including the two-factor secret fields
+const loadTwoFactorUser = async (req, res) => {
+  const user = await twoFactorService.loadWithSecrets(req.user._id);
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+  return user;
+};
+
+// @desc    Get two-factor authentication status
+// @route   GET /api/users/2fa
+// @access  Private
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await loadTwoFactorUser(req, res);
+  res.json(await twoFactorService.describe(user));
+});
+
+// @desc    Start two-factor enrollment: new secret and otpauth:// URI for a QR code
+// @route   POST /api/users/2fa/setup
+// @access  Private
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await loadTwoFactorUser(req, res);
+
+  const result = await twoFactorService.beginSetup(user);
+  if (result.status) {
+    res.status(result.status);
+    throw new Error(result.message);
+  }
+
+  res.json(result);
+});
+
+// @desc    Confirm enrollment with a code from the authenticator app
+// @route   POST /api/users/2fa/enable
+// @access  Private
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  if (!req.body.code) {
+    res.status(400);
+    throw new Error('Authentication code is required');
+  }
+  const user = await loadTwoFactorUser(req, res);
+
+  const result = await twoFactorService.enable(user, req.body.code);
+  if (result.status) {
+    res.status(result.status);
+    throw new Error(result.message);
+  }
+
+  // Other devices signed in with the password alone
+  await sessionService.revokeAll(user._id, 'two_factor_changed', {
+    exceptSessionId: req.sessionId,
+  });
+
+  res.json({
+    message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+    recoveryCodes: result.recoveryCodes,
+  });
+});
+
+// @desc    Turn off two-factor authentication (password and a code are required)
+// @route   POST /api/users/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  const user = await loadTwoFactorUser(req, res);
+
+  if (!user.twoFactor.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled');
+  }
+  if (await twoFactorService.isRequired(user)) {
+    res.status(403);
+    throw new Error('Two-factor authentication is required for staff accounts');
+  }
+  if (typeof password !== 'string' || !(await user.matchPassword(password))) {
+    res.status(401);
+    throw new Error('Invalid password');
+  }
+  if (!(await twoFactorService.verifySecondFactor(user, { code, recoveryCode }))) {
+    res.status(401);
+    throw new Error('Invalid authentication code');
+  }
+
+  await twoFactorService.disable(user);
+  await sessionService.revokeAll(user._id, 'two_factor_changed', {
+    exceptSessionId: req.sessionId,
+  });
+
+  res.json({ message: 'Two-factor authentication disabled' });
+});
+
+// @desc    Replace the recovery codes (a current authenticator code is required)
+// @route   POST /api/users/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await loadTwoFactorUser(req, res);
+
+  if (!user.twoFactor.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled');
+  }
+  if (!(await twoFactorService.verifySecondFactor(user, { code: req.body.code }))) {
+    res.status(401);
+    throw new Error('Invalid authentication code');
+  }
+
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user);
+  res.json({
+    message: 'New recovery codes generated. The old codes no longer work.',
+    recoveryCodes,
+  });
+});
+
+// Check that the caller may give `user` the role. Returns { status, message } or null.
+const getRoleChangeError = async (caller, user, role) => {
+  if (!ROLES.includes(role)) {
+    return { status: 400, message: `role must be one of: ${ROLES.join(', ')}` };
+  }
+  if (!(await permissionService.hasPermission(caller, 'roles:manage'))) {
+    return { status: 403, message: 'Not authorized to change roles' };
+  }
+  // Otherwise roles:manage alone would be enough to become an admin
+  if ((role === 'admin' || user.role === 'admin') && caller.role !== 'admin') {
+    return { status: 403, message: 'Only admins can grant or remove the admin role' };
+  }
+  if (user.role === 'admin' && role !== 'admin') {
+    if ((await User.countDocuments({ role: 'admin' })) <= 1) {
+      return { status: 400, message: 'Cannot remove the last admin' };
+    }
+  }
+  return null;
 };
 
 // @desc    Get user profile
@@ -167,6 +570,8 @@ const getUserProfile = asyncHandler(async (req, res) => {
       name: user.name,
       email: user.email,
       role: user.role, // Include role in response
+      permissions: await permissionService.getPermissions(user.role),
+      emailVerified: user.isEmailVerified(),
     });
   } else {
     res.status(404);
@@ -186,24 +591,54 @@ const updateUserProfile = asyncHandler(async (req, res) => {
 
   if (user) {
     user.name = req.body.name || user.name;
+    const emailChanged =
+      typeof req.body.email === 'string' && req.body.email.toLowerCase() !== user.email;
     user.email = req.body.email || user.email;
+    if (emailChanged) {
+      user.emailVerified = false; // The new address must be verified again
+    }
 
-    if (req.body.password) {
+    const passwordChanged = Boolean(req.body.password);
+    if (passwordChanged) {
       user.password = req.body.password;
     }
 
-    if (req.body.role && req.user.role === 'admin') {
-      // Allow role update only if the user is an admin
+    if (
+      req.body.role &&
+      req.body.role !== user.role &&
+      (await permissionService.hasPermission(req.user, 'roles:manage'))
+    ) {
+      const roleError = await getRoleChangeError(req.user, user, req.body.role);
+      if (roleError) {
+        res.status(roleError.status);
+        throw new Error(roleError.message);
+      }
       user.role = req.body.role;
     }
 
     const updatedUser = await user.save();
 
+    // A new password signs out every other device
+    if (passwordChanged) {
+      await sessionService.revokeAll(user._id, 'password_changed', {
+        exceptSessionId: req.sessionId,
+      });
+    }
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updatedUser);
+      } catch (error) {
+        console.error('Error sending verification email:', error);
+      }
+    }
+
     res.json({
       _id: updatedUser._id,
       name: updatedUser.name,
       email: updatedUser.email,
       role: updatedUser.role, // Include updated role in response
+      emailVerified: updatedUser.isEmailVerified(),
     });
   } else {
     res.status(404);
@@ -211,12 +646,12 @@ const updateUserProfile = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Get all users (Admin only)
+// @desc    Get all users
 // @route   GET /api/users/all
-// @access  Private/Admin
+// @access  Private (users:read)
 const getAllUsers = asyncHandler(async (req, res) => {
   const users = await User.find({})
-    .select('-password -resetPasswordToken -resetPasswordExpires')
+    .select('-password -resetPasswordToken -resetPasswordExpires -emailVerificationToken')
     .sort({ createdAt: -1 }); // Newest first
 
   // Calculate subscription status for each user
@@ -267,19 +702,80 @@ const getAllUsers = asyncHandler(async (req, res) => {
   res.json(usersWithStatus);
 });
 
-// @desc    Get specific user by ID (Admin only)
+// @desc    Get specific user by ID
 // @route   GET /api/users/:id
-// @access  Private/Admin
+// @access  Private (users:read)
 const getUserById = asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id).select('-password');
   if (user) {
-    res.json(user);
+    res.json({
+      ...user.toObject(),
+      loginLockout: await loginProtectionService.describe(user.email),
+    });
   } else {
     res.status(404);
     throw new Error('User not found');
   }
 });
 
+// @desc    Clear a user's failed-login lockout
+// @route   POST /api/users/:id/unlock
+// @access  Private (users:manage)
+const unlockUser = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid user ID');
+  }
+
+  const user = await User.findById(req.params.id).select('email');
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  const cleared = await loginProtectionService.unlock(user.email);
+  console.log(`Admin ${req.user._id} unlocked ${user.email} (${cleared} throttles cleared)`);
+  res.json({ message: 'Account unlocked', cleared });
+});
+
+// @desc    Assign a role to a user
+// @route   PUT /api/users/:id/role
+// @access  Private (roles:manage; granting or removing admin needs an admin)
+const updateUserRole = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid user ID');
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  const { role } = req.body;
+  if (role !== user.role) {
+    const roleError = await getRoleChangeError(req.user, user, role);
+    if (roleError) {
+      res.status(roleError.status);
+      throw new Error(roleError.message);
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+    console.log(`User ${req.user._id} changed the role of ${user._id}: ${previousRole} -> ${role}`);
+  }
+
+  res.json({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    permissions: await permissionService.getPermissions(user.role),
+  });
+});
+
 // @desc    Forgot password - Request password reset
 // @route   POST /api/users/forgot-password
 // @access  Public
@@ -298,6 +794,11 @@ const forgotUserPassword = asyncHandler(async (req, res) => {
     throw new Error('Invalid email format');
   }
 
+  // Every request counts (each one can send an email), whether or not the account exists
+  const subject = { ip: req.ip, email };
+  await enforceAuthThrottle('forgot_password', subject, res);
+  await loginProtectionService.recordFailure('forgot_password', subject);
+
   // Find user by email (case-insensitive)
   const user = await User.findOne({ email: email.toLowerCase() });
 
@@ -372,6 +873,9 @@ const resetPassword = asyncHandler(async (req, res) => {
     throw new Error('Password must be at least 6 characters long');
   }
 
+  const subject = { ip: req.ip };
+  await enforceAuthThrottle('reset_password', subject, res);
+
   // Hash the token to compare with database
   const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
 
@@ -382,6 +886,7 @@ const resetPassword = asyncHandler(async (req, res) => {
   });
 
   if (!user) {
+    await loginProtectionService.recordFailure('reset_password', subject);
     res.status(400);
     throw new Error('Invalid or expired password reset token');
   }
@@ -395,6 +900,11 @@ const resetPassword = asyncHandler(async (req, res) => {
   // Save user
   await user.save();
 
+  // Whoever knew the old password may still be signed in
+  await sessionService.revokeAll(user._id, 'password_changed');
+  // Owning the inbox proves the account is theirs, so a lockout no longer applies
+  await loginProtectionService.unlock(user.email);
+
   try {
     // Import email service
     const emailService = (await import('../services/emailService.js')).default;
@@ -441,20 +951,17 @@ const getBillingStatus = asyncHandler(async (req, res) => {
 
     // Check if user has a default payment method
     let hasDefaultPaymentMethod = false;
-    if (user.stripeCustomerId && stripe) {
+    if (user.stripeCustomerId && billing.isConfigured()) {
       try {
         console.log('Checking payment methods for customer:', user.stripeCustomerId);
 
         // First, get all payment methods for the customer
-        const paymentMethods = await stripe.paymentMethods.list({
-          customer: user.stripeCustomerId,
-          type: 'card',
-        });
+        const paymentMethods = await billing.listPaymentMethods(user.stripeCustomerId);
 
-        console.log('Found payment methods:', paymentMethods.data.length);
+        console.log('Found payment methods:', paymentMethods.length);
         console.log(
           'Payment methods:',
-          paymentMethods.data.map((pm) => ({
+          paymentMethods.map((pm) => ({
             id: pm.id,
             type: pm.type,
             card: pm.card?.last4,
@@ -462,13 +969,13 @@ const getBillingStatus = asyncHandler(async (req, res) => {
         );
 
         // Check if customer has any payment methods
-        hasDefaultPaymentMethod = paymentMethods.data.length > 0;
+        hasDefaultPaymentMethod = paymentMethods.length > 0;
 
         console.log('hasDefaultPaymentMethod:', hasDefaultPaymentMethod);
       } catch (error) {
         console.error('Error fetching customer payment methods:', error);
       }
-    } else if (!stripe) {
+    } else if (!billing.isConfigured()) {
       console.warn('Stripe not initialized - cannot check payment methods');
     }
 
@@ -478,6 +985,9 @@ const getBillingStatus = asyncHandler(async (req, res) => {
     return res.json({
       hasDefaultPaymentMethod,
       autoDebit,
+      // How the current subscription will renew: auto_charge, manual_invoice, cancel (or null)
+      renewalMode: renewalService.getRenewalMode(user.subscription),
+      autoDebitOffPolicy: renewalService.getPolicy(),
     });
   } catch (error) {
     console.error('Error fetching billing status:', error);
@@ -488,16 +998,93 @@ const getBillingStatus = asyncHandler(async (req, res) => {
   }
 });
 
+// Entries that describe internal bookkeeping rather than something that happened to the user
+const INTERNAL_EVENT_TYPES = ['baseline', 'reconciled'];
+
+// @desc    Get a user's subscription history (admins see every field, users a trimmed copy)
+// @route   GET /api/users/:id/subscription-history
+// @access  Private (own history) / users:read
+const getSubscriptionHistory = asyncHandler(async (req, res) => {
+  const isAdmin = await permissionService.hasPermission(req.user, 'users:read');
+  if (!isAdmin && req.params.id !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to view this history');
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid user ID');
+  }
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const filter = { user: req.params.id };
+  if (!isAdmin) {
+    filter.type = { $nin: INTERNAL_EVENT_TYPES };
+  }
+  if (req.query.type) {
+    const types = String(req.query.type).split(',');
+    filter.type = isAdmin ? { $in: types } : { $in: types, $nin: INTERNAL_EVENT_TYPES };
+  }
+
+  const [events, total] = await Promise.all([
+    SubscriptionEvent.find(filter)
+      .populate('plan', 'title version')
+      .populate('actor', 'name email role')
+      .sort({ occurredAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    SubscriptionEvent.countDocuments(filter),
+  ]);
+
+  res.json({
+    events: isAdmin
+      ? events
+      : events.map((event) => ({
+          type: event.type,
+          occurredAt: event.occurredAt,
+          status: event.status,
+          plan: event.plan?.title || null,
+          interval: event.interval,
+          amount: event.amount,
+          currency: event.currency,
+          periodEnd: event.periodEnd,
+        })),
+    pagination: {
+      current: page,
+      limit,
+      total: Math.ceil(total / limit),
+      count: events.length,
+      totalCount: total,
+    },
+  });
+});
+
 export {
   authUser,
+  authUserTwoFactor,
   registerUser,
   logoutUser,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshSession,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   getUserProfile,
   updateUserProfile,
   forgotUserPassword,
   resetPassword,
   getAllUsers,
   getUserById,
+  unlockUser,
+  updateUserRole,
   deleteUser,
   getBillingStatus,
+  getSubscriptionHistory,
 };
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import WebhookEvent from '../models/WebhookEvent.js';
+import webhookService from '../services/webhookService.js';
+
+const WEBHOOK_STATUSES = ['received', 'processing', 'processed', 'failed'];
+
+// GET /admin/webhooks - List stored webhook events (filter by status/type)
+export const getWebhookEvents = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (req.query.status) {
+      if (!WEBHOOK_STATUSES.includes(req.query.status)) {
+        return res
+          .status(400)
+          .json({ message: `status must be one of: ${WEBHOOK_STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.type) {
+      filter.type = String(req.query.type);
+    }
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookEvent.countDocuments(filter),
+    ]);
+
+    return res.json({
+      events,
+      pagination: {
+        current: page,
+        limit,
+        total: Math.ceil(total / limit),
+        count: events.length,
+        totalCount: total,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching webhook events:', error);
+    return res.status(500).json({
+      message: 'Failed to fetch webhook events',
+      error: error.message,
+    });
+  }
+};
+
+// GET /admin/webhooks/:id - Get a stored webhook event including its payload
+export const getWebhookEventById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid webhook event ID' });
+    }
+
+    const event = await WebhookEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Webhook event not found' });
+    }
+
+    return res.json(event);
+  } catch (error) {
+    console.error('Error fetching webhook event:', error);
+    return res.status(500).json({
+      message: 'Failed to fetch webhook event',
+      error: error.message,
+    });
+  }
+};
+
+// POST /admin/webhooks/:id/replay - Re-process a stored webhook event
+export const replayWebhookEvent = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid webhook event ID' });
+    }
+
+    const event = await WebhookEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Webhook event not found' });
+    }
+    if (event.status === 'processing') {
+      return res.status(409).json({ message: 'Webhook event is currently being processed' });
+    }
+
+    const result = await webhookService.replay(event);
+    const replayed = result.toObject();
+    delete replayed.payload;
+
+    return res.json({
+      message:
+        result.status === 'processed'
+          ? 'Webhook event replayed successfully'
+          : 'Webhook event replay failed',
+      event: replayed,
+    });
+  } catch (error) {
+    console.error('Error replaying webhook event:', error);
+    return res.status(500).json({
+      message: 'Failed to replay webhook event',
+      error: error.message,
+    });
+  }
+};
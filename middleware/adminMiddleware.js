@@ -1,12 +0,0 @@
-import asyncHandler from 'express-async-handler';
-
-const adminOnly = asyncHandler(async (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403);
-    throw new Error('Not authorized as an admin');
-  }
-});
-
-export { adminOnly };
@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import asyncHandler from 'express-async-handler';
 import User from '../models/userModel.js';
+import sessionService from '../services/sessionService.js';
 
 const protect = asyncHandler(async (req, res, next) => {
   let token;
@@ -19,20 +20,40 @@ const protect = asyncHandler(async (req, res, next) => {
     throw new Error('Not authorized, no token');
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id).select('-password');
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    res.status(401);
+    throw new Error('Not authorized, token failed');
+  }
 
-    if (!req.user) {
+  // Tokens issued before sessions existed carry no sid and expire within 30 hours
+  if (decoded.sid) {
+    const session = await sessionService.findActive(decoded.sid);
+    if (!session || !session.user.equals(decoded.id)) {
       res.status(401);
-      throw new Error('User not found');
+      throw new Error('Not authorized, session has ended');
     }
+    req.sessionId = session._id;
+  }
 
-    next();
-  } catch (error) {
+  req.user = await User.findById(decoded.id).select('-password');
+  if (!req.user) {
     res.status(401);
-    throw new Error('Not authorized, token failed');
+    throw new Error('User not found');
+  }
+
+  next();
+});
+
+// Use after protect on actions that need a reachable email address
+const requireVerifiedEmail = asyncHandler(async (req, res, next) => {
+  if (!req.user.isEmailVerified()) {
+    res.status(403);
+    throw new Error('Please verify your email address first');
   }
+  next();
 });
 
-export { protect };
+export { protect, requireVerifiedEmail };
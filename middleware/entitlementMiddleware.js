@@ -0,0 +1,42 @@
+import asyncHandler from 'express-async-handler';
+import User from '../models/userModel.js';
+import entitlementService from '../services/entitlementService.js';
+
+// Attach the caller's plan entitlements as req.entitlements.
+// Works for logged-in requests and for signed stream URLs (req.streamUserId).
+const loadEntitlements = asyncHandler(async (req, res, next) => {
+  if (req.entitlements) {
+    return next();
+  }
+
+  const user =
+    req.user ||
+    (req.streamUserId ? await User.findById(req.streamUserId).select('-password') : null);
+  if (!user) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  req.entitlements = await entitlementService.getEntitlementsForUser(user);
+  next();
+});
+
+// Require a boolean plan feature, e.g. requireEntitlement('dynamicAudioFeatures')
+const requireEntitlement = (feature) => (req, res, next) => {
+  loadEntitlements(req, res, (err) => {
+    if (err) return next(err);
+    if (!req.entitlements[feature]) {
+      return res
+        .status(403)
+        .json(
+          entitlementService.denial(
+            req.entitlements,
+            feature,
+            'Your subscription plan does not include this feature',
+          ),
+        );
+    }
+    next();
+  });
+};
+
+export { loadEntitlements, requireEntitlement };
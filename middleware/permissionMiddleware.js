@@ -0,0 +1,26 @@
+import asyncHandler from 'express-async-handler';
+import permissionService from '../services/permissionService.js';
+import twoFactorService from '../services/twoFactorService.js';
+
+// Require every listed permission, e.g. requirePermission('music:write'). Use after protect.
+const requirePermission = (...permissions) =>
+  asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      res.status(401);
+      throw new Error('Not authorized, no token');
+    }
+
+    // TWO_FACTOR_REQUIRED_FOR_ADMINS: staff must enroll (POST /api/users/2fa/setup) first
+    if (!req.user.twoFactor?.enabled && (await twoFactorService.isRequired(req.user))) {
+      res.status(403);
+      throw new Error('Two-factor authentication is required for staff accounts');
+    }
+
+    if (!(await permissionService.hasPermission(req.user, ...permissions))) {
+      res.status(403);
+      throw new Error(`Not authorized: requires ${permissions.join(', ')}`);
+    }
+    next();
+  });
+
+export { requirePermission };
@@ -9,6 +9,15 @@ export const userOperationLimiter = rateLimit({
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
 });
 
+// Rate limiter for browsing/searching the music catalog (paginated, so clients page frequently)
+export const catalogOperationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300, // limit each IP to 300 requests per windowMs
+  message: 'Too many catalog requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // More lenient rate limiter for admin operations (like music creation)
 export const adminOperationLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -27,3 +36,11 @@ export const fileOperationLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiter for audio streaming (players issue many Range requests per track)
+export const streamOperationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 600, // limit each IP to 600 requests per windowMs
+  message: 'Too many streaming requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
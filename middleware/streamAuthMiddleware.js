@@ -0,0 +1,23 @@
+import { protect } from './authMiddleware.js';
+import { requireSubscriptionOrAdmin } from './subscriptionMiddleware.js';
+import { verifyStreamSignature } from '../utils/streamSignature.js';
+
+// Allow access to an audio stream either through a valid signed URL
+// (so native players can fetch without auth headers) or through a
+// logged-in user with an active subscription. Admins can always preview.
+const requireStreamAccess = (req, res, next) => {
+  if (req.query.signature) {
+    if (!verifyStreamSignature(req.params.id, req.query)) {
+      return res.status(403).json({ message: 'Stream URL is invalid or has expired' });
+    }
+    req.streamUserId = req.query.uid;
+    return next();
+  }
+
+  protect(req, res, (err) => {
+    if (err) return next(err);
+    requireSubscriptionOrAdmin(req, res, next);
+  });
+};
+
+export { requireStreamAccess };
@@ -1,5 +1,7 @@
 import asyncHandler from 'express-async-handler';
 import User from '../models/userModel.js';
+import dunningService from '../services/dunningService.js';
+import permissionService from '../services/permissionService.js';
 
 // Middleware to check if user has active subscription
 const requireSubscription = asyncHandler(async (req, res, next) => {
@@ -21,16 +23,43 @@ const requireSubscription = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // A paused subscription keeps access until the end of the period paid for before pausing
+  if (user.subscription.isPaused || user.subscription.status === 'paused') {
+    const accessUntil = user.subscription.pausedAccessUntil || user.subscription.currentPeriodEnd;
+    if (user.subscription.status === 'paused' || !accessUntil || new Date() > accessUntil) {
+      return res.status(403).json({
+        message: 'Your subscription is paused. Resume it to access this content',
+        subscriptionRequired: true,
+        paused: true,
+        resumesAt: user.subscription.resumesAt,
+      });
+    }
+    return next();
+  }
+
+  // A failed renewal payment keeps access until the dunning grace period ends
+  if (dunningService.isInGrace(user.subscription)) {
+    return next();
+  }
+
   // Check subscription status
   const subscriptionStatus = user.subscription.status;
-  const isValidStatus = subscriptionStatus === 'active' || subscriptionStatus === 'trialing';
+  let isValidStatus = subscriptionStatus === 'active' || subscriptionStatus === 'trialing';
+
+  // Store subscriptions are updated by notifications, which can arrive late or not at all, and
+  // code access is only marked ended by an hourly job, so the stored expiry date is authoritative
+  const billedByStripe = !user.subscription.provider || user.subscription.provider === 'stripe';
+  if (!billedByStripe && isValidStatus && user.subscription.currentPeriodEnd) {
+    isValidStatus = new Date() <= user.subscription.currentPeriodEnd;
+  }
 
   if (!isValidStatus) {
-    // Check if user has made a recent payment (within 7 days) as fallback
+    // Check if user has made a recent payment (within 7 days) as fallback. Only Stripe
+    // subscriptions get it: stores have their own grace periods and codes aren't paid for.
     const paymentDate = user.subscription.paymentDate;
     let hasRecentPayment = false;
 
-    if (paymentDate) {
+    if (paymentDate && billedByStripe) {
       const now = new Date();
       const daysSincePayment = (now - paymentDate) / (1000 * 60 * 60 * 24);
       hasRecentPayment = daysSincePayment < 7;
@@ -41,6 +70,7 @@ const requireSubscription = asyncHandler(async (req, res, next) => {
         message: 'Active subscription required to access this content',
         subscriptionRequired: true,
         currentStatus: subscriptionStatus,
+        paymentFailed: subscriptionStatus === 'past_due' || subscriptionStatus === 'unpaid',
       });
     }
   }
@@ -48,4 +78,13 @@ const requireSubscription = asyncHandler(async (req, res, next) => {
   next();
 });
 
-export { requireSubscription };
+// Roles with subscription:bypass (admins, and any role an admin grants it to) need no
+// subscription of their own
+const requireSubscriptionOrAdmin = asyncHandler(async (req, res, next) => {
+  if (await permissionService.hasPermission(req.user, 'subscription:bypass')) {
+    return next();
+  }
+  return requireSubscription(req, res, next);
+});
+
+export { requireSubscription, requireSubscriptionOrAdmin };
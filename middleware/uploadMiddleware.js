@@ -2,6 +2,7 @@
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import { extractAudioMetadata, EXTENSION_FORMATS } from '../utils/audioMetadata.js';
 
 // Ensure uploads directory exists
 const uploadsDir = 'uploads';
@@ -29,8 +30,24 @@ const storage = multer.diskStorage({
   },
 });
 
+// Reject unsupported audio extensions before the file is written to disk
+const fileFilter = (req, file, cb) => {
+  if (file.fieldname === 'file') {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!EXTENSION_FORMATS[ext]) {
+      return cb(
+        new Error(
+          `Unsupported audio file type "${ext || 'none'}". Allowed: ${Object.keys(EXTENSION_FORMATS).join(', ')}`,
+        ),
+      );
+    }
+  }
+  cb(null, true);
+};
+
 const upload = multer({
   storage: storage,
+  fileFilter,
   limits: {
     fileSize: 500 * 1024 * 1024, // 500MB limit
     files: 2, // Max 2 files (audio + thumbnail)
@@ -39,4 +56,25 @@ const upload = multer({
   { name: 'file', maxCount: 1 },
   { name: 'thumbnail', maxCount: 1 },
 ]);
+
+// Parse the uploaded audio file (duration, bitrate, tags, artwork) and reject
+// files whose contents don't match their extension. Runs after `upload`.
+export const validateAudioUpload = async (req, res, next) => {
+  const audioFile = req.files?.file?.[0];
+  if (!audioFile) {
+    return next();
+  }
+
+  try {
+    req.audioMetadata = await extractAudioMetadata(audioFile.path, audioFile.originalname);
+    next();
+  } catch (error) {
+    // Remove everything uploaded with this request so rejected files don't linger
+    for (const file of [audioFile, req.files?.thumbnail?.[0]]) {
+      if (file && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    }
+    return res.status(400).json({ message: 'Invalid audio file', error: error.message });
+  }
+};
+
 export default upload; // Change to default export
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Failed (or, for forgot-password, any) attempts at an auth action from one IP or against one
+// email address, with the backoff or lockout they earned (see loginProtectionService). Email
+// keys are tracked whether or not an account exists, so throttling reveals nothing about it.
+const authThrottleSchema = mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true, // "<action>:<scope>:<value>"
+    },
+    action: {
+      type: String,
+      enum: ['login', 'forgot_password', 'reset_password'],
+      required: true,
+    },
+    scope: {
+      type: String,
+      enum: ['account', 'ip'],
+      required: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedAt: {
+      type: Date,
+      default: null,
+    },
+    blockedUntil: {
+      type: Date,
+      default: null, // Backoff or lockout end
+    },
+    lockedAt: {
+      type: Date,
+      default: null, // Set when the failures reached the lockout threshold
+    },
+    expiresAt: {
+      type: Date,
+      required: true, // Counts are forgotten after a quiet period
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthThrottle = mongoose.model('AuthThrottle', authThrottleSchema);
+
+export default AuthThrottle;
@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+
+const redemptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  subscriptionId: {
+    type: String,
+    default: null, // Set once the Stripe subscription has been created
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A marketing discount: a Stripe coupon plus the customer-facing promotion code for it.
+// Discount terms are fixed once created because Stripe coupons can't be edited.
+const couponSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9]+$/, 'Code may only contain letters and digits'],
+    },
+
+    // Discount terms (exactly one of percentOff / amountOff)
+    percentOff: {
+      type: Number,
+      min: 1,
+      max: 100,
+      default: null,
+    },
+    amountOff: {
+      type: Number, // In dollars, like plan prices
+      min: 0.01,
+      default: null,
+    },
+    currency: {
+      type: String,
+      lowercase: true,
+      default: 'usd',
+    },
+    duration: {
+      type: String,
+      enum: ['once', 'repeating', 'forever'],
+      default: 'once',
+    },
+    durationInMonths: {
+      type: Number,
+      min: 1,
+      default: null, // Required when duration is "repeating"
+    },
+
+    // Redemption limits
+    maxRedemptions: {
+      type: Number,
+      min: 1,
+      default: null, // null means unlimited
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    singleUsePerUser: {
+      type: Boolean,
+      default: true,
+    },
+    appliesToPlans: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubscriptionPlan', // Empty means every plan
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    redemptionCount: {
+      type: Number,
+      default: 0,
+    },
+    redemptions: [redemptionSchema],
+
+    // Stripe Integration
+    stripeCouponId: {
+      type: String,
+      required: true,
+    },
+    stripePromotionCodeId: {
+      type: String,
+      required: true,
+    },
+
+    // Admin Tracking
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    lastModifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+couponSchema.index({ isActive: 1, createdAt: -1 });
+couponSchema.index({ 'redemptions.user': 1 });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
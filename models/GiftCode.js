@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+// A single-use code granting days of a subscription plan without payment: gift cards sold
+// to customers, or codes handed out by wellness partners. Codes are generated in batches.
+const giftCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    batchId: {
+      type: String,
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ['gift', 'partner'],
+      default: 'gift',
+    },
+    label: {
+      type: String, // e.g. the partner or campaign the batch was made for
+      trim: true,
+      default: null,
+    },
+
+    // What the code grants
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubscriptionPlan',
+      required: true,
+    },
+    days: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 3650,
+    },
+
+    expiresAt: {
+      type: Date,
+      default: null, // Last day to redeem; null means no deadline
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Redemption (set once, atomically, so a code can't be redeemed twice)
+    redeemedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    redeemedAt: {
+      type: Date,
+      default: null,
+    },
+    accessEndsAt: {
+      type: Date,
+      default: null, // Expiry of the access the redemption granted or extended
+    },
+
+    // Admin Tracking
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    lastModifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+giftCodeSchema.index({ batchId: 1, createdAt: -1 });
+giftCodeSchema.index({ redeemedBy: 1 });
+
+const GiftCode = mongoose.model('GiftCode', giftCodeSchema);
+
+export default GiftCode;
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+const mixLayerSchema = mongoose.Schema({
+  music: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Music',
+    required: true,
+  },
+  volume: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 1,
+  },
+  loop: {
+    type: Boolean,
+    default: false,
+  },
+  startOffset: {
+    type: Number, // Seconds from the start of the mix
+    min: 0,
+    default: 0,
+  },
+  fadeIn: {
+    type: Number, // Seconds
+    min: 0,
+    default: 0,
+  },
+  fadeOut: {
+    type: Number, // Seconds
+    min: 0,
+    default: 0,
+  },
+});
+
+const mixSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: '',
+    },
+    layers: {
+      type: [mixLayerSchema],
+      validate: {
+        validator: (layers) => layers.length >= 1 && layers.length <= 8,
+        message: 'A mix must have between 1 and 8 layers',
+      },
+    },
+    duration: {
+      type: Number, // Seconds; when null the mix ends with its longest non-looping layer
+      min: 1,
+      default: null,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Admin-curated mixes are visible to every subscriber; user mixes are private
+    isPublic: {
+      type: Boolean,
+      default: false,
+    },
+    render: {
+      status: {
+        type: String,
+        enum: ['none', 'rendering', 'ready', 'failed'],
+        default: 'none',
+      },
+      fileUrl: {
+        type: String,
+        default: null,
+      },
+      startedAt: {
+        type: Date,
+        default: null,
+      },
+      renderedAt: {
+        type: Date,
+        default: null,
+      },
+      error: {
+        type: String,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+mixSchema.index({ owner: 1, createdAt: -1 });
+mixSchema.index({ isPublic: 1, createdAt: -1 });
+
+const Mix = mongoose.model('Mix', mixSchema);
+
+export default Mix;
@@ -1,5 +1,23 @@
 import mongoose from 'mongoose';
 
+// Technical details extracted from the uploaded audio container
+const technicalSchema = mongoose.Schema(
+  {
+    format: { type: String, enum: ['mp3', 'wav', 'flac', 'm4a'] },
+    codec: { type: String },
+    duration: { type: Number }, // Exact duration in seconds
+    bitrate: { type: Number }, // Bits per second (average for VBR/lossless)
+    sampleRate: { type: Number },
+    channels: { type: Number },
+    bitsPerSample: { type: Number, default: null },
+    embeddedTitle: { type: String, default: null },
+    embeddedArtist: { type: String, default: null },
+    hasArtwork: { type: Boolean, default: false },
+    extractedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
 const musicSchema = mongoose.Schema(
   {
     title: {
@@ -41,6 +59,10 @@ const musicSchema = mongoose.Schema(
       maxlength: 1000,
       default: '',
     },
+    technical: {
+      type: technicalSchema,
+      default: null,
+    },
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   },
   {
@@ -48,6 +70,18 @@ const musicSchema = mongoose.Schema(
   },
 );
 
+// Full-text search over title, artist and description (GET /api/music?q=)
+musicSchema.index(
+  { title: 'text', artist: 'text', description: 'text' },
+  { name: 'music_text_search', weights: { title: 10, artist: 5, description: 1 } },
+);
+
+// Indexes for catalog filtering and sorting
+musicSchema.index({ category: 1, categoryType: 1, createdAt: -1 });
+musicSchema.index({ artist: 1 });
+musicSchema.index({ releaseDate: -1 });
+musicSchema.index({ createdAt: -1 });
+
 const Music = mongoose.model('Music', musicSchema);
 
 export default Music;
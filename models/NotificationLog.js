@@ -14,7 +14,19 @@ const notificationLogSchema = mongoose.Schema(
     },
     template: {
       type: String,
-      enum: ['7day_reminder', '3day_reminder', '1day_reminder', 'expired_reminder', 'grace_period'],
+      enum: [
+        '7day_reminder',
+        '3day_reminder',
+        '1day_reminder',
+        'expired_reminder',
+        'grace_period',
+        'subscription_paused',
+        'subscription_resumed',
+        'cancellation_withdrawn',
+        'payment_receipt',
+        'invoice_due',
+        'subscription_downgraded',
+      ],
       required: true,
     },
     status: {
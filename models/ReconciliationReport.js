@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+const driftSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    email: { type: String, default: null },
+    subscriptionId: { type: String, required: true },
+    field: { type: String, required: true },
+    stripeValue: { type: mongoose.Schema.Types.Mixed, default: null },
+    localValue: { type: mongoose.Schema.Types.Mixed, default: null },
+    fixed: { type: Boolean, default: false },
+  },
+  { _id: false },
+);
+
+const reconciliationReportSchema = mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ['scheduled', 'manual'],
+      required: true,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    dryRun: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    stats: {
+      subscriptionsChecked: { type: Number, default: 0 },
+      usersWithDrift: { type: Number, default: 0 },
+      driftCount: { type: Number, default: 0 },
+      fixedCount: { type: Number, default: 0 },
+    },
+    drifts: [driftSchema],
+    driftsTruncated: {
+      type: Boolean,
+      default: false,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+export default ReconciliationReport;
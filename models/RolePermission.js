@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Permission set an admin chose for a role, replacing the role's defaults (see
+// permissionService). The admin role always has every permission and is not stored.
+const rolePermissionSchema = mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: ['user', 'moderator'],
+      required: true,
+      unique: true,
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const RolePermission = mongoose.model('RolePermission', rolePermissionSchema);
+
+export default RolePermission;
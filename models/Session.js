@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// A signed-in device. Access tokens name their session, so revoking it logs the device out.
+// The refresh token rotates on every use; only hashes are stored.
+const sessionSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // Recently rotated-out refresh tokens: presenting one again means the token was copied
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true, // Refresh token expiry; extended on every refresh
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        'logout',
+        'revoked',
+        'revoked_all',
+        'reuse_detected',
+        'password_changed',
+        'two_factor_changed',
+        null,
+      ],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
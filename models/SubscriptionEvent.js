@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+// Append-only history of subscription changes and payments, for support (per-user history)
+// and admin analytics.
+// Subscription-level events carry a snapshot of the subscription after the change (status,
+// price, mrr) so the state at any date is the latest snapshot before it.
+const subscriptionEventSchema = mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        'subscription_created',
+        'trial_converted',
+        'status_changed',
+        'plan_changed',
+        'cancel_requested',
+        'cancel_withdrawn',
+        'paused',
+        'resumed',
+        'canceled',
+        'payment_succeeded',
+        'payment_failed',
+        'renewed',
+        'manual_fix', // Local status corrected via fix-status or confirm (Stripe unchanged)
+        'reconciled', // Stored state overwritten with Stripe's by the reconciliation job
+        'baseline', // Snapshot of a subscription that existed before events were recorded
+      ],
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ['webhook', 'user', 'admin', 'reconciliation', 'system'], // system: scheduled jobs
+      default: 'webhook',
+    },
+    // Who triggered a user or admin action
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    stripeCustomerId: { type: String, default: null },
+    subscriptionId: { type: String, default: null },
+    stripeEventId: { type: String, default: null },
+    // Stripe API request behind the change; pairs a user action with the webhook it causes
+    stripeRequestId: { type: String, default: null },
+    occurredAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Snapshot after the change (null on payment events)
+    status: { type: String, default: null },
+    previousStatus: { type: String, default: null },
+    priceId: { type: String, default: null },
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubscriptionPlan',
+      default: null,
+    },
+    planVersion: { type: Number, default: null },
+    interval: {
+      type: String,
+      enum: ['month', 'year', null],
+      default: null,
+    },
+    mrr: { type: Number, default: null }, // Monthly list price in cents
+
+    // Payments: amount charged in cents
+    amount: { type: Number, default: null },
+    currency: { type: String, default: null },
+    invoiceId: { type: String, default: null },
+    billingReason: { type: String, default: null },
+    periodEnd: { type: Date, default: null }, // Renewals: end of the newly paid period
+
+    // Stripe cancellation_details (feedback when given, otherwise the reason)
+    cancellationReason: { type: String, default: null },
+    cancellationComment: { type: String, default: null },
+
+    note: { type: String, default: null },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+// One event of each type per Stripe event, so webhook retries don't double count
+subscriptionEventSchema.index(
+  { stripeEventId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { stripeEventId: { $type: 'string' } } },
+);
+// A user action and the webhook for the same Stripe request are one entry
+subscriptionEventSchema.index(
+  { stripeRequestId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { stripeRequestId: { $type: 'string' } } },
+);
+subscriptionEventSchema.index({ type: 1, occurredAt: -1 });
+subscriptionEventSchema.index({ subscriptionId: 1, occurredAt: -1 });
+subscriptionEventSchema.index({ user: 1, occurredAt: -1 });
+
+const SubscriptionEvent = mongoose.model('SubscriptionEvent', subscriptionEventSchema);
+
+export default SubscriptionEvent;
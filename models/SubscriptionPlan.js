@@ -1,5 +1,25 @@
 import mongoose from 'mongoose';
 
+// Typed, enforceable plan limits. -1 means unlimited, 0 means not included.
+// Plans created before entitlements existed leave this null and have their
+// limits derived from the free-text feature fields (see entitlementService).
+const entitlementsSchema = new mongoose.Schema(
+  {
+    adSupported: { type: Boolean, default: false },
+    audioFormats: {
+      type: [{ type: String, enum: ['mp3', 'wav', 'flac', 'm4a'] }],
+      default: ['mp3', 'wav', 'flac', 'm4a'],
+    },
+    offlineDownloadsPerMonth: { type: Number, min: -1, default: 0 },
+    binauralTracks: { type: Number, min: -1, default: -1 },
+    soundscapeTracks: { type: Number, min: -1, default: -1 },
+    dynamicAudioFeatures: { type: Boolean, default: false },
+    maxMixes: { type: Number, min: -1, default: 0 },
+    customTrackRequests: { type: Boolean, default: false },
+  },
+  { _id: false },
+);
+
 const subscriptionPlanSchema = new mongoose.Schema(
   {
     // Basic Plan Information
@@ -57,6 +77,22 @@ const subscriptionPlanSchema = new mongoose.Schema(
       required: true,
       enum: ['Yes', 'No'],
     },
+    entitlements: {
+      type: entitlementsSchema,
+      default: null,
+    },
+
+    // Free trial applied to new subscriptions (0 = no trial)
+    trialDays: {
+      type: Number,
+      min: 0,
+      max: 730, // Stripe's maximum trial length
+      default: 0,
+      validate: {
+        validator: Number.isInteger,
+        message: 'trialDays must be a whole number',
+      },
+    },
 
     // Stripe Integration
     stripePriceId: {
@@ -78,6 +114,34 @@ const subscriptionPlanSchema = new mongoose.Schema(
       trim: true,
     },
 
+    // App Store and Google Play products that grant this plan. A Google Play product can
+    // offer several base plans (e.g. monthly and yearly); basePlanId null matches any.
+    storeProducts: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          enum: ['apple', 'google'],
+          required: true,
+        },
+        productId: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        basePlanId: {
+          type: String,
+          trim: true,
+          default: null,
+        },
+        interval: {
+          type: String,
+          enum: ['month', 'year'],
+          required: true,
+        },
+      },
+    ],
+
     // Plan Management
     isActive: {
       type: Boolean,
@@ -133,6 +197,7 @@ const subscriptionPlanSchema = new mongoose.Schema(
 // Indexes for better query performance
 subscriptionPlanSchema.index({ isActive: 1, effectiveDate: 1 });
 subscriptionPlanSchema.index({ stripePriceId: 1 });
+subscriptionPlanSchema.index({ 'storeProducts.productId': 1 });
 subscriptionPlanSchema.index({ title: 1 });
 
 // Virtual for formatted pricing display
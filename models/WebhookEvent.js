@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+const webhookEventSchema = mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      enum: ['stripe'],
+      default: 'stripe',
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['received', 'processing', 'processed', 'failed'],
+      default: 'received',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: null, // Set while a failed event is waiting for a background retry
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ type: 1, createdAt: -1 });
+webhookEventSchema.index({ createdAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
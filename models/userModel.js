@@ -18,6 +18,11 @@ const userSchema = mongoose.Schema(
       type: String,
       required: true,
     },
+    // false until the user opens the link from the verification email. Accounts created before
+    // verification existed have no value and are treated as verified.
+    emailVerified: {
+      type: Boolean,
+    },
     role: {
       type: String,
       enum: ['user', 'admin', 'moderator'], // Define allowed roles
@@ -31,7 +36,23 @@ const userSchema = mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    autoDebitUpdatedAt: {
+      type: Date,
+      default: null, // Set once the user has chosen an auto-debit preference
+    },
+    trialUsedAt: {
+      type: Date,
+      default: null, // Set when the user starts a free trial; trials are offered once
+    },
     subscription: {
+      // Who bills the subscription. For App Store and Google Play subscriptions, id is the
+      // original transaction ID or purchase token (see inAppPurchaseService); for access from a
+      // redeemed gift or partner code it is the code, and currentPeriodEnd is the expiry.
+      provider: {
+        type: String,
+        enum: ['stripe', 'apple', 'google', 'code'],
+        default: 'stripe',
+      },
       id: {
         type: String,
         default: null,
@@ -48,6 +69,15 @@ const userSchema = mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      autoDebitCancel: {
+        type: Boolean,
+        default: false, // cancelAtPeriodEnd was set because auto-debit is off (see renewalService)
+      },
+      collectionMethod: {
+        type: String,
+        enum: ['charge_automatically', 'send_invoice'],
+        default: 'charge_automatically', // send_invoice while auto-debit is off (see renewalService)
+      },
       paymentDate: {
         type: Date,
         default: null,
@@ -61,6 +91,91 @@ const userSchema = mongoose.Schema(
         enum: ['month', 'year'],
         default: 'month',
       },
+      priceId: {
+        type: String, // Stripe price ID; resolves the SubscriptionPlan and its entitlements
+        default: null,
+      },
+      planId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubscriptionPlan', // Plan granted without a price (redeemed codes)
+        default: null,
+      },
+      // Payment collection paused via Stripe pause_collection
+      isPaused: {
+        type: Boolean,
+        default: false,
+      },
+      pausedAt: {
+        type: Date,
+        default: null,
+      },
+      resumesAt: {
+        type: Date,
+        default: null, // null while paused means "until the user resumes"
+      },
+      pausedAccessUntil: {
+        type: Date,
+        default: null, // End of the period paid for before pausing; access stops after it
+      },
+      // Failed renewal payment: access continues until graceEndsAt (see dunningService)
+      dunning: {
+        startedAt: {
+          type: Date,
+          default: null,
+        },
+        graceEndsAt: {
+          type: Date,
+          default: null,
+        },
+        invoiceId: {
+          type: String,
+          default: null,
+        },
+        payLink: {
+          type: String,
+          default: null, // Stripe hosted invoice page
+        },
+        failedAttempts: {
+          type: Number,
+          default: 0,
+        },
+        remindersSent: {
+          type: Number,
+          default: 0,
+        },
+      },
+      // Signing time of the store data last applied, so out-of-order notifications are ignored
+      storeUpdatedAt: {
+        type: Date,
+        default: null,
+      },
+      // Plan change booked for the end of the current period (applied by Stripe)
+      scheduledChange: {
+        priceId: {
+          type: String,
+          default: null,
+        },
+        interval: {
+          type: String,
+          enum: ['month', 'year', null],
+          default: null,
+        },
+        effectiveAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    },
+    // Metered usage for plan limits (offline downloads reset every calendar month)
+    usage: {
+      downloads: {
+        type: Number,
+        default: 0,
+      },
+      downloadPeriodStart: {
+        type: Date,
+        default: null,
+      },
     },
     notificationPreferences: {
       emailReminders: {
@@ -95,6 +210,51 @@ const userSchema = mongoose.Schema(
         default: null,
       },
     },
+    // TOTP two-factor authentication (see twoFactorService). Secrets are stored encrypted and
+    // recovery codes hashed; none of them are loaded unless selected explicitly.
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        default: null, // Set by setup until the first code confirms it
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        default: [],
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        default: null, // Time step of the last accepted code, so a code works only once
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Email Verification Fields
+    emailVerificationToken: {
+      type: String,
+      default: null,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      default: null,
+    },
+    emailVerificationSentAt: {
+      type: Date,
+      default: null, // Throttles resends
+    },
     // Password Reset Fields
     resetPasswordToken: {
       type: String,
@@ -134,6 +294,25 @@ userSchema.methods.clearPasswordResetToken = function () {
   this.resetPasswordExpires = null;
 };
 
+// Method to generate email verification token
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  // Hash token and save to database
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+
+  // Set token expiration (24 hours)
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000;
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
+// Only an explicit false means unverified (see emailVerified)
+userSchema.methods.isEmailVerified = function () {
+  return this.emailVerified !== false;
+};
+
 // Encrypt password using bcrypt before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
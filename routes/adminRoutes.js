@@ -0,0 +1,131 @@
+import express from 'express';
+import {
+  getWebhookEvents,
+  getWebhookEventById,
+  replayWebhookEvent,
+} from '../controllers/webhookController.js';
+import {
+  getReconciliationReports,
+  getReconciliationReportById,
+  runReconciliation,
+} from '../controllers/reconciliationController.js';
+import {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deactivateCoupon,
+} from '../controllers/couponController.js';
+import { getDunningAccounts } from '../controllers/dunningController.js';
+import {
+  getGiftCodes,
+  getGiftCodeBatches,
+  createGiftCodes,
+  deactivateGiftCodeBatch,
+  deactivateGiftCode,
+} from '../controllers/giftCodeController.js';
+import {
+  getMrr,
+  getSubscriberMovement,
+  getTrialConversion,
+  getCancellationReasons,
+  getRevenueByPlan,
+  backfillSubscriptionEvents,
+} from '../controllers/analyticsController.js';
+import {
+  getRoles,
+  updateRolePermissions,
+  resetRolePermissions,
+} from '../controllers/roleController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { adminOperationLimiter } from '../middleware/rateLimiterMiddleware.js';
+
+const router = express.Router();
+
+// All admin routes require authentication; each one requires a permission
+router.use(adminOperationLimiter, protect);
+const billingRead = requirePermission('billing:read');
+const billingManage = requirePermission('billing:manage');
+const analyticsRead = requirePermission('analytics:read');
+const rolesManage = requirePermission('roles:manage');
+
+// GET /admin/webhooks - List stored webhook events
+router.get('/webhooks', billingRead, getWebhookEvents);
+
+// GET /admin/webhooks/:id - Get a webhook event including its payload
+router.get('/webhooks/:id', billingRead, getWebhookEventById);
+
+// POST /admin/webhooks/:id/replay - Re-process a webhook event
+router.post('/webhooks/:id/replay', billingManage, replayWebhookEvent);
+
+// GET /admin/reconciliation/reports - List Stripe reconciliation runs
+router.get('/reconciliation/reports', billingRead, getReconciliationReports);
+
+// GET /admin/reconciliation/reports/:id - Get a reconciliation drift report
+router.get('/reconciliation/reports/:id', billingRead, getReconciliationReportById);
+
+// POST /admin/reconciliation/run - Run reconciliation now (dry run unless dryRun is false)
+router.post('/reconciliation/run', billingManage, runReconciliation);
+
+// GET /admin/coupons - List coupons and promotion codes
+router.get('/coupons', billingRead, getCoupons);
+
+// GET /admin/coupons/:id - Get a coupon with its redemptions
+router.get('/coupons/:id', billingRead, getCouponById);
+
+// POST /admin/coupons - Create a coupon and promotion code in Stripe
+router.post('/coupons', billingManage, createCoupon);
+
+// PUT /admin/coupons/:id - Update a coupon's name, plans, per-user limit or status
+router.put('/coupons/:id', billingManage, updateCoupon);
+
+// DELETE /admin/coupons/:id - Deactivate a coupon
+router.delete('/coupons/:id', billingManage, deactivateCoupon);
+
+// GET /admin/gift-codes - List gift and partner codes
+router.get('/gift-codes', billingRead, getGiftCodes);
+
+// GET /admin/gift-codes/batches - Summarize code batches and their redemptions
+router.get('/gift-codes/batches', billingRead, getGiftCodeBatches);
+
+// POST /admin/gift-codes - Generate a batch of codes granting days of a plan
+router.post('/gift-codes', billingManage, createGiftCodes);
+
+// DELETE /admin/gift-codes/batches/:batchId - Deactivate a batch's unredeemed codes
+router.delete('/gift-codes/batches/:batchId', billingManage, deactivateGiftCodeBatch);
+
+// DELETE /admin/gift-codes/:id - Deactivate an unredeemed code
+router.delete('/gift-codes/:id', billingManage, deactivateGiftCode);
+
+// GET /admin/dunning - List accounts in a failed-payment grace period
+router.get('/dunning', billingRead, getDunningAccounts);
+
+// GET /admin/analytics/mrr - MRR, ARR and subscribers by plan and interval
+router.get('/analytics/mrr', analyticsRead, getMrr);
+
+// GET /admin/analytics/subscribers - New vs. churned subscribers per period
+router.get('/analytics/subscribers', analyticsRead, getSubscriberMovement);
+
+// GET /admin/analytics/trials - Trial conversion
+router.get('/analytics/trials', analyticsRead, getTrialConversion);
+
+// GET /admin/analytics/cancellations - Cancellation reasons
+router.get('/analytics/cancellations', analyticsRead, getCancellationReasons);
+
+// GET /admin/analytics/revenue - Revenue by plan version
+router.get('/analytics/revenue', analyticsRead, getRevenueByPlan);
+
+// POST /admin/analytics/backfill - Seed history for subscriptions that predate it
+router.post('/analytics/backfill', billingManage, backfillSubscriptionEvents);
+
+// GET /admin/roles - Roles with their permissions, and the permission catalog
+router.get('/roles', rolesManage, getRoles);
+
+// PUT /admin/roles/:role - Replace the user or moderator role's permissions
+router.put('/roles/:role', rolesManage, updateRolePermissions);
+
+// DELETE /admin/roles/:role - Restore a role's default permissions
+router.delete('/roles/:role', rolesManage, resetRolePermissions);
+
+export default router;
@@ -9,16 +9,17 @@ import {
   deleteCategoryType,
 } from '../controllers/categoryController.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { adminOnly } from '../middleware/adminMiddleware.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
 
 const router = express.Router();
+const musicWrite = requirePermission('music:write');
 
 router.get('/', getCategories); // Public access
-router.post('/create', protect, adminOnly, createCategory); // Admin only
-router.put('/:id', protect, adminOnly, updateCategory);
-router.delete('/:id', protect, adminOnly, deleteCategory);
-router.post('/:id/types', protect, adminOnly, addCategoryType);
-router.put('/:id/types/:typeId', protect, adminOnly, updateCategoryType);
-router.delete('/:id/types/:typeId', protect, adminOnly, deleteCategoryType);
+router.post('/create', protect, musicWrite, createCategory);
+router.put('/:id', protect, musicWrite, updateCategory);
+router.delete('/:id', protect, musicWrite, deleteCategory);
+router.post('/:id/types', protect, musicWrite, addCategoryType);
+router.put('/:id/types/:typeId', protect, musicWrite, updateCategoryType);
+router.delete('/:id/types/:typeId', protect, musicWrite, deleteCategoryType);
 
 export default router;
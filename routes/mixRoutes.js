@@ -0,0 +1,64 @@
+import express from 'express';
+import {
+  getMixes,
+  getMixById,
+  createMix,
+  updateMix,
+  deleteMix,
+  getMixManifest,
+  renderMix,
+  downloadMix,
+} from '../controllers/mixController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { requireSubscriptionOrAdmin } from '../middleware/subscriptionMiddleware.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { requireEntitlement } from '../middleware/entitlementMiddleware.js';
+import {
+  adminOperationLimiter,
+  userOperationLimiter,
+} from '../middleware/rateLimiterMiddleware.js';
+
+const router = express.Router();
+const mixFeature = requireEntitlement('dynamicAudioFeatures');
+
+// Admin routes
+router.post(
+  '/:id/render',
+  adminOperationLimiter,
+  protect,
+  requirePermission('mixes:manage'),
+  renderMix,
+);
+
+// User routes (requires authentication and active subscription; subscription:bypass skips it).
+// Listing, viewing and deleting stay available after a downgrade; creating, editing,
+// playing and downloading need the plan's dynamicAudioFeatures entitlement.
+router
+  .route('/')
+  .get(userOperationLimiter, protect, requireSubscriptionOrAdmin, getMixes)
+  .post(userOperationLimiter, protect, requireSubscriptionOrAdmin, mixFeature, createMix);
+
+router.get(
+  '/:id/manifest',
+  userOperationLimiter,
+  protect,
+  requireSubscriptionOrAdmin,
+  mixFeature,
+  getMixManifest,
+);
+router.get(
+  '/:id/download',
+  userOperationLimiter,
+  protect,
+  requireSubscriptionOrAdmin,
+  mixFeature,
+  downloadMix,
+);
+
+router
+  .route('/:id')
+  .get(userOperationLimiter, protect, requireSubscriptionOrAdmin, getMixById)
+  .put(userOperationLimiter, protect, requireSubscriptionOrAdmin, mixFeature, updateMix)
+  .delete(userOperationLimiter, protect, requireSubscriptionOrAdmin, deleteMix);
+
+export default router;
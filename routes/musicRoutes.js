@@ -7,27 +7,63 @@ import {
   getMusicByCategory,
   uploadFile,
   updateDatabaseUrls,
+  getStreamUrl,
+  streamMusic,
+  downloadMusic,
+  generateBinauralTrack,
 } from '../controllers/musicController.js';
 import { protect } from '../middleware/authMiddleware.js';
 import { requireSubscription } from '../middleware/subscriptionMiddleware.js';
-import { adminOnly } from '../middleware/adminMiddleware.js';
-import upload from '../middleware/uploadMiddleware.js';
-import { adminOperationLimiter, userOperationLimiter } from '../middleware/rateLimiterMiddleware.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { requireStreamAccess } from '../middleware/streamAuthMiddleware.js';
+import { loadEntitlements } from '../middleware/entitlementMiddleware.js';
+import upload, { validateAudioUpload } from '../middleware/uploadMiddleware.js';
+import {
+  adminOperationLimiter,
+  userOperationLimiter,
+  catalogOperationLimiter,
+  streamOperationLimiter,
+} from '../middleware/rateLimiterMiddleware.js';
 
 const router = express.Router();
+const musicRead = requirePermission('music:read');
+const musicWrite = requirePermission('music:write');
 
 // Admin routes (no subscription required)
-router.get('/admin', protect, adminOnly, getMusic);
-router.get('/admin/category/:categoryId', protect, adminOnly, getMusicByCategory);
+router.get('/admin', protect, musicRead, getMusic);
+router.get('/admin/category/:categoryId', protect, musicRead, getMusicByCategory);
 
 // Public/User routes (requires authentication and active subscription)
-router.get('/', userOperationLimiter, protect, requireSubscription, getMusic);
+router.get('/', catalogOperationLimiter, protect, requireSubscription, getMusic);
 router.get('/category/:categoryId', userOperationLimiter, protect, requireSubscription, getMusicByCategory);
+
+// Audio streaming (replaces public /uploads access for audio files)
+// Plan entitlements (audio formats, binaural/soundscape track limits) are enforced per track
+router.get(
+  '/:id/stream-url',
+  streamOperationLimiter,
+  protect,
+  requireSubscription,
+  loadEntitlements,
+  getStreamUrl,
+);
+router.get('/:id/stream', streamOperationLimiter, requireStreamAccess, streamMusic);
+
+// Offline download (counts against the plan's monthly download allowance)
+router.get(
+  '/:id/download',
+  userOperationLimiter,
+  protect,
+  requireSubscription,
+  loadEntitlements,
+  downloadMusic,
+);
+
 router.post(
   '/upload',
   adminOperationLimiter, // More lenient rate limit for admin operations
   protect,
-  adminOnly,
+  musicWrite,
   (req, res, next) => {
     upload(req, res, (err) => {
       if (err) {
@@ -36,17 +72,27 @@ router.post(
       next();
     });
   },
+  validateAudioUpload,
   uploadFile,
 ); // Bulk file upload
 
+// Synthesize a binaural beat track (pure JS, no external service)
+router.post(
+  '/generate/binaural',
+  adminOperationLimiter,
+  protect,
+  musicWrite,
+  generateBinauralTrack,
+);
+
 // Update database URLs from local to production
-router.post('/update-urls', adminOperationLimiter, protect, adminOnly, updateDatabaseUrls);
+router.post('/update-urls', adminOperationLimiter, protect, musicWrite, updateDatabaseUrls);
 
 router.post(
   '/create',
   adminOperationLimiter, // More lenient rate limit for admin operations
   protect,
-  adminOnly,
+  musicWrite,
   (req, res, next) => {
     upload(req, res, (err) => {
       if (err) {
@@ -55,15 +101,16 @@ router.post(
       next();
     });
   },
+  validateAudioUpload,
   createMusic,
 );
 router
   .route('/:id')
-  .delete(adminOperationLimiter, protect, adminOnly, deleteMusic)
+  .delete(adminOperationLimiter, protect, musicWrite, deleteMusic)
   .put(
     adminOperationLimiter, // More lenient rate limit for admin operations
     protect,
-    adminOnly,
+    musicWrite,
     (req, res, next) => {
       upload(req, res, (err) => {
         if (err) {
@@ -72,6 +119,7 @@ router
         next();
       });
     },
+    validateAudioUpload,
     updateMusic,
   );
 
@@ -10,6 +10,7 @@ import {
   registerFCMToken,
 } from '../controllers/notificationController.js';
 import { protect } from '../middleware/authMiddleware.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
 
 const router = express.Router();
 
@@ -20,9 +21,19 @@ router.get('/history', protect, getNotificationHistory);
 router.post('/test', protect, sendTestNotification);
 router.post('/register-token', protect, registerFCMToken);
 
-// Admin notification routes (you might want to add admin middleware)
-router.get('/stats', protect, getNotificationStats);
-router.post('/trigger-check', protect, triggerNotificationCheck);
-router.post('/send-manual', protect, sendManualNotification);
+// Admin notification routes
+router.get('/stats', protect, requirePermission('notifications:read'), getNotificationStats);
+router.post(
+  '/trigger-check',
+  protect,
+  requirePermission('notifications:send'),
+  triggerNotificationCheck,
+);
+router.post(
+  '/send-manual',
+  protect,
+  requirePermission('notifications:send'),
+  sendManualNotification,
+);
 
 export default router;
@@ -1,5 +1,10 @@
 import express from 'express';
 import { createSetupIntent } from '../controllers/subscriptionController.js';
+import {
+  getPaymentMethods,
+  setDefaultPaymentMethod,
+  detachPaymentMethod,
+} from '../controllers/paymentMethodController.js';
 import { protect } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -7,4 +12,13 @@ const router = express.Router();
 // POST /payments/setup-intent - Create SetupIntent for payment method collection
 router.post('/setup-intent', protect, createSetupIntent);
 
+// GET /payments/methods - List saved cards (brand, last4, expiry, default flag)
+router.get('/methods', protect, getPaymentMethods);
+
+// PUT /payments/methods/:id/default - Use a card for invoices and the subscription
+router.put('/methods/:id/default', protect, setDefaultPaymentMethod);
+
+// DELETE /payments/methods/:id - Detach a saved card
+router.delete('/methods/:id', protect, detachPaymentMethod);
+
 export default router;
@@ -11,41 +11,47 @@ import {
   setDefaultSubscriptionPlan,
 } from '../controllers/subscriptionPlanController.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { adminOnly } from '../middleware/adminMiddleware.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
 
 const router = express.Router();
+const plansManage = requirePermission('plans:manage');
 
 // Public routes (no authentication required)
 // GET /subscription-plans/current - Get current active pricing for new customers
 router.get('/current', getCurrentSubscriptionPlan);
 
-// Admin routes (require authentication and admin role)
+// Admin routes (require authentication and the plans:manage permission)
 // GET /admin/subscription-plans - Get all subscription plans
-router.get('/admin/subscription-plans', protect, adminOnly, getAllSubscriptionPlans);
+router.get('/admin/subscription-plans', protect, plansManage, getAllSubscriptionPlans);
 
 // GET /admin/subscription-plans/active - Get active subscription plans
-router.get('/admin/subscription-plans/active', protect, adminOnly, getActiveSubscriptionPlans);
+router.get('/admin/subscription-plans/active', protect, plansManage, getActiveSubscriptionPlans);
 
 // GET /admin/subscription-plans/:id - Get single subscription plan
-router.get('/admin/subscription-plans/:id', protect, adminOnly, getSubscriptionPlanById);
+router.get('/admin/subscription-plans/:id', protect, plansManage, getSubscriptionPlanById);
 
 // POST /admin/subscription-plans - Create new subscription plan
-router.post('/admin/subscription-plans', protect, adminOnly, createSubscriptionPlan);
+router.post('/admin/subscription-plans', protect, plansManage, createSubscriptionPlan);
 
 // PUT /admin/subscription-plans/:id - Update subscription plan
-router.put('/admin/subscription-plans/:id', protect, adminOnly, updateSubscriptionPlan);
+router.put('/admin/subscription-plans/:id', protect, plansManage, updateSubscriptionPlan);
 
 // DELETE /admin/subscription-plans/:id - Deactivate subscription plan (soft delete)
-router.delete('/admin/subscription-plans/:id', protect, adminOnly, deactivateSubscriptionPlan);
+router.delete('/admin/subscription-plans/:id', protect, plansManage, deactivateSubscriptionPlan);
 
 // PUT /admin/subscription-plans/:id/activate - Reactivate subscription plan
-router.put('/admin/subscription-plans/:id/activate', protect, adminOnly, activateSubscriptionPlan);
+router.put(
+  '/admin/subscription-plans/:id/activate',
+  protect,
+  plansManage,
+  activateSubscriptionPlan,
+);
 
 // PUT /admin/subscription-plans/:id/set-default - Set plan as default
 router.put(
   '/admin/subscription-plans/:id/set-default',
   protect,
-  adminOnly,
+  plansManage,
   setDefaultSubscriptionPlan,
 );
 
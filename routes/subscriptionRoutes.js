@@ -2,30 +2,67 @@ import express from 'express';
 import {
   createSubscription,
   getSubscriptionStatus,
+  getEntitlements,
+  getInvoices,
+  getInvoiceReceipt,
   cancelSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  previewPlanChange,
+  changePlan,
   confirmPayment,
   updateSubscriptionPaymentMethod,
   fixSubscriptionStatus,
   getSubscriptionDetails,
   createSetupIntent,
   setAutoDebit,
+  redeemCode,
 } from '../controllers/subscriptionController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import {
+  getAppleAccountToken,
+  verifyAppleSubscription,
+  verifyGoogleSubscription,
+  handleAppleNotification,
+  handleGoogleNotification,
+} from '../controllers/inAppPurchaseController.js';
+import { protect, requireVerifiedEmail } from '../middleware/authMiddleware.js';
+import { userOperationLimiter } from '../middleware/rateLimiterMiddleware.js';
 
 const router = express.Router();
 
 // POST /subscriptions/create
-router.post('/create', protect, createSubscription);
+router.post('/create', protect, requireVerifiedEmail, createSubscription);
 
 // GET /subscriptions/status - Get current subscription status
 router.get('/status', protect, getSubscriptionStatus);
 
+// GET /subscriptions/entitlements - Get the caller's plan entitlements and metered usage
+router.get('/entitlements', protect, getEntitlements);
+
+// GET /subscriptions/invoices - List the caller's invoices with plan titles
+router.get('/invoices', protect, getInvoices);
+
+// GET /subscriptions/invoices/:id/receipt - Download a receipt for a paid invoice (?format=html|pdf)
+router.get('/invoices/:id/receipt', protect, getInvoiceReceipt);
+
 // GET /subscriptions/details - Get detailed subscription information including countdown
 router.get('/details', protect, getSubscriptionDetails);
 
 // POST /subscriptions/cancel - Cancel subscription at period end
 router.post('/cancel', protect, cancelSubscription);
 
+// POST /subscriptions/pause - Pause billing, optionally until a resume date
+router.post('/pause', protect, pauseSubscription);
+
+// POST /subscriptions/resume - Withdraw a pending cancellation and/or end a pause
+router.post('/resume', protect, resumeSubscription);
+
+// GET /subscriptions/change-plan/preview - Preview the proration for a plan or interval change
+router.get('/change-plan/preview', protect, previewPlanChange);
+
+// POST /subscriptions/change-plan - Move to another plan or billing interval
+router.post('/change-plan', protect, changePlan);
+
 // POST /subscriptions/update-payment-method - Update subscription with payment method from payment intent
 router.post('/update-payment-method', protect, updateSubscriptionPaymentMethod);
 
@@ -38,6 +75,25 @@ router.post('/confirm', protect, confirmPayment);
 // PUT /subscriptions/auto-debit - Toggle auto-debit preference
 router.put('/auto-debit', protect, setAutoDebit);
 
+// POST /subscriptions/redeem - Redeem a gift or partner code for days of a plan
+router.post('/redeem', userOperationLimiter, protect, requireVerifiedEmail, redeemCode);
+
+// GET /subscriptions/apple/account-token - appAccountToken the app sets on StoreKit purchases
+router.get('/apple/account-token', protect, getAppleAccountToken);
+
+// POST /subscriptions/apple/verify - Link a StoreKit 2 subscription purchase to the caller
+router.post('/apple/verify', protect, requireVerifiedEmail, verifyAppleSubscription);
+
+// POST /subscriptions/google/verify - Link a Google Play subscription purchase to the caller
+router.post('/google/verify', protect, requireVerifiedEmail, verifyGoogleSubscription);
+
+// Store server notifications are verified by the controllers, not by user auth
+// POST /subscriptions/apple/notifications - App Store Server Notifications V2
+router.post('/apple/notifications', handleAppleNotification);
+
+// POST /subscriptions/google/notifications - Google Play real-time developer notifications
+router.post('/google/notifications', handleGoogleNotification);
+
 // Webhook is registered at app level in server.js before JSON body parsing
 
 export default router;
@@ -12,22 +12,25 @@ import {
   deleteTerms,
 } from '../controllers/termsController.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { adminOnly } from '../middleware/adminMiddleware.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
 
 const router = express.Router();
+const termsRead = requirePermission('terms:read');
+const termsWrite = requirePermission('terms:write');
+const termsPublish = requirePermission('terms:publish');
 
 // Public routes (for Flutter app and users)
 router.get('/active', getActiveTerms);
 router.get('/disclaimer/active', getActiveDisclaimer);
 
 // Admin routes (for web admin panel)
-router.get('/admin', protect, adminOnly, getAllTermsVersions);
-router.get('/admin/disclaimer', protect, adminOnly, getAllDisclaimerVersions);
-router.post('/admin', protect, adminOnly, createTerms);
-router.get('/admin/:id', protect, adminOnly, getTermsById);
-router.put('/admin/:id', protect, adminOnly, updateTerms);
-router.put('/admin/:id/publish', protect, adminOnly, publishTerms);
-router.put('/admin/:id/unpublish', protect, adminOnly, unpublishTerms);
-router.delete('/admin/:id', protect, adminOnly, deleteTerms);
+router.get('/admin', protect, termsRead, getAllTermsVersions);
+router.get('/admin/disclaimer', protect, termsRead, getAllDisclaimerVersions);
+router.post('/admin', protect, termsWrite, createTerms);
+router.get('/admin/:id', protect, termsRead, getTermsById);
+router.put('/admin/:id', protect, termsWrite, updateTerms);
+router.put('/admin/:id/publish', protect, termsPublish, publishTerms);
+router.put('/admin/:id/unpublish', protect, termsPublish, unpublishTerms);
+router.delete('/admin/:id', protect, termsWrite, deleteTerms);
 
 export default router;
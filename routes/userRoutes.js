@@ -1,31 +1,61 @@
 import express from 'express';
 import {
   authUser,
+  authUserTwoFactor,
   registerUser,
   logoutUser,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshSession,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   getUserProfile,
   updateUserProfile,
   forgotUserPassword,
   resetPassword,
   getAllUsers,
   getUserById,
+  unlockUser,
+  updateUserRole,
   deleteUser,
   getBillingStatus,
+  getSubscriptionHistory,
 } from '../controllers/userController.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { adminOnly } from '../middleware/adminMiddleware.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { userOperationLimiter } from '../middleware/rateLimiterMiddleware.js';
 
 const router = express.Router();
 
 router.post('/', registerUser);
-router.post('/auth', authUser);
+router.post('/auth', userOperationLimiter, authUser);
+router.post('/auth/2fa', userOperationLimiter, authUserTwoFactor); // Second login step
 router.post('/logout', logoutUser);
-router.post('/forgot-password', forgotUserPassword);
-router.post('/reset-password/:token', resetPassword);
+router.post('/verify-email/resend', userOperationLimiter, protect, resendVerificationEmail);
+router.post('/verify-email/:token', userOperationLimiter, verifyEmail);
+router.post('/refresh', refreshSession); // Rotate the refresh token, get a new access token
+router.route('/sessions').get(protect, getSessions).delete(protect, revokeAllSessions);
+router.delete('/sessions/:id', protect, revokeSession); // Sign out one device
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor); // Secret and otpauth:// URI for a QR code
+router.post('/2fa/enable', userOperationLimiter, protect, enableTwoFactor);
+router.post('/2fa/disable', userOperationLimiter, protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', userOperationLimiter, protect, regenerateRecoveryCodes);
+router.post('/forgot-password', userOperationLimiter, forgotUserPassword);
+router.post('/reset-password/:token', userOperationLimiter, resetPassword);
 router.route('/profile').get(protect, getUserProfile).put(protect, updateUserProfile);
 router.get('/billing', protect, getBillingStatus); // Get user billing status
-router.get('/:id', protect, adminOnly, getUserById); // Admin: Get specific user
-router.get('/', protect, adminOnly, getAllUsers); // Get all users
-router.delete('/:id', protect, adminOnly, deleteUser); // Delete a user
+router.get('/:id/subscription-history', protect, getSubscriptionHistory); // Own history, or any (users:read)
+router.post('/:id/unlock', protect, requirePermission('users:manage'), unlockUser); // Clear a login lockout
+router.put('/:id/role', protect, requirePermission('roles:manage'), updateUserRole); // Assign a role
+router.get('/:id', protect, requirePermission('users:read'), getUserById); // Get specific user
+router.get('/', protect, requirePermission('users:read'), getAllUsers); // Get all users
+router.delete('/:id', protect, requirePermission('users:manage'), deleteUser); // Delete a user
 
 export default router;
@@ -53,20 +53,29 @@ import cookieParser from 'cookie-parser';
 import { notFound, errorHandler } from './middleware/errorMiddleware.js';
 import categoryRoutes from './routes/categoryRoutes.js';
 import musicRoutes from './routes/musicRoutes.js';
+import mixRoutes from './routes/mixRoutes.js';
 import subscriptionRoutes from './routes/subscriptionRoutes.js';
 import subscriptionPlanRoutes from './routes/subscriptionPlanRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
 import notificationScheduler from './services/notificationScheduler.js';
+import webhookService from './services/webhookService.js';
+import reconciliationService from './services/reconciliationService.js';
+import dunningService from './services/dunningService.js';
+import giftCodeService from './services/giftCodeService.js';
 import cors from 'cors';
 import { handleWebhook } from './controllers/subscriptionController.js';
 import userRoutes from './routes/userRoutes.js';
 import termsRoutes from './routes/termsRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
 import helmet from 'helmet';
 import { fileOperationLimiter } from './middleware/rateLimiterMiddleware.js';
 
 const port = process.env.PORT || 5000;
 
+// Only images are public in /uploads; audio goes through the signed stream and download endpoints
+const PUBLIC_UPLOAD_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif'];
+
 connectDB();
 
 const app = express();
@@ -74,6 +83,21 @@ const app = express();
 // Security: Disable X-Powered-By header
 app.disable('x-powered-by');
 
+// req.ip keys rate limits and login throttling, so it must be the client's address rather than
+// the load balancer's. TRUST_PROXY is the number of proxy hops in front of the app (Render and
+// Heroku add one, the production default), "true"/"false", or a list of trusted addresses.
+const getTrustProxy = () => {
+  const value = process.env.TRUST_PROXY;
+  if (!value) {
+    return process.env.NODE_ENV === 'production' ? 1 : false;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+app.set('trust proxy', getTrustProxy());
+
 // Security: Use Helmet for various security headers with custom configuration
 app.use(
   helmet({
@@ -137,6 +161,7 @@ const corsOptions = {
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'HEAD'],
   allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Range', 'If-Range'],
+  exposedHeaders: ['Content-Range', 'Accept-Ranges', 'Content-Length', 'ETag'],
   optionsSuccessStatus: 200,
   preflightContinue: false,
 };
@@ -171,15 +196,27 @@ app.options('*', (req, res) => {
   res.sendStatus(200);
 });
 
-// Serve static uploads with proper CORS and range support for media
+// Serve static uploads (thumbnails/images) with proper CORS.
+// Audio files are no longer public - they go through GET /api/music/:id/stream
 app.use(
   '/uploads',
   cors(corsOptions),
   (req, res, next) => {
-    res.setHeader('Accept-Ranges', 'bytes');
+    // express.static decodes the path, so check the decoded one (e.g. "track.mp%33")
+    let filePath;
+    try {
+      filePath = decodeURIComponent(req.path);
+    } catch (error) {
+      return res.status(400).json({ message: 'Invalid file path' });
+    }
+    if (!PUBLIC_UPLOAD_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      return res.status(403).json({
+        message: 'Only images are served from /uploads. Stream audio via /api/music/:id/stream',
+      });
+    }
     next();
   },
-  express.static(path.join(__dirname, 'uploads')),
+  express.static(path.join(__dirname, 'uploads'), { index: false }),
 ); // Use path.join for cross-platform compatibility
 
 app.use((req, res, next) => {
@@ -194,11 +231,13 @@ app.use('/api/users', userRoutes);
 app.use('/api/categories', categoryRoutes);
 // Music routes - rate limiting applied per route in musicRoutes.js
 app.use('/api/music', musicRoutes);
+app.use('/api/mixes', mixRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/subscription-plans', subscriptionPlanRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/terms', termsRoutes);
+app.use('/api/admin', adminRoutes);
 
 if (process.env.NODE_ENV === 'production') {
   const __dirname = path.resolve();
@@ -220,4 +259,16 @@ app.use(errorHandler);
 // Start notification scheduler
 notificationScheduler.start();
 
+// Retry failed Stripe webhook events in the background
+webhookService.start();
+
+// Reconcile stored subscriptions with Stripe once a day
+reconciliationService.start();
+
+// Send failed-payment reminders and downgrade accounts whose grace period has ended
+dunningService.start();
+
+// End access from redeemed gift and partner codes once it runs out
+giftCodeService.start();
+
 app.listen(port, () => console.log(`Server started on port ${port}`));
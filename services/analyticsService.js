@@ -0,0 +1,239 @@
+import SubscriptionEvent from '../models/SubscriptionEvent.js';
+import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import { PAYING_STATUSES } from './subscriptionEventService.js';
+
+const PERIOD_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+
+// Latest snapshot of every subscription as of a date (payment events carry no snapshot)
+const latestSnapshots = (asOf) => [
+  { $match: { mrr: { $ne: null }, subscriptionId: { $ne: null }, occurredAt: { $lte: asOf } } },
+  { $sort: { subscriptionId: 1, occurredAt: -1, _id: -1 } },
+  {
+    $group: {
+      _id: '$subscriptionId',
+      status: { $first: '$status' },
+      plan: { $first: '$plan' },
+      interval: { $first: '$interval' },
+      mrr: { $first: '$mrr' },
+    },
+  },
+];
+
+const getPlanTitles = async (planIds) => {
+  const plans = await SubscriptionPlan.find({ _id: { $in: planIds.filter(Boolean) } }).select(
+    'title',
+  );
+  return Object.fromEntries(plans.map((plan) => [plan._id.toString(), plan.title]));
+};
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : 0);
+
+// All amounts are in cents
+class AnalyticsService {
+  // MRR/ARR and subscriber counts by plan and interval at a point in time
+  async getMrr(asOf = new Date()) {
+    const rows = await SubscriptionEvent.aggregate([
+      ...latestSnapshots(asOf),
+      { $match: { status: { $in: [...PAYING_STATUSES, 'trialing'] } } },
+      {
+        $group: {
+          _id: { plan: '$plan', interval: '$interval' },
+          subscribers: { $sum: { $cond: [{ $in: ['$status', PAYING_STATUSES] }, 1, 0] } },
+          trialing: { $sum: { $cond: [{ $eq: ['$status', 'trialing'] }, 1, 0] } },
+          mrr: { $sum: '$mrr' },
+        },
+      },
+    ]);
+
+    const titles = await getPlanTitles(rows.map((row) => row._id.plan));
+    const byPlan = rows
+      .map((row) => ({
+        planId: row._id.plan,
+        title: titles[row._id.plan?.toString()] || null,
+        interval: row._id.interval,
+        subscribers: row.subscribers,
+        trialing: row.trialing,
+        mrr: row.mrr,
+      }))
+      .sort((a, b) => b.mrr - a.mrr);
+
+    const mrr = byPlan.reduce((sum, row) => sum + row.mrr, 0);
+    return {
+      asOf,
+      mrr,
+      arr: mrr * 12,
+      subscribers: byPlan.reduce((sum, row) => sum + row.subscribers, 0),
+      trialing: byPlan.reduce((sum, row) => sum + row.trialing, 0),
+      byPlan,
+    };
+  }
+
+  // New paying subscribers vs. churned ones per day/week/month, plus the period churn rate.
+  // "New" is the move into active (from creation, a trial or an incomplete first payment);
+  // "churned" is the end of a subscription that was paying.
+  async getSubscriberMovement(from, to, groupBy = 'day') {
+    const period = { $dateToString: { format: PERIOD_FORMATS[groupBy], date: '$occurredAt' } };
+    const [rows, atStart] = await Promise.all([
+      SubscriptionEvent.aggregate([
+        {
+          $match: {
+            occurredAt: { $gte: from, $lt: to },
+            $or: [
+              { type: 'subscription_created', status: 'active' },
+              {
+                type: { $in: ['trial_converted', 'status_changed'] },
+                status: 'active',
+                previousStatus: { $in: ['trialing', 'incomplete'] },
+              },
+              { type: 'canceled', previousStatus: { $nin: ['trialing', 'incomplete'] } },
+            ],
+          },
+        },
+        {
+          $group: {
+            _id: period,
+            new: { $sum: { $cond: [{ $eq: ['$type', 'canceled'] }, 0, 1] } },
+            churned: { $sum: { $cond: [{ $eq: ['$type', 'canceled'] }, 1, 0] } },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+      this.getMrr(from),
+    ]);
+
+    const periods = rows.map((row) => ({ period: row._id, new: row.new, churned: row.churned }));
+    const totals = periods.reduce(
+      (sum, row) => ({ new: sum.new + row.new, churned: sum.churned + row.churned }),
+      { new: 0, churned: 0 },
+    );
+
+    return {
+      from,
+      to,
+      groupBy,
+      subscribersAtStart: atStart.subscribers,
+      ...totals,
+      churnRate: rate(totals.churned, atStart.subscribers),
+      periods,
+    };
+  }
+
+  // Outcome of the trials started in the range
+  async getTrialConversion(from, to) {
+    const rows = await SubscriptionEvent.aggregate([
+      {
+        $match: {
+          type: 'subscription_created',
+          status: 'trialing',
+          occurredAt: { $gte: from, $lt: to },
+        },
+      },
+      {
+        $lookup: {
+          from: SubscriptionEvent.collection.name,
+          let: { subscriptionId: '$subscriptionId' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $eq: ['$subscriptionId', '$$subscriptionId'] },
+                    { $in: ['$type', ['trial_converted', 'canceled']] },
+                  ],
+                },
+              },
+            },
+            { $sort: { occurredAt: 1 } },
+            { $limit: 1 },
+            { $project: { type: 1 } },
+          ],
+          as: 'outcome',
+        },
+      },
+      {
+        $group: {
+          _id: { $ifNull: [{ $arrayElemAt: ['$outcome.type', 0] }, 'pending'] },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const counts = Object.fromEntries(rows.map((row) => [row._id, row.count]));
+    const converted = counts.trial_converted || 0;
+    const canceled = counts.canceled || 0;
+    return {
+      from,
+      to,
+      trialsStarted: converted + canceled + (counts.pending || 0),
+      converted,
+      canceled,
+      pending: counts.pending || 0,
+      // Of the trials that have ended
+      conversionRate: rate(converted, converted + canceled),
+    };
+  }
+
+  // Reasons given when cancellations were requested and when subscriptions ended
+  async getCancellationReasons(from, to) {
+    const rows = await SubscriptionEvent.aggregate([
+      {
+        $match: {
+          type: { $in: ['cancel_requested', 'canceled'] },
+          occurredAt: { $gte: from, $lt: to },
+        },
+      },
+      {
+        $group: {
+          _id: { type: '$type', reason: { $ifNull: ['$cancellationReason', 'unspecified'] } },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { count: -1 } },
+    ]);
+
+    const byType = (type) =>
+      rows
+        .filter((row) => row._id.type === type)
+        .map((row) => ({ reason: row._id.reason, count: row.count }));
+    return { from, to, requested: byType('cancel_requested'), canceled: byType('canceled') };
+  }
+
+  // Collected subscription revenue per plan and plan version
+  async getRevenueByPlan(from, to) {
+    const rows = await SubscriptionEvent.aggregate([
+      {
+        $match: {
+          type: 'payment_succeeded',
+          amount: { $gt: 0 },
+          occurredAt: { $gte: from, $lt: to },
+        },
+      },
+      {
+        $group: {
+          _id: { plan: '$plan', version: '$planVersion' },
+          revenue: { $sum: '$amount' },
+          payments: { $sum: 1 },
+        },
+      },
+      { $sort: { revenue: -1 } },
+    ]);
+
+    const titles = await getPlanTitles(rows.map((row) => row._id.plan));
+    const byPlan = rows.map((row) => ({
+      planId: row._id.plan,
+      title: titles[row._id.plan?.toString()] || null,
+      version: row._id.version,
+      revenue: row.revenue,
+      payments: row.payments,
+    }));
+
+    return {
+      from,
+      to,
+      revenue: byPlan.reduce((sum, row) => sum + row.revenue, 0),
+      byPlan,
+    };
+  }
+}
+
+export default new AnalyticsService();
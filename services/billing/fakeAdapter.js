@@ -0,0 +1,1014 @@
+import crypto from 'crypto';
+
+const DAY_SECONDS = 24 * 60 * 60;
+const INTERVAL_DAYS = { day: 1, week: 7, month: 30, year: 365 };
+
+// Test cards: the outcome decides what happens when the card is charged
+const CARD_OUTCOMES = ['succeeded', 'declined', 'requires_action'];
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const billingError = (message, code, statusCode = 400, type = 'invalid_request_error') =>
+  Object.assign(new Error(message), { code, statusCode, type });
+
+const notFound = (resource, id) =>
+  billingError(`No such ${resource}: '${id}'`, 'resource_missing', 404);
+
+// Callers get copies, like API responses, with the request ID Stripe exposes as lastResponse
+const respond = (object, requestId) => {
+  const copy = structuredClone(object);
+  Object.defineProperty(copy, 'lastResponse', {
+    value: { requestId, statusCode: 200 },
+    enumerable: false,
+  });
+  return copy;
+};
+
+// In-memory billing provider for tests and local development (BILLING_PROVIDER=fake).
+// Returns Stripe-shaped objects and records Stripe-shaped webhook events, so the code under
+// test runs unchanged. Cards are created with an outcome (see createTestCard) and
+// simulateRenewal() drives the time-based flows: renewals, trial ends and period-end changes.
+class FakeAdapter {
+  constructor({ webhookSecret = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_fake' } = {}) {
+    this.name = 'fake';
+    this.webhookSecret = webhookSecret;
+    this.reset();
+  }
+
+  // Forget every object and event
+  reset() {
+    this.counter = 0;
+    this.customers = new Map();
+    this.paymentMethods = new Map();
+    this.setupIntents = new Map();
+    this.products = new Map();
+    this.prices = new Map();
+    this.subscriptions = new Map();
+    this.invoices = new Map();
+    this.paymentIntents = new Map();
+    this.charges = new Map();
+    this.promotions = new Map();
+    this.events = [];
+    this.listeners = [];
+    this.requestId = null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  nextId(prefix) {
+    this.counter += 1;
+    return `${prefix}_fake${String(this.counter).padStart(6, '0')}`;
+  }
+
+  // Each operation is one "API request"; events it causes carry the same request ID
+  startRequest() {
+    this.requestId = this.nextId('req');
+    return this.requestId;
+  }
+
+  // Events
+
+  // Call listener(event) for every event from now on. Returns a function that unsubscribes.
+  onEvent(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((current) => current !== listener);
+    };
+  }
+
+  emit(type, object, previousAttributes = null) {
+    const event = {
+      id: this.nextId('evt'),
+      object: 'event',
+      type,
+      created: now(),
+      livemode: false,
+      data: {
+        object: structuredClone(object),
+        ...(previousAttributes && { previous_attributes: structuredClone(previousAttributes) }),
+      },
+      request: { id: this.requestId },
+    };
+    this.events.push(event);
+    for (const listener of this.listeners) {
+      listener(event);
+    }
+    return event;
+  }
+
+  // Sign a payload the way verifyWebhook expects. Returns { body, signature }.
+  signWebhook(event) {
+    const body = JSON.stringify(event);
+    const timestamp = now();
+    const digest = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+    return { body, signature: `t=${timestamp},v1=${digest}` };
+  }
+
+  verifyWebhook(rawBody, signature) {
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+    const parts = Object.fromEntries(
+      String(signature || '')
+        .split(',')
+        .map((part) => part.split('=')),
+    );
+    const expected = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${parts.t}.${body}`)
+      .digest('hex');
+
+    const given = Buffer.from(parts.v1 || '', 'utf8');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+      throw billingError('No signatures found matching the expected signature', null, 400);
+    }
+    return JSON.parse(body);
+  }
+
+  // Test helpers
+
+  // A card that will succeed, be declined, or need 3-D Secure when charged
+  createTestCard({
+    outcome = 'succeeded',
+    brand = 'visa',
+    last4 = '4242',
+    customerId = null,
+  } = {}) {
+    if (!CARD_OUTCOMES.includes(outcome)) {
+      throw new Error(`outcome must be one of: ${CARD_OUTCOMES.join(', ')}`);
+    }
+    const paymentMethod = {
+      id: this.nextId('pm'),
+      object: 'payment_method',
+      type: 'card',
+      customer: customerId,
+      card: { brand, last4, exp_month: 12, exp_year: new Date().getFullYear() + 3 },
+      created: now(),
+      metadata: { fake_outcome: outcome },
+    };
+    this.paymentMethods.set(paymentMethod.id, paymentMethod);
+    return structuredClone(paymentMethod);
+  }
+
+  // Jump to the end of the current period: a pending cancellation takes effect, otherwise a
+  // trial converts or the subscription renews and the next period is charged (applying any
+  // scheduled price change). Returns the subscription afterwards.
+  simulateRenewal(subscriptionId) {
+    this.requestId = null; // Time passing isn't an API request
+    const subscription = this.getSubscription(subscriptionId);
+    if (subscription.status === 'canceled') {
+      throw new Error('Subscription has ended');
+    }
+
+    if (subscription.cancel_at_period_end) {
+      this.endSubscription(subscription);
+      return structuredClone(subscription);
+    }
+
+    const previous = {
+      status: subscription.status,
+      current_period_start: subscription.current_period_start,
+      current_period_end: subscription.current_period_end,
+    };
+
+    if (subscription.scheduledPriceId) {
+      previous.items = structuredClone(subscription.items);
+      this.setPrice(subscription, this.getPrice(subscription.scheduledPriceId));
+      subscription.scheduledPriceId = null;
+      subscription.schedule = null;
+    }
+
+    this.startPeriod(subscription, subscription.current_period_end);
+
+    if (subscription.pause_collection) {
+      this.emit('customer.subscription.updated', subscription, previous);
+      return structuredClone(subscription);
+    }
+
+    // Stripe also bills the first period after a trial as a cycle invoice
+    const invoice = this.createInvoice(subscription, {
+      billingReason: 'subscription_cycle',
+      amount: this.getPrice(subscription.items.data[0].price.id).unit_amount,
+    });
+    this.finalize(invoice);
+
+    if (subscription.collection_method === 'send_invoice') {
+      subscription.status = subscription.status === 'trialing' ? 'active' : subscription.status;
+    } else {
+      const paid = this.chargeInvoice(invoice, this.getDefaultPaymentMethodId(subscription));
+      subscription.status = paid ? 'active' : 'past_due';
+    }
+
+    this.emit('customer.subscription.updated', subscription, previous);
+    return structuredClone(subscription);
+  }
+
+  // Let the first invoice of an incomplete subscription go unpaid past Stripe's 23 hours
+  simulateFirstPaymentExpiry(subscriptionId) {
+    this.requestId = null;
+    const subscription = this.getSubscription(subscriptionId);
+    if (subscription.status !== 'incomplete') {
+      throw new Error('Only incomplete subscriptions expire');
+    }
+
+    subscription.status = 'incomplete_expired';
+    this.emit('customer.subscription.updated', subscription, { status: 'incomplete' });
+    return structuredClone(subscription);
+  }
+
+  // Lookups
+
+  get(map, resource, id) {
+    const object = map.get(id);
+    if (!object) throw notFound(resource, id);
+    return object;
+  }
+
+  getCustomer(id) {
+    return this.get(this.customers, 'customer', id);
+  }
+
+  getSubscription(id) {
+    return this.get(this.subscriptions, 'subscription', id);
+  }
+
+  getPrice(id) {
+    return this.get(this.prices, 'price', id);
+  }
+
+  getInvoice(id) {
+    return this.get(this.invoices, 'invoice', id);
+  }
+
+  getPaymentIntent(id) {
+    return this.get(this.paymentIntents, 'payment_intent', id);
+  }
+
+  getDefaultPaymentMethodId(subscription) {
+    return (
+      subscription.default_payment_method ||
+      this.customers.get(subscription.customer)?.invoice_settings.default_payment_method ||
+      null
+    );
+  }
+
+  // Customers
+
+  async createCustomer({ email, name, metadata = {} }) {
+    const requestId = this.startRequest();
+    const customer = {
+      id: this.nextId('cus'),
+      object: 'customer',
+      email,
+      name,
+      metadata,
+      invoice_settings: { default_payment_method: null },
+      created: now(),
+    };
+    this.customers.set(customer.id, customer);
+    this.emit('customer.created', customer);
+    return respond(customer, requestId);
+  }
+
+  async retrieveCustomer(customerId) {
+    return respond(this.getCustomer(customerId), this.startRequest());
+  }
+
+  async setDefaultPaymentMethod(customerId, paymentMethodId) {
+    const requestId = this.startRequest();
+    const customer = this.getCustomer(customerId);
+    customer.invoice_settings.default_payment_method = paymentMethodId;
+    this.emit('customer.updated', customer);
+    return respond(customer, requestId);
+  }
+
+  // Payment methods
+
+  async listPaymentMethods(customerId, { limit = 100 } = {}) {
+    const requestId = this.startRequest();
+    return [...this.paymentMethods.values()]
+      .filter((paymentMethod) => paymentMethod.customer === customerId)
+      .sort((a, b) => b.created - a.created)
+      .slice(0, limit)
+      .map((paymentMethod) => respond(paymentMethod, requestId));
+  }
+
+  async retrievePaymentMethod(paymentMethodId) {
+    const requestId = this.startRequest();
+    return respond(this.get(this.paymentMethods, 'payment_method', paymentMethodId), requestId);
+  }
+
+  async attachPaymentMethod(paymentMethodId, customerId) {
+    const requestId = this.startRequest();
+    const paymentMethod = this.get(this.paymentMethods, 'payment_method', paymentMethodId);
+    this.getCustomer(customerId);
+    if (paymentMethod.customer && paymentMethod.customer !== customerId) {
+      throw billingError(
+        'The payment method is attached to another customer',
+        'resource_already_exists',
+      );
+    }
+    paymentMethod.customer = customerId;
+    this.emit('payment_method.attached', paymentMethod);
+    return respond(paymentMethod, requestId);
+  }
+
+  async detachPaymentMethod(paymentMethodId) {
+    const requestId = this.startRequest();
+    const paymentMethod = this.get(this.paymentMethods, 'payment_method', paymentMethodId);
+    const customer = this.customers.get(paymentMethod.customer);
+    if (customer?.invoice_settings.default_payment_method === paymentMethodId) {
+      customer.invoice_settings.default_payment_method = null;
+    }
+    paymentMethod.customer = null;
+    this.emit('payment_method.detached', paymentMethod);
+    return respond(paymentMethod, requestId);
+  }
+
+  async createSetupIntent(customerId, { metadata = {} } = {}) {
+    const requestId = this.startRequest();
+    this.getCustomer(customerId);
+    const setupIntent = this.newSetupIntent(customerId, metadata);
+    return respond(setupIntent, requestId);
+  }
+
+  newSetupIntent(customerId, metadata = {}) {
+    const id = this.nextId('seti');
+    const setupIntent = {
+      id,
+      object: 'setup_intent',
+      customer: customerId,
+      status: 'requires_payment_method',
+      usage: 'off_session',
+      client_secret: `${id}_secret_fake`,
+      metadata,
+    };
+    this.setupIntents.set(id, setupIntent);
+    return setupIntent;
+  }
+
+  // Subscriptions
+
+  setPrice(subscription, price) {
+    const item = subscription.items.data[0];
+    item.price = structuredClone(price);
+    item.plan = { id: price.id, object: 'plan', interval: price.recurring.interval };
+  }
+
+  startPeriod(subscription, start) {
+    const price = this.getPrice(subscription.items.data[0].price.id);
+    const days = INTERVAL_DAYS[price.recurring.interval] * (price.recurring.interval_count || 1);
+    subscription.current_period_start = start;
+    subscription.current_period_end = start + days * DAY_SECONDS;
+    Object.assign(subscription.items.data[0], {
+      current_period_start: subscription.current_period_start,
+      current_period_end: subscription.current_period_end,
+    });
+  }
+
+  discountedAmount(amount, promotionCodeId) {
+    const promotion = promotionCodeId && this.promotions.get(promotionCodeId);
+    if (!promotion) return amount;
+    if (promotion.percentOff) return Math.round(amount * (1 - promotion.percentOff / 100));
+    return Math.max(0, amount - promotion.amountOff);
+  }
+
+  async createSubscription({
+    customerId,
+    priceId,
+    trialDays = 0,
+    promotionCodeId = null,
+    metadata = {},
+  }) {
+    const requestId = this.startRequest();
+    this.getCustomer(customerId);
+    const price = this.getPrice(priceId);
+    if (promotionCodeId) {
+      const promotion = this.get(this.promotions, 'promotion_code', promotionCodeId);
+      if (!promotion.active) {
+        throw billingError('This promotion code is inactive', 'promotion_code_inactive');
+      }
+    }
+
+    const created = now();
+    const subscription = {
+      id: this.nextId('sub'),
+      object: 'subscription',
+      customer: customerId,
+      status: 'incomplete',
+      items: { object: 'list', data: [{ id: this.nextId('si'), quantity: 1 }] },
+      cancel_at_period_end: false,
+      cancellation_details: { reason: null, feedback: null, comment: null },
+      canceled_at: null,
+      pause_collection: null,
+      collection_method: 'charge_automatically',
+      days_until_due: null,
+      default_payment_method: null,
+      discounts: promotionCodeId ? [promotionCodeId] : [],
+      latest_invoice: null,
+      pending_setup_intent: null,
+      trial_end: null,
+      schedule: null,
+      metadata,
+      created,
+    };
+    this.setPrice(subscription, price);
+    this.startPeriod(subscription, created);
+
+    const amountDue = this.discountedAmount(price.unit_amount, promotionCodeId);
+    if (trialDays) {
+      subscription.status = 'trialing';
+      subscription.trial_end = created + trialDays * DAY_SECONDS;
+      subscription.current_period_end = subscription.trial_end;
+      subscription.items.data[0].current_period_end = subscription.trial_end;
+    }
+    this.subscriptions.set(subscription.id, subscription);
+
+    const invoice = this.createInvoice(subscription, {
+      billingReason: 'subscription_create',
+      amount: trialDays ? 0 : amountDue,
+    });
+    this.finalize(invoice);
+    if (invoice.amount_due === 0) {
+      // Nothing to pay now: save a card for later instead
+      this.markPaid(invoice);
+      subscription.status = trialDays ? 'trialing' : 'active';
+      subscription.pending_setup_intent = this.newSetupIntent(customerId).id;
+    }
+
+    this.emit('customer.subscription.created', subscription);
+    return respond(
+      this.expandSubscription(subscription, [
+        'latest_invoice.payment_intent',
+        'pending_setup_intent',
+      ]),
+      requestId,
+    );
+  }
+
+  expandSubscription(subscription, expand = []) {
+    const copy = structuredClone(subscription);
+    if (expand.some((path) => path.startsWith('latest_invoice')) && copy.latest_invoice) {
+      copy.latest_invoice = this.expandInvoice(
+        this.invoices.get(copy.latest_invoice),
+        expand.includes('latest_invoice.payment_intent') ? ['payment_intent'] : [],
+      );
+    }
+    if (expand.includes('pending_setup_intent') && copy.pending_setup_intent) {
+      copy.pending_setup_intent = structuredClone(this.setupIntents.get(copy.pending_setup_intent));
+    }
+    return copy;
+  }
+
+  async retrieveSubscription(subscriptionId, { expand = [] } = {}) {
+    const requestId = this.startRequest();
+    return respond(
+      this.expandSubscription(this.getSubscription(subscriptionId), expand),
+      requestId,
+    );
+  }
+
+  async *listSubscriptions() {
+    const requestId = this.startRequest();
+    for (const subscription of [...this.subscriptions.values()]) {
+      yield respond(subscription, requestId);
+    }
+  }
+
+  // Supports the update parameters the app uses: cancel_at_period_end, cancellation_details,
+  // pause_collection ('' clears it), default_payment_method, collection_method,
+  // days_until_due, metadata ('' removes a key) and items (price change)
+  async updateSubscription(subscriptionId, changes) {
+    const requestId = this.startRequest();
+    const subscription = this.getSubscription(subscriptionId);
+    if (subscription.status === 'canceled') {
+      throw billingError(
+        'A canceled subscription can only update its cancellation_details and metadata',
+        'subscription_canceled',
+      );
+    }
+    const previous = this.applyChanges(subscription, changes);
+    if (Object.keys(previous).length) {
+      this.emit('customer.subscription.updated', subscription, previous);
+    }
+    return respond(subscription, requestId);
+  }
+
+  applyChanges(subscription, changes) {
+    const previous = {};
+    const set = (field, value) => {
+      if (JSON.stringify(subscription[field]) === JSON.stringify(value)) return;
+      previous[field] = structuredClone(subscription[field]);
+      subscription[field] = value;
+    };
+
+    if ('cancel_at_period_end' in changes)
+      set('cancel_at_period_end', changes.cancel_at_period_end);
+    if (changes.cancellation_details) {
+      set('cancellation_details', {
+        ...subscription.cancellation_details,
+        ...changes.cancellation_details,
+      });
+    }
+    if ('pause_collection' in changes) set('pause_collection', changes.pause_collection || null);
+    if (changes.default_payment_method)
+      set('default_payment_method', changes.default_payment_method);
+    if (changes.collection_method) set('collection_method', changes.collection_method);
+    if ('days_until_due' in changes) set('days_until_due', changes.days_until_due);
+    if (changes.metadata) {
+      const metadata = { ...subscription.metadata };
+      for (const [key, value] of Object.entries(changes.metadata)) {
+        if (value === '') delete metadata[key];
+        else metadata[key] = value;
+      }
+      set('metadata', metadata);
+    }
+    if (changes.items?.[0]?.price) {
+      const price = this.getPrice(changes.items[0].price);
+      if (price.id !== subscription.items.data[0].price.id) {
+        previous.items = structuredClone(subscription.items);
+        const oldAmount = subscription.items.data[0].price.unit_amount;
+        this.setPrice(subscription, price);
+        if (changes.proration_behavior === 'always_invoice') {
+          this.invoiceProration(subscription, price.unit_amount - oldAmount);
+        }
+      }
+    }
+
+    // A first payment made with a newly saved card completes the subscription
+    if (subscription.status === 'incomplete' && changes.default_payment_method) {
+      const invoice = this.invoices.get(subscription.latest_invoice);
+      if (
+        invoice?.status === 'open' &&
+        this.chargeInvoice(invoice, changes.default_payment_method)
+      ) {
+        previous.status = 'incomplete';
+        subscription.status = 'active';
+      }
+    }
+    return previous;
+  }
+
+  async cancel(subscriptionId, { atPeriodEnd = false, reason = null, comment = null } = {}) {
+    const details = { ...(reason && { feedback: reason }), ...(comment && { comment }) };
+    if (atPeriodEnd) {
+      return this.updateSubscription(subscriptionId, {
+        cancel_at_period_end: true,
+        ...(Object.keys(details).length && { cancellation_details: details }),
+      });
+    }
+
+    const requestId = this.startRequest();
+    const subscription = this.getSubscription(subscriptionId);
+    if (subscription.status === 'canceled') {
+      throw billingError('This subscription has already been canceled', 'resource_missing', 404);
+    }
+    Object.assign(subscription.cancellation_details, details, { reason: 'cancellation_requested' });
+    this.endSubscription(subscription);
+    return respond(subscription, requestId);
+  }
+
+  endSubscription(subscription) {
+    subscription.status = 'canceled';
+    subscription.canceled_at = now();
+    subscription.ended_at = subscription.canceled_at;
+    this.emit('customer.subscription.deleted', subscription);
+  }
+
+  // Simplified proration: the full price difference, without time-based credit
+  async previewPriceChange(subscription, { priceId }) {
+    const requestId = this.startRequest();
+    const current = this.getSubscription(subscription.id);
+    const price = this.getPrice(priceId);
+    const oldPrice = current.items.data[0].price;
+    const lines = [
+      {
+        description: `Unused time on ${oldPrice.id}`,
+        amount: -oldPrice.unit_amount,
+        proration: true,
+      },
+      { description: `Remaining time on ${price.id}`, amount: price.unit_amount, proration: true },
+    ];
+    return respond(
+      {
+        object: 'invoice',
+        customer: current.customer,
+        subscription: current.id,
+        amount_due: Math.max(0, price.unit_amount - oldPrice.unit_amount),
+        currency: price.currency,
+        lines: { object: 'list', data: lines },
+      },
+      requestId,
+    );
+  }
+
+  async changePrice(subscription, { priceId }) {
+    const current = this.getSubscription(subscription.id);
+    current.scheduledPriceId = null;
+    current.schedule = null;
+    return this.updateSubscription(subscription.id, {
+      items: [{ id: current.items.data[0].id, price: priceId }],
+      proration_behavior: 'always_invoice',
+    });
+  }
+
+  // Applied by simulateRenewal()
+  async schedulePriceChange(subscription, priceId) {
+    this.startRequest();
+    const current = this.getSubscription(subscription.id);
+    this.getPrice(priceId);
+    if (current.cancel_at_period_end) {
+      throw billingError(
+        'A subscription set to cancel at the period end cannot be given a schedule',
+        'subscription_schedule_invalid',
+      );
+    }
+    current.scheduledPriceId = priceId;
+    current.schedule = current.schedule || this.nextId('sub_sched');
+    return { effectiveAt: current.current_period_end };
+  }
+
+  // Catalog
+
+  async retrievePrice(priceId) {
+    return respond(this.getPrice(priceId), this.startRequest());
+  }
+
+  async createProduct({ name, description, metadata = {} }) {
+    const requestId = this.startRequest();
+    const product = { id: this.nextId('prod'), object: 'product', name, description, metadata };
+    this.products.set(product.id, product);
+    return respond(product, requestId);
+  }
+
+  async createPrice({ productId, unitAmount, currency = 'usd', interval, metadata = {} }) {
+    const requestId = this.startRequest();
+    const price = {
+      id: this.nextId('price'),
+      object: 'price',
+      product: productId,
+      unit_amount: unitAmount,
+      currency,
+      recurring: { interval, interval_count: 1 },
+      metadata,
+    };
+    this.prices.set(price.id, price);
+    return respond(price, requestId);
+  }
+
+  // Discounts
+
+  async createPromotion({ code, percentOff, amountOff, duration, ...rest }) {
+    this.startRequest();
+    const duplicate = [...this.promotions.values()].some(
+      (promotion) => promotion.code.toUpperCase() === code.toUpperCase() && promotion.active,
+    );
+    if (duplicate) {
+      throw billingError(
+        'An active promotion code with this code already exists',
+        'resource_already_exists',
+      );
+    }
+
+    const couponId = this.nextId('coupon');
+    const promotionCodeId = this.nextId('promo');
+    this.promotions.set(promotionCodeId, {
+      ...rest,
+      couponId,
+      code,
+      percentOff: percentOff || null,
+      amountOff: amountOff || 0,
+      duration,
+      active: true,
+    });
+    return { couponId, promotionCodeId };
+  }
+
+  async deletePromotion({ couponId }) {
+    this.startRequest();
+    for (const [id, promotion] of this.promotions) {
+      if (promotion.couponId === couponId) this.promotions.delete(id);
+    }
+  }
+
+  async setPromotionActive(promotionCodeId, active) {
+    this.startRequest();
+    this.get(this.promotions, 'promotion_code', promotionCodeId).active = active;
+    return { id: promotionCodeId, active };
+  }
+
+  // Invoices
+
+  createInvoice(subscription, { billingReason, amount }) {
+    const id = this.nextId('in');
+    const item = subscription.items.data[0];
+    const invoice = {
+      id,
+      object: 'invoice',
+      number: `FAKE-${String(this.invoices.size + 1).padStart(4, '0')}`,
+      customer: subscription.customer,
+      subscription: subscription.id,
+      parent: { subscription_details: { subscription: subscription.id } },
+      status: 'draft',
+      billing_reason: billingReason,
+      collection_method: subscription.collection_method,
+      currency: item.price.currency,
+      amount_due: amount,
+      amount_paid: 0,
+      amount_remaining: amount,
+      subtotal: amount,
+      total: amount,
+      attempt_count: 0,
+      payment_intent: null,
+      hosted_invoice_url: `https://invoice.fake/${id}`,
+      period_start: subscription.current_period_start,
+      period_end: subscription.current_period_end,
+      lines: {
+        object: 'list',
+        data: [
+          {
+            id: this.nextId('il'),
+            description: `1 × ${item.price.id}`,
+            amount,
+            currency: item.price.currency,
+            price: structuredClone(item.price),
+            period: {
+              start: subscription.current_period_start,
+              end: subscription.current_period_end,
+            },
+            proration: billingReason === 'subscription_update',
+          },
+        ],
+      },
+      created: now(),
+    };
+    this.invoices.set(id, invoice);
+    subscription.latest_invoice = id;
+    return invoice;
+  }
+
+  finalize(invoice) {
+    if (invoice.status !== 'draft') return invoice;
+    invoice.status = 'open';
+    if (invoice.amount_due > 0) {
+      const paymentIntent = this.newPaymentIntent({
+        customerId: invoice.customer,
+        amount: invoice.amount_due,
+        currency: invoice.currency,
+        description: `Invoice ${invoice.number}`,
+        metadata: {},
+      });
+      paymentIntent.invoice = invoice.id;
+      invoice.payment_intent = paymentIntent.id;
+    }
+    this.emit('invoice.finalized', invoice);
+    return invoice;
+  }
+
+  markPaid(invoice) {
+    invoice.status = 'paid';
+    invoice.amount_paid = invoice.amount_due;
+    invoice.amount_remaining = 0;
+    invoice.status_transitions = { paid_at: now() };
+    this.emit('invoice.payment_succeeded', invoice);
+    this.emit('invoice.paid', invoice);
+  }
+
+  // Charge an open invoice with a card. Returns true when paid.
+  chargeInvoice(invoice, paymentMethodId) {
+    invoice.attempt_count += 1;
+    const paymentIntent = invoice.payment_intent && this.paymentIntents.get(invoice.payment_intent);
+    const outcome = paymentMethodId
+      ? this.paymentMethods.get(paymentMethodId)?.metadata.fake_outcome || 'succeeded'
+      : 'declined';
+
+    if (outcome === 'succeeded') {
+      if (paymentIntent) this.succeedPaymentIntent(paymentIntent, paymentMethodId);
+      this.markPaid(invoice);
+      return true;
+    }
+
+    if (paymentIntent) {
+      paymentIntent.payment_method = paymentMethodId;
+      paymentIntent.status =
+        outcome === 'requires_action' ? 'requires_action' : 'requires_payment_method';
+      paymentIntent.last_payment_error =
+        outcome === 'declined'
+          ? { code: 'card_declined', message: 'Your card was declined.' }
+          : null;
+      this.emit(
+        outcome === 'requires_action'
+          ? 'payment_intent.requires_action'
+          : 'payment_intent.payment_failed',
+        paymentIntent,
+      );
+    }
+    this.emit('invoice.payment_failed', invoice);
+    return false;
+  }
+
+  invoiceProration(subscription, amount) {
+    const invoice = this.createInvoice(subscription, {
+      billingReason: 'subscription_update',
+      amount: Math.max(0, amount),
+    });
+    this.finalize(invoice);
+    if (invoice.amount_due === 0) {
+      this.markPaid(invoice);
+    } else if (!this.chargeInvoice(invoice, this.getDefaultPaymentMethodId(subscription))) {
+      subscription.status = 'past_due';
+    }
+  }
+
+  expandInvoice(invoice, expand = []) {
+    const copy = structuredClone(invoice);
+    if (expand.includes('payment_intent') && copy.payment_intent) {
+      copy.payment_intent = structuredClone(this.paymentIntents.get(copy.payment_intent));
+    }
+    return copy;
+  }
+
+  async listInvoices(customerId, { limit = 10, startingAfter } = {}) {
+    const requestId = this.startRequest();
+    const invoices = [...this.invoices.values()]
+      .filter((invoice) => invoice.customer === customerId)
+      .reverse();
+    const start = startingAfter
+      ? invoices.findIndex((invoice) => invoice.id === startingAfter) + 1
+      : 0;
+    const page = invoices.slice(start, start + limit);
+    return respond(
+      { object: 'list', data: page, has_more: start + limit < invoices.length },
+      requestId,
+    );
+  }
+
+  async retrieveInvoice(invoiceId, { expand = [] } = {}) {
+    const requestId = this.startRequest();
+    return respond(this.expandInvoice(this.getInvoice(invoiceId), expand), requestId);
+  }
+
+  async finalizeInvoice(invoiceId) {
+    const requestId = this.startRequest();
+    return respond(this.expandInvoice(this.finalize(this.getInvoice(invoiceId))), requestId);
+  }
+
+  async payInvoice(invoiceId, { paymentIntentId } = {}) {
+    const requestId = this.startRequest();
+    const invoice = this.getInvoice(invoiceId);
+    if (invoice.status === 'paid') {
+      throw billingError('Invoice is already paid', 'invoice_already_paid');
+    }
+    const paymentIntent = paymentIntentId && this.getPaymentIntent(paymentIntentId);
+    if (paymentIntent && paymentIntent.status !== 'succeeded') {
+      throw billingError('The payment intent has not succeeded', 'payment_intent_unexpected_state');
+    }
+
+    let paid = true;
+    if (paymentIntent) {
+      this.markPaid(invoice);
+    } else {
+      const subscription = this.subscriptions.get(invoice.subscription);
+      paid = this.chargeInvoice(
+        invoice,
+        subscription && this.getDefaultPaymentMethodId(subscription),
+      );
+    }
+    if (paid) this.settleSubscription(invoice);
+    return respond(invoice, requestId);
+  }
+
+  // A paid first or past-due invoice makes its subscription active
+  settleSubscription(invoice) {
+    const subscription = this.subscriptions.get(invoice.subscription);
+    if (!subscription || !['incomplete', 'past_due'].includes(subscription.status)) return;
+    const previous = { status: subscription.status };
+    subscription.status = 'active';
+    this.emit('customer.subscription.updated', subscription, previous);
+  }
+
+  // Payments
+
+  newPaymentIntent({ customerId, amount, currency, description, metadata = {} }) {
+    const id = this.nextId('pi');
+    const paymentIntent = {
+      id,
+      object: 'payment_intent',
+      customer: customerId,
+      amount,
+      currency,
+      description,
+      status: 'requires_payment_method',
+      payment_method: null,
+      client_secret: `${id}_secret_fake`,
+      last_payment_error: null,
+      invoice: null,
+      metadata,
+      created: now(),
+    };
+    this.paymentIntents.set(id, paymentIntent);
+    return paymentIntent;
+  }
+
+  succeedPaymentIntent(paymentIntent, paymentMethodId) {
+    paymentIntent.status = 'succeeded';
+    paymentIntent.payment_method = paymentMethodId;
+    paymentIntent.last_payment_error = null;
+
+    const charge = {
+      id: this.nextId('ch'),
+      object: 'charge',
+      customer: paymentIntent.customer,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      status: 'succeeded',
+      payment_intent: paymentIntent.id,
+      payment_method: paymentMethodId,
+      description: paymentIntent.description,
+      metadata: { ...paymentIntent.metadata },
+      created: now(),
+    };
+    this.charges.set(charge.id, charge);
+    this.emit('payment_intent.succeeded', paymentIntent);
+    this.emit('charge.succeeded', charge);
+  }
+
+  async createPaymentIntent(params) {
+    const requestId = this.startRequest();
+    return respond(this.newPaymentIntent(params), requestId);
+  }
+
+  async retrievePaymentIntent(paymentIntentId) {
+    return respond(this.getPaymentIntent(paymentIntentId), this.startRequest());
+  }
+
+  // Confirm with a test card. A decline throws a card error like Stripe does; an invoice
+  // payment that succeeds settles its invoice and subscription.
+  async confirmPaymentIntent(paymentIntentId, { paymentMethodId } = {}) {
+    const requestId = this.startRequest();
+    const paymentIntent = this.getPaymentIntent(paymentIntentId);
+    const methodId = paymentMethodId || paymentIntent.payment_method;
+    if (!methodId) {
+      throw billingError('You must provide a payment method', 'payment_intent_unexpected_state');
+    }
+    if (paymentIntent.status === 'succeeded') {
+      throw billingError(
+        'This PaymentIntent has already succeeded',
+        'payment_intent_unexpected_state',
+      );
+    }
+
+    const invoice = paymentIntent.invoice && this.invoices.get(paymentIntent.invoice);
+    if (invoice) {
+      if (this.chargeInvoice(invoice, methodId)) {
+        const subscription = this.subscriptions.get(invoice.subscription);
+        if (subscription && !subscription.default_payment_method) {
+          subscription.default_payment_method = methodId; // save_default_payment_method
+        }
+        this.settleSubscription(invoice);
+      }
+    } else {
+      const outcome = this.paymentMethods.get(methodId)?.metadata.fake_outcome || 'succeeded';
+      if (outcome === 'succeeded') {
+        this.succeedPaymentIntent(paymentIntent, methodId);
+      } else {
+        paymentIntent.payment_method = methodId;
+        paymentIntent.status =
+          outcome === 'requires_action' ? 'requires_action' : 'requires_payment_method';
+      }
+    }
+
+    if (paymentIntent.status === 'requires_payment_method') {
+      throw Object.assign(
+        billingError('Your card was declined.', 'card_declined', 402, 'card_error'),
+        {
+          payment_intent: structuredClone(paymentIntent),
+        },
+      );
+    }
+    return respond(paymentIntent, requestId);
+  }
+
+  async listPaymentIntents(customerId, { limit = 10 } = {}) {
+    const requestId = this.startRequest();
+    return [...this.paymentIntents.values()]
+      .filter((paymentIntent) => paymentIntent.customer === customerId)
+      .reverse()
+      .slice(0, limit)
+      .map((paymentIntent) => respond(paymentIntent, requestId));
+  }
+
+  async listCharges(customerId, { limit = 10 } = {}) {
+    const requestId = this.startRequest();
+    return [...this.charges.values()]
+      .filter((charge) => charge.customer === customerId)
+      .reverse()
+      .slice(0, limit)
+      .map((charge) => respond(charge, requestId));
+  }
+}
+
+export default FakeAdapter;
@@ -0,0 +1,83 @@
+import StripeAdapter from './stripeAdapter.js';
+import FakeAdapter from './fakeAdapter.js';
+
+// Operations every adapter implements. BillingService forwards each one to the active adapter.
+export const OPERATIONS = [
+  'isConfigured',
+  'createCustomer',
+  'retrieveCustomer',
+  'setDefaultPaymentMethod',
+  'listPaymentMethods',
+  'retrievePaymentMethod',
+  'attachPaymentMethod',
+  'detachPaymentMethod',
+  'createSetupIntent',
+  'createSubscription',
+  'retrieveSubscription',
+  'listSubscriptions',
+  'updateSubscription',
+  'cancel',
+  'previewPriceChange',
+  'changePrice',
+  'schedulePriceChange',
+  'retrievePrice',
+  'createProduct',
+  'createPrice',
+  'createPromotion',
+  'deletePromotion',
+  'setPromotionActive',
+  'listInvoices',
+  'retrieveInvoice',
+  'finalizeInvoice',
+  'payInvoice',
+  'createPaymentIntent',
+  'retrievePaymentIntent',
+  'confirmPaymentIntent',
+  'listPaymentIntents',
+  'listCharges',
+  'verifyWebhook',
+];
+
+const ADAPTERS = { stripe: StripeAdapter, fake: FakeAdapter };
+
+const createAdapter = (provider = process.env.BILLING_PROVIDER || 'stripe') => {
+  const Adapter = ADAPTERS[provider];
+  if (!Adapter) {
+    throw new Error(
+      `Unknown BILLING_PROVIDER "${provider}" (expected: ${Object.keys(ADAPTERS).join(', ')})`,
+    );
+  }
+  return new Adapter();
+};
+
+// Payment provider used by the app. Controllers and services call billing.<operation>() and
+// never talk to a provider SDK directly, so the provider can be swapped (BILLING_PROVIDER)
+// and tests can run against the in-memory fake.
+class BillingService {
+  constructor() {
+    this.adapter = createAdapter();
+  }
+
+  get provider() {
+    return this.adapter.name;
+  }
+
+  // Swap the adapter at runtime, e.g. billing.useAdapter(new FakeAdapter()) in a test
+  useAdapter(adapter) {
+    const missing = OPERATIONS.filter((operation) => typeof adapter[operation] !== 'function');
+    if (missing.length) {
+      throw new Error(`Billing adapter is missing: ${missing.join(', ')}`);
+    }
+    this.adapter = adapter;
+    return adapter;
+  }
+}
+
+for (const operation of OPERATIONS) {
+  BillingService.prototype[operation] = function (...args) {
+    return this.adapter[operation](...args);
+  };
+}
+
+export { StripeAdapter, FakeAdapter };
+export default new BillingService();
@@ -0,0 +1,322 @@
+import Stripe from 'stripe';
+
+// Billing operations backed by the Stripe API. Results are Stripe objects, which is the shape
+// every adapter returns.
+class StripeAdapter {
+  constructor(secretKey = process.env.STRIPE_SECRET_KEY) {
+    this.name = 'stripe';
+    this.stripe = secretKey ? new Stripe(secretKey) : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.stripe);
+  }
+
+  get client() {
+    if (!this.stripe) {
+      throw new Error('Stripe is not configured');
+    }
+    return this.stripe;
+  }
+
+  // Customers
+
+  createCustomer({ email, name, metadata = {} }) {
+    return this.client.customers.create({ email, name, metadata });
+  }
+
+  retrieveCustomer(customerId) {
+    return this.client.customers.retrieve(customerId);
+  }
+
+  // Card used for invoices when the subscription has no default of its own
+  setDefaultPaymentMethod(customerId, paymentMethodId) {
+    return this.client.customers.update(customerId, {
+      invoice_settings: { default_payment_method: paymentMethodId },
+    });
+  }
+
+  // Payment methods
+
+  async listPaymentMethods(customerId, { limit = 100 } = {}) {
+    const paymentMethods = await this.client.paymentMethods.list({
+      customer: customerId,
+      type: 'card',
+      limit,
+    });
+    return paymentMethods.data;
+  }
+
+  retrievePaymentMethod(paymentMethodId) {
+    return this.client.paymentMethods.retrieve(paymentMethodId);
+  }
+
+  attachPaymentMethod(paymentMethodId, customerId) {
+    return this.client.paymentMethods.attach(paymentMethodId, { customer: customerId });
+  }
+
+  detachPaymentMethod(paymentMethodId) {
+    return this.client.paymentMethods.detach(paymentMethodId);
+  }
+
+  // Collect a card for future off-session payments
+  createSetupIntent(customerId, { metadata = {} } = {}) {
+    return this.client.setupIntents.create({
+      customer: customerId,
+      payment_method_types: ['card'],
+      usage: 'off_session',
+      metadata,
+    });
+  }
+
+  // Subscriptions
+
+  // The subscription starts incomplete until the client confirms the first payment (or, when
+  // nothing is due up front, saves a card through pending_setup_intent)
+  createSubscription({
+    customerId,
+    priceId,
+    trialDays = 0,
+    promotionCodeId = null,
+    metadata = {},
+  }) {
+    return this.client.subscriptions.create({
+      customer: customerId,
+      items: [{ price: priceId }],
+      ...(promotionCodeId && { discounts: [{ promotion_code: promotionCodeId }] }),
+      ...(trialDays && { trial_period_days: trialDays }),
+      payment_behavior: 'default_incomplete',
+      payment_settings: {
+        payment_method_types: ['card'],
+        save_default_payment_method: 'on_subscription',
+      },
+      expand: ['latest_invoice.payment_intent', 'pending_setup_intent'],
+      collection_method: 'charge_automatically',
+      metadata,
+    });
+  }
+
+  retrieveSubscription(subscriptionId, { expand } = {}) {
+    return this.client.subscriptions.retrieve(subscriptionId, expand ? { expand } : undefined);
+  }
+
+  // Every subscription in the account, any status
+  listSubscriptions() {
+    return this.client.subscriptions.list({ status: 'all', limit: 100 });
+  }
+
+  // changes use Stripe's subscription update parameters
+  updateSubscription(subscriptionId, changes) {
+    return this.client.subscriptions.update(subscriptionId, changes);
+  }
+
+  // End a subscription now, or at the end of the paid period with an optional exit reason
+  cancel(subscriptionId, { atPeriodEnd = false, reason = null, comment = null } = {}) {
+    const details = {
+      ...(reason && { feedback: reason }),
+      ...(comment && { comment }),
+    };
+    if (atPeriodEnd) {
+      return this.client.subscriptions.update(subscriptionId, {
+        cancel_at_period_end: true,
+        ...(Object.keys(details).length && { cancellation_details: details }),
+      });
+    }
+    return this.client.subscriptions.cancel(
+      subscriptionId,
+      Object.keys(details).length ? { cancellation_details: details } : undefined,
+    );
+  }
+
+  // Invoice that an immediate, prorated price change would create
+  previewPriceChange(subscription, { priceId, prorationDate }) {
+    return this.client.invoices.createPreview({
+      customer: subscription.customer,
+      subscription: subscription.id,
+      subscription_details: {
+        items: [{ id: subscription.items.data[0].id, price: priceId }],
+        proration_behavior: 'always_invoice',
+        proration_date: prorationDate,
+      },
+    });
+  }
+
+  // Switch price now and invoice the proration; replaces any change booked for the period end
+  async changePrice(subscription, { priceId, prorationDate = null }) {
+    if (subscription.schedule) {
+      await this.client.subscriptionSchedules.release(subscription.schedule);
+    }
+
+    return this.client.subscriptions.update(subscription.id, {
+      items: [{ id: subscription.items.data[0].id, price: priceId }],
+      proration_behavior: 'always_invoice',
+      ...(prorationDate ? { proration_date: prorationDate } : {}),
+    });
+  }
+
+  // Book a price for the next period as the second phase of a subscription schedule.
+  // Returns { effectiveAt } in Unix seconds.
+  async schedulePriceChange(subscription, priceId) {
+    const schedule = subscription.schedule
+      ? await this.client.subscriptionSchedules.retrieve(subscription.schedule)
+      : await this.client.subscriptionSchedules.create({ from_subscription: subscription.id });
+
+    await this.client.subscriptionSchedules.update(schedule.id, {
+      end_behavior: 'release',
+      phases: [
+        {
+          items: subscription.items.data.map((current) => ({
+            price: current.price.id,
+            quantity: current.quantity,
+          })),
+          start_date: schedule.current_phase.start_date,
+          end_date: schedule.current_phase.end_date,
+        },
+        {
+          items: [{ price: priceId, quantity: 1 }],
+          iterations: 1,
+        },
+      ],
+    });
+
+    return { effectiveAt: schedule.current_phase.end_date };
+  }
+
+  // Catalog
+
+  retrievePrice(priceId) {
+    return this.client.prices.retrieve(priceId);
+  }
+
+  createProduct({ name, description, metadata = {} }) {
+    return this.client.products.create({ name, description, metadata });
+  }
+
+  // unitAmount in cents
+  createPrice({ productId, unitAmount, currency = 'usd', interval, metadata = {} }) {
+    return this.client.prices.create({
+      product: productId,
+      unit_amount: unitAmount,
+      currency,
+      recurring: { interval },
+      metadata,
+    });
+  }
+
+  // Discounts
+
+  // Create a coupon and the customer-facing code for it. amountOff in cents.
+  // Returns { couponId, promotionCodeId }. Redemption limits stay local (couponService.reserve):
+  // Stripe counts a use as soon as a subscription is created, even one that is never paid.
+  async createPromotion({
+    name,
+    code,
+    percentOff,
+    amountOff,
+    currency,
+    duration,
+    durationInMonths,
+    expiresAt,
+    metadata = {},
+  }) {
+    const coupon = await this.client.coupons.create({
+      name,
+      ...(percentOff ? { percent_off: percentOff } : { amount_off: amountOff, currency }),
+      duration,
+      ...(durationInMonths && { duration_in_months: durationInMonths }),
+      metadata,
+    });
+
+    try {
+      const promotionCode = await this.client.promotionCodes.create({
+        coupon: coupon.id,
+        code,
+        ...(expiresAt && { expires_at: Math.floor(expiresAt.getTime() / 1000) }),
+      });
+      return { couponId: coupon.id, promotionCodeId: promotionCode.id };
+    } catch (error) {
+      // Don't leave an orphaned coupon behind
+      await this.client.coupons.del(coupon.id).catch((cleanupError) => {
+        console.error('Failed to remove Stripe coupon after error:', cleanupError.message);
+      });
+      throw error;
+    }
+  }
+
+  async deletePromotion({ couponId }) {
+    await this.client.coupons.del(couponId);
+  }
+
+  setPromotionActive(promotionCodeId, active) {
+    return this.client.promotionCodes.update(promotionCodeId, { active });
+  }
+
+  // Invoices
+
+  // One page, newest first. Returns Stripe's list object ({ data, has_more }).
+  listInvoices(customerId, { limit = 10, startingAfter } = {}) {
+    return this.client.invoices.list({
+      customer: customerId,
+      limit,
+      ...(startingAfter && { starting_after: startingAfter }),
+    });
+  }
+
+  retrieveInvoice(invoiceId, { expand } = {}) {
+    return this.client.invoices.retrieve(invoiceId, expand ? { expand } : undefined);
+  }
+
+  finalizeInvoice(invoiceId) {
+    return this.client.invoices.finalizeInvoice(invoiceId);
+  }
+
+  payInvoice(invoiceId, { paymentIntentId } = {}) {
+    return this.client.invoices.pay(
+      invoiceId,
+      paymentIntentId ? { payment_intent: paymentIntentId } : undefined,
+    );
+  }
+
+  // Payments
+
+  createPaymentIntent({ customerId, amount, currency, description, metadata = {} }) {
+    return this.client.paymentIntents.create({
+      customer: customerId,
+      amount,
+      currency,
+      payment_method_types: ['card'],
+      description,
+      metadata,
+    });
+  }
+
+  retrievePaymentIntent(paymentIntentId) {
+    return this.client.paymentIntents.retrieve(paymentIntentId);
+  }
+
+  confirmPaymentIntent(paymentIntentId, { paymentMethodId } = {}) {
+    return this.client.paymentIntents.confirm(
+      paymentIntentId,
+      paymentMethodId ? { payment_method: paymentMethodId } : undefined,
+    );
+  }
+
+  async listPaymentIntents(customerId, { limit = 10 } = {}) {
+    const paymentIntents = await this.client.paymentIntents.list({ customer: customerId, limit });
+    return paymentIntents.data;
+  }
+
+  async listCharges(customerId, { limit = 10 } = {}) {
+    const charges = await this.client.charges.list({ customer: customerId, limit });
+    return charges.data;
+  }
+
+  // Webhooks
+
+  // Parse a webhook body after checking its Stripe-Signature header; throws when invalid
+  verifyWebhook(rawBody, signature, secret = process.env.STRIPE_WEBHOOK_SECRET) {
+    return this.client.webhooks.constructEvent(rawBody, signature, secret);
+  }
+}
+
+export default StripeAdapter;
@@ -0,0 +1,172 @@
+import fs from 'fs';
+
+// Limits for generated tracks (keep CPU time and disk usage bounded)
+const LIMITS = {
+  carrierFrequency: { min: 20, max: 1500 },
+  beatFrequency: { min: 0.5, max: 40 },
+  duration: { min: 5, max: 60 * 60 }, // seconds
+  noiseLevel: { min: 0, max: 1 },
+};
+
+const SAMPLE_RATE = 44100;
+const CHANNELS = 2;
+const BITS_PER_SAMPLE = 16;
+const CHUNK_SECONDS = 1; // Samples are rendered and written one second at a time
+const NOISE_TYPES = ['none', 'pink', 'brown'];
+
+class BinauralService {
+  constructor() {
+    this.limits = LIMITS;
+    this.noiseTypes = NOISE_TYPES;
+  }
+
+  // Validate and normalize request options. Returns { options } or { error }.
+  normalizeOptions(input = {}) {
+    const options = {
+      carrierFrequency: Number(input.carrierFrequency),
+      beatFrequency: Number(input.beatFrequency),
+      duration: Number(input.duration),
+      fadeIn: input.fadeIn === undefined ? 5 : Number(input.fadeIn),
+      fadeOut: input.fadeOut === undefined ? 5 : Number(input.fadeOut),
+      noise: input.noise || 'none',
+      noiseLevel: input.noiseLevel === undefined ? 0.3 : Number(input.noiseLevel),
+    };
+
+    for (const [field, { min, max }] of Object.entries(LIMITS)) {
+      if (!Number.isFinite(options[field]) || options[field] < min || options[field] > max) {
+        return { error: `${field} must be a number between ${min} and ${max}` };
+      }
+    }
+
+    if (!NOISE_TYPES.includes(options.noise)) {
+      return { error: `noise must be one of: ${NOISE_TYPES.join(', ')}` };
+    }
+
+    for (const field of ['fadeIn', 'fadeOut']) {
+      if (!Number.isFinite(options[field]) || options[field] < 0) {
+        return { error: `${field} must be a non-negative number of seconds` };
+      }
+    }
+    if (options.fadeIn + options.fadeOut > options.duration) {
+      return { error: 'fadeIn and fadeOut together cannot exceed the duration' };
+    }
+
+    return { options };
+  }
+
+  // 44-byte canonical PCM WAV header
+  createWavHeader(dataSize) {
+    const blockAlign = (CHANNELS * BITS_PER_SAMPLE) / 8;
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(36 + dataSize, 4);
+    header.write('WAVE', 8, 'latin1');
+    header.write('fmt ', 12, 'latin1');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(CHANNELS, 22);
+    header.writeUInt32LE(SAMPLE_RATE, 24);
+    header.writeUInt32LE(SAMPLE_RATE * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(BITS_PER_SAMPLE, 34);
+    header.write('data', 36, 'latin1');
+    header.writeUInt32LE(dataSize, 40);
+    return header;
+  }
+
+  // Stateful noise generator per channel (Paul Kellet's pink filter / leaky-integrated brown)
+  createNoiseSource(type) {
+    if (type === 'pink') {
+      let b0 = 0;
+      let b1 = 0;
+      let b2 = 0;
+      let b3 = 0;
+      let b4 = 0;
+      let b5 = 0;
+      let b6 = 0;
+      return () => {
+        const white = Math.random() * 2 - 1;
+        b0 = 0.99886 * b0 + white * 0.0555179;
+        b1 = 0.99332 * b1 + white * 0.0750759;
+        b2 = 0.969 * b2 + white * 0.153852;
+        b3 = 0.8665 * b3 + white * 0.3104856;
+        b4 = 0.55 * b4 + white * 0.5329522;
+        b5 = -0.7616 * b5 - white * 0.016898;
+        const pink = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+        b6 = white * 0.115926;
+        return pink * 0.11;
+      };
+    }
+    if (type === 'brown') {
+      let last = 0;
+      return () => {
+        const white = Math.random() * 2 - 1;
+        last = (last + 0.02 * white) / 1.02;
+        return last * 3.5;
+      };
+    }
+    return () => 0;
+  }
+
+  // Render a stereo binaural WAV to outputPath. The left ear hears carrier - beat/2
+  // and the right ear carrier + beat/2, so the perceived beat is beatFrequency.
+  async generate(options, outputPath) {
+    const totalFrames = Math.round(options.duration * SAMPLE_RATE);
+    const bytesPerFrame = (CHANNELS * BITS_PER_SAMPLE) / 8;
+    const fadeInFrames = Math.round(options.fadeIn * SAMPLE_RATE);
+    const fadeOutFrames = Math.round(options.fadeOut * SAMPLE_RATE);
+
+    const leftStep =
+      (2 * Math.PI * (options.carrierFrequency - options.beatFrequency / 2)) / SAMPLE_RATE;
+    const rightStep =
+      (2 * Math.PI * (options.carrierFrequency + options.beatFrequency / 2)) / SAMPLE_RATE;
+    const noiseLevel = options.noise === 'none' ? 0 : options.noiseLevel;
+    const toneLevel = 0.8 * (1 - noiseLevel / 2);
+    const noiseLeft = this.createNoiseSource(options.noise);
+    const noiseRight = this.createNoiseSource(options.noise);
+
+    let leftPhase = 0;
+    let rightPhase = 0;
+
+    const handle = await fs.promises.open(outputPath, 'w');
+    try {
+      await handle.write(this.createWavHeader(totalFrames * bytesPerFrame));
+
+      const chunkFrames = CHUNK_SECONDS * SAMPLE_RATE;
+      for (let start = 0; start < totalFrames; start += chunkFrames) {
+        const frames = Math.min(chunkFrames, totalFrames - start);
+        const chunk = Buffer.alloc(frames * bytesPerFrame);
+
+        for (let i = 0; i < frames; i++) {
+          const frame = start + i;
+          let envelope = 1;
+          if (frame < fadeInFrames) {
+            envelope = frame / fadeInFrames;
+          } else if (frame >= totalFrames - fadeOutFrames) {
+            envelope = (totalFrames - frame) / fadeOutFrames;
+          }
+
+          const left = (toneLevel * Math.sin(leftPhase) + noiseLevel * noiseLeft()) * envelope;
+          const right = (toneLevel * Math.sin(rightPhase) + noiseLevel * noiseRight()) * envelope;
+
+          chunk.writeInt16LE(Math.round(Math.max(-1, Math.min(1, left)) * 32767), i * 4);
+          chunk.writeInt16LE(Math.round(Math.max(-1, Math.min(1, right)) * 32767), i * 4 + 2);
+
+          leftPhase = (leftPhase + leftStep) % (2 * Math.PI);
+          rightPhase = (rightPhase + rightStep) % (2 * Math.PI);
+        }
+
+        await handle.write(chunk);
+      }
+    } catch (error) {
+      await handle.close();
+      await fs.promises.unlink(outputPath).catch(() => {});
+      throw error;
+    }
+    await handle.close();
+
+    return { duration: totalFrames / SAMPLE_RATE, sampleRate: SAMPLE_RATE, channels: CHANNELS };
+  }
+}
+
+export default new BinauralService();
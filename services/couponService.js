@@ -0,0 +1,248 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import billing from './billing/index.js';
+
+const DURATIONS = ['once', 'repeating', 'forever'];
+const CODE_PATTERN = /^[A-Za-z0-9]{3,40}$/;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value >= 1;
+
+class CouponService {
+  // Validate an admin's coupon definition. Returns { coupon } or { error }.
+  async normalizeCouponInput(input = {}) {
+    const {
+      name,
+      code,
+      percentOff,
+      amountOff,
+      currency = 'usd',
+      duration = 'once',
+      durationInMonths,
+      maxRedemptions,
+      expiresAt,
+      singleUsePerUser = true,
+      appliesToPlans = [],
+    } = input;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return { error: 'name is required' };
+    }
+    if (typeof code !== 'string' || !CODE_PATTERN.test(code)) {
+      return { error: 'code must be 3-40 letters or digits' };
+    }
+
+    const hasPercent = percentOff !== undefined && percentOff !== null;
+    const hasAmount = amountOff !== undefined && amountOff !== null;
+    if (hasPercent === hasAmount) {
+      return { error: 'Provide exactly one of percentOff or amountOff' };
+    }
+    if (hasPercent && !(Number(percentOff) >= 1 && Number(percentOff) <= 100)) {
+      return { error: 'percentOff must be between 1 and 100' };
+    }
+    if (hasAmount && !(Number(amountOff) > 0)) {
+      return { error: 'amountOff must be greater than 0' };
+    }
+
+    if (!DURATIONS.includes(duration)) {
+      return { error: `duration must be one of: ${DURATIONS.join(', ')}` };
+    }
+    if (duration === 'repeating' && !isPositiveInteger(Number(durationInMonths))) {
+      return { error: 'durationInMonths is required for repeating coupons' };
+    }
+
+    if (
+      maxRedemptions !== undefined &&
+      maxRedemptions !== null &&
+      !isPositiveInteger(Number(maxRedemptions))
+    ) {
+      return { error: 'maxRedemptions must be a positive whole number' };
+    }
+
+    let expiryDate = null;
+    if (expiresAt) {
+      expiryDate = new Date(expiresAt);
+      if (Number.isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+        return { error: 'expiresAt must be a valid future date' };
+      }
+    }
+
+    if (typeof singleUsePerUser !== 'boolean') {
+      return { error: 'singleUsePerUser must be a boolean value' };
+    }
+
+    const plans = await this.normalizePlanIds(appliesToPlans);
+    if (plans.error) return plans;
+
+    return {
+      coupon: {
+        name: name.trim(),
+        code: code.toUpperCase(),
+        percentOff: hasPercent ? Number(percentOff) : null,
+        amountOff: hasAmount ? Number(amountOff) : null,
+        currency: String(currency).toLowerCase(),
+        duration,
+        durationInMonths: duration === 'repeating' ? Number(durationInMonths) : null,
+        maxRedemptions: maxRedemptions ? Number(maxRedemptions) : null,
+        expiresAt: expiryDate,
+        singleUsePerUser,
+        appliesToPlans: plans.planIds,
+      },
+    };
+  }
+
+  // Returns { planIds } or { error } if any plan doesn't exist
+  async normalizePlanIds(appliesToPlans) {
+    if (!Array.isArray(appliesToPlans)) {
+      return { error: 'appliesToPlans must be an array of plan IDs' };
+    }
+    if (appliesToPlans.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'appliesToPlans contains an invalid plan ID' };
+    }
+
+    const planIds = [...new Set(appliesToPlans.map(String))];
+    const found = await SubscriptionPlan.countDocuments({ _id: { $in: planIds } });
+    if (found !== planIds.length) {
+      return { error: 'appliesToPlans contains a plan that does not exist' };
+    }
+    return { planIds };
+  }
+
+  // Create the coupon and promotion code with the billing provider, then store the local copy
+  async createCoupon(values, adminUserId) {
+    if (!billing.isConfigured()) {
+      throw new Error('Stripe is not configured');
+    }
+
+    const { couponId, promotionCodeId } = await billing.createPromotion({
+      name: values.name,
+      code: values.code,
+      percentOff: values.percentOff,
+      amountOff: values.percentOff ? undefined : Math.round(values.amountOff * 100),
+      currency: values.currency,
+      duration: values.duration,
+      durationInMonths: values.durationInMonths,
+      expiresAt: values.expiresAt,
+      metadata: { created_by_admin: adminUserId.toString() },
+    });
+
+    try {
+      return await Coupon.create({
+        ...values,
+        stripeCouponId: couponId,
+        stripePromotionCodeId: promotionCodeId,
+        createdBy: adminUserId,
+      });
+    } catch (error) {
+      // Don't leave an orphaned coupon with the provider
+      await billing.deletePromotion({ couponId }).catch((cleanupError) => {
+        console.error('Failed to remove Stripe coupon after error:', cleanupError.message);
+      });
+      throw error;
+    }
+  }
+
+  // Mirror the active flag onto the provider's promotion code
+  async setActive(coupon, isActive, adminUserId) {
+    if (billing.isConfigured() && coupon.isActive !== isActive) {
+      await billing.setPromotionActive(coupon.stripePromotionCodeId, isActive);
+    }
+    coupon.isActive = isActive;
+    coupon.lastModifiedBy = adminUserId;
+    return coupon.save();
+  }
+
+  // Atomically check a promo code and reserve a redemption for the user.
+  // Returns { coupon, redemptionId } or { error } explaining why the code can't be used.
+  async reserve(code, userId, plan) {
+    const now = new Date();
+    const redemptionId = new mongoose.Types.ObjectId();
+    const coupon = await Coupon.findOneAndUpdate(
+      {
+        code: String(code).trim().toUpperCase(),
+        isActive: true,
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          {
+            $or: [
+              { maxRedemptions: null },
+              { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } },
+            ],
+          },
+          { $or: [{ singleUsePerUser: false }, { 'redemptions.user': { $ne: userId } }] },
+          {
+            $or: [
+              { appliesToPlans: { $size: 0 } },
+              ...(plan ? [{ appliesToPlans: plan._id }] : []),
+            ],
+          },
+        ],
+      },
+      {
+        $inc: { redemptionCount: 1 },
+        $push: { redemptions: { _id: redemptionId, user: userId, redeemedAt: now } },
+      },
+      { new: true },
+    );
+    if (coupon) {
+      return { coupon, redemptionId };
+    }
+
+    return { error: await this.explainRejection(code, userId, plan) };
+  }
+
+  async explainRejection(code, userId, plan) {
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    if (!coupon || !coupon.isActive) {
+      return 'Promo code is invalid';
+    }
+    if (coupon.expiresAt && coupon.expiresAt <= new Date()) {
+      return 'Promo code has expired';
+    }
+    if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+      return 'Promo code has reached its redemption limit';
+    }
+    if (
+      coupon.singleUsePerUser &&
+      coupon.redemptions.some((redemption) => redemption.user.equals(userId))
+    ) {
+      return 'You have already used this promo code';
+    }
+    if (
+      coupon.appliesToPlans.length &&
+      !(plan && coupon.appliesToPlans.some((id) => id.equals(plan._id)))
+    ) {
+      return 'Promo code is not valid for this plan';
+    }
+    return 'Promo code cannot be applied';
+  }
+
+  // Link a reserved redemption to the subscription it was used on
+  async confirm({ coupon, redemptionId }, subscriptionId) {
+    await Coupon.updateOne(
+      { _id: coupon._id, 'redemptions._id': redemptionId },
+      { $set: { 'redemptions.$.subscriptionId': subscriptionId } },
+    );
+  }
+
+  // Give back a reservation when the subscription could not be created
+  async release({ coupon, redemptionId }) {
+    await Coupon.updateOne(
+      { _id: coupon._id, 'redemptions._id': redemptionId },
+      { $inc: { redemptionCount: -1 }, $pull: { redemptions: { _id: redemptionId } } },
+    );
+  }
+
+  // Give back the redemption of a subscription whose first payment was never made
+  // (incomplete_expired). Returns the coupon, or null if the subscription used none.
+  async releaseForSubscription(subscriptionId) {
+    const coupon = await Coupon.findOne({ 'redemptions.subscriptionId': subscriptionId });
+    if (!coupon) return null;
+
+    const redemption = coupon.redemptions.find((entry) => entry.subscriptionId === subscriptionId);
+    await this.release({ coupon, redemptionId: redemption._id });
+    return coupon;
+  }
+}
+
+export default new CouponService();
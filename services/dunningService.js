@@ -0,0 +1,271 @@
+import cron from 'node-cron';
+import User from '../models/userModel.js';
+import NotificationLog from '../models/NotificationLog.js';
+import billing from './billing/index.js';
+import emailService from './emailService.js';
+import pushService from './pushService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_GRACE_DAYS = 7;
+const DEFAULT_REMINDER_DAYS = [0, 3, 6]; // Days after the first failed payment; 0 = right away
+
+const CLEARED_DUNNING = {
+  startedAt: null,
+  graceEndsAt: null,
+  invoiceId: null,
+  payLink: null,
+  failedAttempts: 0,
+  remindersSent: 0,
+};
+
+class DunningService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      console.log('Dunning scheduler is already running');
+      return;
+    }
+
+    // Send due payment reminders and end expired grace periods every hour
+    cron.schedule('15 * * * *', async () => {
+      await this.processDunning();
+    });
+
+    this.isRunning = true;
+    console.log('Dunning scheduler started');
+  }
+
+  // DUNNING_GRACE_DAYS, DUNNING_REMINDER_DAYS (e.g. "0,3,6") and DUNNING_UPDATE_CARD_URL
+  getPolicy() {
+    const parsedGrace = parseInt(process.env.DUNNING_GRACE_DAYS, 10);
+    const graceDays =
+      Number.isInteger(parsedGrace) && parsedGrace >= 0 ? parsedGrace : DEFAULT_GRACE_DAYS;
+
+    const configured = (process.env.DUNNING_REMINDER_DAYS || '')
+      .split(',')
+      .filter((day) => day.trim() !== '')
+      .map(Number);
+    const reminderDays = [...new Set(configured.length ? configured : DEFAULT_REMINDER_DAYS)]
+      .filter((day) => Number.isInteger(day) && day >= 0 && day < graceDays)
+      .sort((a, b) => a - b);
+
+    return {
+      graceDays,
+      reminderDays,
+      updateCardUrl:
+        process.env.DUNNING_UPDATE_CARD_URL || `${process.env.FRONTEND_URL}/subscription`,
+    };
+  }
+
+  isInGrace(subscription) {
+    const graceEndsAt = subscription?.dunning?.graceEndsAt;
+    return Boolean(graceEndsAt && new Date(graceEndsAt) > new Date());
+  }
+
+  // invoice.payment_failed: open a grace period on the first failure, refresh it on retries
+  async startDunning(invoice) {
+    const user = await User.findOne({ stripeCustomerId: invoice.customer });
+    if (!user || !user.subscription?.id) return;
+
+    const details = {
+      'subscription.dunning.invoiceId': invoice.id,
+      'subscription.dunning.payLink': invoice.hosted_invoice_url || null,
+      'subscription.dunning.failedAttempts': invoice.attempt_count || 1,
+    };
+
+    if (user.subscription.dunning?.startedAt) {
+      await User.updateOne({ _id: user._id }, details);
+      return;
+    }
+
+    const now = new Date();
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, 'subscription.dunning.startedAt': null },
+      {
+        ...details,
+        'subscription.dunning.startedAt': now,
+        'subscription.dunning.graceEndsAt': new Date(
+          now.getTime() + this.getPolicy().graceDays * DAY_MS,
+        ),
+        'subscription.dunning.remindersSent': 0,
+      },
+      { new: true },
+    );
+
+    // Send the first notice now rather than on the next hourly run; a notice whose email
+    // fails is retried by the scheduler (see processUser) and must not fail the webhook
+    if (updated) {
+      try {
+        await this.processUser(updated, this.getPolicy());
+      } catch (error) {
+        console.error(`Error sending dunning notice to ${updated.email}:`, error);
+      }
+    }
+  }
+
+  // invoice.payment_succeeded / subscription deleted: leave dunning
+  async clearDunning(stripeCustomerId) {
+    await User.updateOne(
+      { stripeCustomerId, 'subscription.dunning.startedAt': { $ne: null } },
+      { 'subscription.dunning': CLEARED_DUNNING },
+    );
+  }
+
+  async processDunning() {
+    try {
+      const policy = this.getPolicy();
+      const users = await User.find({ 'subscription.dunning.startedAt': { $ne: null } });
+
+      for (const user of users) {
+        try {
+          await this.processUser(user, policy);
+        } catch (error) {
+          console.error(`Error processing dunning for ${user.email}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error in dunning scheduler:', error);
+    }
+  }
+
+  async processUser(user, policy) {
+    const dunning = user.subscription.dunning;
+    const now = Date.now();
+
+    if (new Date(dunning.graceEndsAt).getTime() <= now) {
+      await this.downgrade(user);
+      return;
+    }
+
+    // After downtime, send only the latest due reminder instead of a burst
+    const startedAt = new Date(dunning.startedAt).getTime();
+    let next = dunning.remindersSent;
+    while (
+      next + 1 < policy.reminderDays.length &&
+      startedAt + policy.reminderDays[next + 1] * DAY_MS <= now
+    ) {
+      next += 1;
+    }
+    const day = policy.reminderDays[next];
+    if (day === undefined || startedAt + day * DAY_MS > now) return;
+
+    // Claim the reminder so overlapping runs can't send it twice
+    const sentBefore = dunning.remindersSent;
+    const claimed = await User.updateOne(
+      { _id: user._id, 'subscription.dunning.remindersSent': sentBefore },
+      { 'subscription.dunning.remindersSent': next + 1 },
+    );
+    if (!claimed.modifiedCount) return;
+
+    const daysLeft = Math.max(1, Math.ceil((new Date(dunning.graceEndsAt) - now) / DAY_MS));
+    const details = {
+      daysLeft,
+      graceEndsAt: dunning.graceEndsAt,
+      updateCardLink: policy.updateCardUrl,
+      payLink: dunning.payLink,
+    };
+    const emailed = await this.sendEmail(user, 'grace_period', details).catch((error) => {
+      console.error(`Error emailing dunning notice to ${user.email}:`, error);
+      return false;
+    });
+    if (!emailed) {
+      // Give the claim back so the next run retries this reminder
+      await User.updateOne(
+        { _id: user._id, 'subscription.dunning.remindersSent': next + 1 },
+        { 'subscription.dunning.remindersSent': sentBefore },
+      );
+      return;
+    }
+    await this.sendPush(user, 'grace_period', details);
+  }
+
+  // Grace period is over: cancel the subscription so the account drops to the free tier
+  async downgrade(user) {
+    if (billing.isConfigured()) {
+      try {
+        const subscription = await billing.retrieveSubscription(user.subscription.id);
+        if (subscription.status === 'active' || subscription.status === 'trialing') {
+          // Paid in the meantime but the webhook hasn't arrived yet
+          await this.clearDunning(user.stripeCustomerId);
+          return;
+        }
+        if (subscription.status !== 'canceled') {
+          await billing.cancel(subscription.id);
+        }
+      } catch (error) {
+        if (error.code !== 'resource_missing') throw error;
+      }
+    }
+
+    const claimed = await User.updateOne(
+      { _id: user._id, 'subscription.dunning.startedAt': user.subscription.dunning.startedAt },
+      {
+        'subscription.status': 'canceled',
+        'subscription.currentPeriodEnd': null,
+        'subscription.dunning': CLEARED_DUNNING,
+      },
+    );
+    if (!claimed.modifiedCount) return;
+
+    console.log(`Grace period ended - subscription canceled for ${user.email}`);
+    await this.notify(user, 'subscription_downgraded', {});
+  }
+
+  // Payment problems are always emailed; push notices follow the user's push preference
+  async notify(user, template, details) {
+    await this.sendEmail(user, template, details);
+    await this.sendPush(user, template, details);
+  }
+
+  // Returns true if the email was sent. A failure to log it doesn't count as a failed send.
+  async sendEmail(user, template, details) {
+    const emailResult = await emailService.sendSubscriptionLifecycleEmail(user, template, details);
+    await NotificationLog.create({
+      userId: user._id,
+      type: 'email',
+      template,
+      status: emailResult.success ? 'sent' : 'failed',
+      metadata: {
+        emailAddress: user.email,
+        errorMessage: emailResult.error || null,
+        deliveryId: emailResult.messageId || null,
+      },
+    }).catch((error) => console.error('Failed to log dunning email:', error.message));
+    return Boolean(emailResult.success);
+  }
+
+  async sendPush(user, template, details) {
+    if (user.notificationPreferences?.pushNotifications === false) return;
+    if (!user.notificationPreferences?.fcmToken) return;
+
+    const push =
+      template === 'grace_period'
+        ? {
+            title: 'Payment failed',
+            body: `Update your card within ${details.daysLeft} day${details.daysLeft === 1 ? '' : 's'} to keep your Elevate access.`,
+            link: details.updateCardLink,
+          }
+        : {
+            title: 'Subscription ended',
+            body: 'Your grace period has ended. Resubscribe anytime to get your access back.',
+            link: `${process.env.FRONTEND_URL}/subscription/renew`,
+          };
+    const pushResult = await pushService.sendToUser(user, push);
+    await NotificationLog.create({
+      userId: user._id,
+      type: 'push',
+      template,
+      status: pushResult.success ? 'sent' : 'failed',
+      metadata: {
+        pushToken: user.notificationPreferences.fcmToken,
+        errorMessage: pushResult.error || null,
+        deliveryId: pushResult.messageId || null,
+      },
+    });
+  }
+}
+
+export default new DunningService();
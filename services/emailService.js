@@ -1,4 +1,5 @@
 import { Resend } from 'resend';
+import renewalService from './renewalService.js';
 
 class EmailService {
   constructor() {
@@ -48,24 +49,49 @@ class EmailService {
   }
 
   getEmailTemplate(reminderType, user, remainingDays) {
-    const expiryDate = this.calculateExpiryDate(user.subscription.paymentDate);
+    // Access from a redeemed code ends on a fixed date and never renews
+    const fromCode = user.subscription.provider === 'code';
+    const expiryDate = fromCode
+      ? new Date(user.subscription.currentPeriodEnd).toLocaleDateString()
+      : this.calculateExpiryDate(user.subscription.paymentDate);
     const renewalLink = `${process.env.FRONTEND_URL}/subscription/renew`;
+    const renewalMode = renewalService.getRenewalMode(user.subscription);
+    const notice = fromCode
+      ? `Your access from a gift or partner code ends on ${expiryDate}. Subscribe or redeem another code to keep listening.`
+      : this.getRenewalNotice(renewalMode, expiryDate, user.subscription);
+
+    // Auto-charged subscriptions renew rather than expire
+    const renewsIn = {
+      '7day_reminder': 'in 7 Days',
+      '3day_reminder': 'in 3 Days',
+      '1day_reminder': 'Tomorrow',
+    };
+    if (renewalMode === 'auto_charge' && !fromCode && reminderType !== 'expired_reminder') {
+      const when = reminderType === '1day_reminder' ? 'tomorrow' : `in ${remainingDays} days`;
+      const details = [user.name, expiryDate, when, renewalLink, notice];
+      const subjectWhen = renewsIn[reminderType] || renewsIn['7day_reminder'];
+      return {
+        subject: `Your Elevate Subscription Renews ${subjectWhen}`,
+        html: this.getRenewalReminderHTML(...details),
+        text: this.getRenewalReminderText(...details),
+      };
+    }
 
     const templates = {
       '7day_reminder': {
         subject: 'Your Elevate Subscription Expires in 7 Days',
-        html: this.get7DayReminderHTML(user.name, expiryDate, remainingDays, renewalLink),
-        text: this.get7DayReminderText(user.name, expiryDate, remainingDays, renewalLink),
+        html: this.get7DayReminderHTML(user.name, expiryDate, remainingDays, renewalLink, notice),
+        text: this.get7DayReminderText(user.name, expiryDate, remainingDays, renewalLink, notice),
       },
       '3day_reminder': {
         subject: 'Your Elevate Subscription Expires in 3 Days',
-        html: this.get3DayReminderHTML(user.name, expiryDate, remainingDays, renewalLink),
-        text: this.get3DayReminderText(user.name, expiryDate, remainingDays, renewalLink),
+        html: this.get3DayReminderHTML(user.name, expiryDate, remainingDays, renewalLink, notice),
+        text: this.get3DayReminderText(user.name, expiryDate, remainingDays, renewalLink, notice),
       },
       '1day_reminder': {
         subject: 'Your Elevate Subscription Expires Tomorrow',
-        html: this.get1DayReminderHTML(user.name, expiryDate, remainingDays, renewalLink),
-        text: this.get1DayReminderText(user.name, expiryDate, remainingDays, renewalLink),
+        html: this.get1DayReminderHTML(user.name, expiryDate, remainingDays, renewalLink, notice),
+        text: this.get1DayReminderText(user.name, expiryDate, remainingDays, renewalLink, notice),
       },
       expired_reminder: {
         subject: 'Your Elevate Subscription Has Expired',
@@ -77,6 +103,21 @@ class EmailService {
     return templates[reminderType] || templates['7day_reminder'];
   }
 
+  // Tell the user whether renewal is automatic or needs them to act
+  getRenewalNotice(renewalMode, expiryDate, subscription = {}) {
+    const notices = {
+      auto_charge:
+        'Auto-debit is on, so your saved card will be charged automatically when your subscription renews. No action is needed.',
+      manual_invoice:
+        "Auto-debit is off. We'll email you an invoice when your subscription renews - pay it to keep your access.",
+      // Only cancellations made by the auto-debit policy are blamed on auto-debit
+      cancel: subscription.autoDebitCancel
+        ? `Auto-debit is off, so your subscription will end on ${expiryDate} unless you renew it.`
+        : `Your subscription is cancelled and will end on ${expiryDate} unless you renew it.`,
+    };
+    return notices[renewalMode] || '';
+  }
+
   calculateExpiryDate(paymentDate) {
     if (!paymentDate) return null;
     const expiry = new Date(paymentDate);
@@ -143,8 +184,340 @@ class EmailService {
     }
   }
 
+  // ============ EMAIL VERIFICATION ============
+
+  async sendVerificationEmail(user, verificationToken) {
+    const verifyLink = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+    const message = 'Please confirm that this is your email address. The link expires in 24 hours.';
+
+    console.log('Sending verification email to:', user.email);
+
+    try {
+      const { data, error } = await this.resend.emails.send({
+        from: process.env.EMAIL_FROM || 'Elevate <onboarding@resend.dev>',
+        to: [user.email],
+        subject: 'Verify Your Email - Elevate',
+        html: this.getLifecycleHTML(
+          user.name,
+          'Verify Your Email',
+          message,
+          verifyLink,
+          'Verify Email',
+        ),
+        text: `Hi ${user.name},\n\n${message}\n\nVerify: ${verifyLink}`,
+      });
+
+      if (error) {
+        console.error(' Resend API error:', error);
+        return { success: false, error: error.message };
+      }
+
+      console.log('Verification email sent successfully via Resend');
+      return { success: true, messageId: data.id, provider: 'resend' };
+    } catch (error) {
+      console.error(' Error sending verification email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Sent when repeated failed logins lock the account for a while
+  async sendAccountLockedEmail(user, lockedUntil) {
+    const resetLink = `${process.env.FRONTEND_URL}/forgot-password`;
+    const message = `We blocked sign-ins to your Elevate account until <strong>${new Date(lockedUntil).toLocaleString()}</strong> after several failed attempts. If this wasn't you, we recommend resetting your password; that also unlocks the account.`;
+
+    try {
+      const { data, error } = await this.resend.emails.send({
+        from: process.env.EMAIL_FROM || 'Elevate <onboarding@resend.dev>',
+        to: [user.email],
+        subject: 'Your Elevate Account Was Temporarily Locked',
+        html: this.getLifecycleHTML(
+          user.name,
+          'Account Locked',
+          message,
+          resetLink,
+          'Reset Password',
+        ),
+        text: `Hi ${user.name},\n\n${message.replace(/<\/?strong>/g, '')}\n\nReset password: ${resetLink}`,
+      });
+
+      if (error) {
+        console.error(' Resend API error:', error);
+        return { success: false, error: error.message };
+      }
+
+      console.log('Account locked email sent successfully via Resend');
+      return { success: true, messageId: data.id, provider: 'resend' };
+    } catch (error) {
+      console.error(' Error sending account locked email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ============ SUBSCRIPTION LIFECYCLE EMAILS ============
+
+  async sendSubscriptionLifecycleEmail(user, lifecycleType, details = {}) {
+    const template = this.getLifecycleEmailTemplate(lifecycleType, user, details);
+    if (!template) {
+      return { success: false, error: `Unknown lifecycle email type: ${lifecycleType}` };
+    }
+
+    try {
+      const { data, error } = await this.resend.emails.send({
+        from: process.env.EMAIL_FROM || 'Elevate <onboarding@resend.dev>',
+        to: [user.email],
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+      });
+
+      if (error) {
+        console.error(' Resend API error:', error);
+        return { success: false, error: error.message };
+      }
+
+      console.log(`${lifecycleType} email sent successfully via Resend`);
+      return { success: true, messageId: data.id, provider: 'resend' };
+    } catch (error) {
+      console.error(` Error sending ${lifecycleType} email:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  getLifecycleEmailTemplate(lifecycleType, user, details) {
+    const accountLink = `${process.env.FRONTEND_URL}/subscription`;
+    const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : null);
+
+    const templates = {
+      subscription_paused: () => {
+        const resumesOn = formatDate(details.resumesAt);
+        const message = resumesOn
+          ? `Your Elevate subscription is paused and will resume automatically on <strong>${resumesOn}</strong>. You won't be charged while it is paused.`
+          : "Your Elevate subscription is paused. You won't be charged until you resume it.";
+        return {
+          subject: 'Your Elevate Subscription Is Paused',
+          html: this.getLifecycleHTML(
+            user.name,
+            'Subscription Paused',
+            message,
+            accountLink,
+            'Resume Anytime',
+          ),
+          text: `Hi ${user.name},\n\n${message.replace(/<\/?strong>/g, '')}\n\nManage your subscription: ${accountLink}`,
+        };
+      },
+      subscription_resumed: () => {
+        const message =
+          'Welcome back! Your Elevate subscription has resumed and billing continues as normal.';
+        return {
+          subject: 'Your Elevate Subscription Has Resumed',
+          html: this.getLifecycleHTML(
+            user.name,
+            'Subscription Resumed',
+            message,
+            accountLink,
+            'View Subscription',
+          ),
+          text: `Hi ${user.name},\n\n${message}\n\nManage your subscription: ${accountLink}`,
+        };
+      },
+      // Dunning: a renewal payment failed and the account is in its grace period
+      grace_period: () => {
+        const endsOn = formatDate(details.graceEndsAt);
+        const message = `We couldn't process your latest Elevate payment. Please update your payment method by <strong>${endsOn}</strong> (${details.daysLeft} day${details.daysLeft === 1 ? '' : 's'} left) to keep your access.`;
+        return {
+          subject: 'Action Required: Your Elevate Payment Failed',
+          html: this.getLifecycleHTML(
+            user.name,
+            'Payment Failed',
+            message,
+            details.updateCardLink,
+            'Update Payment Method',
+          ),
+          text: `Hi ${user.name},\n\n${message.replace(/<\/?strong>/g, '')}\n\nUpdate your card: ${details.updateCardLink}${details.payLink ? `\nPay the invoice: ${details.payLink}` : ''}`,
+        };
+      },
+      subscription_downgraded: () => {
+        const message =
+          "We couldn't collect your payment before the grace period ended, so your Elevate subscription has been canceled. You can resubscribe anytime.";
+        return {
+          subject: 'Your Elevate Subscription Has Ended',
+          html: this.getLifecycleHTML(
+            user.name,
+            'Subscription Ended',
+            message,
+            `${process.env.FRONTEND_URL}/subscription/renew`,
+            'Resubscribe',
+          ),
+          text: `Hi ${user.name},\n\n${message}\n\nResubscribe: ${process.env.FRONTEND_URL}/subscription/renew`,
+        };
+      },
+      cancellation_withdrawn: () => {
+        const message =
+          'Your scheduled cancellation has been withdrawn. Your Elevate subscription will renew as usual.';
+        return {
+          subject: 'Your Elevate Subscription Will Continue',
+          html: this.getLifecycleHTML(
+            user.name,
+            'Cancellation Withdrawn',
+            message,
+            accountLink,
+            'View Subscription',
+          ),
+          text: `Hi ${user.name},\n\n${message}\n\nManage your subscription: ${accountLink}`,
+        };
+      },
+    };
+
+    return templates[lifecycleType] ? templates[lifecycleType]() : null;
+  }
+
+  // ============ PAYMENT EMAILS ============
+
+  // receipt comes from receiptService.buildReceipt; the PDF rendering is attached when given
+  async sendReceiptEmail(user, receipt, pdfBuffer = null) {
+    try {
+      const accountLink = `${process.env.FRONTEND_URL}/subscription`;
+      const { data, error } = await this.resend.emails.send({
+        from: process.env.EMAIL_FROM || 'Elevate <onboarding@resend.dev>',
+        to: [receipt.customerEmail || user.email],
+        subject: `Your Elevate receipt #${receipt.receiptNumber}`,
+        html: this.getReceiptHTML(user.name, receipt, accountLink),
+        text: this.getReceiptText(user.name, receipt, accountLink),
+        ...(pdfBuffer && {
+          attachments: [
+            { filename: `elevate-receipt-${receipt.receiptNumber}.pdf`, content: pdfBuffer },
+          ],
+        }),
+      });
+
+      if (error) {
+        console.error(' Resend API error:', error);
+        return { success: false, error: error.message };
+      }
+
+      console.log('Receipt email sent successfully via Resend');
+      return { success: true, messageId: data.id, provider: 'resend' };
+    } catch (error) {
+      console.error(' Error sending receipt email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Sent when auto-debit is off and a renewal invoice is waiting to be paid
+  async sendInvoiceDueEmail(user, { amountDue, dueDate, payLink }) {
+    const dueText = dueDate ? ` by ${new Date(dueDate).toLocaleDateString()}` : '';
+    const message = `Your Elevate subscription renewal invoice for <strong>${amountDue}</strong> is ready. Auto-debit is off, so please pay it${dueText} to keep your access.`;
+
+    try {
+      const { data, error } = await this.resend.emails.send({
+        from: process.env.EMAIL_FROM || 'Elevate <onboarding@resend.dev>',
+        to: [user.email],
+        subject: 'Your Elevate Renewal Invoice Is Ready',
+        html: this.getLifecycleHTML(user.name, 'Renewal Invoice', message, payLink, 'Pay Invoice'),
+        text: `Hi ${user.name},\n\n${message.replace(/<\/?strong>/g, '')}\n\nPay now: ${payLink}`,
+      });
+
+      if (error) {
+        console.error(' Resend API error:', error);
+        return { success: false, error: error.message };
+      }
+
+      console.log('Invoice email sent successfully via Resend');
+      return { success: true, messageId: data.id, provider: 'resend' };
+    } catch (error) {
+      console.error(' Error sending invoice email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // ============ EMAIL TEMPLATES (HTML) ============
 
+  getReceiptHTML(name, receipt, accountLink) {
+    const details = [
+      ['Receipt number', receipt.receiptNumber],
+      ['Paid on', receipt.paidOn],
+      ['Plan', receipt.planTitle],
+      ['Billing period', receipt.period],
+      ['Discount', receipt.discount],
+      ['Amount paid', receipt.amountPaid],
+    ]
+      .filter(([, value]) => value)
+      .map(
+        ([label, value]) => `
+              <tr>
+                <td style="padding: 8px 0; color: #666;">${label}</td>
+                <td style="padding: 8px 0; text-align: right;"><strong>${value}</strong></td>
+              </tr>`,
+      )
+      .join('');
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Payment Receipt</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #6F41F3; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+          .button { background-color: #6F41F3; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; display: inline-block; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1> Elevate Music</h1>
+            <h2>Payment Receipt</h2>
+          </div>
+          <div class="content">
+            <h3>Hi ${name},</h3>
+            <p>Thanks for your payment. Here's your receipt; a PDF copy is attached.</p>
+            <table style="width: 100%; border-collapse: collapse;">${details}
+            </table>
+            <div style="text-align: center;">
+              <a href="${accountLink}" class="button">View Billing History</a>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  getLifecycleHTML(name, heading, message, link, buttonLabel) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>${heading}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #6F41F3; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+          .button { background-color: #6F41F3; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; display: inline-block; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1> Elevate Music</h1>
+            <h2>${heading}</h2>
+          </div>
+          <div class="content">
+            <h3>Hi ${name},</h3>
+            <p>${message}</p>
+            <div style="text-align: center;">
+              <a href="${link}" class="button">${buttonLabel}</a>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   getPasswordResetHTML(name, resetLink) {
     return `
       <!DOCTYPE html>
@@ -332,6 +705,10 @@ class EmailService {
 
   // ============ EMAIL TEMPLATES (Plain Text) ============
 
+  getReceiptText(name, receipt, accountLink) {
+    return `Hi ${name},\n\nThanks for your payment. Here's your receipt.\n\nReceipt number: ${receipt.receiptNumber}\nPaid on: ${receipt.paidOn}\n${receipt.planTitle ? `Plan: ${receipt.planTitle}\n` : ''}${receipt.period ? `Billing period: ${receipt.period}\n` : ''}Amount paid: ${receipt.amountPaid}\n\nView your billing history: ${accountLink}`;
+  }
+
   getPasswordResetText(name, resetLink) {
     return `
 ELEVATE - Password Reset Request
@@ -377,7 +754,7 @@ This is an automated security confirmation. Please do not reply to this message.
   // ============ SUBSCRIPTION REMINDER TEMPLATES ============
   // (Keeping existing subscription reminder HTML/Text methods)
 
-  get7DayReminderHTML(name, expiryDate, remainingDays, renewalLink) {
+  get7DayReminderHTML(name, expiryDate, remainingDays, renewalLink, renewalNotice = '') {
     return `
       <!DOCTYPE html>
       <html>
@@ -402,6 +779,7 @@ This is an automated security confirmation. Please do not reply to this message.
           <div class="content">
             <h3>Hi ${name},</h3>
             <p>Your Elevate subscription will expire in <strong>${remainingDays} days</strong>. Don't lose access to your premium music features!</p>
+            ${renewalNotice ? `<p>${renewalNotice}</p>` : ''}
             
             <div class="highlight">
               <h4>Subscription Details:</h4>
@@ -431,7 +809,7 @@ This is an automated security confirmation. Please do not reply to this message.
     `;
   }
 
-  get3DayReminderHTML(name, expiryDate, remainingDays, renewalLink) {
+  get3DayReminderHTML(name, expiryDate, remainingDays, renewalLink, renewalNotice = '') {
     return `
       <!DOCTYPE html>
       <html>
@@ -455,6 +833,7 @@ This is an automated security confirmation. Please do not reply to this message.
           <div class="content">
             <h3>Hi ${name},</h3>
             <p><strong>URGENT:</strong> Your Elevate subscription will expire in just <strong>${remainingDays} days</strong>!</p>
+            ${renewalNotice ? `<p>${renewalNotice}</p>` : ''}
             
             <div class="highlight">
               <h4> Action Required:</h4>
@@ -472,7 +851,7 @@ This is an automated security confirmation. Please do not reply to this message.
     `;
   }
 
-  get1DayReminderHTML(name, expiryDate, remainingDays, renewalLink) {
+  get1DayReminderHTML(name, expiryDate, remainingDays, renewalLink, renewalNotice = '') {
     return `
       <!DOCTYPE html>
       <html>
@@ -495,6 +874,7 @@ This is an automated security confirmation. Please do not reply to this message.
           <div class="content">
             <h3>Hi ${name},</h3>
             <p><strong>FINAL REMINDER:</strong> Your Elevate subscription expires <strong>tomorrow</strong>!</p>
+            ${renewalNotice ? `<p>${renewalNotice}</p>` : ''}
             <div style="text-align: center;">
               <a href="${renewalLink}" class="button"> RENEW NOW</a>
             </div>
@@ -505,6 +885,52 @@ This is an automated security confirmation. Please do not reply to this message.
     `;
   }
 
+  // Reminder for subscriptions that will be charged automatically; `when` is e.g. "in 7 days"
+  getRenewalReminderHTML(name, renewalDate, when, manageLink, renewalNotice = '') {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Subscription Renewing Soon</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #6F41F3; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+          .highlight { background-color: #e8e1fd; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #6F41F3; }
+          .button { background-color: #6F41F3; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; display: inline-block; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1> Elevate Music</h1>
+            <h2>Subscription Reminder</h2>
+          </div>
+          <div class="content">
+            <h3>Hi ${name},</h3>
+            <p>Your Elevate subscription renews <strong>${when}</strong>.</p>
+            ${renewalNotice ? `<p>${renewalNotice}</p>` : ''}
+
+            <div class="highlight">
+              <p><strong>Renewal Date:</strong> ${renewalDate}</p>
+            </div>
+
+            <div style="text-align: center;">
+              <a href="${manageLink}" class="button"> Manage Subscription</a>
+            </div>
+
+            <div class="footer">
+              <p>Best regards,<br>The Elevate Team</p>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   getExpiredReminderHTML(name, expiryDate, renewalLink) {
     return `
       <!DOCTYPE html>
@@ -539,16 +965,20 @@ This is an automated security confirmation. Please do not reply to this message.
   }
 
   // Text versions
-  get7DayReminderText(name, expiryDate, remainingDays, renewalLink) {
-    return `Hi ${name},\n\nYour Elevate subscription will expire in ${remainingDays} days.\nExpiry Date: ${expiryDate}\n\nRenew: ${renewalLink}`;
+  get7DayReminderText(name, expiryDate, remainingDays, renewalLink, renewalNotice = '') {
+    return `Hi ${name},\n\nYour Elevate subscription will expire in ${remainingDays} days.\nExpiry Date: ${expiryDate}${renewalNotice ? `\n\n${renewalNotice}` : ''}\n\nRenew: ${renewalLink}`;
+  }
+
+  get3DayReminderText(name, expiryDate, remainingDays, renewalLink, renewalNotice = '') {
+    return `Hi ${name},\n\nURGENT: Your subscription expires in ${remainingDays} days!\nExpiry Date: ${expiryDate}${renewalNotice ? `\n\n${renewalNotice}` : ''}\n\nRenew now: ${renewalLink}`;
   }
 
-  get3DayReminderText(name, expiryDate, remainingDays, renewalLink) {
-    return `Hi ${name},\n\nURGENT: Your subscription expires in ${remainingDays} days!\nExpiry Date: ${expiryDate}\n\nRenew now: ${renewalLink}`;
+  get1DayReminderText(name, expiryDate, remainingDays, renewalLink, renewalNotice = '') {
+    return `Hi ${name},\n\nFINAL REMINDER: Your subscription expires tomorrow!\nExpiry Date: ${expiryDate}${renewalNotice ? `\n\n${renewalNotice}` : ''}\n\nRenew now: ${renewalLink}`;
   }
 
-  get1DayReminderText(name, expiryDate, remainingDays, renewalLink) {
-    return `Hi ${name},\n\nFINAL REMINDER: Your subscription expires tomorrow!\nExpiry Date: ${expiryDate}\n\nRenew now: ${renewalLink}`;
+  getRenewalReminderText(name, renewalDate, when, manageLink, renewalNotice = '') {
+    return `Hi ${name},\n\nYour Elevate subscription renews ${when}.\nRenewal Date: ${renewalDate}${renewalNotice ? `\n\n${renewalNotice}` : ''}\n\nManage: ${manageLink}`;
   }
 
   getExpiredReminderText(name, expiryDate, renewalLink) {
@@ -0,0 +1,310 @@
+import path from 'path';
+import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import Category from '../models/Category.js';
+import Music from '../models/Music.js';
+import User from '../models/userModel.js';
+import billing from './billing/index.js';
+import permissionService from './permissionService.js';
+import { getStreamUrlTtlSeconds } from '../utils/streamSignature.js';
+
+const UNLIMITED = -1;
+const AUDIO_FORMATS = ['mp3', 'wav', 'flac', 'm4a'];
+const LIMIT_FIELDS = ['offlineDownloadsPerMonth', 'binauralTracks', 'soundscapeTracks', 'maxMixes'];
+const BOOLEAN_FIELDS = ['adSupported', 'dynamicAudioFeatures', 'customTrackRequests'];
+const TRACK_ACCESS_CACHE_SIZE = 10000;
+const PRICE_LOOKUP_RETRY_MS = 10 * 60 * 1000; // After a failed Stripe lookup
+
+// Tracks are classified by the name of their category
+const TRACK_KINDS = {
+  binaural: { pattern: /binaural/i, limitField: 'binauralTracks' },
+  soundscape: { pattern: /soundscape/i, limitField: 'soundscapeTracks' },
+};
+
+const FULL_ACCESS = {
+  adSupported: false,
+  audioFormats: AUDIO_FORMATS,
+  offlineDownloadsPerMonth: UNLIMITED,
+  binauralTracks: UNLIMITED,
+  soundscapeTracks: UNLIMITED,
+  dynamicAudioFeatures: true,
+  maxMixes: UNLIMITED,
+  customTrackRequests: true,
+};
+
+// "Unlimited", "Yes", "10 per month", "No" -> -1 / -1 / 10 / 0
+const parseLegacyLimit = (value) => {
+  const text = String(value || '').trim();
+  if (/^(no|none|0)\b/i.test(text)) return 0;
+  const number = text.match(/\d+/);
+  if (number) return Number(number[0]);
+  // "Unlimited", "Yes", "All" and anything we can't interpret keep existing access
+  return UNLIMITED;
+};
+
+const parseLegacyFormats = (value) => {
+  const text = String(value || '').toLowerCase();
+  // Lossless tiers include every format
+  if (/lossless|hi-?res/.test(text)) return AUDIO_FORMATS;
+  const formats = AUDIO_FORMATS.filter((format) => text.includes(format));
+  if (text.includes('aac') && !formats.includes('m4a')) formats.push('m4a');
+  return formats.length ? formats : AUDIO_FORMATS;
+};
+
+class EntitlementService {
+  constructor() {
+    this.UNLIMITED = UNLIMITED;
+    this.audioFormats = AUDIO_FORMATS;
+    this.trackAccessCache = new Map(); // "userId:musicId" -> { denial, expiresAt }
+    this.priceLookupRetryAt = new Map(); // Stripe subscription ID -> time of the next lookup
+  }
+
+  // Validate admin input for a plan's entitlements. Returns { entitlements } or { error }.
+  normalizeEntitlements(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { error: 'entitlements must be an object' };
+    }
+
+    const entitlements = {};
+    for (const field of LIMIT_FIELDS) {
+      if (input[field] === undefined) continue;
+      const value = Number(input[field]);
+      if (!Number.isInteger(value) || value < UNLIMITED) {
+        return { error: `entitlements.${field} must be an integer (-1 for unlimited)` };
+      }
+      entitlements[field] = value;
+    }
+
+    for (const field of BOOLEAN_FIELDS) {
+      if (input[field] === undefined) continue;
+      if (typeof input[field] !== 'boolean') {
+        return { error: `entitlements.${field} must be a boolean` };
+      }
+      entitlements[field] = input[field];
+    }
+
+    if (input.audioFormats !== undefined) {
+      if (
+        !Array.isArray(input.audioFormats) ||
+        input.audioFormats.length === 0 ||
+        input.audioFormats.some((format) => !AUDIO_FORMATS.includes(format))
+      ) {
+        return {
+          error: `entitlements.audioFormats must be a non-empty list of: ${AUDIO_FORMATS.join(', ')}`,
+        };
+      }
+      entitlements.audioFormats = [...new Set(input.audioFormats)];
+    }
+
+    return { entitlements };
+  }
+
+  // Typed entitlements for a plan, derived from the legacy free-text fields when unset
+  getPlanEntitlements(plan) {
+    if (plan.entitlements) {
+      return plan.entitlements.toObject ? plan.entitlements.toObject() : { ...plan.entitlements };
+    }
+
+    const dynamicAudioFeatures = plan.dynamicAudioFeatures === 'Yes';
+    return {
+      adSupported: plan.adSupported === 'Yes',
+      audioFormats: parseLegacyFormats(plan.audioFileType),
+      offlineDownloadsPerMonth: parseLegacyLimit(plan.offlineDownloads),
+      binauralTracks: parseLegacyLimit(plan.binauralTracks),
+      soundscapeTracks: parseLegacyLimit(plan.soundscapeTracks),
+      dynamicAudioFeatures,
+      maxMixes: dynamicAudioFeatures ? UNLIMITED : 0,
+      customTrackRequests: plan.customTrackRequests === 'Yes',
+    };
+  }
+
+  async findPlanByPriceId(priceId) {
+    if (!priceId) return null;
+    return SubscriptionPlan.findOne({
+      $or: [
+        { stripePriceId: priceId },
+        { stripeMonthlyPriceId: priceId },
+        { stripeYearlyPriceId: priceId },
+        { 'storeProducts.productId': priceId }, // App Store / Google Play subscriptions
+      ],
+    });
+  }
+
+  // Subscriptions created before we stored the price ID are backfilled from Stripe once
+  async resolvePriceId(user) {
+    if (user.subscription && user.subscription.priceId) return user.subscription.priceId;
+    if (!billing.isConfigured() || !user.subscription || !user.subscription.id) return null;
+    if (user.subscription.provider && user.subscription.provider !== 'stripe') return null;
+
+    // A failed lookup isn't repeated on every request
+    const subscriptionId = user.subscription.id;
+    if (this.priceLookupRetryAt.get(subscriptionId) > Date.now()) return null;
+
+    try {
+      const subscription = await billing.retrieveSubscription(subscriptionId);
+      const priceId = subscription.items.data[0]?.price?.id || null;
+      if (priceId) {
+        await User.updateOne({ _id: user._id }, { 'subscription.priceId': priceId });
+      }
+      this.priceLookupRetryAt.delete(subscriptionId);
+      return priceId;
+    } catch (error) {
+      console.error('Error resolving subscription price for entitlements:', error.message);
+      this.priceLookupRetryAt.set(subscriptionId, Date.now() + PRICE_LOOKUP_RETRY_MS);
+      return null;
+    }
+  }
+
+  // Resolve the caller's plan and entitlements
+  async getEntitlementsForUser(user) {
+    // Roles granted subscription:bypass can play all of it
+    if (await permissionService.hasPermission(user, 'subscription:bypass')) {
+      return { plan: null, ...FULL_ACCESS };
+    }
+
+    // Redeemed codes grant a plan directly rather than through a price
+    let plan = user.subscription?.planId
+      ? await SubscriptionPlan.findById(user.subscription.planId)
+      : await this.findPlanByPriceId(await this.resolvePriceId(user));
+    if (!plan) {
+      // Fall back to the default plan (e.g. price IDs from STRIPE_PRICE_ID)
+      plan =
+        (await SubscriptionPlan.findOne({ isDefault: true })) ||
+        (await SubscriptionPlan.getCurrentActivePlan());
+    }
+
+    if (!plan) {
+      // No plans configured yet: don't lock subscribers out
+      return { plan: null, ...FULL_ACCESS };
+    }
+
+    return {
+      plan: { id: plan._id, title: plan.title },
+      ...this.getPlanEntitlements(plan),
+    };
+  }
+
+  // Standard 403 body for a missing entitlement or exhausted limit
+  denial(entitlements, feature, message, extra = {}) {
+    return {
+      message,
+      entitlementRequired: feature,
+      upgradeRequired: true,
+      plan: entitlements.plan ? entitlements.plan.title : null,
+      ...extra,
+    };
+  }
+
+  getTrackKind(categoryName) {
+    const match = Object.entries(TRACK_KINDS).find(([, kind]) => kind.pattern.test(categoryName));
+    return match ? match[0] : null;
+  }
+
+  // Returns a 403 body when the plan does not cover this track, otherwise null
+  async checkTrackAccess(entitlements, music) {
+    const extension = path.extname(music.fileUrl || '').slice(1);
+    const format = (music.technical && music.technical.format) || extension.toLowerCase();
+    if (AUDIO_FORMATS.includes(format) && !entitlements.audioFormats.includes(format)) {
+      return this.denial(
+        entitlements,
+        'audioFormats',
+        `Your plan does not include ${format.toUpperCase()} audio`,
+        { allowed: entitlements.audioFormats },
+      );
+    }
+
+    const category = await Category.findById(music.category).select('name');
+    const kind = category ? this.getTrackKind(category.name) : null;
+    if (!kind) return null;
+
+    const { limitField } = TRACK_KINDS[kind];
+    const limit = entitlements[limitField];
+    if (limit === UNLIMITED) return null;
+
+    // The plan covers the first `limit` tracks of this kind in catalog order
+    const kindCategories = await Category.find({ name: TRACK_KINDS[kind].pattern }).select('_id');
+    const position = await Music.countDocuments({
+      category: { $in: kindCategories.map((doc) => doc._id) },
+      $or: [
+        { createdAt: { $lt: music.createdAt } },
+        { createdAt: music.createdAt, _id: { $lt: music._id } },
+      ],
+    });
+    if (position < limit) return null;
+
+    return this.denial(
+      entitlements,
+      limitField,
+      `Your plan includes ${limit} ${kind} track${limit === 1 ? '' : 's'}`,
+      { limit },
+    );
+  }
+
+  // checkTrackAccess for a user, reused for the same user and track as long as a signed stream
+  // URL stays valid, so a player's Range requests don't each repeat the plan and catalog lookups
+  async checkTrackAccessCached(user, music) {
+    const key = `${user._id}:${music._id}`;
+    const cached = this.trackAccessCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.denial;
+    }
+
+    const denial = await this.checkTrackAccess(await this.getEntitlementsForUser(user), music);
+    if (this.trackAccessCache.size >= TRACK_ACCESS_CACHE_SIZE) {
+      this.pruneTrackAccessCache();
+    }
+    this.trackAccessCache.set(key, {
+      denial,
+      expiresAt: Date.now() + getStreamUrlTtlSeconds() * 1000,
+    });
+    return denial;
+  }
+
+  // Drop expired decisions, then the oldest ones if the cache is still full
+  pruneTrackAccessCache() {
+    const now = Date.now();
+    for (const [key, entry] of this.trackAccessCache) {
+      if (entry.expiresAt <= now) this.trackAccessCache.delete(key);
+    }
+    for (const key of this.trackAccessCache.keys()) {
+      if (this.trackAccessCache.size < TRACK_ACCESS_CACHE_SIZE) break;
+      this.trackAccessCache.delete(key);
+    }
+  }
+
+  // Count one offline download against the monthly allowance.
+  // Returns { allowed, used, limit }.
+  async consumeDownload(user, entitlements) {
+    const limit = entitlements.offlineDownloadsPerMonth;
+    const now = new Date();
+    const periodStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+    // Start a fresh count when the stored period is from an earlier month
+    await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'usage.downloadPeriodStart': null },
+          { 'usage.downloadPeriodStart': { $lt: periodStart } },
+        ],
+      },
+      { 'usage.downloads': 0, 'usage.downloadPeriodStart': periodStart },
+    );
+
+    const filter = { _id: user._id };
+    if (limit !== UNLIMITED) {
+      filter['usage.downloads'] = { $lt: limit };
+    }
+    const updated = await User.findOneAndUpdate(
+      filter,
+      { $inc: { 'usage.downloads': 1 } },
+      { new: true, projection: { usage: 1 } },
+    );
+
+    if (!updated) {
+      return { allowed: false, used: limit, limit };
+    }
+    return { allowed: true, used: updated.usage.downloads, limit };
+  }
+}
+
+export default new EntitlementService();
@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import cron from 'node-cron';
+import GiftCode from '../models/GiftCode.js';
+import User from '../models/userModel.js';
+import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import subscriptionEventService from './subscriptionEventService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KINDS = ['gift', 'partner'];
+const MAX_BATCH_SIZE = 1000;
+const MAX_DAYS = 3650;
+// No 0/O or 1/I/L, so codes survive being read off a card or typed from an email
+const ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const GROUPS = 3;
+const GROUP_LENGTH = 4;
+const ENTITLED_STATUSES = ['active', 'trialing', 'past_due', 'paused'];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value >= 1;
+
+const formatCode = (characters) =>
+  characters.match(new RegExp(`.{1,${GROUP_LENGTH}}`, 'g')).join('-');
+
+const generateCode = () => {
+  let characters = '';
+  for (let i = 0; i < GROUPS * GROUP_LENGTH; i += 1) {
+    characters += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  }
+  return formatCode(characters);
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Gift cards and partner codes: each code grants days of a plan without payment. Redeemed access
+// is stored on User.subscription with provider "code" and ends at currentPeriodEnd.
+class GiftCodeService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      console.log('Gift code scheduler is already running');
+      return;
+    }
+
+    // End code access that has run out every hour
+    cron.schedule('45 * * * *', async () => {
+      await this.expireAccess();
+    });
+
+    this.isRunning = true;
+    console.log('Gift code scheduler started');
+  }
+
+  // Codes are matched without case or separators, so "abcd efgh-jkmn" finds ABCD-EFGH-JKMN
+  normalizeCode(input) {
+    const characters = String(input || '')
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, '');
+    return characters ? formatCode(characters) : '';
+  }
+
+  // Validate an admin's batch request. Returns { batch } or { error }.
+  async normalizeBatchInput(input = {}) {
+    const { planId, days, quantity, kind = 'gift', label, expiresAt } = input;
+
+    if (!mongoose.Types.ObjectId.isValid(planId)) {
+      return { error: 'planId must be a valid plan ID' };
+    }
+    const plan = await SubscriptionPlan.findById(planId).select('_id');
+    if (!plan) {
+      return { error: 'Subscription plan not found' };
+    }
+    if (!isPositiveInteger(Number(days)) || Number(days) > MAX_DAYS) {
+      return { error: `days must be a whole number between 1 and ${MAX_DAYS}` };
+    }
+    if (!isPositiveInteger(Number(quantity)) || Number(quantity) > MAX_BATCH_SIZE) {
+      return { error: `quantity must be a whole number between 1 and ${MAX_BATCH_SIZE}` };
+    }
+    if (!KINDS.includes(kind)) {
+      return { error: `kind must be one of: ${KINDS.join(', ')}` };
+    }
+    if (label !== undefined && label !== null && typeof label !== 'string') {
+      return { error: 'label must be a string' };
+    }
+
+    let expiryDate = null;
+    if (expiresAt) {
+      expiryDate = new Date(expiresAt);
+      if (Number.isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+        return { error: 'expiresAt must be a valid future date' };
+      }
+    }
+
+    return {
+      batch: {
+        plan: plan._id,
+        days: Number(days),
+        quantity: Number(quantity),
+        kind,
+        label: label?.trim() || null,
+        expiresAt: expiryDate,
+      },
+    };
+  }
+
+  // Generate a batch of unique codes. Returns { batchId, codes }.
+  async createBatch({ quantity, ...values }, adminUserId) {
+    const batchId = new mongoose.Types.ObjectId().toString();
+    const codes = new Set();
+    while (codes.size < quantity) {
+      codes.add(generateCode());
+    }
+
+    const created = await GiftCode.insertMany(
+      [...codes].map((code) => ({ ...values, code, batchId, createdBy: adminUserId })),
+    );
+    return { batchId, codes: created };
+  }
+
+  // Response for Stripe-only actions on code access
+  codeAccessError(subscription) {
+    return {
+      message: `This access comes from a redeemed code and ends on ${formatDate(subscription.currentPeriodEnd)}. It isn't billed, so there is nothing to change.`,
+      provider: 'code',
+    };
+  }
+
+  hasActiveAccess(subscription, now = new Date()) {
+    return (
+      subscription?.provider === 'code' &&
+      subscription.status === 'active' &&
+      subscription.currentPeriodEnd > now
+    );
+  }
+
+  // Apply a code to the user. Active code access for the same plan is extended; otherwise the
+  // user must not have a paid subscription. Returns { giftCode, plan } or { status, message }.
+  async redeem(user, rawCode) {
+    const code = this.normalizeCode(rawCode);
+    if (!code) {
+      return { status: 400, message: 'code is required' };
+    }
+
+    const now = new Date();
+    const current = user.subscription;
+    const extending = this.hasActiveAccess(current, now);
+    const paidSubscription =
+      current?.id && current.provider !== 'code' && ENTITLED_STATUSES.includes(current.status);
+    if (paidSubscription) {
+      return {
+        status: 409,
+        message: 'Codes can only be redeemed on accounts without an active subscription',
+      };
+    }
+
+    // Claiming the code is a single conditional update, so it can only be redeemed once
+    const giftCode = await GiftCode.findOneAndUpdate(
+      {
+        code,
+        isActive: true,
+        redeemedBy: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+      },
+      { $set: { redeemedBy: user._id, redeemedAt: now } },
+      { new: true },
+    );
+    if (!giftCode) {
+      return this.explainRejection(code, user._id);
+    }
+
+    try {
+      const plan = await SubscriptionPlan.findById(giftCode.plan);
+      if (!plan) {
+        await this.release(giftCode);
+        return { status: 400, message: 'The plan for this code is no longer available' };
+      }
+      if (extending && !plan._id.equals(current.planId)) {
+        await this.release(giftCode);
+        return {
+          status: 409,
+          message: `You already have access to another plan from a code until ${formatDate(current.currentPeriodEnd)}`,
+        };
+      }
+
+      const previousStatus = current?.status || null;
+      const startsAt = extending ? current.currentPeriodEnd : now;
+      const accessEndsAt = new Date(startsAt.getTime() + giftCode.days * DAY_MS);
+      const interval = giftCode.days >= 365 ? 'year' : 'month';
+
+      const subscription = {
+        provider: 'code',
+        id: extending ? current.id : giftCode.code,
+        status: 'active',
+        currentPeriodEnd: accessEndsAt,
+        cancelAtPeriodEnd: true, // Access ends unless another code is redeemed
+        paymentDate: now,
+        validityDays: Math.ceil((accessEndsAt - now) / DAY_MS),
+        interval,
+        planId: plan._id,
+      };
+
+      // Only applies to the subscription the dates above were computed from, so two codes
+      // redeemed at once can't both extend from the same end date
+      const applied = await User.updateOne(
+        {
+          _id: user._id,
+          'subscription.id': current?.id ?? null,
+          'subscription.currentPeriodEnd': current?.currentPeriodEnd ?? null,
+        },
+        { $set: { subscription } },
+      );
+      if (!applied.modifiedCount) {
+        await this.release(giftCode);
+        return {
+          status: 409,
+          message: 'Your subscription changed while the code was being redeemed. Try again.',
+        };
+      }
+      user.subscription = subscription;
+
+      giftCode.accessEndsAt = accessEndsAt;
+      await giftCode.save();
+
+      await subscriptionEventService.recordChange({
+        type: extending ? 'renewed' : 'subscription_created',
+        source: 'user',
+        user,
+        actor: user._id,
+        previousStatus,
+        plan: plan._id,
+        planVersion: plan.version ?? null,
+        interval,
+        periodEnd: accessEndsAt,
+        note: `code: ${giftCode.code} (${giftCode.days} days)`,
+      });
+
+      return { giftCode, plan };
+    } catch (error) {
+      await this.release(giftCode).catch((releaseError) => {
+        console.error(`Failed to release gift code ${giftCode.code}:`, releaseError.message);
+      });
+      throw error;
+    }
+  }
+
+  async explainRejection(code, userId) {
+    const giftCode = await GiftCode.findOne({ code });
+    if (!giftCode || !giftCode.isActive) {
+      return { status: 400, message: 'Code is invalid' };
+    }
+    if (giftCode.redeemedBy) {
+      return giftCode.redeemedBy.equals(userId)
+        ? { status: 409, message: 'You have already redeemed this code' }
+        : { status: 409, message: 'Code has already been redeemed' };
+    }
+    if (giftCode.expiresAt && giftCode.expiresAt <= new Date()) {
+      return { status: 400, message: 'Code has expired' };
+    }
+    return { status: 400, message: 'Code cannot be redeemed' };
+  }
+
+  // Give a claimed code back when its redemption could not be applied
+  async release(giftCode) {
+    await GiftCode.updateOne(
+      { _id: giftCode._id, redeemedBy: giftCode.redeemedBy },
+      { $set: { redeemedBy: null, redeemedAt: null, accessEndsAt: null } },
+    );
+  }
+
+  // Mark code access that has run out as canceled. Returns the number of users updated.
+  async expireAccess() {
+    let expired = 0;
+    try {
+      const users = await User.find({
+        'subscription.provider': 'code',
+        'subscription.status': 'active',
+        'subscription.currentPeriodEnd': { $lte: new Date() },
+      });
+
+      for (const user of users) {
+        user.subscription.status = 'canceled';
+        await user.save();
+        await subscriptionEventService.recordChange({
+          type: 'canceled',
+          source: 'system',
+          user,
+          previousStatus: 'active',
+          plan: user.subscription.planId,
+          interval: user.subscription.interval,
+          note: 'code access ended',
+        });
+        expired += 1;
+      }
+    } catch (error) {
+      console.error('Error expiring code access:', error);
+    }
+    return expired;
+  }
+}
+
+export default new GiftCodeService();
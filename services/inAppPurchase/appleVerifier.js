@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+
+// SHA-256 fingerprint of Apple Root CA - G3, the root of every App Store signing chain
+const APPLE_ROOT_CA_G3_FINGERPRINT =
+  '63:34:3A:BF:B8:9A:6A:03:EB:B5:7E:9B:3F:5F:A7:BE:7C:4F:5C:75:6F:30:17:B3:A8:C4:88:C3:65:3E:91:79';
+
+// Marker extensions Apple puts on its App Store signing certificates
+const LEAF_MARKER_OID = '1.2.840.113635.100.6.11.1';
+const INTERMEDIATE_MARKER_OID = '1.2.840.113635.100.6.2.1';
+
+// DER encoding of an object identifier, to find an extension in a certificate's raw bytes
+const encodeOid = (oid) => {
+  const [first, second, ...rest] = oid.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const chunk = [arc & 0x7f];
+    for (let value = Math.floor(arc / 128); value > 0; value = Math.floor(value / 128)) {
+      chunk.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  }
+  return Buffer.from([0x06, bytes.length, ...bytes]);
+};
+
+const hasExtension = (certificate, oid) => certificate.raw.includes(encodeOid(oid));
+
+const normalizeFingerprint = (fingerprint) => fingerprint.replace(/:/g, '').toUpperCase();
+
+const decodePart = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+
+// Verifies App Store signed data (JWS) offline: StoreKit 2 transactions, renewal info and
+// App Store Server Notifications V2. The x5c certificate chain in the header must lead to a
+// pinned Apple root, and the payload must be signed by the chain's leaf certificate.
+class AppleVerifier {
+  constructor({
+    bundleId = process.env.APPLE_BUNDLE_ID,
+    rootFingerprints = process.env.APPLE_ROOT_CA_FINGERPRINTS,
+    allowSandbox = process.env.APPLE_ALLOW_SANDBOX
+      ? process.env.APPLE_ALLOW_SANDBOX === 'true'
+      : process.env.NODE_ENV !== 'production',
+  } = {}) {
+    this.bundleId = bundleId || null;
+    this.rootFingerprints = (rootFingerprints || APPLE_ROOT_CA_G3_FINGERPRINT)
+      .split(',')
+      .map((fingerprint) => normalizeFingerprint(fingerprint.trim()))
+      .filter(Boolean);
+    this.allowSandbox = allowSandbox;
+  }
+
+  // Throws when the certificate chain doesn't lead to a trusted root or isn't valid at `at`
+  verifyChain(x5c, at) {
+    if (!Array.isArray(x5c) || x5c.length !== 3) {
+      throw new Error('Expected a certificate chain of three certificates');
+    }
+    const [leaf, intermediate, root] = x5c.map(
+      (certificate) => new crypto.X509Certificate(Buffer.from(certificate, 'base64')),
+    );
+
+    if (!this.rootFingerprints.includes(normalizeFingerprint(root.fingerprint256))) {
+      throw new Error('Certificate chain is not rooted in a trusted Apple root certificate');
+    }
+    if (!leaf.checkIssued(intermediate) || !leaf.verify(intermediate.publicKey)) {
+      throw new Error('Leaf certificate is not signed by the intermediate certificate');
+    }
+    if (!intermediate.checkIssued(root) || !intermediate.verify(root.publicKey)) {
+      throw new Error('Intermediate certificate is not signed by the root certificate');
+    }
+    if (
+      !hasExtension(leaf, LEAF_MARKER_OID) ||
+      !hasExtension(intermediate, INTERMEDIATE_MARKER_OID)
+    ) {
+      throw new Error('Certificates are not App Store signing certificates');
+    }
+    for (const certificate of [leaf, intermediate, root]) {
+      if (at < new Date(certificate.validFrom) || at > new Date(certificate.validTo)) {
+        throw new Error('Certificate chain was not valid when the data was signed');
+      }
+    }
+    return leaf;
+  }
+
+  // Verify a JWS and return its payload. Throws when it can't be trusted.
+  verify(jws) {
+    const parts = typeof jws === 'string' ? jws.split('.') : [];
+    if (parts.length !== 3) {
+      throw new Error('Signed data is not a JWS');
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    let header;
+    let payload;
+    try {
+      header = decodePart(encodedHeader);
+      payload = decodePart(encodedPayload);
+    } catch {
+      throw new Error('Signed data is not a JWS');
+    }
+    if (header.alg !== 'ES256') {
+      throw new Error(`Unsupported signing algorithm ${header.alg}`);
+    }
+
+    // Offline checks use the signing date, so older data stays verifiable after rotations
+    const signedAt = payload.signedDate ? new Date(payload.signedDate) : new Date();
+    const leaf = this.verifyChain(header.x5c, signedAt);
+
+    const valid = crypto.verify(
+      'sha256',
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      { key: leaf.publicKey, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(encodedSignature, 'base64url'),
+    );
+    if (!valid) {
+      throw new Error('Signature does not match');
+    }
+    return payload;
+  }
+
+  checkBundle(bundleId) {
+    if (this.bundleId && bundleId !== this.bundleId) {
+      throw new Error('Signed data belongs to a different app');
+    }
+  }
+
+  checkEnvironment(environment) {
+    if (environment === 'Sandbox' && !this.allowSandbox) {
+      throw new Error('Sandbox purchases are not accepted');
+    }
+  }
+
+  // StoreKit 2 Transaction.jwsRepresentation
+  verifyTransaction(signedTransaction) {
+    const transaction = this.verify(signedTransaction);
+    this.checkBundle(transaction.bundleId);
+    this.checkEnvironment(transaction.environment);
+    if (transaction.type !== 'Auto-Renewable Subscription') {
+      throw new Error('Transaction is not an auto-renewable subscription');
+    }
+    return transaction;
+  }
+
+  verifyRenewalInfo(signedRenewalInfo) {
+    const renewalInfo = this.verify(signedRenewalInfo);
+    this.checkEnvironment(renewalInfo.environment);
+    return renewalInfo;
+  }
+
+  // App Store Server Notification V2 body ({ signedPayload }).
+  // Returns { notification, transaction, renewalInfo }; the last two may be null.
+  verifyNotification(signedPayload) {
+    const notification = this.verify(signedPayload);
+    const data = notification.data || {};
+    this.checkBundle(data.bundleId);
+    this.checkEnvironment(data.environment);
+
+    return {
+      notification,
+      transaction: data.signedTransactionInfo
+        ? this.verifyTransaction(data.signedTransactionInfo)
+        : null,
+      renewalInfo: data.signedRenewalInfo ? this.verifyRenewalInfo(data.signedRenewalInfo) : null,
+    };
+  }
+}
+
+export default AppleVerifier;
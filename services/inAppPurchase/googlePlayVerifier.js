@@ -0,0 +1,70 @@
+import { createServiceAccountAuth } from '../../utils/googleServiceAccount.js';
+
+const API_URL = 'https://androidpublisher.googleapis.com/androidpublisher/v3/applications';
+const PUBLISHER_SCOPE = 'https://www.googleapis.com/auth/androidpublisher';
+
+// Looks up Google Play subscription purchases with the Google Play Developer API, using a
+// service account that has access to the app in the Play Console.
+//
+// Any object with the same methods can replace it (inAppPurchaseService.useGoogleVerifier),
+// e.g. a stub in tests:
+//   getSubscription({ packageName, purchaseToken }) -> SubscriptionPurchaseV2 or null if unknown
+//   acknowledge({ packageName, productId, purchaseToken })
+class GooglePlayVerifier {
+  constructor({
+    clientEmail = process.env.GOOGLE_PLAY_CLIENT_EMAIL,
+    privateKey = process.env.GOOGLE_PLAY_PRIVATE_KEY,
+  } = {}) {
+    this.auth = createServiceAccountAuth({ clientEmail, privateKey, scope: PUBLISHER_SCOPE });
+  }
+
+  isConfigured() {
+    return this.auth.isConfigured();
+  }
+
+  async request(path, { method = 'GET', body } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Play credentials are not configured');
+    }
+
+    const response = await fetch(`${API_URL}/${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${await this.auth.getAccessToken()}`,
+        ...(body && { 'Content-Type': 'application/json' }),
+      },
+      ...(body && { body: JSON.stringify(body) }),
+    });
+    const data = response.status === 204 ? {} : await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error?.message || `Google Play API error ${response.status}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  async getSubscription({ packageName, purchaseToken }) {
+    try {
+      return await this.request(
+        `${encodeURIComponent(packageName)}/purchases/subscriptionsv2/tokens/${encodeURIComponent(purchaseToken)}`,
+      );
+    } catch (error) {
+      // Unknown or malformed tokens; expired ones are still returned
+      if (error.statusCode === 400 || error.statusCode === 404 || error.statusCode === 410) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Purchases that aren't acknowledged within three days are refunded by Google
+  async acknowledge({ packageName, productId, purchaseToken }) {
+    await this.request(
+      `${encodeURIComponent(packageName)}/purchases/subscriptions/${encodeURIComponent(productId)}/tokens/${encodeURIComponent(purchaseToken)}:acknowledge`,
+      { method: 'POST', body: {} },
+    );
+  }
+}
+
+export default GooglePlayVerifier;
@@ -0,0 +1,507 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import User from '../../models/userModel.js';
+import SubscriptionPlan from '../../models/SubscriptionPlan.js';
+import subscriptionEventService from '../subscriptionEventService.js';
+import AppleVerifier from './appleVerifier.js';
+import GooglePlayVerifier from './googlePlayVerifier.js';
+
+export const STORE_PROVIDERS = ['apple', 'google'];
+const STORE_NAMES = { apple: 'the App Store', google: 'Google Play' };
+const ENTITLED_STATUSES = ['active', 'trialing', 'past_due'];
+const ACCOUNT_TOKEN_MISSING =
+  'This purchase does not name the account it was made for. Contact support to link it.';
+// Namespace of the version 5 UUIDs appleAccountToken() derives from user IDs
+const APPLE_ACCOUNT_NAMESPACE = '6f1d3c2a-8b4e-4f7a-9c15-2e8a7d90b3f4';
+
+// subscriptionState of a Google Play SubscriptionPurchaseV2, as User.subscription statuses
+const GOOGLE_STATUSES = {
+  SUBSCRIPTION_STATE_ACTIVE: 'active',
+  SUBSCRIPTION_STATE_CANCELED: 'active', // Auto-renew turned off; runs until expiryTime
+  SUBSCRIPTION_STATE_IN_GRACE_PERIOD: 'past_due',
+  SUBSCRIPTION_STATE_ON_HOLD: 'past_due',
+  SUBSCRIPTION_STATE_PAUSED: 'paused',
+  SUBSCRIPTION_STATE_EXPIRED: 'canceled',
+  SUBSCRIPTION_STATE_PENDING: 'incomplete',
+  SUBSCRIPTION_STATE_PENDING_PURCHASE_CANCELED: 'incomplete_expired',
+};
+
+// Real-time developer notification types, for history notes
+const GOOGLE_NOTIFICATION_TYPES = {
+  1: 'RECOVERED',
+  2: 'RENEWED',
+  3: 'CANCELED',
+  4: 'PURCHASED',
+  5: 'ON_HOLD',
+  6: 'IN_GRACE_PERIOD',
+  7: 'RESTARTED',
+  8: 'PRICE_CHANGE_CONFIRMED',
+  9: 'DEFERRED',
+  10: 'PAUSED',
+  11: 'PAUSE_SCHEDULE_CHANGED',
+  12: 'REVOKED',
+  13: 'EXPIRED',
+  20: 'PENDING_PURCHASE_CANCELED',
+};
+const GOOGLE_SUBSCRIPTION_PRODUCT_TYPE = 1; // voidedPurchaseNotification.productType
+
+const toDate = (value) => (value ? new Date(Number(value) || value) : null);
+
+// App Store and Google Play subscriptions. Purchases are verified (Apple offline from the
+// signed transaction, Google through the Play Developer API), mapped onto User.subscription
+// with the same statuses Stripe uses, and kept current by the stores' server notifications.
+class InAppPurchaseService {
+  constructor() {
+    this.apple = new AppleVerifier();
+    this.google = new GooglePlayVerifier();
+  }
+
+  // Swap the Google Play lookup, e.g. for a stub in tests (see GooglePlayVerifier)
+  useGoogleVerifier(verifier) {
+    this.google = verifier;
+    return verifier;
+  }
+
+  // UUID the app passes as appAccountToken when it starts a StoreKit purchase, so the signed
+  // transaction names the account it was bought for. A version 5 (SHA-1, name-based) UUID of the
+  // user ID, so it is stable across devices and reinstalls.
+  appleAccountToken(userId) {
+    const namespace = Buffer.from(APPLE_ACCOUNT_NAMESPACE.replace(/-/g, ''), 'hex');
+    const bytes = crypto.createHash('sha1').update(namespace).update(String(userId)).digest();
+    bytes[6] = (bytes[6] & 0x0f) | 0x50; // Version 5
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+    return bytes
+      .subarray(0, 16)
+      .toString('hex')
+      .replace(/^(.{8})(.{4})(.{4})(.{4})/, '$1-$2-$3-$4-');
+  }
+
+  isStoreManaged(subscription) {
+    return STORE_PROVIDERS.includes(subscription?.provider);
+  }
+
+  // Response for Stripe-only actions on a subscription the store bills
+  storeManagedError(subscription) {
+    return {
+      message: `This subscription is billed through ${STORE_NAMES[subscription.provider]}. Manage it in your device's subscription settings.`,
+      provider: subscription.provider,
+    };
+  }
+
+  // Validate SubscriptionPlan.storeProducts from an admin request.
+  // Returns { storeProducts } or { error }.
+  normalizeStoreProducts(value) {
+    if (!Array.isArray(value)) {
+      return { error: 'storeProducts must be an array' };
+    }
+
+    const storeProducts = [];
+    for (const product of value) {
+      if (!product || !STORE_PROVIDERS.includes(product.provider)) {
+        return { error: `storeProducts provider must be one of: ${STORE_PROVIDERS.join(', ')}` };
+      }
+      if (typeof product.productId !== 'string' || !product.productId.trim()) {
+        return { error: 'storeProducts productId is required' };
+      }
+      if (!['month', 'year'].includes(product.interval)) {
+        return { error: 'storeProducts interval must be month or year' };
+      }
+      if (product.basePlanId != null && typeof product.basePlanId !== 'string') {
+        return { error: 'storeProducts basePlanId must be a string' };
+      }
+      storeProducts.push({
+        provider: product.provider,
+        productId: product.productId.trim(),
+        basePlanId: product.provider === 'google' ? product.basePlanId?.trim() || null : null,
+        interval: product.interval,
+      });
+    }
+    return { storeProducts };
+  }
+
+  // Plan and billing interval for a store product. Returns { plan, interval }; plan may be null.
+  async findPlan({ provider, productId, basePlanId }) {
+    const plan = await SubscriptionPlan.findOne({
+      storeProducts: {
+        $elemMatch: { provider, productId, basePlanId: { $in: [basePlanId || null, null] } },
+      },
+    });
+    const matching = (plan?.storeProducts || []).filter(
+      (product) => product.provider === provider && product.productId === productId,
+    );
+    const product =
+      matching.find((candidate) => candidate.basePlanId && candidate.basePlanId === basePlanId) ||
+      matching.find((candidate) => !candidate.basePlanId);
+    return { plan, interval: product?.interval || 'month' };
+  }
+
+  // A verified App Store transaction (and renewal info, when known) as store state
+  fromAppleTransaction(transaction, renewalInfo = null) {
+    const now = new Date();
+    const expiresAt = toDate(transaction.expiresDate);
+    const graceEndsAt = toDate(renewalInfo?.gracePeriodExpiresDate);
+    const revokedAt = toDate(transaction.revocationDate);
+
+    let status = 'canceled';
+    if (revokedAt) {
+      status = 'canceled'; // Refunded or revoked (e.g. removed from Family Sharing)
+    } else if (expiresAt && expiresAt > now) {
+      status = transaction.offerDiscountType === 'FREE_TRIAL' ? 'trialing' : 'active';
+    } else if ((graceEndsAt && graceEndsAt > now) || renewalInfo?.isInBillingRetryPeriod) {
+      status = 'past_due'; // Renewal failed; Apple keeps retrying
+    }
+
+    return {
+      provider: 'apple',
+      id: transaction.originalTransactionId,
+      productId: transaction.productId,
+      basePlanId: null,
+      status,
+      currentPeriodEnd: revokedAt || expiresAt,
+      cancelAtPeriodEnd: renewalInfo ? renewalInfo.autoRenewStatus === 0 : undefined,
+      graceEndsAt: graceEndsAt && graceEndsAt > now ? graceEndsAt : null,
+      revoked: Boolean(revokedAt),
+      signedAt: toDate(transaction.signedDate) || now,
+      accountId: transaction.appAccountToken || null,
+    };
+  }
+
+  // A Google Play SubscriptionPurchaseV2 as store state
+  fromGooglePurchase(purchase, purchaseToken) {
+    const now = new Date();
+    const lineItem = purchase.lineItems?.[0] || {};
+    const expiresAt = toDate(lineItem.expiryTime);
+
+    let status = GOOGLE_STATUSES[purchase.subscriptionState] || 'incomplete';
+    if (status === 'active' && (!expiresAt || expiresAt <= now)) {
+      status = 'canceled';
+    } else if (status === 'active' && lineItem.offerPhase?.freeTrial) {
+      status = 'trialing';
+    }
+
+    return {
+      provider: 'google',
+      id: purchaseToken,
+      productId: lineItem.productId,
+      basePlanId: lineItem.offerDetails?.basePlanId || null,
+      status,
+      currentPeriodEnd: expiresAt,
+      cancelAtPeriodEnd: lineItem.autoRenewingPlan
+        ? !lineItem.autoRenewingPlan.autoRenewEnabled
+        : undefined,
+      // While in grace, expiryTime is the end of the grace period
+      graceEndsAt:
+        purchase.subscriptionState === 'SUBSCRIPTION_STATE_IN_GRACE_PERIOD' ? expiresAt : null,
+      isPaused: status === 'paused',
+      revoked: false,
+      signedAt: now, // Read live from Google, so always the latest state
+      accountId: purchase.externalAccountIdentifiers?.obfuscatedExternalAccountId || null,
+      linkedPurchaseToken: purchase.linkedPurchaseToken || null,
+    };
+  }
+
+  // Reasons a verified purchase can't be linked to the user. Returns { status, message } or null.
+  async checkOwnership(user, state) {
+    const owner = await User.findOne({
+      _id: { $ne: user._id },
+      'subscription.provider': state.provider,
+      'subscription.id': state.id,
+    }).select('_id');
+    if (owner) {
+      return { status: 409, message: 'This purchase is already linked to another account' };
+    }
+
+    const current = user.subscription;
+    if (
+      current?.id &&
+      current.provider === 'stripe' &&
+      ENTITLED_STATUSES.includes(current.status) &&
+      ENTITLED_STATUSES.includes(state.status)
+    ) {
+      return {
+        status: 409,
+        message:
+          'You already have an active card subscription. Cancel it before subscribing in the app.',
+      };
+    }
+    return null;
+  }
+
+  // Write store state onto User.subscription and record what changed in the history.
+  // Returns false when the state is older than what is already stored.
+  async applyState(user, state, { source, note }) {
+    const current = user.subscription;
+    const sameSubscription = current.provider === state.provider && current.id === state.id;
+    if (sameSubscription && current.storeUpdatedAt && state.signedAt < current.storeUpdatedAt) {
+      return false;
+    }
+
+    const previous = {
+      status: current.status,
+      currentPeriodEnd: current.currentPeriodEnd,
+      cancelAtPeriodEnd: current.cancelAtPeriodEnd,
+    };
+    const { plan, interval } = await this.findPlan(state);
+    const renewed =
+      sameSubscription &&
+      ENTITLED_STATUSES.includes(state.status) &&
+      state.currentPeriodEnd > (previous.currentPeriodEnd || 0);
+
+    Object.assign(user.subscription, {
+      provider: state.provider,
+      id: state.id,
+      status: state.status,
+      currentPeriodEnd: state.currentPeriodEnd,
+      collectionMethod: 'charge_automatically',
+      interval,
+      validityDays: interval === 'year' ? 365 : 30,
+      priceId: state.productId,
+      planId: null,
+      isPaused: Boolean(state.isPaused),
+      pausedAt: state.isPaused ? current.pausedAt || new Date() : null,
+      resumesAt: null,
+      pausedAccessUntil: null,
+      // The store runs its own retries; only the grace end is kept so access continues
+      dunning: {
+        startedAt: null,
+        graceEndsAt: state.graceEndsAt,
+        invoiceId: null,
+        payLink: null,
+        failedAttempts: 0,
+        remindersSent: 0,
+      },
+      scheduledChange: { priceId: null, interval: null, effectiveAt: null },
+      storeUpdatedAt: state.signedAt,
+    });
+    if (state.cancelAtPeriodEnd !== undefined) {
+      user.subscription.cancelAtPeriodEnd = state.cancelAtPeriodEnd;
+    }
+    if (!sameSubscription || renewed) {
+      user.subscription.paymentDate = new Date();
+    }
+    if (state.status === 'trialing' && !user.trialUsedAt) {
+      user.trialUsedAt = new Date();
+    }
+    await user.save();
+
+    const details = {
+      source,
+      user,
+      previousStatus: previous.status,
+      priceId: state.productId,
+      planId: null,
+      plan: plan?._id || null,
+      planVersion: plan?.version ?? null,
+      interval,
+      periodEnd: state.currentPeriodEnd,
+      note,
+    };
+    if (!sameSubscription) {
+      await subscriptionEventService.recordChange({ type: 'subscription_created', ...details });
+    } else if (previous.status !== state.status) {
+      const converted = previous.status === 'trialing' && state.status === 'active';
+      const type = state.status === 'canceled' ? 'canceled' : 'status_changed';
+      await subscriptionEventService.recordChange({
+        type: converted ? 'trial_converted' : type,
+        ...details,
+      });
+    } else if (renewed) {
+      await subscriptionEventService.recordChange({ type: 'renewed', ...details });
+    }
+    if (
+      sameSubscription &&
+      state.cancelAtPeriodEnd !== undefined &&
+      state.cancelAtPeriodEnd !== Boolean(previous.cancelAtPeriodEnd)
+    ) {
+      await subscriptionEventService.recordChange({
+        type: state.cancelAtPeriodEnd ? 'cancel_requested' : 'cancel_withdrawn',
+        ...details,
+      });
+    }
+    return true;
+  }
+
+  // Link a StoreKit 2 purchase to the user.
+  // Returns { subscription } or { status, message }.
+  async verifyApplePurchase(user, { signedTransaction, signedRenewalInfo }) {
+    let transaction;
+    let renewalInfo = null;
+    try {
+      transaction = this.apple.verifyTransaction(signedTransaction);
+      if (signedRenewalInfo) {
+        renewalInfo = this.apple.verifyRenewalInfo(signedRenewalInfo);
+      }
+    } catch (error) {
+      return { status: 400, message: `Invalid App Store transaction: ${error.message}` };
+    }
+    if (renewalInfo && renewalInfo.originalTransactionId !== transaction.originalTransactionId) {
+      return { status: 400, message: 'Renewal info belongs to a different subscription' };
+    }
+
+    const state = this.fromAppleTransaction(transaction, renewalInfo);
+    // The app passes appleAccountToken() as appAccountToken when it starts the purchase. A
+    // transaction without one could be claimed by anyone holding its JWS, so it is refused.
+    if (!state.accountId) {
+      return { status: 400, message: ACCOUNT_TOKEN_MISSING };
+    }
+    if (state.accountId.toLowerCase() !== this.appleAccountToken(user._id)) {
+      return { status: 409, message: 'This purchase belongs to another account' };
+    }
+
+    return this.linkPurchase(user, state);
+  }
+
+  // Link a Google Play purchase token to the user.
+  // Returns { subscription } or { status, message }.
+  async verifyGooglePurchase(user, { purchaseToken }) {
+    const packageName = process.env.GOOGLE_PLAY_PACKAGE_NAME;
+    if (!packageName) {
+      return { status: 503, message: 'Google Play purchases are not configured' };
+    }
+
+    const purchase = await this.google.getSubscription({ packageName, purchaseToken });
+    if (!purchase) {
+      return { status: 400, message: 'Unknown Google Play purchase token' };
+    }
+    const state = this.fromGooglePurchase(purchase, purchaseToken);
+    // The app passes the user ID as the obfuscated account ID when it starts the purchase; as
+    // with App Store transactions, a purchase without one is refused
+    if (!state.accountId) {
+      return { status: 400, message: ACCOUNT_TOKEN_MISSING };
+    }
+    if (state.accountId !== user._id.toString()) {
+      return { status: 409, message: 'This purchase belongs to another account' };
+    }
+
+    const result = await this.linkPurchase(user, state);
+    if (!result.status && purchase.acknowledgementState === 'ACKNOWLEDGEMENT_STATE_PENDING') {
+      try {
+        await this.google.acknowledge({ packageName, productId: state.productId, purchaseToken });
+      } catch (error) {
+        // Retried by the next verify or notification; Google refunds after three days
+        console.error('Error acknowledging Google Play purchase:', error.message);
+      }
+    }
+    return result;
+  }
+
+  async linkPurchase(user, state) {
+    const { plan } = await this.findPlan(state);
+    if (!plan) {
+      return { status: 400, message: `No plan is configured for product ${state.productId}` };
+    }
+    const conflict = await this.checkOwnership(user, state);
+    if (conflict) return conflict;
+
+    await this.applyState(user, state, { source: 'user', note: `${state.provider}: verified` });
+    return { subscription: this.describe(user.subscription) };
+  }
+
+  // App Store Server Notification V2. Returns { handled } or { status, message } when the
+  // payload can't be verified.
+  async handleAppleNotification(signedPayload) {
+    let verified;
+    try {
+      verified = this.apple.verifyNotification(signedPayload);
+    } catch (error) {
+      return { status: 400, message: `Invalid App Store notification: ${error.message}` };
+    }
+
+    const { notification, transaction, renewalInfo } = verified;
+    if (!transaction) return { handled: false }; // e.g. TEST
+    const user = await User.findOne({
+      'subscription.provider': 'apple',
+      'subscription.id': transaction.originalTransactionId,
+    });
+    if (!user) return { handled: false }; // Linked later by the app's verify call
+
+    const state = this.fromAppleTransaction(transaction, renewalInfo);
+    state.signedAt = toDate(notification.signedDate) || state.signedAt;
+    // A refund of an earlier period doesn't end the current one
+    if (state.revoked && toDate(transaction.expiresDate) < user.subscription.currentPeriodEnd) {
+      return { handled: false };
+    }
+
+    const type = [notification.notificationType, notification.subtype].filter(Boolean).join('/');
+    const applied = await this.applyState(user, state, {
+      source: 'webhook',
+      note: `apple: ${type}`,
+    });
+    return { handled: applied };
+  }
+
+  // Google Play real-time developer notification, delivered by a Pub/Sub push subscription.
+  // The notification only says which purchase changed; its state is read from Google.
+  async handleGoogleNotification(body) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body.message.data, 'base64').toString('utf8'));
+    } catch {
+      return { status: 400, message: 'Invalid Pub/Sub message' };
+    }
+
+    const packageName = process.env.GOOGLE_PLAY_PACKAGE_NAME;
+    if (!packageName || payload.packageName !== packageName) return { handled: false };
+
+    const { subscriptionNotification, voidedPurchaseNotification } = payload;
+    const voided =
+      voidedPurchaseNotification?.productType === GOOGLE_SUBSCRIPTION_PRODUCT_TYPE
+        ? voidedPurchaseNotification
+        : null;
+    const purchaseToken = subscriptionNotification?.purchaseToken || voided?.purchaseToken;
+    if (!purchaseToken) return { handled: false }; // Test or one-time product notification
+
+    const purchase = await this.google.getSubscription({ packageName, purchaseToken });
+    if (!purchase) return { handled: false };
+    const state = this.fromGooglePurchase(purchase, purchaseToken);
+
+    // Upgrades and resubscribes get a new token that links to the one we stored
+    const tokens = [purchaseToken, state.linkedPurchaseToken].filter(Boolean);
+    let user = await User.findOne({
+      'subscription.provider': 'google',
+      'subscription.id': { $in: tokens },
+    });
+    if (!user && mongoose.isValidObjectId(state.accountId)) {
+      user = await User.findById(state.accountId);
+      if (user && (await this.checkOwnership(user, state))) return { handled: false };
+    }
+    if (!user) return { handled: false };
+
+    if (voided) {
+      // Refunded or charged back: access ends now
+      Object.assign(state, { status: 'canceled', currentPeriodEnd: new Date(), revoked: true });
+    }
+    const type = voided
+      ? 'VOIDED'
+      : GOOGLE_NOTIFICATION_TYPES[subscriptionNotification.notificationType] ||
+        subscriptionNotification.notificationType;
+    const applied = await this.applyState(user, state, {
+      source: 'webhook',
+      note: `google: ${type}`,
+    });
+    return { handled: applied };
+  }
+
+  // Stored User.subscription in the shape of GET /subscriptions/status, for subscriptions Stripe
+  // doesn't hold (store purchases and redeemed codes)
+  describe(subscription) {
+    return {
+      id: subscription.id,
+      provider: subscription.provider,
+      status: subscription.status,
+      currentPeriodStart: null,
+      currentPeriodEnd: subscription.currentPeriodEnd
+        ? Math.floor(new Date(subscription.currentPeriodEnd).getTime() / 1000)
+        : null,
+      cancelAtPeriodEnd: Boolean(subscription.cancelAtPeriodEnd),
+      plan: subscription.priceId,
+      interval: subscription.interval,
+      isActive: subscription.status === 'active' || subscription.status === 'trialing',
+      isPaused: Boolean(subscription.isPaused),
+      resumesAt: null,
+      scheduledChange: null,
+    };
+  }
+}
+
+export default new InAppPurchaseService();
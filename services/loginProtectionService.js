@@ -0,0 +1,173 @@
+import AuthThrottle from '../models/AuthThrottle.js';
+import emailService from './emailService.js';
+
+const MINUTE_MS = 60 * 1000;
+const FAILURE_WINDOW_MS = 60 * MINUTE_MS; // Counts reset after an hour without failures
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 5 * MINUTE_MS;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+
+// Per action and scope: failures allowed before backoff starts, and failures that lock the key
+const POLICIES = {
+  login: {
+    account: { freeAttempts: 3, lockoutAfter: 10 },
+    ip: { freeAttempts: 10, lockoutAfter: 50 },
+  },
+  forgot_password: {
+    account: { freeAttempts: 3, lockoutAfter: 10 },
+    ip: { freeAttempts: 10, lockoutAfter: 30 },
+  },
+  // Reset tokens name no account until they match, so only the IP is tracked
+  reset_password: {
+    ip: { freeAttempts: 5, lockoutAfter: 20 },
+  },
+};
+
+// Loopback, private and link-local addresses name a proxy or an internal network rather than one
+// client. If the app sees one (e.g. TRUST_PROXY is wrong), every visitor shares it, and counting
+// it would lock the whole site out, so such addresses are not counted.
+const SHARED_ADDRESS =
+  /^(127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|169\.254\.|::1$|::$|f[cd][0-9a-f]{2}:|fe80:)/i;
+
+const clientAddress = (ip) => {
+  const address = String(ip || '').replace(/^::ffff:/i, '');
+  return address && !SHARED_ADDRESS.test(address) ? address : null;
+};
+
+const normalizeEmail = (email) =>
+  String(email || '')
+    .trim()
+    .toLowerCase();
+
+// Failed-attempt tracking for login, forgot-password and reset-password, per IP and per email:
+// exponential backoff after a few failures, then a temporary lockout.
+class LoginProtectionService {
+  // LOGIN_LOCKOUT_MINUTES: how long a locked account or IP waits (default 15)
+  getLockoutMs() {
+    const minutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10);
+    return (
+      (Number.isInteger(minutes) && minutes > 0 ? minutes : DEFAULT_LOCKOUT_MINUTES) * MINUTE_MS
+    );
+  }
+
+  // Throttle keys for a request: { ip, email }
+  keysFor(action, { ip, email } = {}) {
+    const values = { account: email && normalizeEmail(email), ip: clientAddress(ip) };
+    return Object.keys(POLICIES[action])
+      .filter((scope) => values[scope])
+      .map((scope) => ({ scope, key: `${action}:${scope}:${values[scope]}` }));
+  }
+
+  // Delay earned by a number of failures
+  delayFor({ freeAttempts, lockoutAfter }, failures) {
+    if (failures >= lockoutAfter) {
+      return this.getLockoutMs();
+    }
+    if (failures > freeAttempts) {
+      return Math.min(BASE_BACKOFF_MS * 2 ** (failures - freeAttempts - 1), MAX_BACKOFF_MS);
+    }
+    return 0;
+  }
+
+  // Returns { retryAfter } in seconds while any key of the request is blocked, else {}
+  async check(action, subject) {
+    const now = new Date();
+    const blocked = await AuthThrottle.find({
+      key: { $in: this.keysFor(action, subject).map(({ key }) => key) },
+      blockedUntil: { $gt: now },
+    }).select('blockedUntil');
+    if (!blocked.length) {
+      return {};
+    }
+
+    const until = Math.max(...blocked.map((throttle) => throttle.blockedUntil.getTime()));
+    return { retryAfter: Math.ceil((until - now.getTime()) / 1000) };
+  }
+
+  // Count a failure against every key of the request. When an account key reaches the lockout
+  // threshold and `user` is given, the owner is emailed. Returns { lockedUntil } for that case.
+  async recordFailure(action, subject, { user = null } = {}) {
+    const now = new Date();
+    let lockedUntil = null;
+
+    for (const { scope, key } of this.keysFor(action, subject)) {
+      const policy = POLICIES[action][scope];
+      const throttle = await this.increment({ key, action, scope }, now);
+
+      const delay = this.delayFor(policy, throttle.failures);
+      if (!delay) continue;
+
+      const blockedUntil = new Date(now.getTime() + delay);
+      const justLocked = throttle.failures === policy.lockoutAfter;
+      await AuthThrottle.updateOne(
+        { _id: throttle._id },
+        {
+          $set: {
+            blockedUntil,
+            expiresAt: new Date(blockedUntil.getTime() + FAILURE_WINDOW_MS),
+            ...(justLocked && { lockedAt: now }),
+          },
+        },
+      );
+
+      if (justLocked) {
+        console.warn(`Auth lockout: ${key} after ${throttle.failures} failures`);
+        if (scope === 'account') lockedUntil = blockedUntil;
+      }
+    }
+
+    if (lockedUntil && user && action === 'login') {
+      const result = await emailService.sendAccountLockedEmail(user, lockedUntil);
+      if (!result.success) {
+        console.error(`Failed to send lockout email to ${user.email}:`, result.error);
+      }
+    }
+    return { lockedUntil };
+  }
+
+  // Atomic failure count, so concurrent attempts can't slip past the threshold
+  async increment({ key, action, scope }, now) {
+    const update = {
+      $inc: { failures: 1 },
+      $set: { lastFailedAt: now },
+      $setOnInsert: { action, scope },
+      $max: { expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS) },
+    };
+    try {
+      return await AuthThrottle.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+    } catch (error) {
+      // Two first failures raced to insert the key; the second one updates it instead
+      if (error.code !== 11000) throw error;
+      return AuthThrottle.findOneAndUpdate({ key }, update, { new: true });
+    }
+  }
+
+  // A successful login clears the account's count. IP counts only decay, so one working
+  // account doesn't reset an IP that is guessing others.
+  async recordSuccess(action, { email } = {}) {
+    await AuthThrottle.deleteOne({ key: `${action}:account:${normalizeEmail(email)}` });
+  }
+
+  // Admin unlock (or a completed password reset): clear every account-scoped count for the
+  // email. Returns the number of cleared entries.
+  async unlock(email) {
+    const keys = Object.keys(POLICIES)
+      .filter((action) => POLICIES[action].account)
+      .map((action) => `${action}:account:${normalizeEmail(email)}`);
+    const result = await AuthThrottle.deleteMany({ key: { $in: keys } });
+    return result.deletedCount;
+  }
+
+  // Lockout state of an account's login, for admins
+  async describe(email) {
+    const throttle = await AuthThrottle.findOne({ key: `login:account:${normalizeEmail(email)}` });
+    const now = new Date();
+    return {
+      failedAttempts: throttle?.failures || 0,
+      blockedUntil: throttle?.blockedUntil > now ? throttle.blockedUntil : null,
+      lockedAt: throttle?.lockedAt || null,
+    };
+  }
+}
+
+export default new LoginProtectionService();
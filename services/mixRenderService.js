@@ -0,0 +1,273 @@
+import fs from 'fs';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import binauralService from './binauralService.js';
+
+const MAX_RENDER_SECONDS = 60 * 60;
+const CHUNK_FRAMES = 44100; // Render roughly one second at a time
+const WORKER_URL = new URL('./mixRenderWorker.js', import.meta.url);
+
+class MixRenderService {
+  // Reasons the populated layers can't be rendered, checked from the stored upload metadata
+  // before any work starts. Tracks without metadata are judged by their file extension.
+  findUnsupportedLayers(mix) {
+    const problems = [];
+    const sampleRates = new Set();
+
+    for (const [index, layer] of mix.layers.entries()) {
+      const label = `layer ${index + 1}${layer.music?.title ? ` (${layer.music.title})` : ''}`;
+      if (!layer.music || !layer.music.fileUrl) {
+        problems.push(`${label} references a missing track`);
+        continue;
+      }
+
+      const technical = layer.music.technical || {};
+      const format =
+        technical.format || path.extname(layer.music.fileUrl).slice(1).toLowerCase() || 'unknown';
+      if (format !== 'wav') {
+        problems.push(`${label} is ${format}; only 16-bit PCM WAV tracks can be rendered`);
+      } else if (technical.bitsPerSample && technical.bitsPerSample !== 16) {
+        problems.push(`${label} is ${technical.bitsPerSample}-bit; only 16-bit WAV is supported`);
+      } else if (technical.channels > 2) {
+        problems.push(
+          `${label} has ${technical.channels} channels; only mono or stereo is supported`,
+        );
+      }
+      if (technical.sampleRate) sampleRates.add(technical.sampleRate);
+    }
+
+    if (sampleRates.size > 1) {
+      problems.push(
+        `all layers must share the same sample rate (found ${[...sampleRates].join(', ')})`,
+      );
+    }
+    return problems;
+  }
+
+  // Run render() on a worker thread so the mixing loop never blocks request handling.
+  // Resolves with the duration in seconds.
+  renderInWorker(mix, uploadsDir, outputPath) {
+    // Only plain data crosses to the worker
+    const plainMix = {
+      duration: mix.duration,
+      layers: mix.layers.map((layer) => ({
+        music: layer.music && { title: layer.music.title, fileUrl: layer.music.fileUrl },
+        volume: layer.volume,
+        loop: layer.loop,
+        startOffset: layer.startOffset,
+        fadeIn: layer.fadeIn,
+        fadeOut: layer.fadeOut,
+      })),
+    };
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_URL, {
+        workerData: { mix: plainMix, uploadsDir, outputPath },
+      });
+      let settled = false;
+      worker.once('message', ({ duration, error }) => {
+        settled = true;
+        if (error) reject(new Error(error));
+        else resolve(duration);
+      });
+      worker.once('error', (error) => {
+        settled = true;
+        reject(error);
+      });
+      worker.once('exit', (code) => {
+        if (!settled) reject(new Error(`render worker exited with code ${code}`));
+      });
+    });
+  }
+
+  // Locate the fmt/data chunks of a WAV file. Only 16-bit PCM sources can be
+  // mixed server-side since we don't ship a decoder for compressed formats.
+  async openWavSource(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const head = Buffer.alloc(12);
+      await handle.read(head, 0, 12, 0);
+      if (
+        head.subarray(0, 4).toString('latin1') !== 'RIFF' ||
+        head.subarray(8, 12).toString('latin1') !== 'WAVE'
+      ) {
+        throw new Error('only WAV sources can be rendered server-side');
+      }
+
+      let fmt = null;
+      let data = null;
+      let offset = 12;
+      while (offset + 8 <= size && !(fmt && data)) {
+        const chunkHeader = Buffer.alloc(8);
+        await handle.read(chunkHeader, 0, 8, offset);
+        const id = chunkHeader.subarray(0, 4).toString('latin1');
+        const chunkSize = chunkHeader.readUInt32LE(4);
+        if (id === 'fmt ') {
+          const body = Buffer.alloc(16);
+          await handle.read(body, 0, 16, offset + 8);
+          fmt = {
+            audioFormat: body.readUInt16LE(0),
+            channels: body.readUInt16LE(2),
+            sampleRate: body.readUInt32LE(4),
+            bitsPerSample: body.readUInt16LE(14),
+          };
+        } else if (id === 'data') {
+          data = { offset: offset + 8, size: Math.min(chunkSize, size - offset - 8) };
+        }
+        offset += 8 + chunkSize + (chunkSize % 2);
+      }
+
+      if (!fmt || !data) throw new Error('WAV source is missing its fmt or data chunk');
+      if (fmt.audioFormat !== 1 || fmt.bitsPerSample !== 16) {
+        throw new Error('only 16-bit PCM WAV sources can be rendered server-side');
+      }
+      if (fmt.channels !== 1 && fmt.channels !== 2) {
+        throw new Error('only mono or stereo sources can be rendered server-side');
+      }
+
+      const bytesPerFrame = fmt.channels * 2;
+      return {
+        handle,
+        ...fmt,
+        dataOffset: data.offset,
+        frameCount: Math.floor(data.size / bytesPerFrame),
+        bytesPerFrame,
+      };
+    } catch (error) {
+      await handle.close();
+      throw error;
+    }
+  }
+
+  // Read `count` frames starting at `start` as interleaved stereo floats (wrapping when looping)
+  async readFrames(source, start, count, loop) {
+    const output = new Float32Array(count * 2);
+    let written = 0;
+    let position = start;
+
+    while (written < count) {
+      if (position >= source.frameCount) {
+        if (!loop) break;
+        position %= source.frameCount;
+      }
+      const frames = Math.min(count - written, source.frameCount - position);
+      const buffer = Buffer.alloc(frames * source.bytesPerFrame);
+      await source.handle.read(
+        buffer,
+        0,
+        buffer.length,
+        source.dataOffset + position * source.bytesPerFrame,
+      );
+
+      for (let i = 0; i < frames; i++) {
+        const left = buffer.readInt16LE(i * source.bytesPerFrame) / 32768;
+        const right =
+          source.channels === 2 ? buffer.readInt16LE(i * source.bytesPerFrame + 2) / 32768 : left;
+        output[(written + i) * 2] = left;
+        output[(written + i) * 2 + 1] = right;
+      }
+
+      written += frames;
+      position += frames;
+    }
+
+    return output;
+  }
+
+  // Render a mix whose layers have been populated with their Music documents.
+  // Writes a 16-bit stereo WAV to outputPath and returns its duration in seconds.
+  async render(mix, uploadsDir, outputPath) {
+    const sources = [];
+    try {
+      for (const [index, layer] of mix.layers.entries()) {
+        if (!layer.music || !layer.music.fileUrl) {
+          throw new Error(`layer ${index + 1} references a missing track`);
+        }
+        const filePath = path.join(uploadsDir, path.basename(layer.music.fileUrl));
+        try {
+          sources.push({ layer, ...(await this.openWavSource(filePath)) });
+        } catch (error) {
+          throw new Error(`layer ${index + 1} (${layer.music.title}): ${error.message}`);
+        }
+      }
+
+      const sampleRate = sources[0].sampleRate;
+      if (sources.some((source) => source.sampleRate !== sampleRate)) {
+        throw new Error('all layers must share the same sample rate');
+      }
+
+      let totalFrames;
+      if (mix.duration) {
+        totalFrames = Math.round(mix.duration * sampleRate);
+      } else {
+        const ends = sources
+          .filter((source) => !source.layer.loop)
+          .map((source) => Math.round(source.layer.startOffset * sampleRate) + source.frameCount);
+        if (!ends.length) {
+          throw new Error('a duration is required when every layer loops');
+        }
+        totalFrames = Math.max(...ends);
+      }
+      if (totalFrames > MAX_RENDER_SECONDS * sampleRate) {
+        throw new Error(`mixes longer than ${MAX_RENDER_SECONDS} seconds cannot be rendered`);
+      }
+
+      const handle = await fs.promises.open(outputPath, 'w');
+      try {
+        const header = binauralService.createWavHeader(totalFrames * 4);
+        header.writeUInt32LE(sampleRate, 24);
+        header.writeUInt32LE(sampleRate * 4, 28);
+        await handle.write(header);
+
+        for (let start = 0; start < totalFrames; start += CHUNK_FRAMES) {
+          const frames = Math.min(CHUNK_FRAMES, totalFrames - start);
+          const mixed = new Float32Array(frames * 2);
+
+          for (const source of sources) {
+            const { layer } = source;
+            const layerStart = Math.round(layer.startOffset * sampleRate);
+            const layerEnd = layer.loop ? totalFrames : layerStart + source.frameCount;
+            const from = Math.max(start, layerStart);
+            const to = Math.min(start + frames, layerEnd);
+            if (from >= to) continue;
+
+            const samples = await this.readFrames(source, from - layerStart, to - from, layer.loop);
+            const fadeInFrames = Math.round(layer.fadeIn * sampleRate);
+            const fadeOutFrames = Math.round(layer.fadeOut * sampleRate);
+
+            for (let frame = from; frame < to; frame++) {
+              let gain = layer.volume;
+              const sinceStart = frame - layerStart;
+              const untilEnd = layerEnd - frame;
+              if (fadeInFrames && sinceStart < fadeInFrames) gain *= sinceStart / fadeInFrames;
+              if (fadeOutFrames && untilEnd < fadeOutFrames) gain *= untilEnd / fadeOutFrames;
+
+              const i = (frame - from) * 2;
+              const o = (frame - start) * 2;
+              mixed[o] += samples[i] * gain;
+              mixed[o + 1] += samples[i + 1] * gain;
+            }
+          }
+
+          const chunk = Buffer.alloc(frames * 4);
+          for (let i = 0; i < mixed.length; i++) {
+            chunk.writeInt16LE(Math.round(Math.max(-1, Math.min(1, mixed[i])) * 32767), i * 2);
+          }
+          await handle.write(chunk);
+        }
+      } catch (error) {
+        await handle.close();
+        await fs.promises.unlink(outputPath).catch(() => {});
+        throw error;
+      }
+      await handle.close();
+
+      return totalFrames / sampleRate;
+    } finally {
+      await Promise.all(sources.map((source) => source.handle.close()));
+    }
+  }
+}
+
+export default new MixRenderService();
@@ -0,0 +1,12 @@
+import { parentPort, workerData } from 'worker_threads';
+import mixRenderService from './mixRenderService.js';
+
+// Worker thread entry for mixRenderService.renderInWorker
+const { mix, uploadsDir, outputPath } = workerData;
+
+try {
+  const duration = await mixRenderService.render(mix, uploadsDir, outputPath);
+  parentPort.postMessage({ duration });
+} catch (error) {
+  parentPort.postMessage({ error: error.message });
+}
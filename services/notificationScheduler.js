@@ -3,6 +3,17 @@ import NotificationLog from '../models/NotificationLog.js';
 import emailService from './emailService.js';
 import cron from 'node-cron';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// notificationPreferences.reminderFrequency value for each reminder
+const REMINDER_PREFERENCES = {
+  '7day_reminder': '7days',
+  '3day_reminder': '3days',
+  '1day_reminder': '1day',
+  expired_reminder: 'expired',
+};
+const DEFAULT_REMINDER_FREQUENCY = ['7days', '3days', '1day'];
+
 class NotificationScheduler {
   constructor() {
     this.isRunning = false;
@@ -43,14 +54,24 @@ class NotificationScheduler {
       const oneDayFromNow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
       const expiredDate = new Date(today.getTime() - 24 * 60 * 60 * 1000); // Yesterday
 
-      // Find users with incomplete subscriptions
+      // Find users with incomplete subscriptions, and access from redeemed codes that is
+      // running out or ended in the last two days. Unverified addresses get no reminders.
       const users = await User.find({
-        'subscription.paymentDate': { $exists: true },
-        'subscription.status': 'incomplete',
         'notificationPreferences.emailReminders': true,
+        emailVerified: { $ne: false },
+        $or: [
+          {
+            'subscription.paymentDate': { $exists: true },
+            'subscription.status': 'incomplete',
+          },
+          {
+            'subscription.provider': 'code',
+            'subscription.currentPeriodEnd': { $gte: new Date(today.getTime() - 2 * DAY_MS) },
+          },
+        ],
       }).populate('notificationPreferences');
 
-      console.log(`Found ${users.length} users with incomplete subscriptions`);
+      console.log(`Found ${users.length} users with incomplete subscriptions or expiring codes`);
 
       for (const user of users) {
         await this.processUserReminder(
@@ -78,10 +99,12 @@ class NotificationScheduler {
     expiredDate,
   ) {
     try {
+      // Code access ends on a fixed date; otherwise validity counts from the payment
       const paymentDate = user.subscription.paymentDate;
-      const expiryDate = new Date(
-        paymentDate.getTime() + user.subscription.validityDays * 24 * 60 * 60 * 1000,
-      );
+      const expiryDate =
+        user.subscription.provider === 'code'
+          ? new Date(user.subscription.currentPeriodEnd)
+          : new Date(paymentDate.getTime() + user.subscription.validityDays * DAY_MS);
       const remainingDays = Math.ceil(
         (expiryDate.getTime() - today.getTime()) / (1000 * 60 * 60 * 24),
       );
@@ -114,7 +137,11 @@ class NotificationScheduler {
       }
 
       // Check if user has this reminder type enabled
-      if (!user.notificationPreferences.reminderFrequency.includes(reminderType)) {
+      // An empty list means the user never chose, so the model's intended defaults apply
+      const frequency = user.notificationPreferences.reminderFrequency.length
+        ? user.notificationPreferences.reminderFrequency
+        : DEFAULT_REMINDER_FREQUENCY;
+      if (!frequency.includes(REMINDER_PREFERENCES[reminderType])) {
         console.log(`User ${user.email} has ${reminderType} reminders disabled`);
         return;
       }
@@ -0,0 +1,148 @@
+import RolePermission from '../models/RolePermission.js';
+
+// Every permission a route can require, with what it allows
+export const PERMISSIONS = {
+  'music:read': 'Browse the admin catalog',
+  'music:write': 'Upload, edit and delete music and categories, and generate tracks',
+  'subscription:bypass': 'Play all content and use every plan feature without a subscription',
+  'mixes:manage': 'View, edit and publish any mix, and render mixes',
+  'plans:manage': 'View and change subscription plans and pricing',
+  'terms:read': 'View terms and disclaimer versions, including drafts',
+  'terms:write': 'Create, edit and delete terms and disclaimer drafts',
+  'terms:publish': 'Publish and unpublish terms and disclaimers',
+  'users:read': 'View users and their subscription history',
+  'users:manage': 'Delete users and clear login lockouts',
+  'roles:manage': "Assign roles and edit roles' permissions",
+  'notifications:read': 'View notification statistics',
+  'notifications:send': 'Send manual notifications and run the reminder check',
+  'billing:read': 'View webhooks, reconciliation reports, coupons, gift codes and dunning',
+  'billing:manage': 'Replay webhooks, run reconciliation, manage coupons and gift codes',
+  'analytics:read': 'View revenue and subscriber analytics',
+};
+
+export const ROLES = ['user', 'moderator', 'admin'];
+
+// Used until an admin edits the role
+const DEFAULT_ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    'music:read',
+    'music:write',
+    'mixes:manage',
+    'terms:read',
+    'terms:write',
+    'users:read',
+    'notifications:read',
+  ],
+};
+
+// Edits reach other server instances within this time
+const CACHE_TTL_MS = 60 * 1000;
+
+// Role-based permissions. Admins always have every permission, so no edit can lock them out;
+// the user and moderator sets are editable by anyone with roles:manage.
+class PermissionService {
+  constructor() {
+    this.rolePermissions = null;
+    this.loadedAt = 0;
+  }
+
+  isEditable(role) {
+    return Object.hasOwn(DEFAULT_ROLE_PERMISSIONS, role);
+  }
+
+  // Permission sets of the editable roles, stored edits over defaults
+  async loadRolePermissions() {
+    if (this.rolePermissions && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.rolePermissions;
+    }
+
+    const stored = await RolePermission.find({});
+    const rolePermissions = { ...DEFAULT_ROLE_PERMISSIONS };
+    for (const entry of stored) {
+      // Permissions removed from the catalog since the edit are dropped
+      rolePermissions[entry.role] = entry.permissions.filter((permission) =>
+        Object.hasOwn(PERMISSIONS, permission),
+      );
+    }
+
+    this.rolePermissions = rolePermissions;
+    this.loadedAt = Date.now();
+    return rolePermissions;
+  }
+
+  async getPermissions(role) {
+    if (role === 'admin') {
+      return Object.keys(PERMISSIONS);
+    }
+    return (await this.loadRolePermissions())[role] || [];
+  }
+
+  // Staff are users whose role grants any permission (admins, and moderators by default)
+  async isStaff(user) {
+    if (!user) return false;
+    return (await this.getPermissions(user.role)).length > 0;
+  }
+
+  // True if the user's role grants every listed permission
+  async hasPermission(user, ...permissions) {
+    if (!user) return false;
+    const granted = await this.getPermissions(user.role);
+    return permissions.every((permission) => granted.includes(permission));
+  }
+
+  async listRoles() {
+    const stored = await RolePermission.find({}).select('role updatedBy updatedAt');
+    const rolePermissions = await this.loadRolePermissions();
+
+    return ROLES.map((role) => {
+      const edit = stored.find((entry) => entry.role === role);
+      return {
+        role,
+        permissions: role === 'admin' ? Object.keys(PERMISSIONS) : rolePermissions[role],
+        editable: this.isEditable(role),
+        isDefault: !edit,
+        updatedBy: edit?.updatedBy || null,
+        updatedAt: edit?.updatedAt || null,
+      };
+    });
+  }
+
+  // Replace a role's permission set. Returns { permissions } or { status, message }.
+  async updateRole(role, permissions, adminUserId) {
+    if (!ROLES.includes(role)) {
+      return { status: 404, message: 'Role not found' };
+    }
+    if (!this.isEditable(role)) {
+      return { status: 400, message: 'The admin role always has every permission' };
+    }
+    if (!Array.isArray(permissions) || permissions.some((p) => typeof p !== 'string')) {
+      return { status: 400, message: 'permissions must be an array of permission names' };
+    }
+    const unknown = permissions.filter((permission) => !Object.hasOwn(PERMISSIONS, permission));
+    if (unknown.length) {
+      return { status: 400, message: `Unknown permissions: ${unknown.join(', ')}` };
+    }
+
+    const unique = [...new Set(permissions)];
+    await RolePermission.findOneAndUpdate(
+      { role },
+      { $set: { permissions: unique, updatedBy: adminUserId } },
+      { upsert: true },
+    );
+    this.rolePermissions = null; // Applies on this instance right away
+    return { permissions: unique };
+  }
+
+  // Go back to a role's default permissions
+  async resetRole(role) {
+    if (!this.isEditable(role)) {
+      return { status: 400, message: 'Only the user and moderator roles can be reset' };
+    }
+    await RolePermission.deleteOne({ role });
+    this.rolePermissions = null;
+    return { permissions: DEFAULT_ROLE_PERMISSIONS[role] };
+  }
+}
+
+export default new PermissionService();
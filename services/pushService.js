@@ -0,0 +1,68 @@
+import { createServiceAccountAuth } from '../utils/googleServiceAccount.js';
+
+const MESSAGING_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+// Sends push notifications to the FCM tokens registered via POST /notifications/register-token,
+// using the FCM HTTP v1 API with a Firebase service account.
+class PushService {
+  constructor() {
+    this.projectId = process.env.FCM_PROJECT_ID;
+    this.auth = createServiceAccountAuth({
+      clientEmail: process.env.FCM_CLIENT_EMAIL,
+      privateKey: process.env.FCM_PRIVATE_KEY,
+      scope: MESSAGING_SCOPE,
+    });
+
+    if (!this.isConfigured()) {
+      console.warn('FCM credentials not set - push notifications will not be sent');
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this.projectId && this.auth.isConfigured());
+  }
+
+  // Returns { success, messageId } or { success: false, error } like emailService
+  async sendToUser(user, { title, body, link = null }) {
+    const token = user.notificationPreferences?.fcmToken;
+    if (!token) {
+      return { success: false, error: 'User has no registered push token' };
+    }
+    if (!this.isConfigured()) {
+      return { success: false, error: 'Push notifications are not configured' };
+    }
+
+    try {
+      const response = await fetch(
+        `https://fcm.googleapis.com/v1/projects/${this.projectId}/messages:send`,
+        {
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${await this.auth.getAccessToken()}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            message: {
+              token,
+              notification: { title, body },
+              ...(link && { data: { link } }),
+            },
+          }),
+        },
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        console.error(' FCM error:', data.error);
+        return { success: false, error: data.error?.message || 'Push notification failed' };
+      }
+
+      return { success: true, messageId: data.name };
+    } catch (error) {
+      console.error(' Error sending push notification:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default new PushService();
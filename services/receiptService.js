@@ -0,0 +1,264 @@
+import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import billing from './billing/index.js';
+import { createPdfDocument } from '../utils/pdfDocument.js';
+
+const BRAND_COLOR = '#6F41F3';
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char],
+  );
+
+const formatDate = (seconds) =>
+  seconds
+    ? new Date(seconds * 1000).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        timeZone: 'UTC',
+      })
+    : null;
+
+// Stripe amounts are in the currency's minor unit (cents)
+const formatMoney = (amount, currency) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(
+    amount / 100,
+  );
+
+// Newer Stripe API versions move the price onto line.pricing
+const getLinePriceId = (line) =>
+  line.price?.id || line.pricing?.price_details?.price || line.plan?.id || null;
+
+class ReceiptService {
+  // Map every price ID on the given invoices to the title of its SubscriptionPlan
+  async getPlanTitles(invoices) {
+    const priceIds = [
+      ...new Set(
+        invoices.flatMap((invoice) => invoice.lines.data.map(getLinePriceId)).filter(Boolean),
+      ),
+    ];
+    if (!priceIds.length) return {};
+
+    const plans = await SubscriptionPlan.find({
+      $or: [
+        { stripePriceId: { $in: priceIds } },
+        { stripeMonthlyPriceId: { $in: priceIds } },
+        { stripeYearlyPriceId: { $in: priceIds } },
+      ],
+    }).select('title stripePriceId stripeMonthlyPriceId stripeYearlyPriceId');
+
+    const titles = {};
+    for (const plan of plans) {
+      for (const priceId of [
+        plan.stripePriceId,
+        plan.stripeMonthlyPriceId,
+        plan.stripeYearlyPriceId,
+      ]) {
+        if (priceId) titles[priceId] = plan.title;
+      }
+    }
+    return titles;
+  }
+
+  // The subscription line (the one carrying a price) describes the billed period
+  getPrimaryLine(invoice) {
+    return invoice.lines.data.find((line) => getLinePriceId(line)) || invoice.lines.data[0];
+  }
+
+  // Compact invoice shape for GET /subscriptions/invoices
+  summarizeInvoice(invoice, planTitles) {
+    const line = this.getPrimaryLine(invoice);
+    return {
+      id: invoice.id,
+      number: invoice.number,
+      status: invoice.status,
+      total: invoice.total,
+      amountPaid: invoice.amount_paid,
+      amountDue: invoice.amount_due,
+      currency: invoice.currency,
+      created: invoice.created,
+      paidAt: invoice.status_transitions?.paid_at || null,
+      periodStart: line?.period?.start || invoice.period_start,
+      periodEnd: line?.period?.end || invoice.period_end,
+      planTitle: (line && planTitles[getLinePriceId(line)]) || null,
+      hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+      hasReceipt: invoice.status === 'paid',
+    };
+  }
+
+  // Load an invoice only if it belongs to the given Stripe customer
+  async getCustomerInvoice(invoiceId, stripeCustomerId) {
+    if (!billing.isConfigured()) {
+      throw new Error('Stripe is not configured');
+    }
+    if (!stripeCustomerId || typeof invoiceId !== 'string' || !invoiceId.startsWith('in_')) {
+      return null;
+    }
+
+    try {
+      const invoice = await billing.retrieveInvoice(invoiceId);
+      return invoice.customer === stripeCustomerId ? invoice : null;
+    } catch (error) {
+      if (error.code === 'resource_missing') return null;
+      throw error;
+    }
+  }
+
+  // Display-ready receipt data shared by the HTML, PDF and email renderings
+  async buildReceipt(invoice, user) {
+    const planTitles = await this.getPlanTitles([invoice]);
+    const summary = this.summarizeInvoice(invoice, planTitles);
+    const money = (amount) => formatMoney(amount, invoice.currency);
+
+    const discount = (invoice.total_discount_amounts || []).reduce(
+      (sum, item) => sum + item.amount,
+      0,
+    );
+    const tax =
+      invoice.tax ?? (invoice.total_taxes || []).reduce((sum, item) => sum + item.amount, 0);
+
+    return {
+      receiptNumber: invoice.receipt_number || invoice.number || invoice.id,
+      invoiceId: invoice.id,
+      planTitle: summary.planTitle,
+      customerName: invoice.customer_name || user.name,
+      customerEmail: invoice.customer_email || user.email,
+      paidOn: formatDate(summary.paidAt || invoice.created),
+      period:
+        summary.periodStart && summary.periodEnd
+          ? `${formatDate(summary.periodStart)} - ${formatDate(summary.periodEnd)}`
+          : null,
+      lines: invoice.lines.data.map((line) => ({
+        description: line.description || summary.planTitle || 'Subscription',
+        amount: money(line.amount),
+      })),
+      subtotal: money(invoice.subtotal),
+      discount: discount ? `-${money(discount)}` : null,
+      tax: tax ? money(tax) : null,
+      total: money(invoice.total),
+      amountPaid: money(invoice.amount_paid),
+    };
+  }
+
+  renderHTML(receipt) {
+    const rows = receipt.lines
+      .map(
+        (line) => `
+            <tr>
+              <td style="padding: 10px 0; border-bottom: 1px solid #eee;">${escapeHtml(line.description)}</td>
+              <td style="padding: 10px 0; border-bottom: 1px solid #eee; text-align: right;">${escapeHtml(line.amount)}</td>
+            </tr>`,
+      )
+      .join('');
+    const totalRow = (label, value, bold = false) =>
+      value
+        ? `
+            <tr>
+              <td style="padding: 6px 0;${bold ? ' font-weight: bold;' : ''}">${label}</td>
+              <td style="padding: 6px 0; text-align: right;${bold ? ' font-weight: bold;' : ''}">${escapeHtml(value)}</td>
+            </tr>`
+        : '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Elevate Receipt ${escapeHtml(receipt.receiptNumber)}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: ${BRAND_COLOR}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+          .meta { color: #666; font-size: 14px; }
+          table { width: 100%; border-collapse: collapse; }
+          .footer { text-align: center; color: #999; font-size: 12px; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1> Elevate Music</h1>
+            <h2>Payment Receipt</h2>
+          </div>
+          <div class="content">
+            <p class="meta">
+              Receipt #${escapeHtml(receipt.receiptNumber)}<br>
+              Paid on ${escapeHtml(receipt.paidOn)}<br>
+              Billed to ${escapeHtml(receipt.customerName)} (${escapeHtml(receipt.customerEmail)})
+              ${receipt.planTitle ? `<br>Plan: ${escapeHtml(receipt.planTitle)}` : ''}
+              ${receipt.period ? `<br>Period: ${escapeHtml(receipt.period)}` : ''}
+            </p>
+            <table>${rows}
+            </table>
+            <table style="margin-top: 10px;">${totalRow('Subtotal', receipt.subtotal)}${totalRow('Discount', receipt.discount)}${totalRow('Tax', receipt.tax)}${totalRow('Total', receipt.total, true)}${totalRow('Amount paid', receipt.amountPaid, true)}
+            </table>
+          </div>
+          <div class="footer">Thank you for subscribing to Elevate Music.</div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  renderPDF(receipt) {
+    const doc = createPdfDocument();
+    const left = 56;
+    const right = doc.width - 56;
+
+    doc.rect(0, 0, doc.width, 110, BRAND_COLOR);
+    doc.text('Elevate Music', left, 52, { size: 24, bold: true, color: '#ffffff' });
+    doc.text('Payment Receipt', left, 80, { size: 14, color: '#ffffff' });
+
+    let y = 150;
+    const meta = [
+      `Receipt #${receipt.receiptNumber}`,
+      `Paid on ${receipt.paidOn}`,
+      `Billed to ${receipt.customerName} (${receipt.customerEmail})`,
+      receipt.planTitle && `Plan: ${receipt.planTitle}`,
+      receipt.period && `Period: ${receipt.period}`,
+    ].filter(Boolean);
+    for (const line of meta) {
+      doc.text(line, left, y, { size: 11, color: '#666666' });
+      y += 18;
+    }
+
+    y += 20;
+    doc.text('Description', left, y, { size: 10, bold: true, color: '#999999' });
+    doc.text('Amount', right, y, { size: 10, bold: true, color: '#999999', align: 'right' });
+    y += 10;
+    doc.line(left, y, right, y);
+
+    // Keep to a single page; Stripe invoices for a subscription rarely have many lines
+    for (const line of receipt.lines.slice(0, 20)) {
+      y += 22;
+      doc.text(line.description.slice(0, 70), left, y);
+      doc.text(line.amount, right, y, { align: 'right' });
+      y += 8;
+      doc.line(left, y, right, y, '#eeeeee');
+    }
+
+    y += 10;
+    for (const [label, value, bold] of [
+      ['Subtotal', receipt.subtotal],
+      ['Discount', receipt.discount],
+      ['Tax', receipt.tax],
+      ['Total', receipt.total, true],
+      ['Amount paid', receipt.amountPaid, true],
+    ]) {
+      if (!value) continue;
+      y += 20;
+      doc.text(label, right - 200, y, { bold });
+      doc.text(value, right, y, { bold, align: 'right' });
+    }
+
+    doc.text('Thank you for subscribing to Elevate Music.', left, doc.height - 50, {
+      size: 10,
+      color: '#999999',
+    });
+
+    return doc.toBuffer();
+  }
+}
+
+export default new ReceiptService();
@@ -0,0 +1,195 @@
+import cron from 'node-cron';
+import User from '../models/userModel.js';
+import ReconciliationReport from '../models/ReconciliationReport.js';
+import billing from './billing/index.js';
+import subscriptionEventService from './subscriptionEventService.js';
+
+const MAX_STORED_DRIFTS = 1000; // Keep report documents well below the 16MB limit
+const PERIOD_END_TOLERANCE_MS = 60 * 1000;
+const BOOLEAN_FIELDS = ['cancelAtPeriodEnd', 'isPaused']; // Unset locally on older documents
+const COMPARED_FIELDS = [
+  'interval',
+  'cancelAtPeriodEnd',
+  'isPaused',
+  'collectionMethod',
+  'priceId',
+];
+
+// Newer Stripe API versions report the billing period on the subscription item
+const getPeriodEnd = (subscription) => {
+  const seconds = subscription.current_period_end || subscription.items.data[0]?.current_period_end;
+  return seconds ? new Date(seconds * 1000) : null;
+};
+
+const getInterval = (subscription) => {
+  const item = subscription.items.data[0];
+  return item?.plan?.interval || item?.price?.recurring?.interval || 'month';
+};
+
+class ReconciliationService {
+  constructor() {
+    this.isRunning = false;
+    this.isReconciling = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      console.log('Subscription reconciliation is already scheduled');
+      return;
+    }
+
+    // Run every day at 3:00 AM UTC (RECONCILIATION_DRY_RUN=true only reports drift)
+    cron.schedule('0 3 * * *', async () => {
+      console.log('Running scheduled subscription reconciliation...');
+      try {
+        await this.run({
+          trigger: 'scheduled',
+          dryRun: process.env.RECONCILIATION_DRY_RUN === 'true',
+        });
+      } catch (error) {
+        console.error('Scheduled subscription reconciliation skipped:', error.message);
+      }
+    });
+
+    this.isRunning = true;
+    console.log('Subscription reconciliation scheduled');
+  }
+
+  // Compare one Stripe subscription against the user's stored copy.
+  // Returns the list of drifted fields with the values Stripe reports.
+  diffSubscription(subscription, local) {
+    const drifts = [];
+    const stripeState = {
+      status: subscription.status,
+      currentPeriodEnd: getPeriodEnd(subscription),
+      interval: getInterval(subscription),
+      cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+      isPaused: Boolean(subscription.pause_collection),
+      collectionMethod: subscription.collection_method || null,
+      priceId: subscription.items.data[0]?.price?.id || null,
+    };
+
+    // A successful charge on an "incomplete" subscription is treated as active locally
+    // (see the charge.succeeded webhook handler), so that combination is not drift.
+    const acceptedWorkaround = stripeState.status === 'incomplete' && local.status === 'active';
+    if (stripeState.status !== local.status && !acceptedWorkaround) {
+      drifts.push({ field: 'status', stripeValue: stripeState.status, localValue: local.status });
+    }
+
+    // Canceled subscriptions have their period end cleared locally
+    if (stripeState.status !== 'canceled' && stripeState.currentPeriodEnd) {
+      const localEnd = local.currentPeriodEnd ? new Date(local.currentPeriodEnd) : null;
+      if (
+        !localEnd ||
+        Math.abs(localEnd.getTime() - stripeState.currentPeriodEnd.getTime()) >
+          PERIOD_END_TOLERANCE_MS
+      ) {
+        drifts.push({
+          field: 'currentPeriodEnd',
+          stripeValue: stripeState.currentPeriodEnd,
+          localValue: localEnd,
+        });
+      }
+    }
+
+    for (const field of COMPARED_FIELDS) {
+      const localValue = BOOLEAN_FIELDS.includes(field) ? Boolean(local[field]) : local[field];
+      if (stripeState[field] !== null && stripeState[field] !== localValue) {
+        drifts.push({ field, stripeValue: stripeState[field], localValue: local[field] });
+      }
+    }
+
+    return drifts;
+  }
+
+  // Page through every Stripe subscription, diff it against User.subscription and
+  // (unless dryRun) write Stripe's values back. Returns the saved report.
+  async run({ trigger = 'manual', dryRun = false, triggeredBy = null } = {}) {
+    if (!billing.isConfigured()) {
+      throw new Error('Stripe is not configured');
+    }
+    if (this.isReconciling) {
+      throw new Error('A reconciliation run is already in progress');
+    }
+
+    this.isReconciling = true;
+    let report;
+    try {
+      report = await ReconciliationReport.create({ trigger, dryRun, triggeredBy });
+    } catch (error) {
+      this.isReconciling = false;
+      throw error;
+    }
+    const drifts = [];
+    const stats = { subscriptionsChecked: 0, usersWithDrift: 0, driftCount: 0, fixedCount: 0 };
+
+    try {
+      for await (const subscription of billing.listSubscriptions()) {
+        stats.subscriptionsChecked += 1;
+
+        const user = await User.findOne({ 'subscription.id': subscription.id }).select(
+          'email stripeCustomerId subscription',
+        );
+        if (!user) continue; // Superseded subscriptions are no longer linked to a user
+
+        const userDrifts = this.diffSubscription(subscription, user.subscription);
+        if (!userDrifts.length) continue;
+
+        stats.usersWithDrift += 1;
+        stats.driftCount += userDrifts.length;
+
+        let fixed = false;
+        if (!dryRun) {
+          const update = {};
+          for (const drift of userDrifts) {
+            update[`subscription.${drift.field}`] = drift.stripeValue;
+          }
+          await User.updateOne({ _id: user._id }, { $set: update });
+          stats.fixedCount += userDrifts.length;
+          fixed = true;
+          await subscriptionEventService.recordChange({
+            type: 'reconciled',
+            source: 'reconciliation',
+            user,
+            actor: triggeredBy,
+            subscription,
+            previousStatus: user.subscription.status,
+            note: `Corrected ${userDrifts.map((drift) => drift.field).join(', ')}`,
+          });
+        }
+
+        for (const drift of userDrifts) {
+          drifts.push({
+            user: user._id,
+            email: user.email,
+            subscriptionId: subscription.id,
+            ...drift,
+            fixed,
+          });
+        }
+      }
+
+      report.status = 'completed';
+    } catch (error) {
+      console.error('Subscription reconciliation failed:', error);
+      report.status = 'failed';
+      report.error = error.message;
+    } finally {
+      this.isReconciling = false;
+    }
+
+    report.stats = stats;
+    report.drifts = drifts.slice(0, MAX_STORED_DRIFTS);
+    report.driftsTruncated = drifts.length > MAX_STORED_DRIFTS;
+    report.finishedAt = new Date();
+    await report.save();
+
+    console.log(
+      `Subscription reconciliation ${report.status}: ${stats.subscriptionsChecked} checked, ` +
+        `${stats.driftCount} drifted field(s), ${stats.fixedCount} fixed${dryRun ? ' (dry run)' : ''}`,
+    );
+    return report;
+  }
+}
+
+export default new ReconciliationService();
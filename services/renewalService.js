@@ -0,0 +1,102 @@
+import User from '../models/userModel.js';
+import billing from './billing/index.js';
+
+const POLICIES = ['send_invoice', 'cancel_at_period_end'];
+const DEFAULT_DAYS_UNTIL_DUE = 7;
+const RENEWING_STATUSES = ['active', 'trialing'];
+// Marks a cancellation made because auto-debit was turned off, so turning it back on
+// only withdraws cancellations we made (not ones the user asked for)
+const POLICY_CANCEL_METADATA = 'auto_debit_cancel';
+
+class RenewalService {
+  // What happens at renewal when auto-debit is off (AUTO_DEBIT_OFF_POLICY)
+  getPolicy() {
+    const policy = process.env.AUTO_DEBIT_OFF_POLICY;
+    return POLICIES.includes(policy) ? policy : 'send_invoice';
+  }
+
+  getDaysUntilDue() {
+    const days = parseInt(process.env.AUTO_DEBIT_INVOICE_DAYS_UNTIL_DUE, 10);
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_DAYS_UNTIL_DUE;
+  }
+
+  // Effective renewal mode of a stored subscription:
+  // auto_charge (card charged), manual_invoice (hosted invoice to pay) or cancel (ends).
+  // Only active and trialing subscriptions have one; an incomplete or past-due subscription
+  // has a payment outstanding rather than a renewal coming up.
+  getRenewalMode(subscription) {
+    if (!subscription || !subscription.id) return null;
+    if (!RENEWING_STATUSES.includes(subscription.status)) return null;
+    if (subscription.cancelAtPeriodEnd) return 'cancel';
+    if (subscription.collectionMethod === 'send_invoice') return 'manual_invoice';
+    return 'auto_charge';
+  }
+
+  // True if the Stripe subscription is cancelled because auto-debit was turned off
+  isPolicyCancel(subscription) {
+    return subscription.metadata?.[POLICY_CANCEL_METADATA] === 'true';
+  }
+
+  // Bring the user's Stripe subscription in line with their autoDebit preference.
+  // Returns the updated Stripe subscription, or null when there is nothing to change.
+  async applyAutoDebit(user) {
+    // App Store and Google Play renewals follow the store's own auto-renew setting, and code
+    // access doesn't renew
+    if (user.subscription?.provider && user.subscription.provider !== 'stripe') return null;
+    if (!billing.isConfigured()) {
+      throw new Error('Stripe is not configured');
+    }
+    if (!user.subscription?.id || user.subscription.status === 'canceled') return null;
+
+    const current = await billing.retrieveSubscription(user.subscription.id);
+    if (current.status === 'canceled' || current.status === 'incomplete_expired') return null;
+
+    const cancelledByPolicy = this.isPolicyCancel(current);
+    const update = {};
+
+    if (user.autoDebit) {
+      if (current.collection_method !== 'charge_automatically') {
+        update.collection_method = 'charge_automatically';
+      }
+      if (cancelledByPolicy) {
+        update.cancel_at_period_end = false;
+        update.metadata = { [POLICY_CANCEL_METADATA]: '' }; // Empty string removes the key
+      }
+    } else if (this.getPolicy() === 'send_invoice') {
+      if (current.collection_method !== 'send_invoice') {
+        update.collection_method = 'send_invoice';
+        update.days_until_due = this.getDaysUntilDue();
+      }
+      if (cancelledByPolicy) {
+        update.cancel_at_period_end = false;
+        update.metadata = { [POLICY_CANCEL_METADATA]: '' };
+      }
+    } else {
+      if (current.collection_method !== 'charge_automatically') {
+        update.collection_method = 'charge_automatically';
+      }
+      if (!current.cancel_at_period_end) {
+        update.cancel_at_period_end = true;
+        update.metadata = { [POLICY_CANCEL_METADATA]: 'true' };
+      }
+    }
+
+    if (!Object.keys(update).length) return current;
+
+    const subscription = await billing.updateSubscription(current.id, update);
+    await User.updateOne(
+      { _id: user._id },
+      {
+        'subscription.collectionMethod': subscription.collection_method,
+        'subscription.cancelAtPeriodEnd': subscription.cancel_at_period_end,
+        'subscription.autoDebitCancel': this.isPolicyCancel(subscription),
+      },
+    );
+    user.subscription.collectionMethod = subscription.collection_method;
+    user.subscription.cancelAtPeriodEnd = subscription.cancel_at_period_end;
+    user.subscription.autoDebitCancel = this.isPolicyCancel(subscription);
+    return subscription;
+  }
+}
+
+export default new RenewalService();
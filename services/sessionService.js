@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import generateToken, { getAccessTokenTtl } from '../utils/generateToken.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+const PREVIOUS_TOKENS_KEPT = 5;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<session id>.<secret>"
+const parseRefreshToken = (token) => {
+  const [sessionId, secret, ...rest] = String(token || '').split('.');
+  if (rest.length || !/^[a-f0-9]{24}$/.test(sessionId) || !secret) return null;
+  return { sessionId, secret };
+};
+
+class SessionService {
+  // REFRESH_TOKEN_TTL_DAYS: how long a device stays signed in without being used
+  getRefreshTokenTtl() {
+    const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10);
+    return (Number.isInteger(days) && days > 0 ? days : DEFAULT_REFRESH_TOKEN_DAYS) * DAY_MS;
+  }
+
+  // Tokens for a session whose refresh secret was just set
+  tokensFor(session, secret) {
+    return {
+      accessToken: generateToken(session.user, session._id),
+      refreshToken: `${session._id}.${secret}`,
+      expiresIn: getAccessTokenTtl(),
+      refreshExpiresAt: session.expiresAt,
+    };
+  }
+
+  // Start a session for a login. Returns { session, accessToken, refreshToken, ... }.
+  async create(user, req) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const deviceName =
+      typeof req.body?.deviceName === 'string' ? req.body.deviceName.trim().slice(0, 100) : '';
+
+    const session = await Session.create({
+      user: user._id,
+      refreshTokenHash: hashToken(secret),
+      deviceName: deviceName || null,
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null,
+      expiresAt: new Date(Date.now() + this.getRefreshTokenTtl()),
+    });
+    return { session, ...this.tokensFor(session, secret) };
+  }
+
+  // Exchange a refresh token for a new access and refresh token. The presented token stops
+  // working; presenting it again revokes the session, since only a copy could still have it.
+  // Returns { session, accessToken, refreshToken, ... } or { status, message }.
+  async refresh(token, req) {
+    const parsed = parseRefreshToken(token);
+    if (!parsed) {
+      return { status: 401, message: 'Invalid refresh token' };
+    }
+
+    const now = new Date();
+    const presentedHash = hashToken(parsed.secret);
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    // Conditional on the presented token, so two refreshes can't both succeed with it
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: parsed.sessionId,
+        refreshTokenHash: presentedHash,
+        revokedAt: null,
+        expiresAt: { $gt: now },
+      },
+      {
+        $set: {
+          refreshTokenHash: hashToken(secret),
+          lastUsedAt: now,
+          expiresAt: new Date(now.getTime() + this.getRefreshTokenTtl()),
+          ip: req.ip || null,
+          userAgent: req.get('user-agent') || null,
+        },
+        $push: { previousTokenHashes: { $each: [presentedHash], $slice: -PREVIOUS_TOKENS_KEPT } },
+      },
+      { new: true },
+    );
+    if (session) {
+      return { session, ...this.tokensFor(session, secret) };
+    }
+
+    const existing = await Session.findById(parsed.sessionId);
+    if (existing && !existing.revokedAt && existing.previousTokenHashes.includes(presentedHash)) {
+      await this.revoke(existing, 'reuse_detected');
+      console.warn(`Refresh token reuse detected for session ${existing._id}; session revoked`);
+      return { status: 401, message: 'Refresh token was already used. Please log in again.' };
+    }
+    return { status: 401, message: 'Session has expired or was revoked. Please log in again.' };
+  }
+
+  // Session named by an access token, if it is still valid
+  async findActive(sessionId) {
+    return Session.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+  }
+
+  async revoke(session, reason) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+  }
+
+  // Revoke every session of the user, optionally keeping one (the caller's).
+  // Returns the number revoked.
+  async revokeAll(userId, reason, { exceptSessionId = null } = {}) {
+    const result = await Session.updateMany(
+      {
+        user: userId,
+        revokedAt: null,
+        ...(exceptSessionId && { _id: { $ne: exceptSessionId } }),
+      },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+    return result.modifiedCount;
+  }
+
+  // Session named by a refresh token, for logout. Returns null if the token is malformed.
+  async findByRefreshToken(token) {
+    const parsed = parseRefreshToken(token);
+    if (!parsed) return null;
+    return Session.findOne({ _id: parsed.sessionId, refreshTokenHash: hashToken(parsed.secret) });
+  }
+
+  // Active sessions of a user, most recently used first
+  async listActive(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('deviceName ip userAgent lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+  }
+}
+
+export default new SessionService();
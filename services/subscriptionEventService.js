@@ -0,0 +1,244 @@
+import User from '../models/userModel.js';
+import SubscriptionEvent from '../models/SubscriptionEvent.js';
+import entitlementService from './entitlementService.js';
+import receiptService from './receiptService.js';
+
+// Statuses that bring in recurring revenue (past_due is still owed and usually recovered)
+export const PAYING_STATUSES = ['active', 'past_due'];
+
+// Monthly list price in cents; longer intervals are spread over their months
+const getMonthlyAmount = (price, quantity = 1) => {
+  if (!price?.unit_amount || !price.recurring) return 0;
+  const { interval, interval_count: count = 1 } = price.recurring;
+  const months = { day: 12 / 365, week: 12 / 52, month: 1, year: 12 }[interval] || 1;
+  return Math.round((price.unit_amount * quantity) / (months * count));
+};
+
+const getCancellation = (subscription) => ({
+  cancellationReason:
+    subscription.cancellation_details?.feedback ||
+    subscription.cancellation_details?.reason ||
+    null,
+  cancellationComment: subscription.cancellation_details?.comment || null,
+});
+
+// Newer Stripe API versions move the subscription onto invoice.parent
+const getInvoiceSubscriptionId = (invoice) =>
+  invoice.subscription || invoice.parent?.subscription_details?.subscription || null;
+
+class SubscriptionEventService {
+  // State of a Stripe subscription in SubscriptionEvent fields
+  async snapshot(subscription) {
+    const item = subscription.items?.data[0];
+    const price = item?.price || null;
+    const plan = await entitlementService.findPlanByPriceId(price?.id);
+    const paying = PAYING_STATUSES.includes(subscription.status) && !subscription.pause_collection;
+
+    return {
+      subscriptionId: subscription.id,
+      stripeCustomerId: subscription.customer,
+      status: subscription.status,
+      priceId: price?.id || null,
+      plan: plan?._id || null,
+      planVersion: plan?.version ?? null,
+      interval: price?.recurring?.interval === 'year' ? 'year' : 'month',
+      mrr: paying ? getMonthlyAmount(price, item?.quantity) : 0,
+      currency: price?.currency || null,
+    };
+  }
+
+  // Append an event; a repeat of the same Stripe event (or Stripe request) and type is ignored.
+  // When a user action and its webhook both report a change, the action's source is kept.
+  async record(entry) {
+    if (!entry.user && entry.stripeCustomerId) {
+      const user = await User.findOne({ stripeCustomerId: entry.stripeCustomerId }).select('_id');
+      entry.user = user?._id || null;
+    }
+
+    try {
+      return await SubscriptionEvent.create(entry);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      if (entry.source !== 'webhook' && entry.stripeRequestId) {
+        await SubscriptionEvent.updateOne(
+          { stripeRequestId: entry.stripeRequestId, type: entry.type },
+          { source: entry.source, actor: entry.actor || null, note: entry.note || null },
+        );
+      }
+      return null;
+    }
+  }
+
+  // A change made outside webhooks (user action, admin, reconciliation). Pass the Stripe
+  // subscription returned by the API call to snapshot it and pair it with its webhook.
+  // Best effort: a failed history write doesn't fail the action.
+  async recordChange({
+    type,
+    source = 'user',
+    user,
+    actor = null,
+    subscription = null,
+    ...fields
+  }) {
+    try {
+      await this.record({
+        type,
+        source,
+        actor,
+        user: user._id,
+        stripeCustomerId: user.stripeCustomerId || null,
+        subscriptionId: subscription?.id || user.subscription?.id || null,
+        stripeRequestId: subscription?.lastResponse?.requestId || null,
+        occurredAt: new Date(),
+        ...(subscription
+          ? await this.snapshot(subscription)
+          : { status: user.subscription?.status }),
+        ...fields,
+      });
+    } catch (error) {
+      console.error(`Error recording ${type} subscription event for ${user.email}:`, error);
+    }
+  }
+
+  // Translate a Stripe webhook into history entries
+  async recordStripeEvent(event) {
+    const object = event.data.object;
+    const base = {
+      source: 'webhook',
+      stripeEventId: event.id,
+      stripeRequestId: event.request?.id || null, // null for changes Stripe made on its own
+      occurredAt: new Date(event.created * 1000),
+    };
+    const entries = [];
+
+    switch (event.type) {
+      case 'customer.subscription.created':
+        entries.push({ type: 'subscription_created', ...(await this.snapshot(object)) });
+        break;
+
+      case 'customer.subscription.updated': {
+        const previous = event.data.previous_attributes || {};
+        const snapshot = await this.snapshot(object);
+
+        if (previous.status && previous.status !== object.status) {
+          const converted = previous.status === 'trialing' && object.status === 'active';
+          entries.push({
+            type: converted ? 'trial_converted' : 'status_changed',
+            previousStatus: previous.status,
+            ...snapshot,
+          });
+        }
+        if (previous.items && previous.items.data?.[0]?.price?.id !== snapshot.priceId) {
+          entries.push({ type: 'plan_changed', ...snapshot });
+        }
+        if ('cancel_at_period_end' in previous) {
+          entries.push({
+            type: object.cancel_at_period_end ? 'cancel_requested' : 'cancel_withdrawn',
+            ...snapshot,
+            ...(object.cancel_at_period_end && getCancellation(object)),
+          });
+        }
+        // Pausing stops revenue without a status change
+        if ('pause_collection' in previous) {
+          entries.push({ type: object.pause_collection ? 'paused' : 'resumed', ...snapshot });
+        }
+        break;
+      }
+
+      case 'customer.subscription.deleted': {
+        const last = await SubscriptionEvent.findOne({
+          subscriptionId: object.id,
+          mrr: { $ne: null },
+        }).sort({ occurredAt: -1 });
+        entries.push({
+          type: 'canceled',
+          previousStatus: last?.status || null,
+          ...(await this.snapshot(object)),
+          ...getCancellation(object),
+        });
+        break;
+      }
+
+      case 'invoice.payment_succeeded':
+      case 'invoice.payment_failed': {
+        const subscriptionId = getInvoiceSubscriptionId(object);
+        if (!subscriptionId) break; // One-off invoices aren't subscription revenue
+
+        const line = receiptService.getPrimaryLine(object);
+        const priceId = line?.price?.id || line?.pricing?.price_details?.price || null;
+        const plan = await entitlementService.findPlanByPriceId(priceId);
+        const succeeded = event.type === 'invoice.payment_succeeded';
+        entries.push({
+          type: succeeded ? 'payment_succeeded' : 'payment_failed',
+          subscriptionId,
+          stripeCustomerId: object.customer,
+          priceId,
+          plan: plan?._id || null,
+          planVersion: plan?.version ?? null,
+          amount: succeeded ? object.amount_paid : object.amount_due,
+          currency: object.currency,
+          invoiceId: object.id,
+          billingReason: object.billing_reason || null,
+        });
+        if (succeeded && object.billing_reason === 'subscription_cycle') {
+          entries.push({
+            type: 'renewed',
+            subscriptionId,
+            stripeCustomerId: object.customer,
+            priceId,
+            invoiceId: object.id,
+            periodEnd: line?.period?.end ? new Date(line.period.end * 1000) : null,
+          });
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    for (const entry of entries) {
+      await this.record({ ...base, ...entry });
+    }
+  }
+
+  // Seed a snapshot for subscriptions that started before events were recorded, priced from
+  // the stored plan. Returns the number of baselines created.
+  async backfillBaselines() {
+    const users = await User.find({ 'subscription.id': { $ne: null } }).select(
+      'stripeCustomerId subscription createdAt',
+    );
+    let created = 0;
+
+    for (const user of users) {
+      if (await SubscriptionEvent.exists({ subscriptionId: user.subscription.id })) continue;
+
+      const plan = await entitlementService.findPlanByPriceId(user.subscription.priceId);
+      const interval = user.subscription.interval === 'year' ? 'year' : 'month';
+      const paying =
+        PAYING_STATUSES.includes(user.subscription.status) && !user.subscription.isPaused;
+      const monthlyCost = interval === 'year' ? plan?.annualCost / 12 : plan?.monthlyCost;
+
+      await this.record({
+        type: 'baseline',
+        source: 'admin',
+        user: user._id,
+        stripeCustomerId: user.stripeCustomerId,
+        subscriptionId: user.subscription.id,
+        occurredAt: user.subscription.paymentDate || user.createdAt || new Date(),
+        status: user.subscription.status,
+        priceId: user.subscription.priceId,
+        plan: plan?._id || null,
+        planVersion: plan?.version ?? null,
+        interval,
+        mrr: paying && plan ? Math.round(monthlyCost * 100) : 0,
+      });
+      created += 1;
+    }
+
+    return created;
+  }
+}
+
+export default new SubscriptionEventService();
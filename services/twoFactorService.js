@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/userModel.js';
+import permissionService from './permissionService.js';
+import { buildOtpauthUri, generateTotpSecret, verifyTotp } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_TTL_SECONDS = 5 * 60;
+const SECRET_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(
+      String(code)
+        .toLowerCase()
+        .replace(/[^a-f0-9]/g, ''),
+    )
+    .digest('hex');
+
+// TWO_FACTOR_ENCRYPTION_KEY encrypts stored TOTP secrets (defaults to a key derived from
+// JWT_SECRET, so rotating JWT_SECRET without it makes enrolled users re-enroll)
+const getEncryptionKey = () => {
+  const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY (or JWT_SECRET) must be set for two-factor auth');
+  }
+  return crypto.createHash('sha256').update(`two-factor-secret:${secret}`).digest();
+};
+
+// Login challenges are signed with their own key, so protect never accepts one as an access token
+const getChallengeKey = () =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update('two-factor-login').digest();
+
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join('.');
+};
+
+const decrypt = (stored) => {
+  const [iv, tag, ciphertext] = stored.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// Optional TOTP two-factor authentication. With TWO_FACTOR_REQUIRED_FOR_ADMINS=true, admin routes
+// refuse staff (any role holding a permission) who have not enrolled (see requirePermission).
+class TwoFactorService {
+  async isRequired(user) {
+    return process.env.TWO_FACTOR_REQUIRED_FOR_ADMINS === 'true' && permissionService.isStaff(user);
+  }
+
+  // User document including the secret fields
+  async loadWithSecrets(userId) {
+    return User.findById(userId).select(SECRET_FIELDS);
+  }
+
+  async describe(user) {
+    return {
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      required: await this.isRequired(user),
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length ?? null,
+    };
+  }
+
+  // Start enrollment with a new secret. Returns { secret, otpauthUri } or { status, message }.
+  async beginSetup(user) {
+    if (user.twoFactor.enabled) {
+      return { status: 400, message: 'Two-factor authentication is already enabled' };
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = encrypt(secret);
+    await user.save({ validateBeforeSave: false });
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || 'Elevate',
+      }),
+    };
+  }
+
+  // Finish enrollment with a code from the app. Returns { recoveryCodes } or { status, message }.
+  async enable(user, code) {
+    if (user.twoFactor.enabled) {
+      return { status: 400, message: 'Two-factor authentication is already enabled' };
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return { status: 400, message: 'Start two-factor setup first' };
+    }
+
+    const secret = decrypt(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, code);
+    if (step === null) {
+      return { status: 400, message: 'Invalid authentication code' };
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save({ validateBeforeSave: false });
+
+    return { recoveryCodes };
+  }
+
+  async disable(user) {
+    user.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: null,
+      enabledAt: null,
+    };
+    await user.save({ validateBeforeSave: false });
+  }
+
+  // Codes shown to the user once, as "xxxxx-xxxxx"
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  // Replace the recovery codes. Returns the new codes.
+  async regenerateRecoveryCodes(user) {
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save({ validateBeforeSave: false });
+    return recoveryCodes;
+  }
+
+  // Check an authenticator code or a recovery code for a user with 2FA enabled. Both are
+  // consumed by conditional updates, so the same code can't pass two concurrent requests.
+  async verifySecondFactor(user, { code, recoveryCode } = {}) {
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } },
+      );
+      return result.modifiedCount === 1;
+    }
+
+    if (!user.twoFactor.secret) {
+      return false;
+    }
+    const step = verifyTotp(decrypt(user.twoFactor.secret), code);
+    if (step === null) {
+      return false;
+    }
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'twoFactor.enabled': true,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } },
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // Short-lived token proving the password step of a login succeeded
+  createLoginChallenge(user) {
+    return jwt.sign({ id: user._id }, getChallengeKey(), {
+      expiresIn: LOGIN_CHALLENGE_TTL_SECONDS,
+    });
+  }
+
+  // User ID from a login challenge, or null if it is invalid or expired
+  verifyLoginChallenge(token) {
+    try {
+      return jwt.verify(String(token), getChallengeKey()).id;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+export default new TwoFactorService();
@@ -0,0 +1,522 @@
+import cron from 'node-cron';
+import User from '../models/userModel.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import NotificationLog from '../models/NotificationLog.js';
+import billing from './billing/index.js';
+import couponService from './couponService.js';
+import emailService from './emailService.js';
+import receiptService from './receiptService.js';
+import renewalService from './renewalService.js';
+import dunningService from './dunningService.js';
+import subscriptionEventService from './subscriptionEventService.js';
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MINUTES = 5; // Backoff doubles per attempt: 5, 10, 20, ... minutes
+const STALE_PROCESSING_MINUTES = 15; // Events stuck in "processing" (e.g. after a crash)
+const RETRY_BATCH_SIZE = 50;
+
+class WebhookService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      console.log('Webhook retry scheduler is already running');
+      return;
+    }
+
+    // Retry failed webhook events every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+      await this.retryFailedEvents();
+    });
+
+    this.isRunning = true;
+    console.log('Webhook retry scheduler started');
+  }
+
+  // Store an incoming event. Returns { record, duplicate }.
+  // Stripe redeliveries of an event that already succeeded (or is in flight) are duplicates;
+  // redeliveries of a failed event are processed again.
+  async receive(event) {
+    try {
+      const record = await WebhookEvent.create({
+        eventId: event.id,
+        type: event.type,
+        payload: event,
+      });
+      return { record, duplicate: false };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await WebhookEvent.findOne({ eventId: event.id });
+      return { record: existing, duplicate: existing.status !== 'failed' };
+    }
+  }
+
+  // Run the side effects for a stored event and record the outcome
+  async process(record) {
+    // Claim the event so concurrent deliveries and retries don't run side effects twice
+    const claimed = await WebhookEvent.findOneAndUpdate(
+      { _id: record._id, status: { $in: ['received', 'failed'] } },
+      { status: 'processing', $inc: { attempts: 1 } },
+      { new: true },
+    );
+    if (!claimed) {
+      return WebhookEvent.findById(record._id);
+    }
+
+    try {
+      await this.handleStripeEvent(claimed.payload);
+      // History for analytics; safe to repeat on retries (one entry per event and type)
+      await subscriptionEventService.recordStripeEvent(claimed.payload);
+      claimed.status = 'processed';
+      claimed.processedAt = new Date();
+      claimed.lastError = null;
+      claimed.nextAttemptAt = null;
+    } catch (error) {
+      console.error(`Webhook event ${claimed.eventId} (${claimed.type}) failed:`, error);
+      claimed.status = 'failed';
+      claimed.lastError = error.message;
+      claimed.nextAttemptAt =
+        claimed.attempts < MAX_ATTEMPTS
+          ? new Date(Date.now() + RETRY_BASE_MINUTES * 2 ** (claimed.attempts - 1) * 60 * 1000)
+          : null;
+    }
+
+    await claimed.save();
+    return claimed;
+  }
+
+  async retryFailedEvents() {
+    try {
+      // Release events whose processing never finished
+      await WebhookEvent.updateMany(
+        {
+          status: 'processing',
+          updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MINUTES * 60 * 1000) },
+        },
+        { status: 'failed', lastError: 'Processing did not complete', nextAttemptAt: new Date() },
+      );
+
+      const due = await WebhookEvent.find({
+        status: 'failed',
+        nextAttemptAt: { $ne: null, $lte: new Date() },
+      })
+        .sort({ nextAttemptAt: 1 })
+        .limit(RETRY_BATCH_SIZE);
+
+      for (const record of due) {
+        const result = await this.process(record);
+        console.log(`Retried webhook event ${result.eventId}: ${result.status}`);
+      }
+    } catch (error) {
+      console.error('Error retrying webhook events:', error);
+    }
+  }
+
+  // Re-run an event on admin request, regardless of its previous outcome
+  async replay(record) {
+    if (record.status === 'processing') {
+      throw new Error('Event is currently being processed');
+    }
+
+    record.status = 'received';
+    record.nextAttemptAt = null;
+    await record.save();
+    return this.process(record);
+  }
+
+  // Email the customer when a subscription is paused, resumed or its cancellation withdrawn.
+  // Failures are logged but never fail the event, so a retry can't send the email twice.
+  async notifyLifecycleChange(subscription, previous) {
+    let lifecycleType = null;
+    if ('pause_collection' in previous) {
+      lifecycleType = subscription.pause_collection
+        ? 'subscription_paused'
+        : 'subscription_resumed';
+    } else if (previous.cancel_at_period_end === true && !subscription.cancel_at_period_end) {
+      lifecycleType = 'cancellation_withdrawn';
+    }
+    if (!lifecycleType) return;
+
+    try {
+      const user = await User.findOne({ stripeCustomerId: subscription.customer });
+      if (!user || user.notificationPreferences?.emailReminders === false) return;
+
+      const emailResult = await emailService.sendSubscriptionLifecycleEmail(user, lifecycleType, {
+        resumesAt: subscription.pause_collection?.resumes_at
+          ? new Date(subscription.pause_collection.resumes_at * 1000)
+          : null,
+      });
+
+      await NotificationLog.create({
+        userId: user._id,
+        type: 'email',
+        template: lifecycleType,
+        status: emailResult.success ? 'sent' : 'failed',
+        metadata: {
+          emailAddress: user.email,
+          errorMessage: emailResult.error || null,
+          deliveryId: emailResult.messageId || null,
+        },
+      });
+    } catch (error) {
+      console.error(`Error sending ${lifecycleType} email for ${subscription.id}:`, error);
+    }
+  }
+
+  // Email a PDF receipt for a paid invoice. Like lifecycle emails, failures are only logged.
+  async sendReceipt(invoice) {
+    if (!invoice.amount_paid) return; // Nothing was charged (trials, 100% discounts)
+
+    try {
+      const user = await User.findOne({ stripeCustomerId: invoice.customer });
+      if (!user) return;
+
+      const receipt = await receiptService.buildReceipt(invoice, user);
+      const emailResult = await emailService.sendReceiptEmail(
+        user,
+        receipt,
+        receiptService.renderPDF(receipt),
+      );
+
+      await NotificationLog.create({
+        userId: user._id,
+        type: 'email',
+        template: 'payment_receipt',
+        status: emailResult.success ? 'sent' : 'failed',
+        metadata: {
+          emailAddress: receipt.customerEmail,
+          errorMessage: emailResult.error || null,
+          deliveryId: emailResult.messageId || null,
+        },
+      });
+    } catch (error) {
+      console.error(`Error sending receipt for invoice ${invoice.id}:`, error);
+    }
+  }
+
+  // Auto-debit is off: email the hosted payment link for a renewal invoice
+  async sendInvoiceDue(invoice) {
+    if (invoice.collection_method !== 'send_invoice' || !invoice.amount_due) return;
+    if (!invoice.hosted_invoice_url) return;
+
+    try {
+      const user = await User.findOne({ stripeCustomerId: invoice.customer });
+      if (!user) return;
+
+      const emailResult = await emailService.sendInvoiceDueEmail(user, {
+        amountDue: new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: invoice.currency.toUpperCase(),
+        }).format(invoice.amount_due / 100),
+        dueDate: invoice.due_date ? new Date(invoice.due_date * 1000) : null,
+        payLink: invoice.hosted_invoice_url,
+      });
+
+      await NotificationLog.create({
+        userId: user._id,
+        type: 'email',
+        template: 'invoice_due',
+        status: emailResult.success ? 'sent' : 'failed',
+        metadata: {
+          emailAddress: user.email,
+          errorMessage: emailResult.error || null,
+          deliveryId: emailResult.messageId || null,
+        },
+      });
+    } catch (error) {
+      console.error(`Error sending invoice email for ${invoice.id}:`, error);
+    }
+  }
+
+  async handleStripeEvent(event) {
+    switch (event.type) {
+      case 'payment_intent.succeeded': {
+        const paymentIntent = event.data.object;
+        console.log('PaymentIntent was successful!', paymentIntent.id);
+
+        // If this payment intent is for a subscription, update the subscription status
+        if (paymentIntent.metadata?.subscription_id) {
+          const subscriptionId = paymentIntent.metadata.subscription_id;
+          const subscription = await billing.retrieveSubscription(subscriptionId);
+
+          if (subscription.status === 'active' || subscription.status === 'trialing') {
+            // Safely set currentPeriodEnd with validation
+            let currentPeriodEnd;
+            if (subscription.current_period_end) {
+              currentPeriodEnd = new Date(subscription.current_period_end * 1000);
+            } else {
+              // Fallback: set based on interval
+              const interval = subscription.items.data[0]?.plan?.interval || 'month';
+              const validityDays = interval === 'year' ? 365 : 30;
+              currentPeriodEnd = new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
+            }
+
+            await User.findOneAndUpdate(
+              { 'subscription.id': subscriptionId },
+              {
+                'subscription.status': subscription.status,
+                'subscription.currentPeriodEnd': currentPeriodEnd,
+                'subscription.paymentDate': new Date(),
+                'subscription.interval': subscription.items.data[0]?.plan?.interval || 'month',
+              },
+            );
+            console.log('Updated subscription status to active for subscription:', subscriptionId);
+          }
+        }
+        break;
+      }
+
+      case 'charge.succeeded':
+        const charge = event.data.object;
+        console.log('Charge was successful!', charge.id);
+
+        // If this charge is for a subscription, update the subscription status
+        if (charge.metadata?.subscription_id) {
+          const subscriptionId = charge.metadata.subscription_id;
+          const subscription = await billing.retrieveSubscription(subscriptionId);
+
+          console.log('Charge succeeded for subscription:', {
+            subscriptionId: subscription.id,
+            status: subscription.status,
+            chargeId: charge.id,
+            paymentMethod: charge.payment_method,
+            paymentIntent: charge.payment_intent,
+          });
+
+          if (subscription.status === 'active' || subscription.status === 'trialing') {
+            // Safely set currentPeriodEnd with validation
+            let currentPeriodEnd;
+            if (subscription.current_period_end) {
+              currentPeriodEnd = new Date(subscription.current_period_end * 1000);
+            } else {
+              // Fallback: set based on interval
+              const interval = subscription.items.data[0]?.plan?.interval || 'month';
+              const validityDays = interval === 'year' ? 365 : 30;
+              currentPeriodEnd = new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
+            }
+
+            await User.findOneAndUpdate(
+              { 'subscription.id': subscriptionId },
+              {
+                'subscription.status': subscription.status,
+                'subscription.currentPeriodEnd': currentPeriodEnd,
+                'subscription.paymentDate': new Date(),
+                'subscription.interval': subscription.items.data[0]?.plan?.interval || 'month',
+              },
+            );
+            console.log('Updated subscription status to active for subscription:', subscriptionId);
+          } else if (subscription.status === 'incomplete') {
+            // Since payment succeeded, mark subscription as active in our database
+            // This is a workaround for Stripe's payment method reuse limitation
+            try {
+              console.log(
+                'Payment succeeded via webhook, marking subscription as active in database...',
+              );
+
+              // Safely set currentPeriodEnd with validation
+              let currentPeriodEnd;
+              if (subscription.current_period_end) {
+                currentPeriodEnd = new Date(subscription.current_period_end * 1000);
+              } else {
+                // Fallback: set based on interval
+                const interval = subscription.items.data[0]?.plan?.interval || 'month';
+                const validityDays = interval === 'year' ? 365 : 30;
+                currentPeriodEnd = new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
+              }
+
+              await User.findOneAndUpdate(
+                { 'subscription.id': subscriptionId },
+                {
+                  'subscription.status': 'active',
+                  'subscription.currentPeriodEnd': currentPeriodEnd,
+                  'subscription.paymentDate': new Date(),
+                  'subscription.interval': subscription.items.data[0]?.plan?.interval || 'month',
+                },
+              );
+              console.log('Updated subscription to active via webhook:', subscriptionId);
+            } catch (updateError) {
+              console.error('Error updating subscription via webhook:', updateError);
+            }
+          }
+        }
+        break;
+
+      case 'payment_intent.payment_failed':
+        const paymentFailed = event.data.object;
+        console.log('Payment failed:', paymentFailed.id);
+        // Handle failed payment
+        break;
+
+      case 'customer.subscription.created':
+        const subscriptionCreated = event.data.object;
+        console.log('Subscription created:', subscriptionCreated.id);
+
+        // Safely set currentPeriodEnd with validation
+        let currentPeriodEnd;
+        if (subscriptionCreated.current_period_end) {
+          currentPeriodEnd = new Date(subscriptionCreated.current_period_end * 1000);
+        } else {
+          // Fallback: set based on interval
+          const interval = subscriptionCreated.items.data[0]?.plan?.interval || 'month';
+          const validityDays = interval === 'year' ? 365 : 30;
+          currentPeriodEnd = new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
+        }
+
+        await User.findOneAndUpdate(
+          { stripeCustomerId: subscriptionCreated.customer },
+          {
+            'subscription.status': subscriptionCreated.status,
+            'subscription.currentPeriodEnd': currentPeriodEnd,
+            'subscription.paymentDate': new Date(),
+            'subscription.interval': subscriptionCreated.items.data[0]?.plan?.interval || 'month',
+            'subscription.priceId': subscriptionCreated.items.data[0]?.price?.id,
+          },
+        );
+        break;
+
+      case 'customer.subscription.updated':
+        const subscriptionUpdated = event.data.object;
+        console.log('Subscription updated:', subscriptionUpdated.id);
+
+        // Safely set currentPeriodEnd with validation
+        let currentPeriodEndUpdated;
+        if (subscriptionUpdated.current_period_end) {
+          currentPeriodEndUpdated = new Date(subscriptionUpdated.current_period_end * 1000);
+        } else {
+          // Fallback: set based on interval
+          const interval = subscriptionUpdated.items.data[0]?.plan?.interval || 'month';
+          const validityDays = interval === 'year' ? 365 : 30;
+          currentPeriodEndUpdated = new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
+        }
+
+        await User.findOneAndUpdate(
+          { stripeCustomerId: subscriptionUpdated.customer },
+          {
+            // paymentDate is only set by payment events; plan or status changes aren't payments
+            'subscription.status': subscriptionUpdated.status,
+            'subscription.currentPeriodEnd': currentPeriodEndUpdated,
+            'subscription.cancelAtPeriodEnd': subscriptionUpdated.cancel_at_period_end,
+            'subscription.autoDebitCancel': renewalService.isPolicyCancel(subscriptionUpdated),
+            'subscription.collectionMethod': subscriptionUpdated.collection_method,
+            'subscription.interval': subscriptionUpdated.items.data[0]?.plan?.interval || 'month',
+            'subscription.priceId': subscriptionUpdated.items.data[0]?.price?.id,
+            'subscription.isPaused': Boolean(subscriptionUpdated.pause_collection),
+            'subscription.resumesAt': subscriptionUpdated.pause_collection?.resumes_at
+              ? new Date(subscriptionUpdated.pause_collection.resumes_at * 1000)
+              : null,
+          },
+        );
+
+        // A plan change booked for the period end has now taken effect
+        if (subscriptionUpdated.items.data[0]?.price?.id) {
+          await User.updateOne(
+            {
+              stripeCustomerId: subscriptionUpdated.customer,
+              'subscription.scheduledChange.priceId': subscriptionUpdated.items.data[0].price.id,
+            },
+            {
+              'subscription.scheduledChange': { priceId: null, interval: null, effectiveAt: null },
+            },
+          );
+        }
+
+        // Pauses can also start or end from the Stripe dashboard or on the resume date.
+        // Record the paid-up period once so later renewals don't extend paused access.
+        if (subscriptionUpdated.pause_collection) {
+          await User.updateOne(
+            {
+              stripeCustomerId: subscriptionUpdated.customer,
+              'subscription.pausedAccessUntil': null,
+            },
+            {
+              'subscription.pausedAt': new Date(),
+              'subscription.pausedAccessUntil': currentPeriodEndUpdated,
+            },
+          );
+        } else {
+          await User.updateOne(
+            { stripeCustomerId: subscriptionUpdated.customer },
+            { 'subscription.pausedAt': null, 'subscription.pausedAccessUntil': null },
+          );
+        }
+
+        // The first payment was never made, so the promo code it reserved can be used again
+        if (subscriptionUpdated.status === 'incomplete_expired') {
+          await couponService.releaseForSubscription(subscriptionUpdated.id);
+        }
+
+        await this.notifyLifecycleChange(subscriptionUpdated, event.data.previous_attributes || {});
+        break;
+
+      case 'customer.subscription.deleted':
+        const subscriptionDeleted = event.data.object;
+        console.log('Subscription deleted:', subscriptionDeleted.id);
+        await User.findOneAndUpdate(
+          { stripeCustomerId: subscriptionDeleted.customer },
+          {
+            'subscription.status': 'canceled',
+            'subscription.currentPeriodEnd': null,
+          },
+        );
+        await dunningService.clearDunning(subscriptionDeleted.customer);
+        if (subscriptionDeleted.status === 'incomplete_expired') {
+          await couponService.releaseForSubscription(subscriptionDeleted.id);
+        }
+        break;
+
+      case 'invoice.payment_succeeded':
+        const invoicePaid = event.data.object;
+        console.log('Invoice paid:', invoicePaid.id);
+        // Update user subscription status to active
+        await User.findOneAndUpdate(
+          { stripeCustomerId: invoicePaid.customer },
+          {
+            'subscription.status': 'active',
+            'subscription.currentPeriodEnd': new Date(invoicePaid.period_end * 1000),
+            'subscription.paymentDate': new Date(),
+          },
+        );
+        await dunningService.clearDunning(invoicePaid.customer);
+
+        // New subscriptions start on automatic charging; apply an earlier auto-debit opt-out
+        if (invoicePaid.billing_reason === 'subscription_create') {
+          const subscriber = await User.findOne({ stripeCustomerId: invoicePaid.customer });
+          if (subscriber && subscriber.autoDebitUpdatedAt && !subscriber.autoDebit) {
+            await renewalService.applyAutoDebit(subscriber);
+          }
+        }
+
+        await this.sendReceipt(invoicePaid);
+        break;
+
+      case 'invoice.finalized':
+        await this.sendInvoiceDue(event.data.object);
+        break;
+
+      case 'invoice.payment_failed':
+        const invoiceFailed = event.data.object;
+        console.log('Invoice payment failed:', invoiceFailed.id);
+        // Update user subscription status to past_due
+        await User.findOneAndUpdate(
+          { stripeCustomerId: invoiceFailed.customer },
+          {
+            'subscription.status': 'past_due',
+          },
+        );
+
+        // Failed renewals get a grace period; a failed first payment never granted access
+        if (invoiceFailed.billing_reason !== 'subscription_create') {
+          await dunningService.startDunning(invoiceFailed);
+        }
+        break;
+
+      default:
+        console.log(`Unhandled event type ${event.type}`);
+    }
+  }
+}
+
+export default new WebhookService();
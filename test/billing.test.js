@@ -0,0 +1,151 @@
+import './support/setup.js';
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import billing, { FakeAdapter } from '../services/billing/index.js';
+
+let adapter;
+let customer;
+let price;
+
+beforeEach(async () => {
+  adapter = billing.useAdapter(new FakeAdapter({ webhookSecret: 'whsec_test' }));
+  customer = await billing.createCustomer({ email: 'listener@example.com', name: 'Listener' });
+  const product = await billing.createProduct({ name: 'Premium' });
+  price = await billing.createPrice({ productId: product.id, unitAmount: 999, interval: 'month' });
+});
+
+const eventTypes = (since = 0) => adapter.events.slice(since).map((event) => event.type);
+
+// Start a subscription and pay its first invoice the way the client does with Stripe.js
+const subscribeAndPay = async (outcome) => {
+  const subscription = await billing.createSubscription({
+    customerId: customer.id,
+    priceId: price.id,
+  });
+  const card = adapter.createTestCard({ outcome, customerId: customer.id });
+  const since = adapter.events.length;
+  let paymentIntent;
+  let error = null;
+  try {
+    paymentIntent = await billing.confirmPaymentIntent(
+      subscription.latest_invoice.payment_intent.id,
+      { paymentMethodId: card.id },
+    );
+  } catch (caught) {
+    error = caught;
+  }
+  return { subscription, paymentIntent, error, since };
+};
+
+describe('billing service with the fake adapter', () => {
+  test('forwards every operation to the active adapter', () => {
+    assert.equal(billing.provider, 'fake');
+    assert.throws(() => billing.useAdapter({}), /Billing adapter is missing: isConfigured/);
+  });
+
+  test('a new subscription waits for its first payment', async () => {
+    const subscription = await billing.createSubscription({
+      customerId: customer.id,
+      priceId: price.id,
+      metadata: { user_id: 'user-1' },
+    });
+
+    assert.equal(subscription.status, 'incomplete');
+    assert.equal(subscription.latest_invoice.amount_due, 999);
+    assert.equal(subscription.latest_invoice.payment_intent.status, 'requires_payment_method');
+    assert.ok(subscription.latest_invoice.payment_intent.client_secret);
+    assert.deepEqual(eventTypes().slice(-2), [
+      'invoice.finalized',
+      'customer.subscription.created',
+    ]);
+  });
+
+  test('a successful first payment activates the subscription', async () => {
+    const { subscription, paymentIntent, error, since } = await subscribeAndPay('succeeded');
+
+    assert.equal(error, null);
+    assert.equal(paymentIntent.status, 'succeeded');
+    const active = await billing.retrieveSubscription(subscription.id);
+    assert.equal(active.status, 'active');
+    assert.ok(eventTypes(since).includes('invoice.payment_succeeded'));
+    assert.ok(eventTypes(since).includes('customer.subscription.updated'));
+  });
+
+  test('a declined card throws a card error and leaves the subscription incomplete', async () => {
+    const { subscription, error, since } = await subscribeAndPay('declined');
+
+    assert.equal(error.type, 'card_error');
+    assert.equal(error.code, 'card_declined');
+    assert.equal((await billing.retrieveSubscription(subscription.id)).status, 'incomplete');
+    assert.deepEqual(eventTypes(since), [
+      'payment_intent.payment_failed',
+      'invoice.payment_failed',
+    ]);
+  });
+
+  test('a card needing authentication leaves the payment incomplete', async () => {
+    const { subscription, paymentIntent, error, since } = await subscribeAndPay('requires_action');
+
+    assert.equal(error, null);
+    assert.equal(paymentIntent.status, 'requires_action');
+    assert.equal((await billing.retrieveSubscription(subscription.id)).status, 'incomplete');
+    assert.ok(eventTypes(since).includes('payment_intent.requires_action'));
+  });
+
+  test('a trial needs no payment up front and converts at the period end', async () => {
+    const subscription = await billing.createSubscription({
+      customerId: customer.id,
+      priceId: price.id,
+      trialDays: 7,
+    });
+    assert.equal(subscription.status, 'trialing');
+    assert.ok(subscription.pending_setup_intent.client_secret);
+
+    const card = adapter.createTestCard({ customerId: customer.id });
+    await billing.setDefaultPaymentMethod(customer.id, card.id);
+    assert.equal(adapter.simulateRenewal(subscription.id).status, 'active');
+  });
+
+  test('a declined renewal makes the subscription past due', async () => {
+    const { subscription } = await subscribeAndPay('succeeded');
+    const expired = adapter.createTestCard({ outcome: 'declined', customerId: customer.id });
+    await billing.updateSubscription(subscription.id, { default_payment_method: expired.id });
+
+    assert.equal(adapter.simulateRenewal(subscription.id).status, 'past_due');
+  });
+
+  test('cancel at period end keeps access until the period is over', async () => {
+    const { subscription } = await subscribeAndPay('succeeded');
+
+    const canceling = await billing.cancel(subscription.id, {
+      atPeriodEnd: true,
+      reason: 'too_expensive',
+    });
+    assert.equal(canceling.status, 'active');
+    assert.equal(canceling.cancel_at_period_end, true);
+    assert.equal(canceling.cancellation_details.feedback, 'too_expensive');
+
+    const since = adapter.events.length;
+    assert.equal(adapter.simulateRenewal(subscription.id).status, 'canceled');
+    assert.deepEqual(eventTypes(since), ['customer.subscription.deleted']);
+  });
+
+  test('cancel now ends the subscription at once', async () => {
+    const { subscription } = await subscribeAndPay('succeeded');
+
+    const canceled = await billing.cancel(subscription.id);
+    assert.equal(canceled.status, 'canceled');
+    await assert.rejects(billing.cancel(subscription.id), { code: 'resource_missing' });
+  });
+
+  test('webhook payloads verify only with a valid signature', async () => {
+    const [event] = adapter.events;
+    const { body, signature } = adapter.signWebhook(event);
+
+    assert.deepEqual(billing.verifyWebhook(Buffer.from(body), signature), event);
+    assert.throws(() => billing.verifyWebhook(body.replace('customer', 'charge'), signature), {
+      message: /No signatures found/,
+    });
+    assert.throws(() => billing.verifyWebhook(body, 't=1,v1=0'), /No signatures found/);
+  });
+});
@@ -0,0 +1,67 @@
+import './support/setup.js';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/userModel.js';
+import NotificationLog from '../models/NotificationLog.js';
+import dunningService from '../services/dunningService.js';
+import emailService from '../services/emailService.js';
+import { useMemoryModel } from './support/fakes.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let user;
+let emailResult;
+
+beforeEach(async () => {
+  useMemoryModel(User);
+  useMemoryModel(NotificationLog);
+  user = new User({ name: 'Listener', email: 'listener@example.com', password: 'secret123' });
+  user.subscription.dunning = {
+    startedAt: new Date(Date.now() - DAY_MS),
+    graceEndsAt: new Date(Date.now() + 6 * DAY_MS),
+    remindersSent: 0,
+  };
+  await user.save();
+
+  emailResult = { success: true, messageId: 'msg_1' };
+  mock.method(emailService, 'sendSubscriptionLifecycleEmail', async () => emailResult);
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const remindersSent = async () =>
+  (await User.findById(user._id)).subscription.dunning.remindersSent;
+
+describe('dunning reminders', () => {
+  test('counts a reminder once its email is sent', async () => {
+    await dunningService.processUser(user, dunningService.getPolicy());
+
+    assert.equal(emailService.sendSubscriptionLifecycleEmail.mock.callCount(), 1);
+    assert.equal(await remindersSent(), 1);
+  });
+
+  test('gives a reminder back for the next run when its email fails', async () => {
+    emailResult = { success: false, error: 'provider down' };
+
+    await dunningService.processUser(user, dunningService.getPolicy());
+    assert.equal(await remindersSent(), 0);
+
+    emailResult = { success: true, messageId: 'msg_2' };
+    await dunningService.processUser(await User.findById(user._id), dunningService.getPolicy());
+    assert.equal(emailService.sendSubscriptionLifecycleEmail.mock.callCount(), 2);
+    assert.equal(await remindersSent(), 1);
+  });
+
+  test('gives a reminder back when sending throws', async () => {
+    emailService.sendSubscriptionLifecycleEmail.mock.mockImplementation(async () => {
+      throw new Error('network error');
+    });
+
+    await dunningService.processUser(user, dunningService.getPolicy());
+
+    assert.equal(await remindersSent(), 0);
+  });
+});
@@ -0,0 +1,86 @@
+import './support/setup.js';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/userModel.js';
+import GiftCode from '../models/GiftCode.js';
+import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import giftCodeService from '../services/giftCodeService.js';
+import subscriptionEventService from '../services/subscriptionEventService.js';
+import { useMemoryModel } from './support/fakes.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let user;
+let plan;
+let codes;
+
+beforeEach(async () => {
+  useMemoryModel(User);
+  plan = { _id: new mongoose.Types.ObjectId(), title: 'Premium', version: 1 };
+  mock.method(SubscriptionPlan, 'findById', async () => plan);
+  mock.method(subscriptionEventService, 'recordChange', async () => null);
+
+  // Claiming and releasing codes, without the filters the memory model can't match
+  codes = new Map();
+  for (const code of ['GIFT-AAAA', 'GIFT-BBBB']) {
+    codes.set(code, new GiftCode({ code, plan: plan._id, days: 30, redeemedBy: null }));
+  }
+  mock.method(GiftCode, 'findOneAndUpdate', async ({ code }, { $set }) => {
+    const giftCode = codes.get(code);
+    if (!giftCode || giftCode.redeemedBy) return null;
+    giftCode.set($set);
+    return giftCode;
+  });
+  mock.method(GiftCode, 'updateOne', async ({ _id }, { $set }) => {
+    const giftCode = [...codes.values()].find((entry) => entry._id.equals(_id));
+    giftCode.set($set);
+    return { modifiedCount: 1 };
+  });
+  mock.method(GiftCode.prototype, 'save', async function save() {
+    return this;
+  });
+
+  user = new User({ name: 'Listener', email: 'listener@example.com', password: 'secret123' });
+  user.subscription = {
+    provider: 'code',
+    id: 'GIFT-0000',
+    status: 'active',
+    currentPeriodEnd: new Date(Date.now() + 10 * DAY_MS),
+    planId: plan._id,
+  };
+  await user.save();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// The copy of the user a separate request would have loaded
+const loadUser = () => User.hydrate(user.toObject());
+
+describe('giftCodeService.redeem', () => {
+  test('extends active code access from its current end', async () => {
+    const endBefore = user.subscription.currentPeriodEnd;
+
+    const result = await giftCodeService.redeem(loadUser(), 'GIFT-AAAA');
+
+    assert.equal(result.status, undefined);
+    assert.equal(user.subscription.currentPeriodEnd.getTime(), endBefore.getTime() + 30 * DAY_MS);
+  });
+
+  test('keeps one extension and releases the other code when two are redeemed at once', async () => {
+    const endBefore = user.subscription.currentPeriodEnd;
+
+    const results = await Promise.all([
+      giftCodeService.redeem(loadUser(), 'GIFT-AAAA'),
+      giftCodeService.redeem(loadUser(), 'GIFT-BBBB'),
+    ]);
+
+    const rejected = results.filter((result) => result.status === 409);
+    assert.equal(rejected.length, 1);
+    assert.equal(user.subscription.currentPeriodEnd.getTime(), endBefore.getTime() + 30 * DAY_MS);
+    const redeemed = [...codes.values()].filter((giftCode) => giftCode.redeemedBy);
+    assert.equal(redeemed.length, 1);
+  });
+});
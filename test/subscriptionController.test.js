@@ -0,0 +1,378 @@
+import './support/setup.js';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/userModel.js';
+import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import billing, { FakeAdapter } from '../services/billing/index.js';
+import entitlementService from '../services/entitlementService.js';
+import subscriptionEventService from '../services/subscriptionEventService.js';
+import dunningService from '../services/dunningService.js';
+import webhookService from '../services/webhookService.js';
+import couponService from '../services/couponService.js';
+import {
+  cancelSubscription,
+  changePlan,
+  confirmPayment,
+  createSubscription,
+  handleWebhook,
+  pauseSubscription,
+} from '../controllers/subscriptionController.js';
+import { createResponse, useMemoryModel } from './support/fakes.js';
+
+let adapter;
+let price;
+let user;
+let plan;
+
+beforeEach(async () => {
+  adapter = billing.useAdapter(new FakeAdapter({ webhookSecret: 'whsec_test' }));
+  const product = await billing.createProduct({ name: 'Premium' });
+  price = await billing.createPrice({ productId: product.id, unitAmount: 999, interval: 'month' });
+
+  useMemoryModel(User);
+  useMemoryModel(WebhookEvent, { unique: ['eventId'] });
+  user = new User({ name: 'Listener', email: 'listener@example.com', password: 'secret123' });
+  await user.save();
+
+  plan = null;
+  mock.method(entitlementService, 'findPlanByPriceId', async () => plan);
+  // History, dunning and customer emails have their own collections and providers
+  mock.method(subscriptionEventService, 'recordChange', async () => null);
+  mock.method(subscriptionEventService, 'recordStripeEvent', async () => []);
+  mock.method(dunningService, 'clearDunning', async () => {});
+  mock.method(dunningService, 'startDunning', async () => {});
+  mock.method(webhookService, 'sendReceipt', async () => {});
+  mock.method(webhookService, 'sendInvoiceDue', async () => {});
+  mock.method(webhookService, 'notifyLifecycleChange', async () => {});
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const call = async (handler, body = {}) => {
+  const res = createResponse();
+  await handler({ user: { _id: user._id }, body, headers: {} }, res);
+  return res;
+};
+
+// Send events to the webhook endpoint, signed like Stripe does
+const deliver = async (events) => {
+  const responses = [];
+  for (const event of events) {
+    const { body, signature } = adapter.signWebhook(event);
+    const res = createResponse();
+    await handleWebhook(
+      { headers: { 'stripe-signature': signature }, body: Buffer.from(body) },
+      res,
+    );
+    responses.push(res);
+  }
+  return responses;
+};
+
+// Everything Stripe reported since `since`, delivered in order
+const deliverSince = (since) => deliver(adapter.events.slice(since));
+
+const subscribe = async () => {
+  const res = await call(createSubscription, { priceId: price.id });
+  assert.equal(res.statusCode, 200, res.body?.error);
+  return res;
+};
+
+// Pay the first invoice the way the client does with Stripe.js
+const payFirstInvoice = async (outcome) => {
+  const subscription = await billing.retrieveSubscription(user.subscription.id, {
+    expand: ['latest_invoice.payment_intent'],
+  });
+  const card = adapter.createTestCard({ outcome, customerId: user.stripeCustomerId });
+  return billing
+    .confirmPaymentIntent(subscription.latest_invoice.payment_intent.id, {
+      paymentMethodId: card.id,
+    })
+    .catch((error) => error);
+};
+
+describe('createSubscription', () => {
+  test('creates the customer and an incomplete subscription awaiting payment', async () => {
+    const res = await subscribe();
+
+    assert.equal(res.body.subscription.intentType, 'payment');
+    assert.match(res.body.subscription.clientSecret, /^pi_.*_secret_/);
+    assert.ok(user.stripeCustomerId);
+    assert.equal(user.subscription.status, 'incomplete');
+    assert.equal(user.subscription.priceId, price.id);
+    assert.equal(user.subscription.interval, 'month');
+  });
+
+  test('starts a trial with a setup intent when the plan offers one', async () => {
+    plan = { trialDays: 14 };
+
+    const res = await subscribe();
+
+    assert.equal(res.body.subscription.intentType, 'setup');
+    assert.match(res.body.subscription.clientSecret, /^seti_/);
+    assert.equal(user.subscription.status, 'trialing');
+    assert.ok(user.trialUsedAt);
+  });
+
+  test('offers no second trial', async () => {
+    plan = { trialDays: 14 };
+    user.trialUsedAt = new Date();
+
+    await subscribe();
+
+    assert.equal(user.subscription.status, 'incomplete');
+  });
+
+  test('rejects a request without a price', async () => {
+    delete process.env.STRIPE_PRICE_ID;
+    const res = await call(createSubscription, {});
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Stripe price ID missing');
+  });
+
+  test('reports an unknown price as an invalid plan', async () => {
+    mock.method(console, 'error', () => {});
+    const res = await call(createSubscription, { priceId: 'price_missing' });
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.message, 'Invalid subscription plan. Please contact support.');
+  });
+});
+
+describe('first payment', () => {
+  test('a successful payment activates the subscription through webhooks', async () => {
+    await subscribe();
+    const since = adapter.events.length;
+
+    const paymentIntent = await payFirstInvoice('succeeded');
+    assert.equal(paymentIntent.status, 'succeeded');
+    const responses = await deliverSince(since);
+
+    assert.ok(responses.every((res) => res.statusCode === 200 && res.body.received));
+    assert.equal(user.subscription.status, 'active');
+    assert.ok(user.subscription.currentPeriodEnd > new Date());
+    assert.equal(webhookService.sendReceipt.mock.callCount(), 1);
+
+    const confirmed = await call(confirmPayment);
+    assert.equal(confirmed.statusCode, 200);
+    assert.equal(confirmed.body.subscription.isActive, true);
+  });
+
+  test('a declined card leaves the subscription inactive', async () => {
+    mock.method(console, 'error', () => {});
+    await subscribe();
+    const since = adapter.events.length;
+
+    const error = await payFirstInvoice('declined');
+    assert.equal(error.code, 'card_declined');
+    await deliverSince(since);
+
+    // A failed first payment never granted access, so there is no grace period
+    assert.notEqual(user.subscription.status, 'active');
+    assert.equal(dunningService.startDunning.mock.callCount(), 0);
+
+    const res = await call(confirmPayment);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.isActive, false);
+    assert.equal(res.body.status, 'incomplete');
+  });
+
+  test('a payment waiting for authentication stays incomplete', async () => {
+    await subscribe();
+
+    const paymentIntent = await payFirstInvoice('requires_action');
+    assert.equal(paymentIntent.status, 'requires_action');
+
+    const res = await call(confirmPayment);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.payment_intent_status, 'requires_action');
+  });
+
+  test('an abandoned payment gives the promo code back when the subscription expires', async () => {
+    const reservation = { coupon: { _id: 'coupon_1', code: 'SPRING' }, redemptionId: 'r_1' };
+    mock.method(couponService, 'reserve', async () => reservation);
+    mock.method(couponService, 'confirm', async () => {});
+    mock.method(couponService, 'releaseForSubscription', async () => null);
+
+    const res = await call(createSubscription, { priceId: price.id, promoCode: 'spring' });
+    assert.equal(res.body.subscription.promoCode, 'SPRING');
+    assert.deepEqual(couponService.confirm.mock.calls[0].arguments, [
+      reservation,
+      user.subscription.id,
+    ]);
+    await deliverSince(0);
+    assert.equal(couponService.releaseForSubscription.mock.callCount(), 0);
+
+    const since = adapter.events.length;
+    adapter.simulateFirstPaymentExpiry(user.subscription.id);
+    await deliverSince(since);
+
+    assert.equal(user.subscription.status, 'incomplete_expired');
+    assert.deepEqual(couponService.releaseForSubscription.mock.calls[0].arguments, [
+      user.subscription.id,
+    ]);
+  });
+});
+
+describe('cancelSubscription', () => {
+  const subscribeAndPay = async () => {
+    await subscribe();
+    await payFirstInvoice('succeeded');
+    await deliverSince(0);
+  };
+
+  test('cancels at the period end and ends access when the period is over', async () => {
+    await subscribeAndPay();
+
+    const res = await call(cancelSubscription, { reason: 'too_expensive' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.subscription.cancelAtPeriodEnd, true);
+    assert.equal(user.subscription.status, 'active');
+    assert.equal(user.subscription.cancelAtPeriodEnd, true);
+
+    const since = adapter.events.length;
+    adapter.simulateRenewal(user.subscription.id);
+    await deliverSince(since);
+
+    assert.equal(user.subscription.status, 'canceled');
+    assert.equal(user.subscription.currentPeriodEnd, null);
+  });
+
+  test('rejects an unknown cancellation reason', async () => {
+    await subscribeAndPay();
+
+    const res = await call(cancelSubscription, { reason: 'because' });
+
+    assert.equal(res.statusCode, 400);
+  });
+
+  test('answers 404 without a subscription', async () => {
+    const res = await call(cancelSubscription);
+
+    assert.equal(res.statusCode, 404);
+  });
+});
+
+describe('changePlan', () => {
+  let yearly;
+  let target;
+
+  beforeEach(async () => {
+    const product = await billing.createProduct({ name: 'Premium yearly' });
+    yearly = await billing.createPrice({
+      productId: product.id,
+      unitAmount: 9999,
+      interval: 'year',
+    });
+    useMemoryModel(SubscriptionPlan);
+    target = await SubscriptionPlan.create({
+      title: 'Premium',
+      isActive: true,
+      stripeMonthlyPriceId: price.id,
+      stripeYearlyPriceId: yearly.id,
+    });
+
+    await subscribe();
+    await payFirstInvoice('succeeded');
+    await deliverSince(0);
+  });
+
+  const changeAtPeriodEnd = () =>
+    call(changePlan, { planId: target._id.toString(), interval: 'year', timing: 'period_end' });
+
+  test('books a change for the period end', async () => {
+    const res = await changeAtPeriodEnd();
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.subscription.scheduledChange.priceId, yearly.id);
+  });
+
+  test('refuses a period-end change while a cancellation is pending', async () => {
+    await call(cancelSubscription);
+
+    const res = await changeAtPeriodEnd();
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.cancelAtPeriodEnd, true);
+    assert.equal(user.subscription.scheduledChange?.priceId ?? null, null);
+  });
+
+  test('refuses an immediate change while the subscription is paused', async () => {
+    await call(pauseSubscription);
+
+    const res = await call(changePlan, {
+      planId: target._id.toString(),
+      interval: 'year',
+      timing: 'immediate',
+    });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.paused, true);
+    assert.equal(user.subscription.priceId, price.id);
+  });
+});
+
+describe('handleWebhook', () => {
+  test('rejects a payload with a bad signature', async () => {
+    const [event] = adapter.events;
+    const { body } = adapter.signWebhook(event);
+    const res = createResponse();
+    mock.method(console, 'error', () => {});
+
+    await handleWebhook({ headers: { 'stripe-signature': 't=1,v1=00' }, body }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Webhook verification failed');
+  });
+
+  test('processes each event once', async () => {
+    await subscribe();
+    const event = adapter.events.find(({ type }) => type === 'customer.subscription.created');
+
+    const [first, repeat] = await deliver([event, event]);
+
+    assert.deepEqual(first.body, { received: true, status: 'processed' });
+    assert.deepEqual(repeat.body, { received: true, duplicate: true });
+    assert.equal(subscriptionEventService.recordStripeEvent.mock.callCount(), 1);
+  });
+
+  test('a failed renewal starts dunning and marks the subscription past due', async () => {
+    await subscribe();
+    await payFirstInvoice('succeeded');
+    const declined = adapter.createTestCard({
+      outcome: 'declined',
+      customerId: user.stripeCustomerId,
+    });
+    await billing.updateSubscription(user.subscription.id, { default_payment_method: declined.id });
+    await deliverSince(0);
+
+    const since = adapter.events.length;
+    adapter.simulateRenewal(user.subscription.id);
+    await deliverSince(since);
+
+    assert.equal(user.subscription.status, 'past_due');
+    assert.equal(dunningService.startDunning.mock.callCount(), 1);
+  });
+
+  test('records a failed event for a background retry', async () => {
+    await subscribe();
+    const event = adapter.events.find(({ type }) => type === 'customer.subscription.created');
+    mock.method(subscriptionEventService, 'recordStripeEvent', async () => {
+      throw new Error('history unavailable');
+    });
+    mock.method(console, 'error', () => {});
+
+    const [res] = await deliver([event]);
+
+    assert.deepEqual(res.body, { received: true, status: 'failed' });
+    const record = await WebhookEvent.findOne({ eventId: event.id });
+    assert.equal(record.lastError, 'history unavailable');
+    assert.ok(record.nextAttemptAt > new Date());
+  });
+});
@@ -0,0 +1,97 @@
+import { mock } from 'node:test';
+
+const duplicateKeyError = (path) =>
+  Object.assign(new Error(`E11000 duplicate key error (${path})`), { code: 11000 });
+
+// Value that can be awaited like a Mongoose query
+const query = (value) =>
+  Object.assign(Promise.resolve(value), {
+    select() {
+      return this;
+    },
+  });
+
+// Replace the Mongoose calls the billing flows make on a model with an in-memory collection,
+// so tests run without MongoDB. Documents are real model instances; filters match equal values
+// on (dotted) paths, null for missing ones, and $in. Returns the collection's array of documents.
+// Restored by mock.restoreAll().
+export const useMemoryModel = (Model, { unique = [] } = {}) => {
+  const documents = [];
+
+  const matches = (document, filter = {}) =>
+    Object.entries(filter).every(([path, expected]) => {
+      const actual = document.get(path);
+      if (expected && typeof expected === 'object' && '$in' in expected) {
+        return expected.$in.includes(actual);
+      }
+      if (expected === null || expected === undefined) {
+        return actual === null || actual === undefined;
+      }
+      return String(actual) === String(expected);
+    });
+
+  const apply = (document, update) => {
+    for (const [key, value] of Object.entries(update)) {
+      if (key === '$set') {
+        apply(document, value);
+      } else if (key === '$inc') {
+        for (const [path, amount] of Object.entries(value)) {
+          document.set(path, (document.get(path) || 0) + amount);
+        }
+      } else {
+        document.set(key, value);
+      }
+    }
+  };
+
+  const insert = (document) => {
+    for (const path of unique) {
+      const taken = documents.some(
+        (other) => other !== document && other.get(path) === document.get(path),
+      );
+      if (taken) throw duplicateKeyError(path);
+    }
+    if (!documents.includes(document)) documents.push(document);
+    return document;
+  };
+
+  const findOne = (filter) => documents.find((document) => matches(document, filter)) || null;
+
+  mock.method(Model, 'create', async (entry) => insert(new Model(entry)));
+  mock.method(Model, 'findById', (id) => query(findOne({ _id: id })));
+  mock.method(Model, 'findOne', (filter) => query(findOne(filter)));
+  mock.method(Model, 'findOneAndUpdate', (filter, update) => {
+    const document = findOne(filter);
+    if (document) apply(document, update);
+    return query(document);
+  });
+  mock.method(Model, 'updateOne', (filter, update) => {
+    const document = findOne(filter);
+    if (document) apply(document, update);
+    return query({ matchedCount: document ? 1 : 0, modifiedCount: document ? 1 : 0 });
+  });
+  mock.method(Model.prototype, 'save', async function save() {
+    return insert(this);
+  });
+
+  return documents;
+};
+
+// Express response double that records what the handler sent
+export const createResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  set(name, value) {
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
@@ -0,0 +1,12 @@
+import mongoose from 'mongoose';
+
+// Imported first by every test file: settings the app modules read when they load
+process.env.NODE_ENV = 'test';
+process.env.BILLING_PROVIDER = 'fake';
+process.env.JWT_SECRET ||= 'test-jwt-secret';
+process.env.RESEND_API_KEY ||= 're_test'; // emailService creates its client on import
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+// Tests run without MongoDB: a query no test replaced fails at once instead of waiting for a
+// connection
+mongoose.set('bufferCommands', false);
@@ -0,0 +1,572 @@
+import fs from 'fs';
+import path from 'path';
+
+// Supported upload extensions and the container each one must contain
+export const EXTENSION_FORMATS = {
+  '.mp3': 'mp3',
+  '.wav': 'wav',
+  '.flac': 'flac',
+  '.m4a': 'm4a',
+};
+
+const MAX_TAG_BYTES = 32 * 1024 * 1024; // Upper bound for ID3 tags / moov boxes we read into memory
+const FRAME_SCAN_BYTES = 64 * 1024;
+
+// ============ LOW-LEVEL HELPERS ============
+
+const readBytes = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+const synchsafe = (buffer, offset) =>
+  ((buffer[offset] & 0x7f) << 21) |
+  ((buffer[offset + 1] & 0x7f) << 14) |
+  ((buffer[offset + 2] & 0x7f) << 7) |
+  (buffer[offset + 3] & 0x7f);
+
+const cleanText = (text) => text.replace(/\0.*$/s, '').trim() || null;
+
+// Decode an ID3 text payload given its encoding byte
+const decodeId3Text = (buffer, encoding) => {
+  if (encoding === 1 || encoding === 2) {
+    let data = buffer;
+    let littleEndian = encoding === 1;
+    if (encoding === 1 && data.length >= 2) {
+      if (data[0] === 0xfe && data[1] === 0xff) {
+        littleEndian = false;
+        data = data.subarray(2);
+      } else if (data[0] === 0xff && data[1] === 0xfe) {
+        data = data.subarray(2);
+      }
+    }
+    data = Buffer.from(data.subarray(0, data.length - (data.length % 2)));
+    if (!littleEndian) data.swap16();
+    return cleanText(data.toString('utf16le'));
+  }
+  return cleanText(buffer.toString(encoding === 3 ? 'utf8' : 'latin1'));
+};
+
+// Find the end of a null-terminated string in an ID3 frame (double null for UTF-16)
+const findTerminator = (buffer, start, encoding) => {
+  if (encoding === 1 || encoding === 2) {
+    for (let i = start; i + 1 < buffer.length; i += 2) {
+      if (buffer[i] === 0 && buffer[i + 1] === 0) return i + 2;
+    }
+    return buffer.length;
+  }
+  const idx = buffer.indexOf(0, start);
+  return idx === -1 ? buffer.length : idx + 1;
+};
+
+const imageMimeType = (data) => {
+  if (data[0] === 0xff && data[1] === 0xd8) return 'image/jpeg';
+  if (data.subarray(0, 4).toString('latin1') === '\x89PNG') return 'image/png';
+  return null;
+};
+
+// Identify the container from its leading bytes
+export const detectAudioFormat = (head) => {
+  if (head.length < 12) return null;
+  if (head.subarray(0, 3).toString('latin1') === 'ID3') return 'mp3';
+  if (head[0] === 0xff && (head[1] & 0xe0) === 0xe0) return 'mp3';
+  if (
+    head.subarray(0, 4).toString('latin1') === 'RIFF' &&
+    head.subarray(8, 12).toString('latin1') === 'WAVE'
+  ) {
+    return 'wav';
+  }
+  if (head.subarray(0, 4).toString('latin1') === 'fLaC') return 'flac';
+  if (head.subarray(4, 8).toString('latin1') === 'ftyp') return 'm4a';
+  return null;
+};
+
+// ============ MP3 (ID3v2 + MPEG frames) ============
+
+const MPEG_BITRATES = {
+  V1L1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  V1L2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  V1L3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  V2L1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  V2L23: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+
+const MPEG_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG-1
+  2: [22050, 24000, 16000], // MPEG-2
+  0: [11025, 12000, 8000], // MPEG-2.5
+};
+
+const parseMpegHeader = (buffer, offset) => {
+  if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0f;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const channelMode = (buffer[offset + 3] >> 6) & 0x03;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15) {
+    return null;
+  }
+  if (sampleRateIndex === 3) return null;
+
+  const isV1 = versionBits === 3;
+  const layer = 4 - layerBits;
+  const table = isV1 ? `V1L${layer}` : layer === 1 ? 'V2L1' : 'V2L23';
+  const samplesPerFrame = layer === 1 ? 384 : layer === 3 && !isV1 ? 576 : 1152;
+
+  return {
+    isV1,
+    layer,
+    versionLabel: isV1 ? 'MPEG-1' : versionBits === 2 ? 'MPEG-2' : 'MPEG-2.5',
+    bitrate: MPEG_BITRATES[table][bitrateIndex] * 1000,
+    sampleRate: MPEG_SAMPLE_RATES[versionBits][sampleRateIndex],
+    channels: channelMode === 3 ? 1 : 2,
+    samplesPerFrame,
+  };
+};
+
+const parseId3v2 = (tag) => {
+  const result = { title: null, artist: null, artwork: null };
+  const major = tag[3];
+  const flags = tag[5];
+  let offset = 10;
+
+  if (flags & 0x40) {
+    // Skip extended header
+    offset += major === 4 ? synchsafe(tag, 10) : tag.readUInt32BE(10) + 4;
+  }
+
+  const idLength = major === 2 ? 3 : 4;
+  const headerLength = major === 2 ? 6 : 10;
+
+  while (offset + headerLength <= tag.length) {
+    const id = tag.subarray(offset, offset + idLength).toString('latin1');
+    if (!/^[A-Z0-9]+$/.test(id)) break; // Padding reached
+
+    let size;
+    if (major === 2) {
+      size = tag.readUIntBE(offset + 3, 3);
+    } else if (major === 4) {
+      size = synchsafe(tag, offset + 4);
+    } else {
+      size = tag.readUInt32BE(offset + 4);
+    }
+
+    const frame = tag.subarray(offset + headerLength, offset + headerLength + size);
+    offset += headerLength + size;
+    if (!frame.length) continue;
+
+    if (id === 'TIT2' || id === 'TT2') {
+      result.title = decodeId3Text(frame.subarray(1), frame[0]);
+    } else if (id === 'TPE1' || id === 'TP1') {
+      result.artist = decodeId3Text(frame.subarray(1), frame[0]);
+    } else if ((id === 'APIC' || id === 'PIC') && !result.artwork) {
+      const encoding = frame[0];
+      let pos;
+      let mimeType;
+      if (id === 'PIC') {
+        const format = frame.subarray(1, 4).toString('latin1').toUpperCase();
+        mimeType = format === 'PNG' ? 'image/png' : 'image/jpeg';
+        pos = 5; // encoding + format + picture type
+      } else {
+        const mimeEnd = findTerminator(frame, 1, 0);
+        mimeType = frame.subarray(1, mimeEnd - 1).toString('latin1') || null;
+        pos = mimeEnd + 1; // skip picture type
+      }
+      pos = findTerminator(frame, pos, encoding); // skip description
+      const data = frame.subarray(pos);
+      if (data.length) {
+        result.artwork = { mimeType: imageMimeType(data) || mimeType, data: Buffer.from(data) };
+      }
+    }
+  }
+
+  return result;
+};
+
+const parseMp3 = async (handle, fileSize) => {
+  let audioStart = 0;
+  let tags = { title: null, artist: null, artwork: null };
+
+  const header = await readBytes(handle, 0, 10);
+  if (header.subarray(0, 3).toString('latin1') === 'ID3') {
+    const tagSize = synchsafe(header, 6) + 10 + (header[5] & 0x10 ? 10 : 0);
+    if (tagSize <= MAX_TAG_BYTES) {
+      tags = parseId3v2(await readBytes(handle, 0, tagSize));
+    }
+    audioStart = tagSize;
+  }
+
+  const scan = await readBytes(handle, audioStart, FRAME_SCAN_BYTES);
+  let frameOffset = -1;
+  let frame = null;
+  for (let i = 0; i + 4 <= scan.length; i++) {
+    frame = parseMpegHeader(scan, i);
+    if (frame) {
+      frameOffset = i;
+      break;
+    }
+  }
+  if (!frame) {
+    throw new Error('No MPEG audio frames found');
+  }
+
+  const audioBytes = fileSize - audioStart - frameOffset;
+  let duration = (audioBytes * 8) / frame.bitrate;
+  let bitrate = frame.bitrate;
+
+  // VBR files carry the frame count in a Xing/Info or VBRI header in the first frame
+  const sideInfo = frame.isV1 ? (frame.channels === 1 ? 17 : 32) : frame.channels === 1 ? 9 : 17;
+  const xingOffset = frameOffset + 4 + sideInfo;
+  const xingId = scan.subarray(xingOffset, xingOffset + 4).toString('latin1');
+  let frameCount = null;
+  if ((xingId === 'Xing' || xingId === 'Info') && scan.length >= xingOffset + 12) {
+    if (scan.readUInt32BE(xingOffset + 4) & 0x01) {
+      frameCount = scan.readUInt32BE(xingOffset + 8);
+    }
+  } else if (
+    scan.length >= frameOffset + 54 &&
+    scan.subarray(frameOffset + 36, frameOffset + 40).toString('latin1') === 'VBRI'
+  ) {
+    frameCount = scan.readUInt32BE(frameOffset + 50);
+  }
+  if (frameCount) {
+    duration = (frameCount * frame.samplesPerFrame) / frame.sampleRate;
+    bitrate = Math.round((audioBytes * 8) / duration);
+  }
+
+  return {
+    format: 'mp3',
+    codec: `${frame.versionLabel} Layer ${frame.layer}`,
+    duration,
+    bitrate,
+    sampleRate: frame.sampleRate,
+    channels: frame.channels,
+    bitsPerSample: null,
+    ...tags,
+  };
+};
+
+// ============ WAV (RIFF) ============
+
+const parseWav = async (handle, fileSize) => {
+  const result = {
+    format: 'wav',
+    codec: null,
+    title: null,
+    artist: null,
+    artwork: null,
+  };
+  let fmt = null;
+  let dataSize = null;
+  let offset = 12;
+
+  while (offset + 8 <= fileSize) {
+    const chunkHeader = await readBytes(handle, offset, 8);
+    if (chunkHeader.length < 8) break;
+    const id = chunkHeader.subarray(0, 4).toString('latin1');
+    const size = chunkHeader.readUInt32LE(4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      const chunk = await readBytes(handle, body, Math.min(size, 40));
+      fmt = {
+        audioFormat: chunk.readUInt16LE(0),
+        channels: chunk.readUInt16LE(2),
+        sampleRate: chunk.readUInt32LE(4),
+        byteRate: chunk.readUInt32LE(8),
+        bitsPerSample: chunk.readUInt16LE(14),
+      };
+    } else if (id === 'data') {
+      // Some writers leave the size unset when streaming; fall back to the remaining bytes
+      dataSize = size && size <= fileSize - body ? size : fileSize - body;
+    } else if (id === 'LIST' && size <= MAX_TAG_BYTES) {
+      const chunk = await readBytes(handle, body, size);
+      if (chunk.subarray(0, 4).toString('latin1') === 'INFO') {
+        let pos = 4;
+        while (pos + 8 <= chunk.length) {
+          const subId = chunk.subarray(pos, pos + 4).toString('latin1');
+          const subSize = chunk.readUInt32LE(pos + 4);
+          const value = cleanText(chunk.subarray(pos + 8, pos + 8 + subSize).toString('utf8'));
+          if (subId === 'INAM') result.title = value;
+          if (subId === 'IART') result.artist = value;
+          pos += 8 + subSize + (subSize % 2);
+        }
+      }
+    }
+
+    offset = body + size + (size % 2);
+  }
+
+  if (!fmt || dataSize === null || !fmt.byteRate) {
+    throw new Error('WAV file is missing its fmt or data chunk');
+  }
+
+  const codecs = { 1: 'PCM', 3: 'IEEE float', 6: 'A-law', 7: 'mu-law', 65534: 'PCM (extensible)' };
+
+  return {
+    ...result,
+    codec: codecs[fmt.audioFormat] || `format ${fmt.audioFormat}`,
+    duration: dataSize / fmt.byteRate,
+    bitrate: fmt.byteRate * 8,
+    sampleRate: fmt.sampleRate,
+    channels: fmt.channels,
+    bitsPerSample: fmt.bitsPerSample,
+  };
+};
+
+// ============ FLAC ============
+
+const parseFlac = async (handle, fileSize) => {
+  const result = { format: 'flac', codec: 'FLAC', title: null, artist: null, artwork: null };
+  let streamInfo = null;
+  let offset = 4;
+  let isLast = false;
+
+  while (!isLast && offset + 4 <= fileSize) {
+    const blockHeader = await readBytes(handle, offset, 4);
+    isLast = (blockHeader[0] & 0x80) !== 0;
+    const type = blockHeader[0] & 0x7f;
+    const length = blockHeader.readUIntBE(1, 3);
+    const body = offset + 4;
+
+    if (type === 0) {
+      const block = await readBytes(handle, body, 34);
+      const b = block.subarray(10, 18);
+      streamInfo = {
+        sampleRate: (b[0] << 12) | (b[1] << 4) | (b[2] >> 4),
+        channels: ((b[2] >> 1) & 0x07) + 1,
+        bitsPerSample: (((b[2] & 0x01) << 4) | (b[3] >> 4)) + 1,
+        totalSamples: (b[3] & 0x0f) * 2 ** 32 + b.readUInt32BE(4),
+      };
+    } else if (type === 4) {
+      const block = await readBytes(handle, body, length);
+      let pos = 4 + block.readUInt32LE(0); // skip vendor string
+      const count = block.readUInt32LE(pos);
+      pos += 4;
+      for (let i = 0; i < count && pos + 4 <= block.length; i++) {
+        const commentLength = block.readUInt32LE(pos);
+        const comment = block.subarray(pos + 4, pos + 4 + commentLength).toString('utf8');
+        pos += 4 + commentLength;
+        const separator = comment.indexOf('=');
+        const key = comment.slice(0, separator).toUpperCase();
+        const value = cleanText(comment.slice(separator + 1));
+        if (key === 'TITLE' && !result.title) result.title = value;
+        if (key === 'ARTIST' && !result.artist) result.artist = value;
+      }
+    } else if (type === 6 && !result.artwork && length <= MAX_TAG_BYTES) {
+      const block = await readBytes(handle, body, length);
+      let pos = 4; // picture type
+      const mimeLength = block.readUInt32BE(pos);
+      const mimeType = block.subarray(pos + 4, pos + 4 + mimeLength).toString('latin1');
+      pos += 4 + mimeLength;
+      pos += 4 + block.readUInt32BE(pos); // description
+      pos += 16; // width, height, depth, colors
+      const dataLength = block.readUInt32BE(pos);
+      const data = Buffer.from(block.subarray(pos + 4, pos + 4 + dataLength));
+      result.artwork = { mimeType: imageMimeType(data) || mimeType, data };
+    }
+
+    offset = body + length;
+  }
+
+  if (!streamInfo || !streamInfo.sampleRate) {
+    throw new Error('FLAC file is missing its STREAMINFO block');
+  }
+
+  const duration = streamInfo.totalSamples / streamInfo.sampleRate;
+
+  return {
+    ...result,
+    duration,
+    bitrate: duration ? Math.round((fileSize * 8) / duration) : null,
+    sampleRate: streamInfo.sampleRate,
+    channels: streamInfo.channels,
+    bitsPerSample: streamInfo.bitsPerSample,
+  };
+};
+
+// ============ M4A (ISO base media) ============
+
+function* iterateBoxes(buffer, start, end) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.subarray(offset + 4, offset + 8).toString('latin1');
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) return;
+    yield { type, start: offset + headerSize, end: offset + size };
+    offset += size;
+  }
+}
+
+const findChild = (buffer, box, type) => {
+  for (const child of iterateBoxes(buffer, box.start, box.end)) {
+    if (child.type === type) return child;
+  }
+  return null;
+};
+
+const findPath = (buffer, box, types) =>
+  types.reduce((current, type) => (current ? findChild(buffer, current, type) : null), box);
+
+// mvhd/mdhd share a layout: version 1 uses 64-bit times and duration
+const readTimescaleAndDuration = (buffer, box) => {
+  const version = buffer[box.start];
+  if (version === 1) {
+    return {
+      timescale: buffer.readUInt32BE(box.start + 20),
+      duration: Number(buffer.readBigUInt64BE(box.start + 24)),
+    };
+  }
+  return {
+    timescale: buffer.readUInt32BE(box.start + 12),
+    duration: buffer.readUInt32BE(box.start + 16),
+  };
+};
+
+const readIlstValue = (buffer, item) => {
+  const data = findChild(buffer, item, 'data');
+  if (!data) return null;
+  return {
+    typeCode: buffer.readUInt32BE(data.start) & 0xffffff,
+    value: buffer.subarray(data.start + 8, data.end),
+  };
+};
+
+const parseM4a = async (handle, fileSize) => {
+  // Locate the top-level moov box (it may sit after mdat) and read it into memory
+  let moov = null;
+  let offset = 0;
+  while (offset + 8 <= fileSize) {
+    const header = await readBytes(handle, offset, 16);
+    let size = header.readUInt32BE(0);
+    const type = header.subarray(4, 8).toString('latin1');
+    if (size === 1) size = Number(header.readBigUInt64BE(8));
+    if (size === 0) size = fileSize - offset;
+    if (size < 8) break;
+    if (type === 'moov') {
+      if (size > MAX_TAG_BYTES) throw new Error('M4A moov box is too large');
+      moov = await readBytes(handle, offset, size);
+      break;
+    }
+    offset += size;
+  }
+  if (!moov) {
+    throw new Error('M4A file is missing its moov box');
+  }
+
+  const root = { start: 8, end: moov.length };
+  const result = { format: 'm4a', codec: null, title: null, artist: null, artwork: null };
+
+  let timing = null;
+  const mvhd = findChild(moov, root, 'mvhd');
+  if (mvhd) timing = readTimescaleAndDuration(moov, mvhd);
+
+  let sampleEntry = null;
+  for (const trak of iterateBoxes(moov, root.start, root.end)) {
+    if (trak.type !== 'trak') continue;
+    const hdlr = findPath(moov, trak, ['mdia', 'hdlr']);
+    if (!hdlr || moov.subarray(hdlr.start + 8, hdlr.start + 12).toString('latin1') !== 'soun') {
+      continue;
+    }
+    const mdhd = findPath(moov, trak, ['mdia', 'mdhd']);
+    if (mdhd) timing = readTimescaleAndDuration(moov, mdhd);
+    const stsd = findPath(moov, trak, ['mdia', 'minf', 'stbl', 'stsd']);
+    if (stsd) {
+      // stsd is a full box followed by an entry count
+      const entries = iterateBoxes(moov, stsd.start + 8, stsd.end).next();
+      if (!entries.done) sampleEntry = entries.value;
+    }
+    break;
+  }
+
+  if (!sampleEntry || !timing || !timing.timescale) {
+    throw new Error('M4A file does not contain an audio track');
+  }
+
+  const codecs = { mp4a: 'AAC', alac: 'ALAC', 'ac-3': 'AC-3', 'ec-3': 'E-AC-3', Opus: 'Opus' };
+  result.codec = codecs[sampleEntry.type] || sampleEntry.type;
+
+  // iTunes-style metadata lives in moov/udta/meta/ilst (meta is usually a full box)
+  const meta = findPath(moov, root, ['udta', 'meta']);
+  if (meta) {
+    const isFullBox = moov.subarray(meta.start + 4, meta.start + 8).toString('latin1') !== 'hdlr';
+    const metaBody = { start: meta.start + (isFullBox ? 4 : 0), end: meta.end };
+    const ilst = findChild(moov, metaBody, 'ilst');
+    if (ilst) {
+      for (const item of iterateBoxes(moov, ilst.start, ilst.end)) {
+        const entry = readIlstValue(moov, item);
+        if (!entry) continue;
+        if (item.type === '©nam') result.title = cleanText(entry.value.toString('utf8'));
+        if (item.type === '©ART') result.artist = cleanText(entry.value.toString('utf8'));
+        if (item.type === 'covr' && !result.artwork && entry.value.length) {
+          const data = Buffer.from(entry.value);
+          const mimeType = entry.typeCode === 14 ? 'image/png' : 'image/jpeg';
+          result.artwork = { mimeType: imageMimeType(data) || mimeType, data };
+        }
+      }
+    }
+  }
+
+  const duration = timing.duration / timing.timescale;
+
+  return {
+    ...result,
+    duration,
+    bitrate: duration ? Math.round((fileSize * 8) / duration) : null,
+    sampleRate:
+      sampleEntry.end - sampleEntry.start >= 28
+        ? moov.readUInt32BE(sampleEntry.start + 24) >>> 16
+        : null,
+    channels: moov.readUInt16BE(sampleEntry.start + 16),
+    bitsPerSample: moov.readUInt16BE(sampleEntry.start + 18) || null,
+  };
+};
+
+// ============ PUBLIC API ============
+
+const PARSERS = { mp3: parseMp3, wav: parseWav, flac: parseFlac, m4a: parseM4a };
+
+// Parse an uploaded audio file, verifying that its contents match its extension.
+// Resolves to { format, codec, duration, bitrate, sampleRate, channels, bitsPerSample,
+// title, artist, artwork: { mimeType, data } | null }. Throws on unsupported or
+// mismatched files.
+export const extractAudioMetadata = async (filePath, originalName = filePath) => {
+  const ext = path.extname(originalName).toLowerCase();
+  const expectedFormat = EXTENSION_FORMATS[ext];
+  if (!expectedFormat) {
+    throw new Error(
+      `Unsupported audio file type "${ext || 'none'}". Allowed: ${Object.keys(EXTENSION_FORMATS).join(', ')}`,
+    );
+  }
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const detectedFormat = detectAudioFormat(await readBytes(handle, 0, 12));
+    if (detectedFormat !== expectedFormat) {
+      throw new Error(
+        `File contents do not match its ${ext} extension` +
+          (detectedFormat ? ` (looks like ${detectedFormat})` : ''),
+      );
+    }
+
+    const metadata = await PARSERS[detectedFormat](handle, size);
+    if (!Number.isFinite(metadata.duration) || metadata.duration <= 0) {
+      throw new Error('Could not determine audio duration');
+    }
+    return metadata;
+  } finally {
+    await handle.close();
+  }
+};
@@ -1,8 +1,13 @@
 import jwt from 'jsonwebtoken';
 
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: '30h',
+// Access tokens are short-lived; clients renew them with their session's refresh token
+// (ACCESS_TOKEN_TTL_MINUTES, default 15)
+export const getAccessTokenTtl = () =>
+  (parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15) * 60;
+
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: getAccessTokenTtl(),
   });
 };
 
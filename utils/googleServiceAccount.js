@@ -0,0 +1,46 @@
+import jwt from 'jsonwebtoken';
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+
+// OAuth access tokens for a Google service account (FCM, Google Play Developer API).
+// Private keys in .env files usually have escaped newlines; they are unescaped here.
+export const createServiceAccountAuth = ({ clientEmail, privateKey, scope }) => {
+  const key = privateKey?.replace(/\\n/g, '\n');
+  let accessToken = null;
+  let expiresAt = 0;
+
+  return {
+    isConfigured: () => Boolean(clientEmail && key),
+
+    // Exchange a signed service-account JWT for an access token (cached until expiry)
+    async getAccessToken() {
+      if (accessToken && Date.now() < expiresAt - 60 * 1000) {
+        return accessToken;
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const assertion = jwt.sign(
+        { iss: clientEmail, scope, aud: TOKEN_URL, iat: now, exp: now + 3600 },
+        key,
+        { algorithm: 'RS256' },
+      );
+
+      const response = await fetch(TOKEN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+          assertion,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error_description || data.error || 'Failed to get access token');
+      }
+
+      accessToken = data.access_token;
+      expiresAt = Date.now() + data.expires_in * 1000;
+      return accessToken;
+    },
+  };
+};
@@ -0,0 +1,92 @@
+// Minimal single-page PDF writer for generated documents such as receipts.
+// Uses the built-in Helvetica fonts, so no font files need to be embedded.
+
+const PAGE_WIDTH = 612; // US Letter, in points
+const PAGE_HEIGHT = 792;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126; used to right-align text
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556,
+  556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667,
+  611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667,
+  667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500,
+  222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// Characters outside Latin-1 can't be shown with the standard fonts
+const toLatin1 = (value) => String(value ?? '').replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const escapeText = (value) => toLatin1(value).replace(/([\\()])/g, '\\$1');
+
+const toRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+    .map((channel) => (channel / 255).toFixed(3))
+    .join(' ');
+};
+
+export const measureText = (text, size) => {
+  const units = [...toLatin1(text)].reduce((width, char) => {
+    const code = char.charCodeAt(0);
+    return width + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+  }, 0);
+  return (units * size) / 1000;
+};
+
+// Create a page. Coordinates are in points measured from the top-left corner.
+export const createPdfDocument = () => {
+  const operations = [];
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    rect(x, y, width, height, color) {
+      operations.push(
+        `${toRgb(color)} rg ${x} ${PAGE_HEIGHT - y - height} ${width} ${height} re f`,
+      );
+    },
+
+    line(x1, y1, x2, y2, color = '#dddddd', lineWidth = 1) {
+      operations.push(
+        `${toRgb(color)} RG ${lineWidth} w ${x1} ${PAGE_HEIGHT - y1} m ${x2} ${PAGE_HEIGHT - y2} l S`,
+      );
+    },
+
+    // align: 'left' draws from x, 'right' ends the text at x
+    text(value, x, y, { size = 11, bold = false, color = '#333333', align = 'left' } = {}) {
+      const left = align === 'right' ? x - measureText(value, size) : x;
+      operations.push(
+        `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${toRgb(color)} rg ` +
+          `${left.toFixed(2)} ${(PAGE_HEIGHT - y).toFixed(2)} Td (${escapeText(value)}) Tj ET`,
+      );
+    },
+
+    toBuffer() {
+      const content = operations.join('\n');
+      const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          '/Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>',
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      ];
+
+      let pdf = '%PDF-1.4\n';
+      const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+      pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(pdf, 'latin1');
+    },
+  };
+};
@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+
+const DEFAULT_TTL_SECONDS = 5 * 60; // 5 minutes
+
+const getSecret = () => {
+  const secret = process.env.STREAM_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('STREAM_URL_SECRET (or JWT_SECRET) must be set to sign stream URLs');
+  }
+  return secret;
+};
+
+// How long a signed stream URL stays valid (STREAM_URL_TTL_SECONDS, default 5 minutes)
+export const getStreamUrlTtlSeconds = () => {
+  const ttl = parseInt(process.env.STREAM_URL_TTL_SECONDS, 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+};
+
+const computeSignature = (musicId, userId, expires) =>
+  crypto.createHmac('sha256', getSecret()).update(`${musicId}.${userId}.${expires}`).digest('hex');
+
+// Build a short-lived signed URL for streaming a music file
+export const createSignedStreamUrl = (musicId, userId) => {
+  const expires = Math.floor(Date.now() / 1000) + getStreamUrlTtlSeconds();
+  const signature = computeSignature(musicId.toString(), userId.toString(), expires);
+  const query = new URLSearchParams({
+    uid: userId.toString(),
+    expires: String(expires),
+    signature,
+  });
+
+  return {
+    url: `/api/music/${musicId}/stream?${query.toString()}`,
+    expiresAt: new Date(expires * 1000),
+  };
+};
+
+// Verify the signature and expiry of a signed stream URL
+export const verifyStreamSignature = (musicId, { uid, expires, signature } = {}) => {
+  if (typeof uid !== 'string' || typeof expires !== 'string' || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expiresAt = parseInt(expires, 10);
+  if (!Number.isFinite(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(musicId.toString(), uid, expiresAt), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};